@@ -16,6 +16,16 @@ const __dirname = path.dirname(__filename);
 const packagePath = path.join(__dirname, '../package.json');
 const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
 
+/**
+ * Collect the values of a repeatable option
+ * @param {string} value - Value of the current occurrence
+ * @param {string[]} [previous] - Values of the previous occurrences
+ * @returns {string[]} - All values so far
+ */
+function collect(value, previous) {
+  return (previous || []).concat([value]);
+}
+
 /**
  * Configure and run the CLI program
  */
@@ -33,16 +43,68 @@ async function runCli() {
     .option('--prompt <file>', 'Prompt template file')
     .option('--variables <json>', 'JSON string of variables for the prompt template')
     .option('-t, --truncate <strategy>', 'Truncation strategy (start, end, middle)')
+    .option('--tokenizer <name>', 'Tokenizer used to count tokens (heuristic, cl100k_base, o200k_base, llama)')
+    .option('--model <name>', 'Target model; selects a tokenizer and derives --max-tokens from its context window (e.g. gpt-4o, claude-sonnet)')
+    .option('--reserve-tokens <number>', 'Tokens to reserve for the completion when deriving the budget from --model', parseInt)
     .option('-r, --render', 'Render content with a browser for JavaScript-heavy sites')
+    .option('--encoding <name>', 'Encoding of input and project files, such as latin1, windows-1252, shift_jis or utf-16le (default: auto, detected per file)')
+    .option('--pages <range>', 'Pages of PDF input to extract, such as 3-10 or 1,4,7- (default: all)')
     .option('-d, --debug', 'Enable debug output')
     .option('-s, --system <message>', 'System message to prepend')
     .option('-u, --user <message>', 'User message to append')
-    .option('-c, --compress', 'Compress output by removing excessive whitespace')
+    .option('-c, --compress [level]', 'Compress whitespace: light (default), code (language-aware minification of source files) or aggressive (also reflows prose)')
+    .option('--compression-report [file]', 'List the tokens saved by --compress for each file (on stderr, or in the given file)')
     .option('--config <filepath>', 'Path to the JSON configuration file')
     .option('-p, --project-path <directoryPath>', 'Path to the project directory to process')
     .option('--file-pattern <pattern>', 'Glob pattern for matching files (default: *)')
+    .option('--entry <file>', 'Only include files reachable through imports from this entry file (repeatable)', collect)
+    .option('--entry-depth <number>', 'Maximum number of import hops from the entry files', parseInt)
+    .option('--since <ref>', 'Only include files changed since a git ref, with their diffs')
+    .option('--diff <range>', 'Only include files changed in a git range (base..head), with their diffs')
+    .option('--diff-context <lines>', 'Lines of context around each change in the diffs (default: 3)', parseInt)
     .option('--no-layout', 'Suppress the ASCII layout view of the project structure')
+    .option('--output-format <format>', 'Multi-file output format for project and crawl mode (text, xml, markdown, json, jsonl; default: text)')
     .option('--include-comments', 'Include comments in the output (default: false)')
+    .option('--comments <mode>', 'Comment handling: none, docs (keep doc comments), all or license (strip license headers only); overrides --include-comments')
+    .option('--drop-dead-code-comments', 'Remove comment blocks that contain commented-out code, keeping prose comments')
+    .option('--dedup', 'Send blocks of lines repeated across files once, as shared blocks, and list identical files as aliases')
+    .option('--dedup-lines <number>', 'Lines in the windows compared across files for --dedup (default: 5)', parseInt)
+    .option('--dedup-min-files <number>', 'Files a block must appear in to be shared by --dedup (default: 3)', parseInt)
+    .option('--max-file-size <kilobytes>', 'Skip project files larger than this size in KB (listed in the layout as skipped)', parseFloat)
+    .option('--max-file-tokens <number>', 'Skip project files with more tokens than this (listed in the layout as skipped)', parseInt)
+    .option('--outline', 'Reduce JS/TS and Python files to imports, exports, signatures, types and doc comments')
+    .option('--no-redact', 'Keep secrets such as API keys and passwords instead of replacing them with placeholders')
+    .option('--redaction-report [file]', 'List the file, line and type of each redacted secret (on stderr, or in the given file)')
+    .option('--scrub-pii [types]', 'Replace personal data in input text with pseudonyms (email, phone, credit_card, ip, national_id; default: all)')
+    .option('--pii-mapping <file>', 'Write the pseudonym mapping of --scrub-pii to a JSON file')
+    .option('--sanitize [mode]', 'Remove (default) or visualize invisible characters and drop hidden HTML elements in input text (remove, visualize, off; on for URLs unless off)')
+    .option('--sanitize-report [file]', 'List removed characters, dropped elements and suspicious instruction-like phrases (on stderr, or in the given file)')
+    .option('--extract <mode>', 'Keep only the main content of HTML input before conversion: main, article or selector:<css>')
+    .option('--exclude-selector <css>', 'Remove elements matching a CSS selector from HTML input, e.g. site-specific clutter (repeatable)', collect)
+    .option('--wait-for <css>', 'With --render, wait for an element matching a CSS selector instead of the fixed wait')
+    .option('--scroll-to-bottom', 'With --render, scroll until the page stops growing, to load lazy and infinite lists')
+    .option('--click <css>', 'With --render, click elements matching a CSS selector, e.g. "show more" buttons (repeatable)', collect)
+    .option('--viewport <size>', 'With --render, viewport size as WIDTHxHEIGHT (default: 1280x1024)')
+    .option('--render-wait <ms>', 'With --render, wait after the page loads (default: 2000, or 0 with --wait-for)', parseInt)
+    .option('--block-resources', 'With --render, skip images, fonts and media for speed')
+    .option('--header <header>', 'Request header for fetched URLs, as "Name: value" (repeatable)', collect)
+    .option('--cookie <cookie>', 'Cookie for fetched URLs, as name=value (repeatable)', collect)
+    .option('--auth <scheme:env>', 'Auth for fetched URLs from an environment variable: bearer:VAR (token) or basic:VAR (user:password)')
+    .option('--proxy <url>', 'Proxy for fetched URLs (default: HTTPS_PROXY/HTTP_PROXY, except NO_PROXY hosts)')
+    .option('--http-timeout <seconds>', 'Timeout of each request for fetched URLs (default: 10)', parseFloat)
+    .option('--http-max-size <kilobytes>', 'Maximum response size in KB for fetched URLs (default: 10240)', parseFloat)
+    .option('--retries <number>', 'Retries of fetched URLs on 429 and 5xx responses, with exponential backoff (default: 2)', parseInt)
+    .option('--cache', 'Cache fetched and rendered pages on disk, revalidating them with ETag/Last-Modified once stale')
+    .option('--cache-dir <dir>', 'Directory of the page cache; turns the cache on (default: ~/.cache/llm-prepare)')
+    .option('--cache-ttl <duration>', 'Time cached pages are used without revalidation, in seconds or e.g. 30m, 12h, 7d (default: 1d)')
+    .option('--offline', 'Serve URLs only from the page cache, failing for pages that are not cached')
+    .option('--crawl', 'Crawl the same-origin pages linked from the input URL, honoring robots.txt, and output a section per page')
+    .option('--crawl-depth <number>', 'Link hops followed from the input URL by --crawl (default: 2)', parseInt)
+    .option('--crawl-max-pages <number>', 'Maximum number of pages fetched by --crawl (default: 50)', parseInt)
+    .option('--crawl-include <pattern>', 'Only follow links matching a glob; patterns starting with / match the path (repeatable)', collect)
+    .option('--crawl-exclude <pattern>', 'Do not follow links matching a glob; patterns starting with / match the path (repeatable)', collect)
+    .option('--crawl-sitemap', 'Seed --crawl with the URLs of sitemap.xml and the sitemaps listed in robots.txt')
+    .option('--wrap-untrusted', 'Wrap input text in <untrusted_content> tags, so the prompt can tell it apart from instructions')
     .option('--comment-style <style>', 'Comment style for file headers (default: //)')
     .option('--ignore-gitignore', 'Disable processing of .gitignore files')
     .option('--custom-ignore-string <patterns>', 'Comma-separated ignore patterns')
@@ -50,12 +112,27 @@ async function runCli() {
     .option('--default-ignore <filepath>', 'Path to a default ignore file')
     .option('--show-default-ignore', 'Display the default ignore patterns')
     .option('--show-templates', 'Show available templates in your browser')
+    .option('--show-models', 'Display the known models and their token budgets')
     .option('--chunk-size <kilobytes>', 'Maximum size in KB for each output file (creates multiple files if needed)', parseInt)
+    .option('--chunk-tokens <number>', 'Maximum tokens for each output file, measured with the selected tokenizer', parseInt)
+    .option('--budget-strategy <strategy>', 'How project mode shares the token budget between files (fair, proportional, priority, none; default: fair)')
+    .option('--budget-priority <patterns>', 'Comma-separated glob:weight pairs for the priority budget strategy (e.g. "docs/**:3,*.md:2")')
     .option('--folder-output-level <depth>', 'Generate output files at the specified directory depth level or for all subdirectories (number or "all")')
     .parse(process.argv);
 
   let options = program.opts();
   
+  // --no-redact defaults redact to true; leave it unset unless the flag is given
+  // so "redact": false in a config file can take effect
+  if (program.getOptionValueSource('redact') === 'default') {
+    delete options.redact;
+  }
+  
+  // --no-layout is exposed to the processor as suppressLayout
+  if (options.layout === false) {
+    options.suppressLayout = true;
+  }
+  
   // If config option is provided, load and merge the config with CLI options
   if (options.config) {
     try {
@@ -95,6 +172,11 @@ async function runCli() {
     }
   }
   
+  // Entry files and change sets are read from the current directory unless a project path is given
+  if ((options.entry || options.since || options.diff) && !options.projectPath && !options.projectPaths) {
+    options.projectPath = '.';
+  }
+  
   // Display default ignore patterns if requested
   if (options.showDefaultIgnore) {
     const { getDefaultIgnorePatterns } = await import('../src/utils/ignore-handler.js');
@@ -103,6 +185,14 @@ async function runCli() {
     process.exit(0);
   }
   
+  // Display the model registry if requested
+  if (options.showModels) {
+    const { formatModelList } = await import('../src/utils/model-registry.js');
+    console.log('Known models:');
+    console.log(formatModelList(options.models));
+    process.exit(0);
+  }
+  
   // Show templates in browser if requested
   if (options.showTemplates) {
     try {
@@ -24,6 +24,7 @@ const turndownService = new TurndownService({
  * @param {string} text - Input text to convert
  * @param {string} format - Target format ('text', 'markdown', 'html')
  * @param {Object} options - Additional conversion options
+ * @param {string} options.inputFormat - Known format of the text, such as 'markdown' for extracted PDFs; detected when not given
  * @returns {Promise<string>} - Converted text
  */
 export async function convertFormat(text, format, options = {}) {
@@ -31,11 +32,11 @@ export async function convertFormat(text, format, options = {}) {
   
   if (!text) return '';
   
-  // Detect input format (best guess)
-  const inputFormat = detectFormat(text);
+  // Detect input format (best guess) unless the source knows it
+  const inputFormat = options.inputFormat || detectFormat(text);
   
   if (debug) {
-    console.error(`Debug: Detected input format as '${inputFormat}'`);
+    console.error(`Debug: ${options.inputFormat ? 'Input' : 'Detected input'} format is '${inputFormat}'`);
     console.error(`Debug: Converting to '${format}'`);
   }
   
@@ -0,0 +1,472 @@
+/**
+ * Project Output Formatter
+ *
+ * Renders the layout view and the files of a project in one of the
+ * multi-file output formats:
+ * - text: `// FILE: path` headers followed by the raw content (default)
+ * - xml: `<documents><document index path language tokens>` tags
+ * - markdown: a heading and a fenced code block per file
+ * - json: an array of { path, language, size, tokens, content } records
+ * - jsonl: the same records, one per line
+ *
+ * Files from a git change set also carry their unified diff, which is
+ * rendered before the content; deleted files have a diff only.
+ *
+ * Deduplicated projects (see dedup.js) list their shared blocks after the
+ * layout view, and files identical to an earlier file are listed by path only.
+ *
+ * Crawled pages (see crawler.js) use the same formats, with the page URL in
+ * place of the file path.
+ */
+
+import path from 'path';
+import { countTokens } from '../utils/token-counter.js';
+
+/**
+ * Names of the available output formats
+ */
+export const OUTPUT_FORMATS = ['text', 'xml', 'markdown', 'json', 'jsonl'];
+
+/**
+ * Languages by file extension, named as markdown fence info strings
+ */
+const EXTENSION_LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'tsx',
+  py: 'python',
+  rb: 'ruby',
+  php: 'php',
+  pl: 'perl',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  scala: 'scala',
+  swift: 'swift',
+  dart: 'dart',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  lua: 'lua',
+  r: 'r',
+  ex: 'elixir',
+  exs: 'elixir',
+  erl: 'erlang',
+  hs: 'haskell',
+  clj: 'clojure',
+  sh: 'bash',
+  bash: 'bash',
+  zsh: 'bash',
+  ps1: 'powershell',
+  sql: 'sql',
+  html: 'html',
+  htm: 'html',
+  vue: 'vue',
+  svelte: 'svelte',
+  xml: 'xml',
+  svg: 'xml',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  json: 'json',
+  yml: 'yaml',
+  yaml: 'yaml',
+  toml: 'toml',
+  ini: 'ini',
+  graphql: 'graphql',
+  gql: 'graphql',
+  proto: 'protobuf',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text'
+};
+
+/**
+ * Languages of files recognized by name rather than extension
+ */
+const FILENAME_LANGUAGES = {
+  dockerfile: 'dockerfile',
+  makefile: 'makefile',
+  gemfile: 'ruby',
+  rakefile: 'ruby'
+};
+
+/**
+ * Infers the language of a file from its name or extension
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Language name, or 'text' when unknown
+ */
+export function getFileLanguage(filePath) {
+  const baseName = path.basename(filePath).toLowerCase();
+
+  if (FILENAME_LANGUAGES[baseName]) {
+    return FILENAME_LANGUAGES[baseName];
+  }
+
+  const extension = path.extname(baseName).slice(1);
+  return EXTENSION_LANGUAGES[extension] || 'text';
+}
+
+/**
+ * Renders a project's layout view and files in the requested format
+ * @param {Object} project - Project content
+ * @param {Object|null} project.layout - Layout view as { name, lines, entries }, or null to omit it,
+ *   where lines is the ASCII tree and entries is a list of { path, status, reason, skipReason } objects;
+ *   a layout view collapsed to directories has { path, status: 'collapsed', counts } entries instead
+ * @param {Array<Object>} project.files - Files as { path, language, size, content, commentStyle } objects,
+ *   with originalTokens set on truncated files, change ('added', 'modified' or 'deleted') and
+ *   diff set on files from a git change set, and aliasOf set on files identical to an earlier file
+ * @param {Array<Object>} [project.sharedBlocks] - Blocks referenced from several files, as { id, content, files } objects
+ * @param {string} [format='text'] - Output format (see OUTPUT_FORMATS)
+ * @param {Object} [tokenizer] - Tokenizer used for the token counts of the structured formats
+ * @returns {string} - Formatted output
+ * @throws {Error} If the format is unknown
+ */
+export function formatProjectOutput(project, format = 'text', tokenizer) {
+  const { layout, files, sharedBlocks = [] } = project;
+
+  switch (format) {
+    case 'text':
+      return formatText(layout, sharedBlocks, files, tokenizer);
+    case 'xml':
+      return formatXml(layout, sharedBlocks, files, tokenizer);
+    case 'markdown':
+      return formatMarkdown(layout, sharedBlocks, files, tokenizer);
+    case 'json':
+      return JSON.stringify(toRecords(layout, sharedBlocks, files, tokenizer), null, 2);
+    case 'jsonl':
+      return toRecords(layout, sharedBlocks, files, tokenizer).map(record => JSON.stringify(record)).join('\n') + '\n';
+    default:
+      throw new Error(`Invalid output format: ${format}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Joins the outputs of several projects into one document
+ * JSON arrays are merged so the result stays a single valid document.
+ * @param {string[]} outputs - Formatted project outputs
+ * @param {string} [format='text'] - Output format the outputs were rendered in
+ * @returns {string} - Combined output
+ */
+export function combineProjectOutputs(outputs, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(outputs.flatMap(output => JSON.parse(output)), null, 2);
+  }
+
+  if (format === 'jsonl') {
+    return outputs.join('');
+  }
+
+  return outputs.join('\n\n');
+}
+
+/**
+ * Renders crawled pages as one document, a section per page
+ * @param {Array<Object>} pages - Pages as { url, content } objects
+ * @param {string} [format='text'] - Output format (see OUTPUT_FORMATS)
+ * @param {string} [commentStyle='//'] - Comment prefix of the text format headers
+ * @param {Object} [tokenizer] - Tokenizer used for the token counts of the structured formats
+ * @returns {string} - Formatted output
+ * @throws {Error} If the format is unknown
+ */
+export function formatPageOutput(pages, format = 'text', commentStyle = '//', tokenizer) {
+  const records = () => pages.map(page => ({ url: page.url, tokens: countTokens(page.content, tokenizer), content: page.content }));
+
+  switch (format) {
+    case 'text':
+      return pages.map(page => `${commentStyle} URL: ${page.url}\n${page.content.replace(/\n*$/, '\n')}`).join('\n');
+    case 'xml': {
+      const escapeContent = (text) => text.replace(/<\/(documents?)\b/gi, '&lt;/$1');
+      const documents = pages.map((page, index) =>
+        `<document index="${index + 1}" url="${escapeXmlAttribute(page.url)}" tokens="${countTokens(page.content, tokenizer)}">\n${escapeContent(page.content)}\n</document>`);
+      return ['<documents>', ...documents, '</documents>'].join('\n') + '\n';
+    }
+    case 'markdown':
+      return pages.map(page => `## ${page.url}\n\n${page.content.trim()}`).join('\n\n') + '\n';
+    case 'json':
+      return JSON.stringify(records(), null, 2);
+    case 'jsonl':
+      return records().map(record => JSON.stringify(record)).join('\n') + '\n';
+    default:
+      throw new Error(`Invalid output format: ${format}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Describes how much of a truncated file was kept
+ * @param {Object} file - File with content and originalTokens
+ * @param {Object} [tokenizer] - Tokenizer used to count tokens
+ * @returns {string} - Description such as "truncated to ~42 of 2700 tokens"
+ */
+function describeTruncation(file, tokenizer) {
+  return `truncated to ~${countTokens(file.content, tokenizer)} of ${file.originalTokens} tokens`;
+}
+
+/**
+ * Describes how many files reference a shared block
+ * @param {Object} block - Shared block
+ * @returns {string} - Description such as "used in 12 files"
+ */
+function describeSharedBlock(block) {
+  return `used in ${block.files} file${block.files === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders the plain text format
+ * @param {Object|null} layout - Layout view
+ * @param {Array<Object>} sharedBlocks - Shared blocks
+ * @param {Array<Object>} files - Files to render
+ * @param {Object} [tokenizer] - Tokenizer used for the truncation notes
+ * @returns {string} - Formatted output
+ */
+function formatText(layout, sharedBlocks, files, tokenizer) {
+  let output = '';
+
+  if (layout) {
+    output += [`Project structure for: ${layout.name}`, '```', ...layout.lines, '```'].join('\n') + '\n\n';
+  }
+
+  for (const block of sharedBlocks) {
+    output += `Shared block #${block.id} (${describeSharedBlock(block)}):\n${fence(block.content, '')}\n\n`;
+  }
+
+  for (const file of files) {
+    if (file.aliasOf !== undefined) {
+      output += `${file.commentStyle} FILE: ${file.path} (identical to ${file.aliasOf})\n\n`;
+      continue;
+    }
+
+    if (file.diff !== undefined) {
+      output += `${file.commentStyle} DIFF: ${file.path}\n`;
+      output += file.diff + '\n\n';
+    }
+
+    if (file.change === 'deleted') {
+      continue;
+    }
+
+    const note = file.originalTokens !== undefined ? ` (${describeTruncation(file, tokenizer)})` : '';
+    output += `${file.commentStyle} FILE: ${file.path}${note}\n`;
+    output += file.content + '\n\n';
+  }
+
+  return output;
+}
+
+/**
+ * Renders the XML document format
+ * File content is kept verbatim apart from closing tags of the wrapper
+ * elements, which are escaped so a file cannot end its own document early.
+ * Files with a diff hold it in a `<diff>` element, followed by the content
+ * in a `<content>` element. Shared blocks come in `<shared_block>` elements,
+ * and files identical to an earlier file are empty documents with an
+ * `identical_to` attribute.
+ * @param {Object|null} layout - Layout view
+ * @param {Array<Object>} sharedBlocks - Shared blocks
+ * @param {Array<Object>} files - Files to render
+ * @param {Object} [tokenizer] - Tokenizer used for the tokens attribute
+ * @returns {string} - Formatted output
+ */
+function formatXml(layout, sharedBlocks, files, tokenizer) {
+  const parts = [];
+  const escapeContent = (text) => text.replace(/<\/(documents?|project_structure|shared_blocks?)\b/gi, '&lt;/$1');
+
+  if (layout) {
+    parts.push(`<project_structure name="${escapeXmlAttribute(layout.name)}">\n${layout.lines.join('\n')}\n</project_structure>`);
+  }
+
+  if (sharedBlocks.length > 0) {
+    const blocks = sharedBlocks.map(block =>
+      `<shared_block id="${block.id}" files="${block.files}">\n${escapeContent(block.content)}\n</shared_block>`);
+    parts.push(['<shared_blocks>', ...blocks, '</shared_blocks>'].join('\n'));
+  }
+
+  const documents = files.map((file, index) => {
+    const attributes = [
+      `index="${index + 1}"`,
+      `path="${escapeXmlAttribute(toPosixPath(file.path))}"`,
+      `language="${escapeXmlAttribute(file.language)}"`
+    ];
+
+    if (file.aliasOf !== undefined) {
+      attributes.push(`identical_to="${escapeXmlAttribute(toPosixPath(file.aliasOf))}"`);
+      return `<document ${attributes.join(' ')} />`;
+    }
+
+    attributes.push(`tokens="${countTokens(file.content, tokenizer)}"`);
+
+    if (file.originalTokens !== undefined) {
+      attributes.push(`truncated="${escapeXmlAttribute(describeTruncation(file, tokenizer))}"`);
+    }
+
+    if (file.diff === undefined) {
+      return `<document ${attributes.join(' ')}>\n${escapeContent(file.content)}\n</document>`;
+    }
+
+    attributes.push(`change="${escapeXmlAttribute(file.change)}"`);
+    const escape = (text) => text.replace(/<\/(documents?|project_structure|diff|content)\b/gi, '&lt;/$1');
+    const elements = [`<diff>\n${escape(file.diff)}\n</diff>`];
+    if (file.change !== 'deleted') {
+      elements.push(`<content>\n${escape(file.content)}\n</content>`);
+    }
+    return `<document ${attributes.join(' ')}>\n${elements.join('\n')}\n</document>`;
+  });
+
+  parts.push(['<documents>', ...documents, '</documents>'].join('\n'));
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Renders the markdown format
+ * @param {Object|null} layout - Layout view
+ * @param {Array<Object>} sharedBlocks - Shared blocks
+ * @param {Array<Object>} files - Files to render
+ * @param {Object} [tokenizer] - Tokenizer used for the truncation notes
+ * @returns {string} - Formatted output
+ */
+function formatMarkdown(layout, sharedBlocks, files, tokenizer) {
+  const parts = [];
+
+  if (layout) {
+    parts.push(`## Project structure: ${layout.name}\n\n${fence(layout.lines.join('\n'), 'text')}`);
+  }
+
+  for (const block of sharedBlocks) {
+    parts.push(`## Shared block #${block.id} (${describeSharedBlock(block)})\n\n${fence(block.content, 'text')}`);
+  }
+
+  for (const file of files) {
+    if (file.aliasOf !== undefined) {
+      parts.push(`## ${toPosixPath(file.path)} (identical to ${toPosixPath(file.aliasOf)})`);
+      continue;
+    }
+
+    if (file.diff !== undefined) {
+      const blocks = [fence(file.diff, 'diff')];
+      if (file.change !== 'deleted') {
+        blocks.push(fence(file.content, file.language));
+      }
+      const note = file.originalTokens !== undefined ? `, ${describeTruncation(file, tokenizer)}` : '';
+      parts.push(`## ${toPosixPath(file.path)} (${file.change}${note})\n\n${blocks.join('\n\n')}`);
+      continue;
+    }
+
+    const note = file.originalTokens !== undefined ? ` (${describeTruncation(file, tokenizer)})` : '';
+    parts.push(`## ${toPosixPath(file.path)}${note}\n\n${fence(file.content, file.language)}`);
+  }
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Wraps content in a fenced code block longer than any backtick run inside it
+ * @param {string} content - Content of the block
+ * @param {string} language - Info string of the block
+ * @returns {string} - Fenced code block
+ */
+function fence(content, language) {
+  const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const marker = '`'.repeat(Math.max(3, longestRun + 1));
+  const body = content.endsWith('\n') ? content : `${content}\n`;
+
+  return `${marker}${language}\n${body}${marker}`;
+}
+
+/**
+ * Builds the records of the JSON formats
+ * The layout view, when shown, is the first record and has a `type` of 'layout';
+ * shared blocks follow with a `type` of 'shared_block'. Files identical to an
+ * earlier file have an `identicalTo` path instead of content.
+ * @param {Object|null} layout - Layout view
+ * @param {Array<Object>} sharedBlocks - Shared blocks
+ * @param {Array<Object>} files - Files to render
+ * @param {Object} [tokenizer] - Tokenizer used for the token counts
+ * @returns {Array<Object>} - Records
+ */
+function toRecords(layout, sharedBlocks, files, tokenizer) {
+  const records = [];
+
+  if (layout) {
+    records.push({
+      type: 'layout',
+      project: layout.name,
+      files: layout.entries.map(entry => ({
+        path: toPosixPath(entry.path),
+        status: entry.status,
+        ...(entry.reason ? { reason: entry.reason } : {}),
+        ...(entry.skipReason ? { skipReason: entry.skipReason } : {}),
+        ...(entry.counts ? { counts: entry.counts } : {})
+      }))
+    });
+  }
+
+  for (const block of sharedBlocks) {
+    records.push({ type: 'shared_block', id: block.id, files: block.files, content: block.content });
+  }
+
+  for (const file of files) {
+    if (file.aliasOf !== undefined) {
+      records.push({
+        path: toPosixPath(file.path),
+        language: file.language,
+        size: file.size,
+        identicalTo: toPosixPath(file.aliasOf)
+      });
+      continue;
+    }
+
+    const record = {
+      path: toPosixPath(file.path),
+      language: file.language,
+      size: file.size,
+      tokens: countTokens(file.content, tokenizer),
+      content: file.content
+    };
+
+    if (file.originalTokens !== undefined) {
+      record.truncated = true;
+      record.originalTokens = file.originalTokens;
+    }
+
+    if (file.diff !== undefined) {
+      record.change = file.change;
+      record.diff = file.diff;
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Escapes a value for use in a double-quoted XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a relative path to forward slashes
+ * @param {string} filePath - Relative path
+ * @returns {string} - Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
@@ -9,17 +9,34 @@
  * - Processing project directories
  */
 
-import { getInputText } from './io/input.js';
+import { getInputDocument } from './io/input.js';
+import { crawlSite } from './io/crawler.js';
+import { resolveCacheOptions } from './io/http-cache.js';
+import { resolveHttpOptions } from './io/http-options.js';
+import { closeBrowser, resolveRenderOptions } from './io/browser-renderer.js';
+import { parsePageRange } from './io/pdf-reader.js';
 import { writeOutput } from './io/output.js';
 import { convertFormat } from './formatters/format-converter.js';
-import { truncateText } from './processors/truncate.js';
-import { applyPromptTemplate } from './processors/prompt-template.js';
+import { truncatePromptContent } from './processors/truncate.js';
+import { loadPromptTemplate, renderPromptTemplate, countTextPlaceholders } from './processors/prompt-template.js';
 import { processProjectDirectory } from './processors/project-processor.js';
-import { estimateTokenCount } from './utils/token-counter.js';
-import { compressText } from './processors/compress.js';
+import { combineProjectOutputs, formatPageOutput } from './formatters/project-formatter.js';
+import { countTokens, loadTokenizer } from './utils/token-counter.js';
+import { getModelTokenizer, resolveMaxTokens } from './utils/model-registry.js';
+import { compressContent, formatCompressionReport, parseCompressionLevel } from './processors/compress.js';
+import { parseRedactionRules, redactSecrets, formatRedactionReport } from './processors/redact.js';
+import { createPseudonymTable, parsePiiTypes, scrubPii } from './processors/scrub-pii.js';
+import { formatSanitizationReport, isInjectionFinding, parseSanitizeMode, sanitizeText, wrapUntrusted } from './processors/sanitize.js';
+import { extractContent, parseExtractOption } from './processors/extract.js';
+import { detectFormat } from './utils/format-detector.js';
 import path from 'path';
 import fs from 'fs/promises';
 
+/**
+ * Permissions of the --pii-mapping file, which holds the original personal data
+ */
+const PII_MAPPING_MODE = 0o600;
+
 /**
  * Main function to process text based on provided options
  * @param {Object} options - Command line options
@@ -30,22 +47,91 @@ import fs from 'fs/promises';
  * @param {string} options.prompt - Prompt template file
  * @param {string} options.variables - JSON string of variables for template
  * @param {string} options.truncate - Truncation strategy (start, end, middle)
+ * @param {string} options.tokenizer - Tokenizer used to count tokens (heuristic, cl100k_base, o200k_base, llama)
+ * @param {string} options.model - Target model name, used to pick a tokenizer and token budget
+ * @param {number} options.reserveTokens - Tokens reserved for the completion when using a model budget
+ * @param {Object} options.models - Additional model definitions from the config file
  * @param {boolean} options.render - Render content with a browser
+ * @param {string} options.encoding - Encoding of input and project files, or 'auto' to detect it (default)
  * @param {boolean} options.debug - Enable debug output
  * @param {string} options.system - System message to prepend
  * @param {string} options.user - User message to append
  * @param {string} options.projectPath - Path to project directory
  * @param {string[]} options.projectPaths - Array of project directory paths to process
  * @param {string} options.filePattern - File pattern for project processing
+ * @param {string[]} options.entry - Entry files; only files reachable through their imports are processed
+ * @param {number} options.entryDepth - Maximum number of import hops from the entry files
+ * @param {string} options.since - Git ref; only files changed since the ref are processed, with their diffs
+ * @param {string} options.diff - Git range (base..head); only files changed in the range are processed
+ * @param {number} options.diffContext - Lines of context around each change in the diffs
  * @param {boolean} options.suppressLayout - Whether to suppress layout view
  * @param {boolean} options.includeComments - Whether to include comments
+ * @param {string} options.comments - Comment handling mode for project files ('none', 'docs', 'all', 'license')
+ * @param {boolean} options.dropDeadCodeComments - Remove commented-out code from the comments that are kept
+ * @param {boolean} options.outline - Reduce JS/TS and Python files to their signatures and doc comments
  * @param {string} options.commentStyle - Comment style for file headers
- * @param {boolean} options.compress - Whether to compress whitespace in output
+ * @param {boolean|string} options.compress - Compression level ('light', 'code', 'aggressive'); true means 'light'
+ * @param {boolean|string} options.compressionReport - List the tokens saved by compression on stderr, or in this file
  * @param {number} options.chunkSize - Maximum size in KB for each output file
+ * @param {number} options.chunkTokens - Maximum tokens for each output file, measured with the selected tokenizer
  * @param {number} options.folderOutputLevel - Directory depth level for output generation
+ * @param {string} options.budgetStrategy - How project mode shares the token budget between files (fair, proportional, priority, none)
+ * @param {string} options.budgetPriority - Comma-separated `glob:weight` pairs for the priority budget strategy
+ * @param {string} options.outputFormat - Multi-file output format for project mode (text, xml, markdown, json, jsonl)
+ * @param {boolean} options.redact - Replace secrets with typed placeholders (default: true)
+ * @param {Array<Object>} options.redactionRules - Custom redaction rules from the config file
+ * @param {boolean|string} options.redactionReport - List the redacted secrets on stderr, or in this file
+ * @param {boolean|string} options.scrubPii - Replace personal data in input text with pseudonyms (true or
+ *   'all' for every entity type, or a comma-separated list of types)
+ * @param {string} options.piiMapping - File to write the pseudonym mapping to, as JSON
+ * @param {boolean|string} options.sanitize - Invisible character handling for input text ('remove', 'visualize', 'off');
+ *   URL input defaults to 'remove', other input to 'off'
+ * @param {boolean|string} options.sanitizeReport - List the sanitization findings on stderr, or in this file
+ * @param {boolean} options.wrapUntrusted - Wrap input text in `<untrusted_content>` tags
+ * @param {string} options.extract - Keep only the main content of HTML input ('main', 'article' or 'selector:<css>')
+ * @param {string|string[]} options.excludeSelector - CSS selectors of elements removed from HTML input
+ * @param {boolean} options.crawl - Crawl the same-origin pages linked from the input URL
+ * @param {number} options.crawlDepth - Link hops followed from the input URL (default: 2)
+ * @param {number} options.crawlMaxPages - Maximum number of pages crawled (default: 50)
+ * @param {string[]} options.crawlInclude - Glob patterns of URLs to crawl; patterns starting with `/` match the path
+ * @param {string[]} options.crawlExclude - Glob patterns of URLs not to crawl
+ * @param {boolean} options.crawlSitemap - Seed the crawl with the URLs of the site's sitemaps
+ * @param {boolean} options.cache - Cache fetched and rendered pages in the default cache directory
+ * @param {string} options.cacheDir - Directory of the HTTP cache; setting it turns the cache on
+ * @param {number|string} options.cacheTtl - Time cached pages are used without revalidation (default: 1d)
+ * @param {boolean} options.offline - Serve URLs only from the cache
+ * @param {string[]} options.header - Request headers for fetched URLs, as 'Name: value'
+ * @param {string[]} options.cookie - Cookies for fetched URLs, as 'name=value'
+ * @param {string} options.auth - Auth for fetched URLs, 'bearer:ENV_VAR' or 'basic:ENV_VAR'
+ * @param {string} options.proxy - Proxy for fetched URLs, instead of HTTPS_PROXY/HTTP_PROXY
+ * @param {number} options.httpTimeout - Request timeout in seconds (default: 10)
+ * @param {number} options.httpMaxSize - Maximum response size in KB (default: 10240)
+ * @param {number} options.retries - Retries on 429 and 5xx responses (default: 2)
+ * @param {Object} options.http - HTTP settings and per-host overrides from the config file
+ * @param {string} options.waitFor - CSS selector rendered pages wait for, instead of the fixed wait
+ * @param {boolean} options.scrollToBottom - Scroll rendered pages until they stop growing
+ * @param {string[]} options.click - CSS selectors of elements clicked in rendered pages
+ * @param {string} options.viewport - Viewport of rendered pages as WIDTHxHEIGHT (default: 1280x1024)
+ * @param {number} options.renderWait - Wait after rendered pages load, in milliseconds (default: 2000, or 0 with waitFor)
+ * @param {boolean} options.blockResources - Skip images, fonts and media in rendered pages
+ * @param {string} options.pages - Pages of PDF input to extract, such as '3-10' or '1,4,7-' (default: all)
  * @returns {Promise<void>}
  */
 export async function processText(options) {
+  try {
+    await processOptions(options);
+  } finally {
+    // Rendered pages of the run share one browser
+    await closeBrowser();
+  }
+}
+
+/**
+ * Processes the input or projects named by the options (see processText)
+ * @param {Object} options - Command line options
+ * @returns {Promise<void>}
+ */
+async function processOptions(options) {
   const { debug } = options;
   
   // Debug output
@@ -53,6 +139,57 @@ export async function processText(options) {
     console.error('Debug: Processing with options:', JSON.stringify(options, null, 2));
   }
   
+  // Load the tokenizer used for truncation and token reports
+  const tokenizer = await loadTokenizer(options.tokenizer || getModelTokenizer(options.model, options.models));
+  
+  // Explicit --max-tokens wins, otherwise derive the budget from the target model
+  const maxTokens = resolveMaxTokens(options);
+  
+  if (debug) {
+    console.error(`Debug: Using tokenizer: ${tokenizer.name}`);
+    if (maxTokens && !options.maxTokens) {
+      console.error(`Debug: Token budget of ${maxTokens} derived from model ${options.model}`);
+    }
+  }
+  
+  const context = { tokenizer, maxTokens, redactions: [], compression: [], sanitization: [], pseudonyms: createPseudonymTable() };
+  parseCompressionLevel(options.compress);
+  const sanitizeMode = parseSanitizeMode(options.sanitize);
+  parseExtractOption(options.extract);
+  resolveCacheOptions(options);
+  resolveHttpOptions(options);
+  resolveRenderOptions(options);
+  parsePageRange(options.pages);
+  
+  const renderOnlyOptions = [
+    options.waitFor && '--wait-for',
+    options.scrollToBottom && '--scroll-to-bottom',
+    options.click && '--click',
+    options.viewport && '--viewport',
+    options.renderWait !== undefined && '--render-wait',
+    options.blockResources && '--block-resources'
+  ].filter(Boolean);
+  if (renderOnlyOptions.length > 0 && !options.render) {
+    console.warn(`Warning: ${renderOnlyOptions.join(', ')} appl${renderOnlyOptions.length === 1 ? 'ies' : 'y'} to rendered pages only and ${renderOnlyOptions.length === 1 ? 'is' : 'are'} ignored without --render.`);
+  }
+  const isProjectMode = Boolean(options.projectPath || (options.projectPaths && options.projectPaths.length > 0));
+  
+  if (options.scrubPii && isProjectMode) {
+    console.warn('Warning: --scrub-pii applies to input text only and is ignored in project mode.');
+  }
+  
+  const inputOnlyOptions = [
+    sanitizeMode && '--sanitize',
+    options.wrapUntrusted && '--wrap-untrusted',
+    options.extract && '--extract',
+    options.excludeSelector && '--exclude-selector',
+    options.crawl && '--crawl',
+    options.pages && '--pages'
+  ].filter(Boolean);
+  if (inputOnlyOptions.length > 0 && isProjectMode) {
+    console.warn(`Warning: ${inputOnlyOptions.join(', ')} appl${inputOnlyOptions.length === 1 ? 'ies' : 'y'} to input text only and ${inputOnlyOptions.length === 1 ? 'is' : 'are'} ignored in project mode.`);
+  }
+  
   // Check if processing project directories
   if (options.projectPaths && options.projectPaths.length > 0) {
     // Process multiple project directories
@@ -60,7 +197,19 @@ export async function processText(options) {
       console.error(`Debug: Processing multiple project directories (${options.projectPaths.length})`);
     }
     
-    let combinedResult = '';
+    // Share the content budget between the projects of a combined output
+    context.frame = await loadPromptFrame(options);
+    const contentBudget = getContentBudget(context.frame, maxTokens, tokenizer);
+    const projectContext = {
+      tokenizer,
+      redactions: context.redactions,
+      compression: context.compression,
+      maxTokens: contentBudget && options.folderOutputLevel === undefined
+        ? Math.floor(contentBudget / options.projectPaths.length)
+        : contentBudget
+    };
+    
+    const projectResults = [];
     let folderResults = [];
     
     // Process each project path
@@ -73,7 +222,7 @@ export async function processText(options) {
       const pathOptions = { ...options, projectPath };
       
       // Process this project directory
-      const result = await processProjectDirectory(pathOptions);
+      const result = await processProjectDirectory(pathOptions, projectContext);
       
       // Handle per-folder output mode
       if (options.folderOutputLevel !== undefined) {
@@ -81,11 +230,8 @@ export async function processText(options) {
           folderResults = folderResults.concat(result);
         }
       } else if (typeof result === 'string') {
-        // For standard output, concatenate the results
-        if (combinedResult) {
-          combinedResult += '\n\n';
-        }
-        combinedResult += result;
+        // For standard output, collect the results to combine them
+        projectResults.push(result);
       }
     }
     
@@ -96,221 +242,26 @@ export async function processText(options) {
       }
       
       try {
-        // Result is an array of { directoryPath, content, outputFilename } objects
-        if (folderResults.length === 0) {
-          console.warn(`Warning: No directories found at depth level ${options.folderOutputLevel} or no files to process.`);
-          return;
-        }
-        
-        let successCount = 0;
-        
-        // Process each folder's content
-        for (const item of folderResults) {
-          try {
-            let processedContent = item.content;
-            
-            // Apply prompt template if specified
-            if (options.prompt) {
-              try {
-                const variables = options.variables 
-                  ? JSON.parse(options.variables) 
-                  : {};
-                
-                processedContent = await applyPromptTemplate(processedContent, options.prompt, variables);
-                
-                if (debug) {
-                  console.error(`Debug: After applying prompt template for ${item.directoryPath}: ${processedContent.length} characters`);
-                }
-              } catch (templateError) {
-                console.error(`Error applying prompt template for ${item.directoryPath}: ${templateError.message}`);
-                // Continue with unprocessed content
-              }
-            }
-            
-            // Add system message if specified
-            if (options.system) {
-              processedContent = `SYSTEM: ${options.system}\n\n${processedContent}`;
-            }
-            
-            // Add user message if specified
-            if (options.user) {
-              processedContent = `${processedContent}\n\nUSER: ${options.user}`;
-            }
-            
-            // Truncate text if max tokens specified
-            if (options.maxTokens) {
-              try {
-                const strategy = options.truncate || 'end';
-                const beforeTokens = estimateTokenCount(processedContent);
-                
-                processedContent = truncateText(
-                  processedContent, 
-                  options.maxTokens, 
-                  strategy
-                );
-                
-                const afterTokens = estimateTokenCount(processedContent);
-                
-                if (debug) {
-                  console.error(`Debug: Truncated ${item.directoryPath} from ~${beforeTokens} to ~${afterTokens} tokens`);
-                }
-              } catch (truncateError) {
-                console.error(`Error truncating content for ${item.directoryPath}: ${truncateError.message}`);
-                // Continue with untruncated content
-              }
-            }
-            
-            // Compress text if compress option is specified
-            if (options.compress) {
-              try {
-                const beforeLength = processedContent.length;
-                processedContent = compressText(processedContent);
-                
-                if (debug) {
-                  console.error(`Debug: Compressed ${item.directoryPath} from ${beforeLength} to ${processedContent.length} characters`);
-                }
-              } catch (compressError) {
-                console.error(`Error compressing content for ${item.directoryPath}: ${compressError.message}`);
-                // Continue with uncompressed content
-              }
-            }
-            
-            // Construct full output path
-            const fullOutputPath = path.join(item.directoryPath, item.outputFilename);
-            
-            // Ensure the directory exists before writing
-            try {
-              await fs.mkdir(path.dirname(fullOutputPath), { recursive: true });
-            } catch (mkdirError) {
-              if (mkdirError.code === 'EEXIST') {
-                // Directory already exists, continue
-              } else if (mkdirError.code === 'EACCES') {
-                throw new Error(`Permission denied: Cannot create directory for ${fullOutputPath}. Check file permissions.`);
-              } else if (mkdirError.code === 'ENAMETOOLONG') {
-                throw new Error(`Path too long: ${fullOutputPath}. Try using a shorter output path.`);
-              } else {
-                throw new Error(`Failed to create directory for ${fullOutputPath}: ${mkdirError.message} (${mkdirError.code})`);
-              }
-            }
-            
-            // Write output
-            try {
-              await writeOutput(processedContent, fullOutputPath, options.chunkSize);
-              
-              if (debug) {
-                console.error(`Debug: Wrote output to ${fullOutputPath}`);
-              }
-              
-              successCount++;
-            } catch (writeError) {
-              console.error(`Error writing output to ${fullOutputPath}: ${writeError.message}`);
-            }
-          } catch (itemError) {
-            console.error(`Error processing output for directory ${item.directoryPath}: ${itemError.message}`);
-            // Continue with other directories
-          }
-        }
-        
-        if (successCount === 0) {
-          console.error(`Error: Failed to generate any output files. Check permissions and disk space.`);
-        } else if (successCount < folderResults.length) {
-          console.warn(`Warning: Successfully generated ${successCount} out of ${folderResults.length} output files.`);
-        } else if (debug) {
-          console.error(`Debug: Successfully generated all ${successCount} output files.`);
-        }
-        
+        await writeFolderOutputs(folderResults, options, context);
         return;
       } catch (error) {
         console.error(`Error in per-folder output mode: ${error.message}`);
         throw error;
       }
-    } else if (combinedResult) {
+    } else if (projectResults.length > 0) {
       // Process the combined result for standard output
-      let processedText = combinedResult;
-      
-      // Apply prompt template if specified
-      if (options.prompt) {
-        try {
-          const variables = options.variables 
-            ? JSON.parse(options.variables) 
-            : {};
-          
-          processedText = await applyPromptTemplate(processedText, options.prompt, variables);
-          
-          if (debug) {
-            console.error(`Debug: After applying prompt template: ${processedText.length} characters`);
-          }
-        } catch (templateError) {
-          console.error(`Error applying prompt template: ${templateError.message}`);
-          // Continue with unprocessed content
-        }
-      }
-      
-      // Add system message if specified
-      if (options.system) {
-        processedText = `SYSTEM: ${options.system}\n\n${processedText}`;
-      }
-      
-      // Add user message if specified
-      if (options.user) {
-        processedText = `${processedText}\n\nUSER: ${options.user}`;
-      }
-      
-      // Truncate text if max tokens specified
-      if (options.maxTokens) {
-        try {
-          const strategy = options.truncate || 'end';
-          const beforeTokens = estimateTokenCount(processedText);
-          
-          processedText = truncateText(
-            processedText, 
-            options.maxTokens, 
-            strategy
-          );
-          
-          const afterTokens = estimateTokenCount(processedText);
-          
-          if (debug) {
-            console.error(`Debug: Truncated from ~${beforeTokens} to ~${afterTokens} tokens`);
-          }
-        } catch (truncateError) {
-          console.error(`Error truncating content: ${truncateError.message}`);
-          // Continue with untruncated content
-        }
-      }
-      
-      // Compress text if compress option is specified
-      if (options.compress) {
-        try {
-          const beforeLength = processedText.length;
-          processedText = compressText(processedText);
-          
-          if (debug) {
-            console.error(`Debug: Compressed from ${beforeLength} to ${processedText.length} characters`);
-          }
-        } catch (compressError) {
-          console.error(`Error compressing content: ${compressError.message}`);
-          // Continue with uncompressed content
-        }
-      }
-      
-      // Write output
-      await writeOutput(processedText, options.output, options.chunkSize);
-      
-      if (debug) {
-        console.error('Debug: Processing complete');
-        if (options.chunkSize && options.output) {
-          const textSizeKB = Math.round(Buffer.byteLength(processedText, 'utf8') / 1024);
-          if (textSizeKB > options.chunkSize) {
-            const numChunks = Math.ceil(textSizeKB / options.chunkSize);
-            console.error(`Debug: Output split into ${numChunks} chunks based on ${options.chunkSize}KB limit`);
-          }
-        }
-      }
+      const combinedResult = combineProjectOutputs(projectResults, options.outputFormat);
+      await writeCombinedOutput(combinedResult, options, { ...context, lenient: true });
     }
   } else if (options.projectPath) {
     // Process a single project directory (backward compatibility)
-    const result = await processProjectDirectory(options);
+    context.frame = await loadPromptFrame(options);
+    const result = await processProjectDirectory(options, {
+      tokenizer,
+      maxTokens: getContentBudget(context.frame, maxTokens, tokenizer),
+      redactions: context.redactions,
+      compression: context.compression
+    });
     
     // Handle per-folder output mode
     if (options.folderOutputLevel !== undefined) {
@@ -320,131 +271,11 @@ export async function processText(options) {
       
       try {
         // Result is an array of { directoryPath, content, outputFilename } objects
-        if (Array.isArray(result)) {
-          if (result.length === 0) {
-            console.warn(`Warning: No directories found at depth level ${options.folderOutputLevel} or no files to process.`);
-            return;
-          }
-          
-          let successCount = 0;
-          
-          // Process each folder's content
-          for (const item of result) {
-            try {
-              let processedContent = item.content;
-              
-              // Apply prompt template if specified
-              if (options.prompt) {
-                try {
-                  const variables = options.variables 
-                    ? JSON.parse(options.variables) 
-                    : {};
-                  
-                  processedContent = await applyPromptTemplate(processedContent, options.prompt, variables);
-                  
-                  if (debug) {
-                    console.error(`Debug: After applying prompt template for ${item.directoryPath}: ${processedContent.length} characters`);
-                  }
-                } catch (templateError) {
-                  console.error(`Error applying prompt template for ${item.directoryPath}: ${templateError.message}`);
-                  // Continue with unprocessed content
-                }
-              }
-              
-              // Add system message if specified
-              if (options.system) {
-                processedContent = `SYSTEM: ${options.system}\n\n${processedContent}`;
-              }
-              
-              // Add user message if specified
-              if (options.user) {
-                processedContent = `${processedContent}\n\nUSER: ${options.user}`;
-              }
-              
-              // Truncate text if max tokens specified
-              if (options.maxTokens) {
-                try {
-                  const strategy = options.truncate || 'end';
-                  const beforeTokens = estimateTokenCount(processedContent);
-                  
-                  processedContent = truncateText(
-                    processedContent, 
-                    options.maxTokens, 
-                    strategy
-                  );
-                  
-                  const afterTokens = estimateTokenCount(processedContent);
-                  
-                  if (debug) {
-                    console.error(`Debug: Truncated ${item.directoryPath} from ~${beforeTokens} to ~${afterTokens} tokens`);
-                  }
-                } catch (truncateError) {
-                  console.error(`Error truncating content for ${item.directoryPath}: ${truncateError.message}`);
-                  // Continue with untruncated content
-                }
-              }
-              
-              // Compress text if compress option is specified
-              if (options.compress) {
-                try {
-                  const beforeLength = processedContent.length;
-                  processedContent = compressText(processedContent);
-                  
-                  if (debug) {
-                    console.error(`Debug: Compressed ${item.directoryPath} from ${beforeLength} to ${processedContent.length} characters`);
-                  }
-                } catch (compressError) {
-                  console.error(`Error compressing content for ${item.directoryPath}: ${compressError.message}`);
-                  // Continue with uncompressed content
-                }
-              }
-              
-              // Construct full output path
-              const fullOutputPath = path.join(item.directoryPath, item.outputFilename);
-              
-              // Ensure the directory exists before writing
-              try {
-                await fs.mkdir(path.dirname(fullOutputPath), { recursive: true });
-              } catch (mkdirError) {
-                if (mkdirError.code === 'EEXIST') {
-                  // Directory already exists, continue
-                } else if (mkdirError.code === 'EACCES') {
-                  throw new Error(`Permission denied: Cannot create directory for ${fullOutputPath}. Check file permissions.`);
-                } else if (mkdirError.code === 'ENAMETOOLONG') {
-                  throw new Error(`Path too long: ${fullOutputPath}. Try using a shorter output path.`);
-                } else {
-                  throw new Error(`Failed to create directory for ${fullOutputPath}: ${mkdirError.message} (${mkdirError.code})`);
-                }
-              }
-              
-              // Write output
-              try {
-                await writeOutput(processedContent, fullOutputPath, options.chunkSize);
-                
-                if (debug) {
-                  console.error(`Debug: Wrote output to ${fullOutputPath}`);
-                }
-                
-                successCount++;
-              } catch (writeError) {
-                console.error(`Error writing output to ${fullOutputPath}: ${writeError.message}`);
-              }
-            } catch (itemError) {
-              console.error(`Error processing output for directory ${item.directoryPath}: ${itemError.message}`);
-              // Continue with other directories
-            }
-          }
-          
-          if (successCount === 0) {
-            console.error(`Error: Failed to generate any output files. Check permissions and disk space.`);
-          } else if (successCount < result.length) {
-            console.warn(`Warning: Successfully generated ${successCount} out of ${result.length} output files.`);
-          } else if (debug) {
-            console.error(`Debug: Successfully generated all ${successCount} output files.`);
-          }
-        } else {
+        if (!Array.isArray(result)) {
           throw new Error('Expected array result from processProjectDirectory when using folderOutputLevel');
         }
+        
+        await writeFolderOutputs(result, options, context);
         return;
       } catch (error) {
         console.error(`Error in per-folder output mode: ${error.message}`);
@@ -452,89 +283,546 @@ export async function processText(options) {
       }
     }
     
-    if (debug) {
-      console.error(`Debug: Completed processing ${result.length} directories at depth level ${options.folderOutputLevel}`);
-    }
+    // Process the project content for standard output
+    await writeCombinedOutput(result, options, { ...context, lenient: true });
   } else {
     // Standard input processing (not project directory)
-    // Step 1: Get input text from source (file, URL, stdin)
-    const text = await getInputText(options);
-    if (debug) {
-      console.error(`Debug: Retrieved input text (${text.length} characters)`);
+    const source = options.input || 'stdin';
+    let processedText;
+    
+    if (options.crawl) {
+      // Steps 1-2 for each page of the site, combined into one section per page
+      processedText = await prepareCrawledPages(options, context);
+    } else {
+      // Step 1: Get input text from source (file, URL, stdin); PDFs are extracted as markdown
+      const document = await getInputDocument(options);
+      if (debug) {
+        console.error(`Debug: Retrieved input text (${document.text.length} characters${document.format ? `, ${document.format}` : ''})`);
+      }
+      
+      // Step 2: Clean, convert and compress the text
+      processedText = await prepareInputText(document.text, source, options, context, document.format);
     }
     
-    // Step 2: Convert format if specified
-    let processedText = options.format 
-      ? await convertFormat(text, options.format, options) 
-      : text;
+    // Steps 3-7: Build the prompt and write output
+    await writeCombinedOutput(processedText, options, {
+      ...context,
+      untrusted: options.wrapUntrusted ? source : undefined
+    });
+  }
+}
+
+/**
+ * Crawls the site of the input URL and prepares each page
+ * @param {Object} options - Command line options
+ * @param {Object} context - Processing context; findings of every page are collected in it
+ * @returns {Promise<string>} - Pages rendered in the output format, one section per page
+ * @throws {Error} If the input is not a URL
+ */
+async function prepareCrawledPages(options, context) {
+  if (!options.input || !/^https?:\/\//.test(options.input)) {
+    throw new Error('--crawl requires a URL input');
+  }
+  
+  const pages = await crawlSite(options.input, {
+    depth: options.crawlDepth,
+    maxPages: options.crawlMaxPages,
+    include: options.crawlInclude,
+    exclude: options.crawlExclude,
+    sitemap: options.crawlSitemap,
+    render: options.render ? resolveRenderOptions(options) : false,
+    cache: resolveCacheOptions(options),
+    http: resolveHttpOptions(options),
+    debug: options.debug
+  });
+  
+  if (options.debug) {
+    console.error(`Debug: Crawled ${pages.length} page${pages.length === 1 ? '' : 's'} from ${options.input}`);
+  }
+  
+  const prepared = [];
+  for (const page of pages) {
+    prepared.push({ url: page.url, content: await prepareInputText(page.content, page.url, options, context) });
+  }
+  
+  return formatPageOutput(prepared, options.outputFormat, options.commentStyle, context.tokenizer);
+}
+
+/**
+ * Prepares input text for the prompt: sanitizes it, extracts the main content of
+ * HTML, redacts secrets, converts the format, scrubs personal data and compresses it
+ * @param {string} text - Input text
+ * @param {string} source - File path, URL or 'stdin', used in findings and messages
+ * @param {Object} options - Command line options
+ * @param {Object} context - Processing context; findings are collected in it
+ * @param {string|null} [inputFormat] - Known format of the text, such as 'markdown' for PDFs; detected when not given
+ * @returns {Promise<string>} - Prepared text
+ */
+async function prepareInputText(text, source, options, context, inputFormat = null) {
+  const { debug } = options;
+  const { tokenizer } = context;
+  
+  // Strip invisible characters and hidden HTML before anything else reads the text;
+  // fetched pages are sanitized unless --sanitize off is given
+  const isUrl = /^https?:\/\//.test(source);
+  const inputSanitizeMode = parseSanitizeMode(options.sanitize) || (isUrl ? 'remove' : 'off');
+  if (inputSanitizeMode !== 'off') {
+    const sanitized = sanitizeText(text, {
+      mode: inputSanitizeMode,
+      html: (inputFormat || detectFormat(text)) === 'html',
+      source
+    });
+    text = sanitized.text;
+    context.sanitization.push(...sanitized.findings);
+    
+    const phrases = sanitized.findings.filter(isInjectionFinding).length;
+    if (phrases > 0 && !options.sanitizeReport) {
+      console.warn(`Warning: ${source} contains ${phrases} instruction-like phrase${phrases === 1 ? '' : 's'} that may be a prompt injection. Use --sanitize-report to list them.`);
+    }
     
     if (debug) {
-      console.error(`Debug: After format conversion: ${processedText.length} characters`);
+      console.error(`Debug: Sanitized input text (${sanitized.findings.length - phrases} invisible characters and hidden elements)`);
     }
+  }
+  
+  // Keep only the main content of HTML pages, before it is converted
+  if ((options.extract || options.excludeSelector) && (inputFormat || detectFormat(text)) === 'html') {
+    const extracted = extractContent(text, { extract: options.extract, excludeSelector: options.excludeSelector });
+    text = extracted.html;
     
-    // Step 3: Apply prompt template if specified
-    if (options.prompt) {
-      const variables = options.variables 
+    if (!extracted.found) {
+      console.warn(`Warning: No content found in ${source} for --extract ${options.extract}. Keeping the whole page.`);
+    } else if (debug && extracted.description) {
+      console.error(`Debug: Extracted ${extracted.description} (${text.length} characters)`);
+    }
+  }
+  
+  // Replace secrets before the text is converted or templated
+  if (options.redact !== false) {
+    const redacted = redactSecrets(text, {
+      rules: parseRedactionRules(options.redactionRules),
+      source
+    });
+    text = redacted.text;
+    context.redactions.push(...redacted.findings);
+    
+    if (debug && redacted.findings.length > 0) {
+      console.error(`Debug: Redacted ${redacted.findings.length} secrets`);
+    }
+  }
+  
+  // Convert format if specified
+  let processedText = options.format 
+    ? await convertFormat(text, options.format, inputFormat ? { ...options, inputFormat } : options) 
+    : text;
+  
+  if (debug) {
+    console.error(`Debug: After format conversion: ${processedText.length} characters`);
+  }
+  
+  // Replace personal data with pseudonyms that stay consistent within the run; after
+  // the conversion, so pseudonyms such as <EMAIL_1> are not parsed as HTML tags
+  if (options.scrubPii) {
+    processedText = scrubInputText(processedText, options, context.pseudonyms);
+  }
+  
+  // Minify the input for its language before it is templated and truncated
+  const compressionLevel = parseCompressionLevel(options.compress);
+  if (compressionLevel === 'code' || compressionLevel === 'aggressive') {
+    // Converted and fetched content is prose, whatever the source is named
+    const isSourceFile = !options.format && !inputFormat && source !== 'stdin' && !isUrl;
+    const beforeTokens = countTokens(processedText, tokenizer);
+    processedText = compressContent(processedText, compressionLevel, isSourceFile ? source : undefined);
+    const afterTokens = countTokens(processedText, tokenizer);
+    context.compression.push({ source, before: beforeTokens, after: afterTokens });
+    
+    if (debug) {
+      console.error(`Debug: Compressed ${source} (${compressionLevel}) from ~${beforeTokens} to ~${afterTokens} tokens`);
+    }
+  }
+  
+  return processedText;
+}
+
+/**
+ * Replaces personal data in input text
+ * @param {string} text - Input text
+ * @param {Object} options - Command line options (scrubPii and debug are used)
+ * @param {Object} pseudonyms - Pseudonym table shared by the texts of the run
+ * @returns {string} - Text with pseudonyms such as `<EMAIL_1>`
+ */
+function scrubInputText(text, options, pseudonyms) {
+  const types = parsePiiTypes(options.scrubPii);
+  const scrubbed = scrubPii(text, { types, pseudonyms });
+  
+  if (options.debug) {
+    console.error(`Debug: Replaced ${scrubbed.count} PII values (${types.join(', ')})`);
+  }
+  
+  return scrubbed.text;
+}
+
+/**
+ * Loads the parts of the prompt that surround the content
+ * @param {Object} options - Command line options
+ * @param {string} [forLabel] - Suffix naming the output, used in error messages
+ * @returns {Promise<Object>} - { template, render, placeholders }, where render
+ *   builds the full prompt (template, system and user messages) around a content string
+ */
+async function loadPromptFrame(options, forLabel = '') {
+  let template = null;
+  let variables = {};
+  
+  if (options.prompt) {
+    try {
+      variables = options.variables 
         ? JSON.parse(options.variables) 
         : {};
       
-      processedText = await applyPromptTemplate(processedText, options.prompt, variables);
-      
-      if (debug) {
-        console.error(`Debug: After applying prompt template: ${processedText.length} characters`);
-      }
+      template = await loadPromptTemplate(options.prompt);
+    } catch (templateError) {
+      console.error(`Error applying prompt template${forLabel}: ${templateError.message}`);
+      // Continue with unprocessed content
     }
+  }
+  
+  const render = (text) => {
+    let prompt = template !== null 
+      ? renderPromptTemplate(template, text, variables) 
+      : text;
     
-    // Step 4: Add system message if specified
     if (options.system) {
-      processedText = `SYSTEM: ${options.system}\n\n${processedText}`;
+      prompt = `SYSTEM: ${options.system}\n\n${prompt}`;
     }
     
-    // Step 5: Add user message if specified
     if (options.user) {
-      processedText = `${processedText}\n\nUSER: ${options.user}`;
+      prompt = `${prompt}\n\nUSER: ${options.user}`;
     }
     
-    // Step 6: Truncate text if max tokens specified
-    if (options.maxTokens) {
+    return prompt;
+  };
+  
+  return {
+    template,
+    render,
+    placeholders: template !== null ? countTextPlaceholders(template) : 1
+  };
+}
+
+/**
+ * Computes the tokens left for the content once the prompt around it is rendered
+ * @param {Object} frame - Prompt frame from loadPromptFrame
+ * @param {number} [maxTokens] - Token limit for the whole prompt
+ * @param {Object} tokenizer - Tokenizer used to count tokens
+ * @returns {number|undefined} - Token budget for each injected copy of the content, or undefined without a limit
+ */
+function getContentBudget(frame, maxTokens, tokenizer) {
+  if (!maxTokens) {
+    return undefined;
+  }
+  
+  const overheadTokens = countTokens(frame.render(''), tokenizer);
+  return Math.max(0, Math.floor((maxTokens - overheadTokens) / Math.max(1, frame.placeholders)));
+}
+
+/**
+ * Builds the final prompt around processed content
+ * Applies the prompt template, system message and user message, then fits the
+ * prompt into the token limit by truncating only the injected content, and
+ * finally compresses it at the light level if requested (the other levels
+ * compress the content before it gets here).
+ * @param {string} content - Processed input or project content
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run
+ * @param {Object} context.tokenizer - Tokenizer used to count tokens
+ * @param {number} [context.maxTokens] - Token limit for the whole prompt
+ * @param {Object} [context.frame] - Prompt frame already loaded with loadPromptFrame
+ * @param {string} [context.label] - Directory the content belongs to, used in messages
+ * @param {boolean} [context.lenient] - Log truncation and compression errors instead of throwing
+ * @param {string} [context.untrusted] - Source of untrusted content, which is wrapped in delimiting tags inside the template
+ * @returns {Promise<string>} - The final prompt
+ */
+async function buildPrompt(content, options, context) {
+  const { debug } = options;
+  const { tokenizer, maxTokens, label, lenient = false } = context;
+  const forLabel = label ? ` for ${label}` : '';
+  
+  // Steps 3-5: Load the prompt template and render it, the system message and user message around the content
+  const frame = context.frame || await loadPromptFrame(options, forLabel);
+  const { template, placeholders } = frame;
+  
+  // Wrapping inside the frame keeps both tags when the content is truncated
+  const render = context.untrusted
+    ? text => frame.render(wrapUntrusted(text, context.untrusted))
+    : frame.render;
+  
+  let processedText = render(content);
+  
+  if (debug && template !== null) {
+    console.error(`Debug: After applying prompt template${forLabel}: ${processedText.length} characters`);
+  }
+  
+  // Step 6: Truncate the injected content if max tokens specified
+  if (maxTokens) {
+    try {
       const strategy = options.truncate || 'end';
-      const beforeTokens = estimateTokenCount(processedText);
+      const beforeTokens = countTokens(processedText, tokenizer);
       
-      processedText = truncateText(
-        processedText, 
-        options.maxTokens, 
-        strategy
+      processedText = truncatePromptContent(
+        content,
+        render,
+        maxTokens,
+        strategy,
+        tokenizer,
+        placeholders
       );
       
-      const afterTokens = estimateTokenCount(processedText);
+      const afterTokens = countTokens(processedText, tokenizer);
       
       if (debug) {
-        console.error(`Debug: Truncated from ~${beforeTokens} to ~${afterTokens} tokens`);
+        console.error(`Debug: Truncated ${label ? `${label} ` : ''}from ~${beforeTokens} to ~${afterTokens} tokens`);
       }
+    } catch (truncateError) {
+      if (!lenient) {
+        throw truncateError;
+      }
+      console.error(`Error truncating content${forLabel}: ${truncateError.message}`);
+      // Continue with untruncated content
     }
-    
-    // Step 7: Compress text if compress option is specified
-    if (options.compress) {
+  }
+  
+  // Step 7: Compress text if compress option is specified
+  if (parseCompressionLevel(options.compress) === 'light') {
+    try {
       const beforeLength = processedText.length;
-      processedText = compressText(processedText);
+      const beforeTokens = countTokens(processedText, tokenizer);
+      processedText = compressContent(processedText, 'light');
+      
+      if (context.compression) {
+        context.compression.push({
+          source: label || options.input || 'output',
+          before: beforeTokens,
+          after: countTokens(processedText, tokenizer)
+        });
+      }
       
       if (debug) {
-        console.error(`Debug: Compressed from ${beforeLength} to ${processedText.length} characters`);
+        console.error(`Debug: Compressed ${label ? `${label} ` : ''}from ${beforeLength} to ${processedText.length} characters`);
+      }
+    } catch (compressError) {
+      if (!lenient) {
+        throw compressError;
       }
+      console.error(`Error compressing content${forLabel}: ${compressError.message}`);
+      // Continue with uncompressed content
     }
-    
-    // Step 8: Write output
-    await writeOutput(processedText, options.output, options.chunkSize);
-    
-    if (debug) {
-      console.error('Debug: Processing complete');
-      if (options.chunkSize && options.output) {
-        const textSizeKB = Math.round(Buffer.byteLength(processedText, 'utf8') / 1024);
-        if (textSizeKB > options.chunkSize) {
-          const numChunks = Math.ceil(textSizeKB / options.chunkSize);
-          console.error(`Debug: Output split into ${numChunks} chunks based on ${options.chunkSize}KB limit`);
+  }
+  
+  return processedText;
+}
+
+/**
+ * Builds the prompt for a single output and writes it to the output destination
+ * @param {string} content - Processed input or project content
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run (see buildPrompt)
+ * @returns {Promise<void>}
+ */
+async function writeCombinedOutput(content, options, context) {
+  const { debug } = options;
+  const { tokenizer } = context;
+  
+  const processedText = await buildPrompt(content, options, context);
+  
+  // Step 8: Write output
+  await writeOutput(processedText, options.output, options.chunkSize, { chunkTokens: options.chunkTokens, tokenizer });
+  await writeRedactionReport(options, context);
+  await writeCompressionReport(options, context);
+  await writeSanitizationReport(options, context);
+  await writePiiMapping(options, context);
+  
+  if (debug) {
+    console.error('Debug: Processing complete');
+    console.error(`Debug: Final output is ${countTokens(processedText, tokenizer)} tokens (${tokenizer.name})`);
+    if (options.chunkSize && options.output) {
+      const textSizeKB = Math.round(Buffer.byteLength(processedText, 'utf8') / 1024);
+      if (textSizeKB > options.chunkSize) {
+        const numChunks = Math.ceil(textSizeKB / options.chunkSize);
+        console.error(`Debug: Output split into ${numChunks} chunks based on ${options.chunkSize}KB limit`);
+      }
+    }
+  }
+}
+
+/**
+ * Builds and writes one output file per directory in per-folder output mode
+ * @param {Array<Object>} folderResults - Array of { directoryPath, content, outputFilename } objects
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run (see buildPrompt)
+ * @returns {Promise<void>}
+ */
+async function writeFolderOutputs(folderResults, options, context) {
+  const { debug } = options;
+  const { tokenizer } = context;
+  
+  if (folderResults.length === 0) {
+    console.warn(`Warning: No directories found at depth level ${options.folderOutputLevel} or no files to process.`);
+    return;
+  }
+  
+  let successCount = 0;
+  
+  // Process each folder's content
+  for (const item of folderResults) {
+    try {
+      const processedContent = await buildPrompt(item.content, options, {
+        ...context,
+        label: item.directoryPath,
+        lenient: true
+      });
+      
+      // Construct full output path
+      const fullOutputPath = path.join(item.directoryPath, item.outputFilename);
+      
+      // Ensure the directory exists before writing
+      try {
+        await fs.mkdir(path.dirname(fullOutputPath), { recursive: true });
+      } catch (mkdirError) {
+        if (mkdirError.code === 'EEXIST') {
+          // Directory already exists, continue
+        } else if (mkdirError.code === 'EACCES') {
+          throw new Error(`Permission denied: Cannot create directory for ${fullOutputPath}. Check file permissions.`);
+        } else if (mkdirError.code === 'ENAMETOOLONG') {
+          throw new Error(`Path too long: ${fullOutputPath}. Try using a shorter output path.`);
+        } else {
+          throw new Error(`Failed to create directory for ${fullOutputPath}: ${mkdirError.message} (${mkdirError.code})`);
+        }
+      }
+      
+      // Write output
+      try {
+        await writeOutput(processedContent, fullOutputPath, options.chunkSize, { chunkTokens: options.chunkTokens, tokenizer });
+        
+        if (debug) {
+          console.error(`Debug: Wrote output to ${fullOutputPath}`);
         }
+        
+        successCount++;
+      } catch (writeError) {
+        console.error(`Error writing output to ${fullOutputPath}: ${writeError.message}`);
       }
+    } catch (itemError) {
+      console.error(`Error processing output for directory ${item.directoryPath}: ${itemError.message}`);
+      // Continue with other directories
+    }
+  }
+  
+  if (successCount === 0) {
+    console.error(`Error: Failed to generate any output files. Check permissions and disk space.`);
+  } else if (successCount < folderResults.length) {
+    console.warn(`Warning: Successfully generated ${successCount} out of ${folderResults.length} output files.`);
+  } else if (debug) {
+    console.error(`Debug: Successfully generated all ${successCount} output files.`);
+  }
+  
+  await writeRedactionReport(options, context);
+  await writeCompressionReport(options, context);
+}
+
+/**
+ * Writes the list of redacted secrets when --redaction-report is set
+ * The report goes to stderr, so it never mixes with output written to stdout,
+ * unless a file name is given.
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run
+ * @param {Array<Object>} context.redactions - Findings collected while reading the input
+ * @returns {Promise<void>}
+ */
+async function writeRedactionReport(options, context) {
+  if (!options.redactionReport) {
+    return;
+  }
+  
+  const report = formatRedactionReport(context.redactions || []);
+  
+  if (typeof options.redactionReport === 'string') {
+    await fs.writeFile(options.redactionReport, report, 'utf8');
+    if (options.debug) {
+      console.error(`Debug: Wrote redaction report to ${options.redactionReport}`);
+    }
+  } else {
+    process.stderr.write(report);
+  }
+}
+
+/**
+ * Writes the tokens saved by compression when --compression-report is set
+ * Like the redaction report, it goes to stderr unless a file name is given.
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run
+ * @param {Array<Object>} context.compression - Token counts collected while compressing
+ * @returns {Promise<void>}
+ */
+async function writeCompressionReport(options, context) {
+  if (!options.compressionReport || !options.compress) {
+    return;
+  }
+  
+  const report = formatCompressionReport(context.compression || [], parseCompressionLevel(options.compress));
+  
+  if (typeof options.compressionReport === 'string') {
+    await fs.writeFile(options.compressionReport, report, 'utf8');
+    if (options.debug) {
+      console.error(`Debug: Wrote compression report to ${options.compressionReport}`);
+    }
+  } else {
+    process.stderr.write(report);
+  }
+}
+
+/**
+ * Writes the sanitization findings when --sanitize-report is set
+ * Like the redaction report, it goes to stderr unless a file name is given.
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run
+ * @param {Array<Object>} context.sanitization - Findings collected while sanitizing the input
+ * @returns {Promise<void>}
+ */
+async function writeSanitizationReport(options, context) {
+  if (!options.sanitizeReport) {
+    return;
+  }
+  
+  const report = formatSanitizationReport(context.sanitization || [], parseSanitizeMode(options.sanitize));
+  
+  if (typeof options.sanitizeReport === 'string') {
+    await fs.writeFile(options.sanitizeReport, report, 'utf8');
+    if (options.debug) {
+      console.error(`Debug: Wrote sanitization report to ${options.sanitizeReport}`);
     }
+  } else {
+    process.stderr.write(report);
+  }
+}
+
+/**
+ * Writes the pseudonym mapping of every text scrubbed in the run when --pii-mapping is set
+ * The mapping holds the original personal data, so only its owner may read it.
+ * @param {Object} options - Command line options
+ * @param {Object} context - Settings shared by every output of this run
+ * @param {Object} context.pseudonyms - Pseudonym table filled while scrubbing the input
+ * @returns {Promise<void>}
+ */
+async function writePiiMapping(options, context) {
+  if (!options.scrubPii || !options.piiMapping || !context.pseudonyms) {
+    return;
+  }
+  
+  await fs.writeFile(options.piiMapping, JSON.stringify(context.pseudonyms.mapping, null, 2) + '\n', { encoding: 'utf8', mode: PII_MAPPING_MODE });
+  // The mode only applies to new files, so also tighten a mapping left by an earlier run
+  await fs.chmod(options.piiMapping, PII_MAPPING_MODE);
+  
+  if (options.debug) {
+    console.error(`Debug: Wrote PII mapping to ${options.piiMapping}`);
   }
-}
\ No newline at end of file
+}
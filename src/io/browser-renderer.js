@@ -1,25 +1,156 @@
 /**
  * Browser Renderer module - Uses Puppeteer to render JavaScript-heavy websites
+ *
+ * One headless browser is launched on the first render and shared by the
+ * pages of a run; closeBrowser ends it. Each page can wait for a selector,
+ * scroll to the bottom to load lazy lists, click "show more" controls and
+ * skip images, fonts and media.
  */
 
 import puppeteer from 'puppeteer';
+import { loadWithCache } from './http-cache.js';
+import { isNotModified } from './url-fetcher.js';
+
+/**
+ * Defaults of the render options
+ */
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_WAIT_TIME = 2000; // 2 seconds, when no selector is awaited
+const DEFAULT_VIEWPORT = { width: 1280, height: 1024 };
+
+/**
+ * Limits of scrolling and clicking, so endless feeds and controls that keep
+ * reappearing stop the render
+ */
+const MAX_SCROLL_STEPS = 50;
+const MAX_CLICK_ROUNDS = 10;
+
+/**
+ * Time to let the page load new content after a scroll step or clicks
+ */
+const SETTLE_TIME = 500;
+
+/**
+ * Resource types skipped with blockResources
+ */
+const BLOCKED_RESOURCE_TYPES = ['image', 'font', 'media'];
+
+/**
+ * Browser shared by the renders of a run, as a promise so concurrent renders launch it once
+ */
+let sharedBrowser = null;
+
+/**
+ * Builds the render options from command line options
+ * @param {Object} options - Command line options
+ * @param {string} [options.waitFor] - CSS selector to wait for instead of the fixed wait
+ * @param {boolean} [options.scrollToBottom] - Scroll until the page stops growing
+ * @param {string|string[]} [options.click] - CSS selectors of elements to click, such as "show more" buttons
+ * @param {string} [options.viewport] - Viewport size as WIDTHxHEIGHT
+ * @param {number} [options.renderWait] - Wait after loading in milliseconds
+ * @param {boolean} [options.blockResources] - Skip images, fonts and media
+ * @returns {Object} - Options for renderUrl
+ * @throws {Error} If the viewport or wait time is invalid
+ */
+export function resolveRenderOptions(options = {}) {
+  const waitTime = options.renderWait;
+  if (waitTime !== undefined && !(Number.isFinite(Number(waitTime)) && Number(waitTime) >= 0)) {
+    throw new Error(`Invalid render wait: ${waitTime}. Must be a number of milliseconds`);
+  }
+
+  return {
+    waitFor: options.waitFor || null,
+    scrollToBottom: Boolean(options.scrollToBottom),
+    click: [].concat(options.click || []).filter(Boolean),
+    viewport: parseViewport(options.viewport),
+    waitTime: waitTime === undefined ? null : Number(waitTime),
+    blockResources: Boolean(options.blockResources)
+  };
+}
+
+/**
+ * Parses a viewport size
+ * @param {string} [value] - WIDTHxHEIGHT, such as '1280x1024'
+ * @returns {Object} - { width, height }
+ * @throws {Error} If the value is not two positive integers
+ */
+export function parseViewport(value) {
+  if (!value) {
+    return { ...DEFAULT_VIEWPORT };
+  }
+
+  const match = String(value).trim().match(/^(\d+)\s*x\s*(\d+)$/i);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid viewport: ${value}. Must be WIDTHxHEIGHT, such as 1280x1024`);
+  }
+
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
 
 /**
  * Renders a URL using Puppeteer and returns the HTML content
+ * A stale cached rendering is revalidated with a conditional request for the
+ * page document and reused when the document did not change.
  * @param {string} url - The URL to render
- * @param {Object} options - Options for rendering
+ * @param {Object} options - Options for rendering (see resolveRenderOptions)
  * @param {number} options.timeout - Timeout in milliseconds
- * @param {number} options.waitTime - Wait time after load in milliseconds
+ * @param {number} options.waitTime - Wait time after load in milliseconds (default: 2000, or 0 with waitFor)
+ * @param {string} options.waitFor - CSS selector to wait for
+ * @param {boolean} options.scrollToBottom - Scroll until the page stops growing
+ * @param {string[]} options.click - CSS selectors of elements to click
+ * @param {Object} options.viewport - { width, height }
+ * @param {boolean} options.blockResources - Skip images, fonts and media
+ * @param {Object} options.cache - Cache settings from resolveCacheOptions; the rendering is not cached without them
+ * @param {Object} options.http - Request settings from resolveHttpOptions, used for the conditional request
  * @return {Promise<string>} The rendered HTML content
  */
 export async function renderUrl(url, options = {}) {
-  const timeout = options.timeout || 30000; // 30 seconds default
-  const waitTime = options.waitTime || 2000; // 2 seconds default
+  const settings = {
+    timeout: options.timeout || DEFAULT_TIMEOUT,
+    waitTime: options.waitTime ?? (options.waitFor ? 0 : DEFAULT_WAIT_TIME),
+    waitFor: options.waitFor || null,
+    scrollToBottom: Boolean(options.scrollToBottom),
+    click: options.click || [],
+    viewport: options.viewport || DEFAULT_VIEWPORT,
+    blockResources: Boolean(options.blockResources),
+  };
+
+  // Everything but the timeout can change the rendered content
+  const { timeout, ...variant } = settings;
+
+  return loadWithCache(url, { mode: 'render', ...variant }, options.cache || null, async (validators) => {
+    if (await isNotModified(url, validators, { http: options.http }).catch(() => false)) {
+      return { notModified: true };
+    }
+    return renderPage(url, settings);
+  });
+}
 
-  let browser = null;
+/**
+ * Closes the shared browser, if one was launched
+ * @return {Promise<void>}
+ */
+export async function closeBrowser() {
+  if (!sharedBrowser) {
+    return;
+  }
+
+  const browser = sharedBrowser;
+  sharedBrowser = null;
   try {
-    // Launch headless browser
-    browser = await puppeteer.launch({
+    await (await browser).close();
+  } catch {
+    // The launch failed or the browser is already gone
+  }
+}
+
+/**
+ * Returns the shared browser, launching it on first use
+ * @return {Promise<Object>} The Puppeteer browser
+ */
+async function getBrowser() {
+  if (!sharedBrowser) {
+    sharedBrowser = puppeteer.launch({
       headless: 'new',
       args: [
         '--no-sandbox',
@@ -31,34 +162,165 @@ export async function renderUrl(url, options = {}) {
       ],
     });
 
+    const launching = sharedBrowser;
+    try {
+      const browser = await launching;
+      // Launch again on the next render if the browser crashes
+      browser.on('disconnected', () => {
+        if (sharedBrowser === launching) {
+          sharedBrowser = null;
+        }
+      });
+    } catch (error) {
+      sharedBrowser = null;
+      throw error;
+    }
+  }
+
+  return sharedBrowser;
+}
+
+/**
+ * Renders a page in a new tab of the shared browser
+ * @param {string} url - The URL to render
+ * @param {Object} settings - Render settings from renderUrl
+ * @return {Promise<Object>} The rendered HTML as body, with the etag and lastModified validators of the document
+ */
+async function renderPage(url, settings) {
+  let page = null;
+  try {
+    const browser = await getBrowser();
+
     // Open new page
-    const page = await browser.newPage();
-    
+    page = await browser.newPage();
+
     // Set viewport
-    await page.setViewport({ width: 1280, height: 1024 });
-    
+    await page.setViewport(settings.viewport);
+
     // Set user agent
     await page.setUserAgent(
         'Mozilla/5.0 (compatible; LLMPrepare/2.0; +https://github.com/samestrin/llm-prepare)',
     );
 
+    // Skip heavy resources that do not change the text
+    if (settings.blockResources) {
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+          request.abort();
+        } else {
+          request.continue();
+        }
+      });
+    }
+
     // Navigate to URL with timeout
-    await page.goto(url, {
+    const response = await page.goto(url, {
       waitUntil: 'networkidle2',
-      timeout: timeout,
+      timeout: settings.timeout,
     });
 
+    if (settings.waitFor) {
+      await page.waitForSelector(settings.waitFor, { timeout: settings.timeout }).catch((error) => {
+        throw new Error(`No element matching ${settings.waitFor} appeared: ${error.message}`);
+      });
+    }
+
+    if (settings.scrollToBottom) {
+      await scrollToBottom(page);
+    }
+
+    for (const selector of settings.click) {
+      await clickAll(page, selector);
+    }
+
     // Wait additional time for any final JavaScript execution
-    await page.waitForTimeout(waitTime);
-    
+    if (settings.waitTime > 0) {
+      await sleep(settings.waitTime);
+    }
+
     // Get the page content
-    return await page.content();
+    const headers = response ? response.headers() : {};
+    return {
+      body: await page.content(),
+      etag: headers.etag,
+      lastModified: headers['last-modified'],
+    };
   } catch (error) {
     throw new Error(`Failed to render URL with Puppeteer: ${error.message}`);
   } finally {
-    // Always close the browser
-    if (browser) {
-      await browser.close();
+    // Always close the page; the browser stays open for the next render
+    if (page) {
+      await page.close().catch(() => {});
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Scrolls to the bottom of the page until its height stops growing
+ * @param {Object} page - Puppeteer page
+ * @return {Promise<void>}
+ */
+async function scrollToBottom(page) {
+  let height = await page.evaluate(() => document.documentElement.scrollHeight);
+
+  for (let step = 0; step < MAX_SCROLL_STEPS; step++) {
+    await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+    await settle(page);
+
+    const newHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+    if (newHeight <= height) {
+      return;
+    }
+    height = newHeight;
+  }
+}
+
+/**
+ * Clicks every element matching a selector, again for elements that appear after
+ * the clicks, such as the next "show more" button; each element is clicked once
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - CSS selector
+ * @return {Promise<void>}
+ */
+async function clickAll(page, selector) {
+  for (let round = 0; round < MAX_CLICK_ROUNDS; round++) {
+    const clicked = await page.evaluate((css) => {
+      window.__llmPrepareClicked = window.__llmPrepareClicked || new WeakSet();
+      let count = 0;
+      for (const element of document.querySelectorAll(css)) {
+        if (!window.__llmPrepareClicked.has(element)) {
+          window.__llmPrepareClicked.add(element);
+          element.click();
+          count++;
+        }
+      }
+      return count;
+    }, selector).catch((error) => {
+      throw new Error(`Invalid click selector: ${selector}. ${error.message}`);
+    });
+
+    if (clicked === 0) {
+      return;
+    }
+    await settle(page);
+  }
+}
+
+/**
+ * Gives the page time to load what a scroll or click requested
+ * @param {Object} page - Puppeteer page
+ * @return {Promise<void>}
+ */
+async function settle(page) {
+  await page.waitForNetworkIdle({ idleTime: SETTLE_TIME, timeout: SETTLE_TIME * 10 }).catch(() => {});
+}
+
+/**
+ * Waits for a time
+ * @param {number} ms - Time in milliseconds
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
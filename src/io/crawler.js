@@ -0,0 +1,404 @@
+/**
+ * Crawler module - Fetches the pages of a site, starting from one URL
+ *
+ * Follows same-origin links breadth-first up to a depth and page limit,
+ * honoring robots.txt (Allow, Disallow and Crawl-delay for the LLMPrepare
+ * user agent or `*`). Seed URLs can also come from sitemap.xml and the
+ * sitemaps listed in robots.txt. Pages are fetched with fetchUrl, or with
+ * renderUrl when rendering is enabled.
+ */
+
+import * as cheerio from 'cheerio';
+import { minimatch } from 'minimatch';
+import { fetchUrl } from './url-fetcher.js';
+import { renderUrl } from './browser-renderer.js';
+
+/**
+ * Product token matched against robots.txt user agent lines
+ */
+const ROBOTS_USER_AGENT = 'llmprepare';
+
+/**
+ * Default crawl limits
+ */
+export const DEFAULT_CRAWL_DEPTH = 2;
+export const DEFAULT_CRAWL_MAX_PAGES = 50;
+
+/**
+ * Nested sitemaps read from a sitemap index
+ */
+const MAX_NESTED_SITEMAPS = 10;
+
+/**
+ * Links to files that are not pages
+ */
+const NON_PAGE_EXTENSIONS = /\.(?:png|jpe?g|gif|svg|webp|ico|bmp|pdf|zip|gz|tgz|tar|7z|rar|mp3|mp4|m4a|wav|webm|mov|avi|woff2?|ttf|otf|eot|css|js|mjs|json|xml|rss|atom|exe|dmg|deb|rpm|apk)$/i;
+
+/**
+ * Crawls same-origin pages from a start URL
+ * @param {string} startUrl - URL of the first page
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.depth] - Link hops followed from the start URL and sitemap seeds (default: 2)
+ * @param {number} [options.maxPages] - Maximum number of pages fetched (default: 50)
+ * @param {string|string[]} [options.include] - Glob patterns; only links matching one of them are followed
+ * @param {string|string[]} [options.exclude] - Glob patterns of links that are not followed
+ * @param {boolean} [options.sitemap] - Seed the crawl with the URLs of the site's sitemaps
+ * @param {boolean|Object} [options.render] - Fetch pages with a browser, with these render options (see resolveRenderOptions)
+ * @param {Object} [options.cache] - Cache settings from resolveCacheOptions, used for pages, robots.txt and sitemaps
+ * @param {Object} [options.http] - Request settings from resolveHttpOptions
+ * @param {boolean} [options.debug] - Enable debug output
+ * @returns {Promise<Array<Object>>} - Pages as { url, content } objects, in crawl order
+ * @throws {Error} If the limits are invalid or no page could be fetched
+ */
+export async function crawlSite(startUrl, options = {}) {
+  const depth = parseCrawlLimit(options.depth, 'crawl depth', 0, DEFAULT_CRAWL_DEPTH);
+  const maxPages = parseCrawlLimit(options.maxPages, 'crawl page limit', 1, DEFAULT_CRAWL_MAX_PAGES);
+  const include = [].concat(options.include || []);
+  const exclude = [].concat(options.exclude || []);
+  const { debug = false } = options;
+
+  const origin = new URL(startUrl).origin;
+  const request = { cache: options.cache || null, http: options.http };
+  const robots = await loadRobots(origin, request, debug);
+
+  const queue = [{ url: normalizeUrl(startUrl), depth: 0 }];
+  if (options.sitemap) {
+    const seeds = await loadSitemapUrls(origin, robots.sitemaps, request, debug);
+    for (const url of seeds) {
+      if (isSameOrigin(url, origin) && matchesPatterns(url, include, exclude)) {
+        queue.push({ url: normalizeUrl(url), depth: 0 });
+      }
+    }
+  }
+
+  const pages = [];
+  const seen = new Set();
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth: pageDepth } = queue.shift();
+    if (seen.has(url)) {
+      continue;
+    }
+    seen.add(url);
+
+    if (!robots.isAllowed(url)) {
+      if (debug) {
+        console.error(`Debug: Skipped ${url} (disallowed by robots.txt)`);
+      }
+      continue;
+    }
+
+    // Offline crawls read the cache only, so there is no server to spare
+    if (pages.length > 0 && robots.crawlDelay > 0 && !(request.cache && request.cache.offline)) {
+      await new Promise(resolve => setTimeout(resolve, robots.crawlDelay * 1000));
+    }
+
+    let content;
+    try {
+      content = options.render ? await renderUrl(url, { ...options.render, ...request }) : await fetchUrl(url, request);
+    } catch (error) {
+      console.warn(`Warning: Failed to fetch ${url}: ${error.message}`);
+      continue;
+    }
+
+    if (typeof content !== 'string') {
+      if (debug) {
+        console.error(`Debug: Skipped ${url} (not a text page)`);
+      }
+      continue;
+    }
+
+    pages.push({ url, content });
+    if (debug) {
+      console.error(`Debug: Crawled ${url} (depth ${pageDepth}, ${content.length} characters)`);
+    }
+
+    if (pageDepth < depth) {
+      for (const link of extractLinks(content, url)) {
+        if (!seen.has(link) && isSameOrigin(link, origin) && matchesPatterns(link, include, exclude)) {
+          queue.push({ url: link, depth: pageDepth + 1 });
+        }
+      }
+    }
+  }
+
+  if (pages.length === 0) {
+    throw new Error(`No pages could be crawled from ${startUrl}`);
+  }
+
+  return pages;
+}
+
+/**
+ * Parses robots.txt rules for this crawler
+ * The group naming the LLMPrepare product token (case-insensitive, with or
+ * without a version) is used, or else the `*` group.
+ * Among matching rules the longest path wins, and Allow wins ties.
+ * @param {string} text - Content of robots.txt
+ * @returns {Object} - { isAllowed(url), crawlDelay, sitemaps }
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user agent lines share one group of rules
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: 0 };
+        groups.push(current);
+      }
+      // An empty user agent names no crawler, but still opens a group for the rules after it
+      if (value) {
+        current.agents.push(value.toLowerCase());
+      }
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value, pattern: robotsPattern(value) });
+    } else if (field === 'crawl-delay' && Number(value) > 0) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  const group = groups.find(candidate => candidate.agents.some(agent => agent.split('/')[0].trim() === ROBOTS_USER_AGENT)) ||
+    groups.find(candidate => candidate.agents.includes('*')) ||
+    { rules: [], crawlDelay: 0 };
+
+  const isAllowed = (url) => {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    let best = null;
+    for (const rule of group.rules) {
+      if (rule.pattern.test(target) &&
+        (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow))) {
+        best = rule;
+      }
+    }
+    return !best || best.allow;
+  };
+
+  return { isAllowed, crawlDelay: group.crawlDelay, sitemaps };
+}
+
+/**
+ * Lists the page URLs of sitemap XML
+ * @param {string} xml - Sitemap or sitemap index
+ * @returns {Object} - { urls, sitemaps } where sitemaps lists the nested sitemaps of an index
+ */
+export function parseSitemap(xml) {
+  const locations = [...xml.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)]
+    .map(match => decodeXmlEntities(match[1]));
+
+  return /<sitemapindex[\s>]/i.test(xml)
+    ? { urls: [], sitemaps: locations }
+    : { urls: locations, sitemaps: [] };
+}
+
+/**
+ * Validates a crawl limit
+ * @param {number|string} [value] - Limit from the options
+ * @param {string} name - Name of the limit for the error message
+ * @param {number} minimum - Smallest allowed value
+ * @param {number} defaultValue - Value used when the limit is not set
+ * @returns {number} - The limit
+ * @throws {Error} If the limit is not an integer of at least the minimum
+ */
+function parseCrawlLimit(value, name, minimum, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < minimum) {
+    throw new Error(`Invalid ${name}: ${value}. Must be an integer of at least ${minimum}`);
+  }
+
+  return limit;
+}
+
+/**
+ * Fetches and parses robots.txt; a missing or unreadable file allows everything
+ * @param {string} origin - Origin of the site
+ * @param {Object} request - Cache and request settings for fetchUrl
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<Object>} - Parsed rules from parseRobotsTxt
+ */
+async function loadRobots(origin, request, debug) {
+  try {
+    const text = await fetchUrl(`${origin}/robots.txt`, request);
+    return parseRobotsTxt(typeof text === 'string' ? text : '');
+  } catch (error) {
+    if (debug) {
+      console.error(`Debug: No robots.txt rules for ${origin} (${error.message})`);
+    }
+    return parseRobotsTxt('');
+  }
+}
+
+/**
+ * Collects page URLs from /sitemap.xml and the sitemaps listed in robots.txt
+ * @param {string} origin - Origin of the site
+ * @param {string[]} robotsSitemaps - Sitemap URLs from robots.txt
+ * @param {Object} request - Cache and request settings for fetchUrl
+ * @param {boolean} debug - Enable debug output
+ * @returns {Promise<string[]>} - Page URLs
+ */
+async function loadSitemapUrls(origin, robotsSitemaps, request, debug) {
+  const pending = [...new Set([`${origin}/sitemap.xml`, ...robotsSitemaps.map(url => new URL(url, origin).href)])];
+  const visited = new Set();
+  const urls = [];
+
+  while (pending.length > 0 && visited.size < MAX_NESTED_SITEMAPS) {
+    const sitemapUrl = pending.shift();
+    if (visited.has(sitemapUrl)) {
+      continue;
+    }
+    visited.add(sitemapUrl);
+
+    try {
+      const xml = await fetchUrl(sitemapUrl, request);
+      const sitemap = parseSitemap(typeof xml === 'string' ? xml : '');
+      urls.push(...sitemap.urls);
+      pending.push(...sitemap.sitemaps);
+
+      if (debug) {
+        console.error(`Debug: Read ${sitemap.urls.length} URLs from ${sitemapUrl}`);
+      }
+    } catch (error) {
+      if (debug) {
+        console.error(`Debug: Failed to read sitemap ${sitemapUrl} (${error.message})`);
+      }
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Lists the links of an HTML page that lead to other pages
+ * Links marked `rel="nofollow"` are not followed.
+ * @param {string} html - Page content
+ * @param {string} pageUrl - URL of the page, against which links are resolved
+ * @returns {string[]} - Normalized absolute URLs
+ */
+function extractLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const baseHref = $('base[href]').attr('href');
+  let base = pageUrl;
+  try {
+    base = baseHref ? new URL(baseHref, pageUrl).href : pageUrl;
+  } catch {
+    // Keep the page URL for an invalid base
+  }
+
+  const links = [];
+  $('a[href]').each((i, element) => {
+    if (/\bnofollow\b/i.test($(element).attr('rel') || '')) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL($(element).attr('href'), base);
+    } catch {
+      return;
+    }
+
+    if ((url.protocol === 'http:' || url.protocol === 'https:') && !NON_PAGE_EXTENSIONS.test(url.pathname)) {
+      links.push(normalizeUrl(url.href));
+    }
+  });
+
+  return [...new Set(links)];
+}
+
+/**
+ * Checks a URL against include and exclude patterns
+ * Patterns starting with `/` match the path, others the whole URL.
+ * @param {string} url - URL to check
+ * @param {string[]} include - Patterns of which one must match, unless empty
+ * @param {string[]} exclude - Patterns of which none may match
+ * @returns {boolean} - True when the URL should be crawled
+ */
+function matchesPatterns(url, include, exclude) {
+  const { pathname } = new URL(url);
+  const matches = pattern => minimatch(pattern.startsWith('/') ? pathname : url, pattern);
+  return (include.length === 0 || include.some(matches)) && !exclude.some(matches);
+}
+
+/**
+ * Checks whether a URL belongs to an origin
+ * @param {string} url - URL to check
+ * @param {string} origin - Origin of the crawl
+ * @returns {boolean} - True for URLs with the same scheme, host and port
+ */
+function isSameOrigin(url, origin) {
+  try {
+    return new URL(url).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalizes a URL so each page is fetched once
+ * @param {string} url - Absolute URL
+ * @returns {string} - URL without its fragment
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Converts a robots.txt path to a regular expression
+ * `*` matches any characters and a trailing `$` anchors the end.
+ * @param {string} path - Path rule
+ * @returns {RegExp} - Pattern matched against the path and query of a URL
+ */
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Decodes the entities allowed in sitemap URLs
+ * @param {string} text - Escaped text
+ * @returns {string} - Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,194 @@
+/**
+ * HTTP Cache module - Keeps fetched and rendered pages on disk
+ *
+ * Entries are JSON files named by a hash of the URL and the options that
+ * change the content (fetch or render, headers, render wait time); the
+ * options themselves are not stored, since headers can carry credentials.
+ * Fresh entries, younger than the TTL, are served without a request. Stale entries
+ * are revalidated with their ETag and Last-Modified validators, so unchanged
+ * pages cost a 304 response instead of a download. In offline mode only the
+ * cache is read, whatever the age of the entries. Entries can hold pages
+ * fetched with credentials, so they are readable by their owner only.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Time an entry is served without revalidation when no TTL is given
+ */
+export const DEFAULT_CACHE_TTL = '1d';
+
+/**
+ * Permissions of the cache directory and entry files: owner only
+ */
+const CACHE_DIR_MODE = 0o700;
+const CACHE_FILE_MODE = 0o600;
+
+/**
+ * Milliseconds per duration unit
+ */
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a cache TTL
+ * @param {number|string} [value] - Seconds, or a duration such as '30m', '12h' or '7d'
+ * @returns {number} - TTL in milliseconds
+ * @throws {Error} If the value is not a non-negative duration
+ */
+export function parseCacheTtl(value = DEFAULT_CACHE_TTL) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid cache TTL: ${value}. Must be a number of seconds or a duration such as 30m, 12h or 7d`);
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+/**
+ * Returns the default cache directory, under XDG_CACHE_HOME or ~/.cache
+ * @returns {string} - Directory path
+ */
+export function getDefaultCacheDir() {
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'llm-prepare');
+}
+
+/**
+ * Builds the cache settings from command line options
+ * The cache is used when --cache, --cache-dir, --cache-ttl or --offline is given.
+ * @param {Object} options - Command line options
+ * @param {boolean} [options.cache] - Use the cache in the default directory
+ * @param {string} [options.cacheDir] - Cache directory
+ * @param {number|string} [options.cacheTtl] - Time entries are served without revalidation
+ * @param {boolean} [options.offline] - Serve only from the cache
+ * @param {boolean} [options.debug] - Enable debug output
+ * @returns {Object|null} - { dir, ttl, offline, debug }, or null when the cache is not used
+ * @throws {Error} If the TTL is invalid
+ */
+export function resolveCacheOptions(options) {
+  if (!options.cache && !options.cacheDir && options.cacheTtl === undefined && !options.offline) {
+    return null;
+  }
+
+  return {
+    dir: path.resolve(options.cacheDir || getDefaultCacheDir()),
+    ttl: parseCacheTtl(options.cacheTtl),
+    offline: Boolean(options.offline),
+    debug: Boolean(options.debug)
+  };
+}
+
+/**
+ * Loads a URL through the cache
+ * @param {string} url - URL to load
+ * @param {Object} variant - Options that change the content, part of the cache key
+ * @param {Object|null} cache - Settings from resolveCacheOptions, or null to load without caching
+ * @param {Function} load - Called with the { etag, lastModified } validators of a stale entry
+ *   (empty without one); resolves to { notModified: true } or { body, etag, lastModified }
+ * @returns {Promise<*>} - Body from the cache or from load
+ * @throws {Error} In offline mode, if the URL is not in the cache
+ */
+export async function loadWithCache(url, variant, cache, load) {
+  if (!cache) {
+    return (await load({})).body;
+  }
+
+  const file = path.join(cache.dir, `${cacheKey(url, variant)}.json`);
+  const entry = await readEntry(file);
+
+  if (entry && (cache.offline || Date.now() - entry.fetchedAt < cache.ttl)) {
+    if (cache.debug) {
+      console.error(`Debug: Cache hit for ${url}`);
+    }
+    return entry.body;
+  }
+
+  if (cache.offline) {
+    throw new Error(`${url} is not in the cache (${cache.dir}); run without --offline to fetch it`);
+  }
+
+  const validators = entry ? { etag: entry.etag, lastModified: entry.lastModified } : {};
+  const result = await load(validators);
+
+  if (result.notModified && entry) {
+    if (cache.debug) {
+      console.error(`Debug: Revalidated ${url} (not modified)`);
+    }
+    await writeEntry(file, { ...entry, fetchedAt: Date.now() });
+    return entry.body;
+  }
+
+  await writeEntry(file, {
+    url,
+    fetchedAt: Date.now(),
+    etag: result.etag || null,
+    lastModified: result.lastModified || null,
+    body: result.body
+  });
+
+  if (cache.debug) {
+    console.error(`Debug: Cached ${url}`);
+  }
+
+  return result.body;
+}
+
+/**
+ * Builds conditional request headers from the validators of a stale entry
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {Object} - If-None-Match and If-Modified-Since headers for the validators that are set
+ */
+export function conditionalHeaders(validators) {
+  const headers = {};
+  if (validators.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * Hashes a URL and its variant to a file name
+ * @param {string} url - URL
+ * @param {Object} variant - Options that change the content
+ * @returns {string} - Hex digest
+ */
+function cacheKey(url, variant) {
+  return crypto.createHash('sha256').update(JSON.stringify({ url, variant })).digest('hex');
+}
+
+/**
+ * Reads a cache entry
+ * @param {string} file - Entry file
+ * @returns {Promise<Object|null>} - Entry, or null when missing or unreadable
+ */
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a cache entry; the file is replaced at once so readers never see half an entry
+ * A failed write is reported and otherwise ignored, since the content was loaded.
+ * @param {string} file - Entry file
+ * @param {Object} entry - Entry to write
+ * @returns {Promise<void>}
+ */
+async function writeEntry(file, entry) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true, mode: CACHE_DIR_MODE });
+    await fs.writeFile(temporary, JSON.stringify(entry), { encoding: 'utf8', mode: CACHE_FILE_MODE });
+    await fs.rename(temporary, file);
+  } catch (error) {
+    console.warn(`Warning: Failed to write cache entry for ${entry.url}: ${error.message}`);
+    await fs.rm(temporary, { force: true });
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * HTTP Options module - Builds the request settings for fetched URLs
+ *
+ * Settings come from the `http` section of the config file, then from the
+ * command line, then from the `http.hosts` overrides matching the host of
+ * the URL:
+ * - headers and cookies
+ * - bearer or basic auth, read from an environment variable
+ * - proxy, from the settings or HTTPS_PROXY/HTTP_PROXY, bypassed for NO_PROXY hosts
+ * - timeout (seconds) and maximum response size (kilobytes)
+ * - retries on 429 and 5xx responses, with exponential backoff that honors Retry-After
+ */
+
+/**
+ * Defaults of the request settings
+ */
+const DEFAULT_TIMEOUT = 10; // seconds
+const DEFAULT_MAX_SIZE = 10240; // kilobytes
+const DEFAULT_RETRIES = 2;
+
+/**
+ * First backoff delay and longest wait between retries, in milliseconds
+ */
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Auth schemes; basic auth reads user:password from its environment variable
+ */
+const AUTH_TYPES = ['bearer', 'basic'];
+
+/**
+ * Setting names allowed in the http section and its host overrides
+ */
+const SETTING_NAMES = ['headers', 'cookies', 'auth', 'timeout', 'maxSize', 'retries', 'proxy'];
+
+/**
+ * Builds the request settings from the config file and command line options
+ * @param {Object} options - Command line options
+ * @param {Object} [options.http] - `http` section of the config file: settings and a `hosts`
+ *   object of per-host settings keyed by host name, `host:port` or `*.domain`
+ * @param {string[]} [options.header] - Headers as 'Name: value'
+ * @param {string[]} [options.cookie] - Cookies as 'name=value'
+ * @param {string} [options.auth] - 'bearer:ENV_VAR' or 'basic:ENV_VAR' (the variable holds user:password)
+ * @param {string} [options.proxy] - Proxy URL, used instead of HTTPS_PROXY/HTTP_PROXY
+ * @param {number} [options.httpTimeout] - Request timeout in seconds
+ * @param {number} [options.httpMaxSize] - Maximum response size in kilobytes
+ * @param {number} [options.retries] - Retries on 429 and 5xx responses
+ * @returns {Object} - { defaults, hosts } where hosts is a list of { pattern, settings }
+ * @throws {Error} If a setting is invalid
+ */
+export function resolveHttpOptions(options = {}) {
+  const config = options.http || {};
+  const cli = {
+    headers: (options.header || []).reduce((headers, header) => ({ ...headers, ...parseHeader(header) }), {}),
+    cookies: (options.cookie || []).reduce((cookies, cookie) => ({ ...cookies, ...parseCookie(cookie) }), {}),
+    auth: options.auth,
+    proxy: options.proxy,
+    timeout: options.httpTimeout,
+    maxSize: options.httpMaxSize,
+    retries: options.retries
+  };
+
+  const defaults = mergeSettings(validateSettings(config, 'http'), validateSettings(cli, 'command line'));
+  const hosts = Object.entries(config.hosts || {})
+    .map(([pattern, settings]) => ({ pattern: pattern.toLowerCase(), settings: validateSettings(settings, `http.hosts["${pattern}"]`) }))
+    // More specific patterns are applied last, so they win
+    .sort((a, b) => specificity(a.pattern) - specificity(b.pattern));
+
+  return { defaults, hosts };
+}
+
+/**
+ * Resolves the request options for a URL
+ * @param {string} url - URL to fetch
+ * @param {Object} [http] - Settings from resolveHttpOptions
+ * @returns {Object} - { headers, timeout, maxContentLength, retries, proxy } with the timeout in
+ *   milliseconds, the size in bytes and the proxy URL or null
+ * @throws {Error} If the environment variable of the auth setting is not set
+ */
+export function getRequestOptions(url, http = { defaults: {}, hosts: [] }) {
+  const { host, hostname } = new URL(url);
+  const settings = http.hosts
+    .filter(({ pattern }) => matchesHost(pattern, host.toLowerCase(), hostname.toLowerCase()))
+    .reduce((merged, { settings: override }) => mergeSettings(merged, override), http.defaults);
+
+  const headers = { ...settings.headers };
+  const cookies = Object.entries(settings.cookies || {}).map(([name, value]) => `${name}=${value}`);
+  if (cookies.length > 0) {
+    setHeader(headers, 'Cookie', [getHeader(headers, 'Cookie'), ...cookies].filter(Boolean).join('; '));
+  }
+  if (settings.auth) {
+    setHeader(headers, 'Authorization', getAuthorization(settings.auth));
+  }
+
+  return {
+    headers,
+    timeout: Math.round((settings.timeout ?? DEFAULT_TIMEOUT) * 1000),
+    maxContentLength: Math.round((settings.maxSize ?? DEFAULT_MAX_SIZE) * 1024),
+    retries: settings.retries ?? DEFAULT_RETRIES,
+    proxy: getProxyForUrl(url, settings.proxy)
+  };
+}
+
+/**
+ * Finds the proxy for a URL
+ * A configured proxy wins over HTTPS_PROXY (https URLs), HTTP_PROXY (http URLs) and
+ * ALL_PROXY. Hosts listed in NO_PROXY are reached directly; entries match the host
+ * and its subdomains, may carry a port, and `*` matches every host.
+ * @param {string} url - URL to fetch
+ * @param {string|boolean} [proxy] - Configured proxy URL, or false to use none
+ * @returns {string|null} - Proxy URL, or null for a direct connection
+ */
+export function getProxyForUrl(url, proxy) {
+  if (proxy === false) {
+    return null;
+  }
+
+  const { protocol, hostname, port } = new URL(url);
+  const env = (name) => process.env[name] || process.env[name.toLowerCase()];
+  const proxyUrl = proxy || (protocol === 'https:' ? env('HTTPS_PROXY') : env('HTTP_PROXY')) || env('ALL_PROXY');
+  if (!proxyUrl) {
+    return null;
+  }
+
+  const targetPort = port || (protocol === 'https:' ? '443' : '80');
+  const bypass = (env('NO_PROXY') || '').split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+    const [entryHost, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':');
+    return (!entryPort || entryPort === targetPort) &&
+      (hostname === entryHost || hostname.endsWith(`.${entryHost}`));
+  });
+
+  return bypass ? null : proxyUrl;
+}
+
+/**
+ * Computes the wait before a retry
+ * @param {number} attempt - Number of the retry, starting at 0
+ * @param {string} [retryAfter] - Retry-After header: seconds or an HTTP date
+ * @returns {number} - Delay in milliseconds, at most one minute
+ */
+export function getRetryDelay(attempt, retryAfter) {
+  let delay = RETRY_BASE_DELAY * 2 ** attempt;
+
+  if (retryAfter !== undefined && retryAfter !== null && String(retryAfter).trim() !== '') {
+    const seconds = Number(retryAfter);
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      delay = seconds * 1000;
+    } else if (!Number.isNaN(date)) {
+      delay = Math.max(0, date - Date.now());
+    }
+  }
+
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Validates request settings
+ * @param {Object} settings - Settings from the config file or command line
+ * @param {string} origin - Where the settings come from, for error messages
+ * @returns {Object} - Settings that are set
+ * @throws {Error} If a setting is invalid
+ */
+function validateSettings(settings, origin) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error(`Invalid HTTP settings in ${origin}: must be an object`);
+  }
+
+  const valid = {};
+  for (const name of SETTING_NAMES) {
+    const value = settings[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if ((name === 'headers' || name === 'cookies') && typeof value !== 'object') {
+      throw new Error(`Invalid ${name} in ${origin}: must be an object of names and values`);
+    }
+    if ((name === 'timeout' || name === 'maxSize') && !(Number(value) > 0)) {
+      throw new Error(`Invalid ${name} in ${origin}: ${value}. Must be a positive number`);
+    }
+    if (name === 'retries' && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+      throw new Error(`Invalid retries in ${origin}: ${value}. Must be a non-negative integer`);
+    }
+    if (name === 'auth') {
+      parseAuth(value);
+    }
+
+    valid[name] = (name === 'timeout' || name === 'maxSize' || name === 'retries') ? Number(value) : value;
+  }
+
+  return valid;
+}
+
+/**
+ * Merges two sets of settings; headers and cookies are merged by name
+ * @param {Object} base - Settings to start from
+ * @param {Object} override - Settings that win
+ * @returns {Object} - Merged settings
+ */
+function mergeSettings(base, override) {
+  const headers = { ...base.headers };
+  for (const [name, value] of Object.entries(override.headers || {})) {
+    setHeader(headers, name, value);
+  }
+
+  return {
+    ...base,
+    ...override,
+    headers,
+    cookies: { ...base.cookies, ...override.cookies }
+  };
+}
+
+/**
+ * Parses an auth setting
+ * @param {string|Object} auth - 'bearer:ENV_VAR', 'basic:ENV_VAR' or { type, env }
+ * @returns {Object} - { type, env }
+ * @throws {Error} If the scheme is unknown or the variable is missing
+ */
+function parseAuth(auth) {
+  let type = '';
+  let env = '';
+  if (typeof auth === 'string') {
+    const separator = auth.indexOf(':');
+    if (separator !== -1) {
+      type = auth.slice(0, separator);
+      env = auth.slice(separator + 1);
+    }
+  } else if (typeof auth === 'object') {
+    ({ type = '', env = '' } = auth);
+  }
+
+  if (!AUTH_TYPES.includes(String(type).toLowerCase()) || !env) {
+    throw new Error(`Invalid auth: ${typeof auth === 'string' ? auth : JSON.stringify(auth)}. Must be bearer:ENV_VAR or basic:ENV_VAR`);
+  }
+
+  return { type: type.toLowerCase(), env };
+}
+
+/**
+ * Builds the Authorization header from an environment variable
+ * @param {string|Object} auth - Auth setting
+ * @returns {string} - Header value
+ * @throws {Error} If the environment variable is not set
+ */
+function getAuthorization(auth) {
+  const { type, env } = parseAuth(auth);
+  const value = process.env[env];
+  if (!value) {
+    throw new Error(`Environment variable ${env} for ${type} auth is not set`);
+  }
+
+  return type === 'bearer'
+    ? `Bearer ${value}`
+    : `Basic ${Buffer.from(value).toString('base64')}`;
+}
+
+/**
+ * Parses a command line header
+ * @param {string} header - 'Name: value'
+ * @returns {Object} - { [name]: value }
+ * @throws {Error} If the header has no name
+ */
+function parseHeader(header) {
+  const separator = header.indexOf(':');
+  const name = header.slice(0, separator).trim();
+  if (separator === -1 || !/^[\w!#$%&'*+.^`|~-]+$/.test(name)) {
+    throw new Error(`Invalid header: ${header}. Must be in the form "Name: value"`);
+  }
+  return { [name]: header.slice(separator + 1).trim() };
+}
+
+/**
+ * Parses a command line cookie
+ * @param {string} cookie - 'name=value'
+ * @returns {Object} - { [name]: value }
+ * @throws {Error} If the cookie has no name
+ */
+function parseCookie(cookie) {
+  const separator = cookie.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid cookie: ${cookie}. Must be in the form name=value`);
+  }
+  return { [cookie.slice(0, separator).trim()]: cookie.slice(separator + 1).trim() };
+}
+
+/**
+ * Checks whether a host pattern matches a URL host
+ * @param {string} pattern - Host name, 'host:port' or '*.domain'
+ * @param {string} host - Host with port, if any
+ * @param {string} hostname - Host without port
+ * @returns {boolean} - True when the pattern matches
+ */
+function matchesHost(pattern, host, hostname) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return pattern === host || pattern === hostname;
+}
+
+/**
+ * Ranks host patterns: wildcards before names, names before names with ports
+ * @param {string} pattern - Host pattern
+ * @returns {number} - Rank; higher ranks are applied later
+ */
+function specificity(pattern) {
+  return (pattern.startsWith('*.') ? 0 : 1000) + (pattern.includes(':') ? 500 : 0) + pattern.length;
+}
+
+/**
+ * Reads a header by case-insensitive name
+ * @param {Object} headers - Headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers).find(existing => existing.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Sets a header, replacing any header of the same name in another case
+ * @param {Object} headers - Headers to change
+ * @param {string} name - Header name
+ * @param {string} value - Header value
+ */
+function setHeader(headers, name, value) {
+  for (const existing of Object.keys(headers)) {
+    if (existing.toLowerCase() === name.toLowerCase()) {
+      delete headers[existing];
+    }
+  }
+  headers[name] = value;
+}
@@ -5,54 +5,106 @@
 import fs from 'fs/promises';
 import { Readable } from 'stream';
 import { fetchUrl } from './url-fetcher.js';
-import { renderUrl } from './browser-renderer.js';
+import { renderUrl, resolveRenderOptions } from './browser-renderer.js';
+import { resolveCacheOptions } from './http-cache.js';
+import { resolveHttpOptions } from './http-options.js';
+import { isPdf, readPdf } from './pdf-reader.js';
+import { decodeBuffer, parseEncoding } from '../utils/encoding.js';
+
+/**
+ * Decodes raw input to normalized text, warning about undecodable bytes
+ * @param {Buffer} buffer - Raw input
+ * @param {string|null} encoding - Encoding from parseEncoding, or null to detect it
+ * @param {string} source - Input name for the warning
+ * @return {string} The decoded text
+ */
+function decodeInput(buffer, encoding, source) {
+  const decoded = decodeBuffer(buffer, encoding);
+  if (decoded.invalidCharacters > 0) {
+    console.warn(`Warning: ${source} could not be fully decoded as ${decoded.encoding}: ${decoded.invalidCharacters} invalid byte sequences replaced`);
+  }
+  return decoded.text;
+}
+
+/**
+ * Turns raw file or stdin input into a document: PDFs are extracted as
+ * markdown, other input is decoded as text
+ * @param {Buffer} buffer - Raw input
+ * @param {string} source - File path or 'stdin'
+ * @param {Object} options - Options object
+ * @param {string|null} options.encoding - Encoding from parseEncoding, or null to detect it
+ * @param {string} options.pages - Pages of a PDF to extract
+ * @return {Promise<Object>} The document as { text, format }, where format is null when unknown
+ */
+async function readDocument(buffer, source, options) {
+  if (buffer.length > 0 && isPdf(buffer, source)) {
+    const pdf = await readPdf(buffer, { pages: options.pages, source });
+    if (pdf.imageOnlyPages.length > 0) {
+      const count = pdf.imageOnlyPages.length;
+      console.warn(`Warning: ${source} has ${count} page${count === 1 ? '' : 's'} without text (${pdf.imageOnlyPages.join(', ')}), probably scanned images; their text needs OCR`);
+    }
+    return { text: pdf.text, format: 'markdown' };
+  }
+  
+  if (options.pages) {
+    console.warn(`Warning: --pages applies to PDF input only and is ignored for ${source}.`);
+  }
+  return { text: decodeInput(buffer, options.encoding, source), format: null };
+}
 
 /**
  * Reads from standard input
- * @return {Promise<string>} The text from stdin
+ * @param {Object} options - Encoding and PDF pages (see readDocument)
+ * @return {Promise<Object>} The document from stdin
  */
-async function getStdin() {
-  let result = '';
+async function getStdin(options) {
+  const chunks = [];
   const stdin = process.stdin;
   
-  // If stdin is not a TTY, read from it
+  // If stdin is not a TTY, read from it; chunks are joined before decoding
+  // so multi-byte characters split between chunks survive
   if (!stdin.isTTY) {
     for await (const chunk of stdin) {
-      result += chunk;
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
     }
-    return result;
+    return await readDocument(Buffer.concat(chunks), 'stdin', options);
   }
   
-  // Otherwise, return empty string
-  return '';
+  // Otherwise, return an empty document
+  return { text: '', format: null };
 }
 
 /**
  * Reads from a file
  * @param {string} filePath - Path to the file
- * @return {Promise<string>} The text from the file
+ * @param {Object} options - Encoding and PDF pages (see readDocument)
+ * @return {Promise<Object>} The document from the file
  */
-async function getFile(filePath) {
+async function getFile(filePath, options) {
+  let buffer;
   try {
-    return await fs.readFile(filePath, 'utf8');
+    buffer = await fs.readFile(filePath);
   } catch (error) {
     throw new Error(`Failed to read file ${filePath}: ${error.message}`);
   }
+  return await readDocument(buffer, filePath, options);
 }
 
 /**
  * Reads from a URL
  * @param {string} url - The URL to fetch
  * @param {Object} options - Options object
- * @param {boolean} options.render - Whether to use browser rendering
+ * @param {Object|boolean} options.render - Render options from resolveRenderOptions, or false to fetch without a browser
+ * @param {Object} options.cache - Cache settings, or null to fetch without caching
+ * @param {Object} options.http - Request settings from resolveHttpOptions
  * @return {Promise<string>} The text from the URL
  */
 async function getUrl(url, options = {}) {
   try {
     if (options.render) {
-      return await renderUrl(url);
+      return await renderUrl(url, { ...options.render, cache: options.cache, http: options.http });
     } else {
-      return await fetchUrl(url);
+      return await fetchUrl(url, { cache: options.cache, http: options.http });
     }
   } catch (error) {
     throw new Error(`Failed to fetch URL ${url}: ${error.message}`);
@@ -61,24 +113,50 @@ async function getUrl(url, options = {}) {
 
 /**
  * Gets text from the specified input source
+ * @param {Object} options - Options object (see getInputDocument)
+ * @return {Promise<string>} The text from the input source
+ */
+export async function getInputText(options) {
+  return (await getInputDocument(options)).text;
+}
+
+/**
+ * Gets a document from the specified input source
+ * PDF files and PDFs piped to stdin, recognized by their magic bytes or
+ * extension, are extracted as markdown with page markers.
  * @param {Object} options - Options object
  * @param {string} options.input - Input source (file, URL, or stdin)
  * @param {boolean} options.render - Whether to use browser rendering for URLs
- * @return {Promise<string>} The text from the input source
+ * @param {string} options.encoding - Encoding of file and stdin input, or 'auto' to detect it
+ * @param {string} options.pages - Pages of PDF input to extract, such as '3-10' (default: all)
+ * @param {string} options.cacheDir - HTTP cache directory (see resolveCacheOptions for the other cache options)
+ * @param {Object} options.http - HTTP settings from the config file (see resolveHttpOptions for the command line options)
+ * @param {string} options.waitFor - CSS selector a rendered page waits for (see resolveRenderOptions for the other render options)
+ * @return {Promise<Object>} The document as { text, format }; format is 'markdown' for PDFs and null
+ *   when it is left to detection
  */
-export async function getInputText(options) {
+export async function getInputDocument(options) {
   const { input, render } = options;
+  const readOptions = { encoding: parseEncoding(options.encoding), pages: options.pages };
   
   // No input specified, try to read from stdin
   if (!input) {
-    return await getStdin();
+    return await getStdin(readOptions);
   }
   
   // Input is a URL
   if (input.startsWith('http://') || input.startsWith('https://')) {
-    return await getUrl(input, { render });
+    if (options.pages) {
+      console.warn(`Warning: --pages applies to PDF input only and is ignored for ${input}.`);
+    }
+    const text = await getUrl(input, {
+      render: render ? resolveRenderOptions(options) : false,
+      cache: resolveCacheOptions(options),
+      http: resolveHttpOptions(options)
+    });
+    return { text, format: null };
   }
   
   // Input is a file
-  return await getFile(input);
+  return await getFile(input, readOptions);
 }
\ No newline at end of file
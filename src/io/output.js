@@ -4,15 +4,21 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { countTokens } from '../utils/token-counter.js';
 
 /**
  * Writes output to the specified destination
  * @param {string} text - The text to write
  * @param {string|null} outputPath - Path to the output file (null for stdout)
  * @param {number|null} chunkSize - Size in KB for each output file chunk
+ * @param {Object} [chunkOptions] - Token based chunking options
+ * @param {number} [chunkOptions.chunkTokens] - Maximum tokens for each output file chunk (takes precedence over chunkSize)
+ * @param {Object} [chunkOptions.tokenizer] - Tokenizer used to measure chunks (defaults to the heuristic estimate)
  * @return {Promise<void>}
  */
-export async function writeOutput(text, outputPath, chunkSize = null) {
+export async function writeOutput(text, outputPath, chunkSize = null, chunkOptions = {}) {
+  const { chunkTokens = null, tokenizer } = chunkOptions || {};
+  
   // Write to stdout if no output path specified
   if (!outputPath) {
     process.stdout.write(text);
@@ -28,6 +34,10 @@ export async function writeOutput(text, outputPath, chunkSize = null) {
     throw new Error(`Invalid chunk size: ${chunkSize}. Must be a positive number.`);
   }
   
+  if (chunkTokens !== null && (typeof chunkTokens !== 'number' || chunkTokens <= 0)) {
+    throw new Error(`Invalid chunk tokens: ${chunkTokens}. Must be a positive number.`);
+  }
+  
   // Ensure the output directory exists
   try {
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
@@ -45,7 +55,7 @@ export async function writeOutput(text, outputPath, chunkSize = null) {
   }
   
   // If no chunking needed, write directly to the file
-  if (!chunkSize) {
+  if (!chunkSize && !chunkTokens) {
     try {
       await fs.writeFile(outputPath, text, 'utf8');
     } catch (error) {
@@ -65,11 +75,14 @@ export async function writeOutput(text, outputPath, chunkSize = null) {
 
   // Handle chunked output with improved error handling
   try {
-    const chunkSizeBytes = chunkSize * 1024; // Convert KB to bytes
-    const totalBytes = Buffer.byteLength(text, 'utf8');
+    // Chunks are measured in tokens when chunkTokens is given, otherwise in bytes
+    const measure = chunkTokens
+      ? (value) => countTokens(value, tokenizer)
+      : (value) => Buffer.byteLength(value, 'utf8');
+    const maxChunkSize = chunkTokens || chunkSize * 1024; // Convert KB to bytes
     
     // If content is smaller than chunk size, write directly
-    if (totalBytes <= chunkSizeBytes) {
+    if (measure(text) <= maxChunkSize) {
       try {
         await fs.writeFile(outputPath, text, 'utf8');
       } catch (error) {
@@ -79,7 +92,7 @@ export async function writeOutput(text, outputPath, chunkSize = null) {
     }
     
     // Create multiple chunks
-    const chunks = splitTextIntoChunks(text, chunkSizeBytes);
+    const chunks = splitTextIntoChunks(text, maxChunkSize, measure);
     const fileExt = path.extname(outputPath);
     const baseName = outputPath.slice(0, outputPath.length - fileExt.length);
     
@@ -139,10 +152,11 @@ function handleFileWriteError(error, filePath, returnMessage = false) {
  * Splits text into chunks that don't exceed the specified byte size
  * Tries to make intelligent splits at paragraph or sentence boundaries when possible
  * @param {string} text - The text to split
- * @param {number} maxBytes - Maximum byte size for each chunk
+ * @param {number} maxBytes - Maximum size for each chunk (bytes unless a measure is given)
+ * @param {Function} [measure] - Function returning the size of a piece of text
  * @return {string[]} Array of text chunks
  */
-function splitTextIntoChunks(text, maxBytes) {
+function splitTextIntoChunks(text, maxBytes, measure = (value) => Buffer.byteLength(value, 'utf8')) {
   const chunks = [];
   let currentChunk = '';
   let currentChunkBytes = 0;
@@ -151,7 +165,7 @@ function splitTextIntoChunks(text, maxBytes) {
   const paragraphs = text.split(/\n\s*\n/);
   
   for (const paragraph of paragraphs) {
-    const paragraphBytes = Buffer.byteLength(paragraph, 'utf8');
+    const paragraphBytes = measure(paragraph);
     
     // If a single paragraph is larger than max chunk size, we need to split it further
     if (paragraphBytes > maxBytes) {
@@ -166,7 +180,7 @@ function splitTextIntoChunks(text, maxBytes) {
       const sentences = paragraph.split(/(?<=[.!?])\s+/);
       
       for (const sentence of sentences) {
-        const sentenceBytes = Buffer.byteLength(sentence, 'utf8');
+        const sentenceBytes = measure(sentence);
         
         // If a single sentence is larger than chunk size, we have to split arbitrarily
         if (sentenceBytes > maxBytes) {
@@ -175,19 +189,7 @@ function splitTextIntoChunks(text, maxBytes) {
           
           while (remainingSentence.length > 0) {
             // Calculate how much of the sentence we can fit
-            let bytesToTake = maxBytes;
-            let textToTake = remainingSentence.slice(0, Math.floor(maxBytes / 2)); // Start with a conservative estimate
-            
-            // Expand until we can't fit more
-            while (Buffer.byteLength(textToTake, 'utf8') < maxBytes && 
-                  textToTake.length < remainingSentence.length) {
-              textToTake = remainingSentence.slice(0, textToTake.length + 1);
-            }
-            
-            // If we went over, back off by one character
-            if (Buffer.byteLength(textToTake, 'utf8') > maxBytes) {
-              textToTake = remainingSentence.slice(0, textToTake.length - 1);
-            }
+            const textToTake = takeLargestPrefix(remainingSentence, maxBytes, measure);
             
             chunks.push(textToTake);
             remainingSentence = remainingSentence.slice(textToTake.length);
@@ -231,4 +233,29 @@ function splitTextIntoChunks(text, maxBytes) {
   }
   
   return chunks;
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the longest prefix of a text whose measured size fits within a limit
+ * Always returns at least one character so callers make progress.
+ * @param {string} text - The text to take a prefix from
+ * @param {number} maxSize - Maximum size of the prefix
+ * @param {Function} measure - Function returning the size of a piece of text
+ * @return {string} The longest fitting prefix
+ */
+function takeLargestPrefix(text, maxSize, measure) {
+  let low = 1;
+  let high = text.length;
+  
+  // Binary search on the prefix length, size grows with length
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(text.slice(0, mid)) <= maxSize) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return text.slice(0, low);
+}
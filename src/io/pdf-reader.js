@@ -0,0 +1,453 @@
+/**
+ * PDF Reader module - Extracts the text of PDF documents as markdown
+ *
+ * Text items are grouped into lines by baseline and put in reading order:
+ * top to bottom, and on two-column pages the left column before the right
+ * one. Lines set larger than the body text become headings, runs of lines
+ * split into aligned cells become tables, and the remaining lines are
+ * joined into paragraphs. Each page starts with a `[Page N of M]` marker.
+ * Pages without text that paint images are reported as scanned, since their
+ * text needs OCR.
+ */
+
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Header every PDF file starts with, possibly after some leading junk, and the
+ * marker at its end; both are looked for within this many bytes
+ */
+const PDF_HEADER = /%PDF-\d\.\d/;
+const PDF_TRAILER = '%%EOF';
+const MARKER_SEARCH_LENGTH = 1024;
+
+/**
+ * Horizontal gaps, in ems of the font size: wider than WORD_GAP adds a space,
+ * wider than CELL_GAP starts a new cell
+ */
+const WORD_GAP = 0.15;
+const CELL_GAP = 1.5;
+
+/**
+ * Distance between baselines, in line heights, that starts a new paragraph
+ */
+const PARAGRAPH_GAP = 1.6;
+
+/**
+ * Font size, relative to the body text, from which a line is a heading
+ */
+const HEADING_RATIO = 1.15;
+const MAX_HEADING_LEVEL = 3;
+const MAX_HEADING_LENGTH = 200;
+
+/**
+ * Text blocks on each side of the page center that make a page two-column,
+ * and their minimum width as a share of the page width
+ */
+const MIN_COLUMN_SEGMENTS = 5;
+const MIN_COLUMN_WIDTH = 0.2;
+
+/**
+ * Bullets that start list items
+ */
+const BULLET = /^[\u2022\u2023\u2043\u25AA\u25CF\u25E6\u2013*-]\s+/;
+
+/**
+ * Operators that paint images
+ */
+const IMAGE_OPERATORS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintInlineImageXObject,
+  OPS.paintInlineImageXObjectGroup,
+  OPS.paintImageMaskXObject,
+  OPS.paintImageMaskXObjectGroup,
+  OPS.paintImageMaskXObjectRepeat
+].filter(operator => operator !== undefined));
+
+/**
+ * Checks whether input is a PDF document, by its magic bytes or file extension
+ * The `%PDF-x.y` header must start the input, or follow leading junk such as a
+ * mail header. Text that merely mentions the header is not a PDF: a header at
+ * the start also needs binary content or the `%%EOF` trailer, and a header
+ * after other bytes needs the trailer.
+ * @param {Buffer} buffer - Raw input
+ * @param {string} [filePath] - File name of the input
+ * @returns {boolean} - True for PDF documents
+ */
+export function isPdf(buffer, filePath = '') {
+  if (/\.pdf$/i.test(filePath)) {
+    return true;
+  }
+
+  const head = buffer.subarray(0, MARKER_SEARCH_LENGTH).toString('latin1');
+  const header = PDF_HEADER.exec(head);
+  if (!header) {
+    return false;
+  }
+
+  const hasTrailer = buffer.subarray(-MARKER_SEARCH_LENGTH).includes(PDF_TRAILER);
+  if (head.slice(0, header.index).trim() !== '') {
+    return hasTrailer;
+  }
+  return hasTrailer || !isText(buffer.subarray(0, MARKER_SEARCH_LENGTH));
+}
+
+/**
+ * Parses a page selection
+ * @param {string|number} [value] - Pages and ranges such as '3-10', '1,4,7-' (to the end)
+ * @returns {Array<Object>|null} - { start, end } ranges, or null to select every page
+ * @throws {Error} If the selection is invalid
+ */
+export function parsePageRange(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return String(value).split(',').map(part => {
+    const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    const start = match ? Number(match[1]) : 0;
+    const end = !match || match[2] === undefined ? start : match[2] === '' ? Infinity : Number(match[2]);
+
+    if (!match || start < 1 || end < start) {
+      throw new Error(`Invalid page range: ${value}. Must be page numbers or ranges such as 3-10, 1,4 or 7-`);
+    }
+
+    return { start, end };
+  });
+}
+
+/**
+ * Extracts the text of a PDF document as markdown
+ * @param {Buffer} buffer - PDF document
+ * @param {Object} [options] - Extraction options
+ * @param {string|number} [options.pages] - Pages to extract (see parsePageRange)
+ * @param {string} [options.source] - Name of the document for error messages
+ * @returns {Promise<Object>} - { text, pageCount, pages, imageOnlyPages } where pages lists the
+ *   extracted page numbers and imageOnlyPages those without a text layer that paint images
+ * @throws {Error} If the document cannot be read or no page is selected
+ */
+export async function readPdf(buffer, options = {}) {
+  const ranges = parsePageRange(options.pages);
+  const source = options.source || 'PDF';
+
+  let document;
+  try {
+    document = await getDocument({
+      data: new Uint8Array(buffer),
+      verbosity: 0,
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false
+    }).promise;
+  } catch (error) {
+    throw new Error(`Failed to read PDF ${source}: ${error.message}`);
+  }
+
+  try {
+    const pageCount = document.numPages;
+    const pageNumbers = Array.from({ length: pageCount }, (value, index) => index + 1)
+      .filter(number => !ranges || ranges.some(range => number >= range.start && number <= range.end));
+
+    if (pageNumbers.length === 0) {
+      throw new Error(`Invalid page range: ${options.pages}. ${source} has ${pageCount} page${pageCount === 1 ? '' : 's'}`);
+    }
+
+    const pages = [];
+    for (const number of pageNumbers) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      const lines = orderLines(groupLines(content.items), page.view);
+      const hasImages = lines.length === 0 && await paintsImages(page);
+      pages.push({ number, lines, hasImages });
+      page.cleanup();
+    }
+
+    const headingLevels = getHeadingLevels(pages);
+    const text = pages.map(page => renderPage(page, pageCount, headingLevels)).join('\n\n') + '\n';
+
+    return {
+      text,
+      pageCount,
+      pages: pageNumbers,
+      imageOnlyPages: pages.filter(page => page.hasImages).map(page => page.number)
+    };
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Groups text items into lines of cells
+ * @param {Array<Object>} items - Text items of a page, from pdf.js
+ * @returns {Array<Object>} - Lines as { y, size, segments } from top to bottom, where
+ *   segments are the cells of the line as { x0, x1, text, size } from left to right
+ */
+function groupLines(items) {
+  const fragments = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const fragment of fragments) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - fragment.y) <= Math.min(line.size, fragment.size) / 2) {
+      line.fragments.push(fragment);
+      line.size = Math.max(line.size, fragment.size);
+    } else {
+      lines.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+    }
+  }
+
+  return lines.map(line => {
+    const segments = [];
+    for (const fragment of line.fragments.sort((a, b) => a.x - b.x)) {
+      const segment = segments[segments.length - 1];
+      const gap = segment ? fragment.x - segment.x1 : Infinity;
+
+      if (gap > CELL_GAP * fragment.size) {
+        segments.push({ x0: fragment.x, x1: fragment.x + fragment.width, text: fragment.text, size: fragment.size });
+        continue;
+      }
+
+      const space = gap > WORD_GAP * fragment.size && !/\s$/.test(segment.text) && !/^\s/.test(fragment.text) ? ' ' : '';
+      segment.text += space + fragment.text;
+      segment.x1 = Math.max(segment.x1, fragment.x + fragment.width);
+      segment.size = Math.max(segment.size, fragment.size);
+    }
+
+    for (const segment of segments) {
+      segment.text = segment.text.replace(/\s+/g, ' ').trim();
+    }
+
+    return { y: line.y, size: line.size, segments };
+  });
+}
+
+/**
+ * Puts lines in reading order
+ * On a two-column page, the lines of each column are read in turn, in
+ * sections separated by lines that span both columns, such as headings.
+ * @param {Array<Object>} lines - Lines from top to bottom
+ * @param {number[]} view - Page box as [x0, y0, x1, y1]
+ * @returns {Array<Object>} - Lines in reading order
+ */
+function orderLines(lines, view) {
+  const width = view[2] - view[0];
+  const center = view[0] + width / 2;
+  const segments = lines.flatMap(line => line.segments);
+  const isProse = segment => segment.x1 - segment.x0 >= width * MIN_COLUMN_WIDTH;
+  const left = segments.filter(segment => segment.x1 < center && isProse(segment));
+  const right = segments.filter(segment => segment.x0 > center && isProse(segment));
+
+  if (left.length < MIN_COLUMN_SEGMENTS || right.length < MIN_COLUMN_SEGMENTS) {
+    return lines;
+  }
+
+  const ordered = [];
+  let section = { left: [], right: [] };
+  const flush = () => {
+    ordered.push(...section.left, ...section.right);
+    section = { left: [], right: [] };
+  };
+
+  for (const line of lines) {
+    if (line.segments.some(segment => segment.x0 < center && segment.x1 > center)) {
+      flush();
+      ordered.push(line);
+      continue;
+    }
+
+    const leftSegments = line.segments.filter(segment => segment.x1 <= center);
+    const rightSegments = line.segments.filter(segment => segment.x0 >= center);
+    if (leftSegments.length > 0) {
+      section.left.push({ ...line, segments: leftSegments });
+    }
+    if (rightSegments.length > 0) {
+      section.right.push({ ...line, segments: rightSegments });
+    }
+  }
+  flush();
+
+  return ordered;
+}
+
+/**
+ * Ranks the font sizes larger than the body text as heading levels
+ * The body size is the size of most characters in the document.
+ * @param {Array<Object>} pages - Pages with their lines
+ * @returns {Map<number, number>} - Heading level by rounded font size
+ */
+function getHeadingLevels(pages) {
+  const characters = new Map();
+  for (const segment of pages.flatMap(page => page.lines.flatMap(line => line.segments))) {
+    const size = roundSize(segment.size);
+    characters.set(size, (characters.get(size) || 0) + segment.text.length);
+  }
+
+  const bodySize = [...characters.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+  const headingSizes = [...characters.keys()]
+    .filter(size => size >= bodySize * HEADING_RATIO)
+    .sort((a, b) => b - a);
+
+  return new Map(headingSizes.map((size, index) => [size, Math.min(index + 1, MAX_HEADING_LEVEL)]));
+}
+
+/**
+ * Renders a page as markdown
+ * @param {Object} page - Page with its number, lines and whether it paints images
+ * @param {number} pageCount - Pages in the document
+ * @param {Map<number, number>} headingLevels - Heading level by rounded font size
+ * @returns {string} - Page marker followed by the page content
+ */
+function renderPage(page, pageCount, headingLevels) {
+  if (page.lines.length === 0) {
+    return page.hasImages
+      ? `[Page ${page.number} of ${pageCount}: no text layer, probably a scanned image]`
+      : `[Page ${page.number} of ${pageCount}]`;
+  }
+
+  return [`[Page ${page.number} of ${pageCount}]`, ...renderLines(page.lines, headingLevels)].join('\n\n');
+}
+
+/**
+ * Turns lines into markdown blocks: headings, tables, list items and paragraphs
+ * @param {Array<Object>} lines - Lines in reading order
+ * @param {Map<number, number>} headingLevels - Heading level by rounded font size
+ * @returns {string[]} - Blocks
+ */
+function renderLines(lines, headingLevels) {
+  const blocks = [];
+  let paragraph = null;
+  const flush = () => {
+    if (paragraph) {
+      blocks.push({ text: paragraph.text.replace(BULLET, '- ').replace(/^(#|\d+\.\s|>)/, '\\$1') });
+      paragraph = null;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    // Runs of at least two lines split into cells are tables
+    let end = index;
+    while (end + 1 < lines.length && lines[end].segments.length > 1 && lines[end + 1].segments.length > 1) {
+      end++;
+    }
+    if (end > index) {
+      flush();
+      blocks.push({ text: renderTable(lines.slice(index, end + 1)) });
+      index = end;
+      continue;
+    }
+
+    const text = line.segments.map(segment => segment.text).join(' ');
+    const level = headingLevels.get(roundSize(line.size));
+    if (level && text.length <= MAX_HEADING_LENGTH) {
+      flush();
+      // Headings that wrap continue on the next line at the same size
+      const previous = blocks[blocks.length - 1];
+      if (previous && previous.level === level && previous.y - line.y <= line.size * PARAGRAPH_GAP) {
+        previous.heading += ` ${text}`;
+        previous.y = line.y;
+        previous.text = `${'#'.repeat(level)} ${previous.heading}`;
+      } else {
+        blocks.push({ level, heading: text, y: line.y, text: `${'#'.repeat(level)} ${text}` });
+      }
+      continue;
+    }
+
+    // A wide gap, a bullet, or a jump to the top of the next column after a
+    // finished sentence starts a new paragraph
+    const gap = paragraph ? paragraph.y - line.y : 0;
+    if (!paragraph || BULLET.test(text) || gap > line.size * PARAGRAPH_GAP || (gap < 0 && /[.!?:]$/.test(paragraph.text))) {
+      flush();
+      paragraph = { text, y: line.y };
+    } else {
+      paragraph.text = joinLines(paragraph.text, text);
+      paragraph.y = line.y;
+    }
+  }
+  flush();
+
+  return blocks.map(block => block.text);
+}
+
+/**
+ * Renders lines of cells as a markdown table
+ * Cells are placed in columns by their left edge; the first line is the header.
+ * @param {Array<Object>} lines - Lines with at least two cells each
+ * @returns {string} - Markdown table
+ */
+function renderTable(lines) {
+  const edges = [];
+  for (const segment of lines.flatMap(line => line.segments).sort((a, b) => a.x0 - b.x0)) {
+    if (edges.length === 0 || segment.x0 - edges[edges.length - 1] > segment.size) {
+      edges.push(segment.x0);
+    }
+  }
+
+  const rows = lines.map(line => {
+    const cells = edges.map(() => []);
+    for (const segment of line.segments) {
+      const column = edges.reduce((found, edge, index) => (edge <= segment.x0 + segment.size ? index : found), 0);
+      cells[column].push(segment.text.replace(/\|/g, '\\|'));
+    }
+    return `| ${cells.map(cell => cell.join(' ')).join(' | ')} |`;
+  });
+
+  return [rows[0], `| ${edges.map(() => '---').join(' | ')} |`, ...rows.slice(1)].join('\n');
+}
+
+/**
+ * Joins a line to the paragraph before it, mending words hyphenated at the line end
+ * @param {string} text - Paragraph so far
+ * @param {string} line - Next line
+ * @returns {string} - Joined text
+ */
+function joinLines(text, line) {
+  if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(line)) {
+    return text.slice(0, -1) + line;
+  }
+  return `${text} ${line}`;
+}
+
+/**
+ * Checks whether a page paints images
+ * @param {Object} page - pdf.js page
+ * @returns {Promise<boolean>} - True when the page draws at least one image
+ */
+async function paintsImages(page) {
+  const operators = await page.getOperatorList();
+  return operators.fnArray.some(operator => IMAGE_OPERATORS.has(operator));
+}
+
+/**
+ * Checks whether the start of input reads as UTF-8 text
+ * @param {Buffer} head - First bytes of the input
+ * @returns {boolean} - True when the bytes are valid UTF-8 without control characters
+ */
+function isText(head) {
+  try {
+    // A character cut off at the end of the head is not an error in stream mode
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return !/[\x00-\x08\x0E-\x1F]/.test(text);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rounds a font size so sizes that differ by rendering noise compare equal
+ * @param {number} size - Font size
+ * @returns {number} - Size rounded to half a point
+ */
+function roundSize(size) {
+  return Math.round(size * 2) / 2;
+}
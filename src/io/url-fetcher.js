@@ -3,32 +3,119 @@
  */
 
 import axios from 'axios';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { conditionalHeaders, loadWithCache } from './http-cache.js';
+import { getRequestOptions, getRetryDelay } from './http-options.js';
 
 /**
  * Fetches content from a URL using axios
  * @param {string} url - The URL to fetch
  * @param {Object} options - Options for the request
+ * @param {Object} options.http - Request settings from resolveHttpOptions (headers, auth, proxy, limits, retries)
+ * @param {Object} options.headers - Additional request headers
+ * @param {number} options.timeout - Timeout in milliseconds, instead of the configured one
+ * @param {number} options.maxContentLength - Maximum response size in bytes, instead of the configured one
+ * @param {Object} options.cache - Cache settings from resolveCacheOptions; the response is not cached without them
  * @return {Promise<string>} The content from the URL
  */
 export async function fetchUrl(url, options = {}) {
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; LLMPrepare/1.0)',
-        ...options.headers,
-      },
-      timeout: options.timeout || 10000, // 10 seconds timeout by default
-      maxContentLength: options.maxContentLength || 10485760, // 10MB by default
-    });
+  const requestOptions = resolveRequestOptions(url, options);
+  const variant = { mode: 'fetch', headers: requestOptions.headers };
+  
+  return loadWithCache(url, variant, options.cache || null, async (validators) => {
+    const response = await request(url, requestOptions, conditionalHeaders(validators));
     
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`HTTP error ${error.response.status}: ${error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network error: no response received`);
-    } else {
-      throw new Error(`Error fetching URL: ${error.message}`);
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    
+    return {
+      body: response.data,
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+    };
+  });
+}
+
+/**
+ * Checks with a conditional request whether a URL changed since it was cached
+ * @param {string} url - The URL to check
+ * @param {Object} validators - ETag and Last-Modified values of the cached copy
+ * @param {Object} options - Options for the request, as for fetchUrl
+ * @return {Promise<boolean>} True when the server answers 304 Not Modified
+ */
+export async function isNotModified(url, validators, options = {}) {
+  const headers = conditionalHeaders(validators);
+  if (Object.keys(headers).length === 0) {
+    return false;
+  }
+  
+  const response = await request(url, resolveRequestOptions(url, options), headers);
+  return response.status === 304;
+}
+
+/**
+ * Combines the configured request settings for a URL with explicit options
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Options for the request, as for fetchUrl
+ * @return {Object} Headers, timeout, maxContentLength, retries and proxy for the request
+ */
+function resolveRequestOptions(url, options) {
+  const configured = getRequestOptions(url, options.http);
+  
+  return {
+    ...configured,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; LLMPrepare/1.0)',
+      ...configured.headers,
+      ...options.headers,
+    },
+    timeout: options.timeout || configured.timeout,
+    maxContentLength: options.maxContentLength || configured.maxContentLength,
+  };
+}
+
+/**
+ * Sends a GET request, accepting 304 responses to conditional requests
+ * 429 and 5xx responses are retried with exponential backoff, waiting as
+ * long as a Retry-After header asks.
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Resolved request options
+ * @param {Object} extraHeaders - Conditional request headers
+ * @return {Promise<Object>} The axios response
+ */
+async function request(url, options, extraHeaders) {
+  const agent = options.proxy
+    ? (url.startsWith('https:') ? { httpsAgent: new HttpsProxyAgent(options.proxy) } : { httpAgent: new HttpProxyAgent(options.proxy) })
+    : {};
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.get(url, {
+        headers: { ...options.headers, ...extraHeaders },
+        timeout: options.timeout,
+        maxContentLength: options.maxContentLength,
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+        // Proxies come from the request settings, which apply NO_PROXY
+        proxy: false,
+        ...agent,
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : 0;
+      if (attempt < options.retries && (status === 429 || status >= 500)) {
+        await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, error.response.headers['retry-after'])));
+        continue;
+      }
+      
+      const retried = attempt > 0 ? ` (after ${attempt} ${attempt === 1 ? 'retry' : 'retries'})` : '';
+      if (error.response) {
+        throw new Error(`HTTP error ${error.response.status}: ${error.response.statusText}${retried}`);
+      } else if (error.request) {
+        throw new Error(`Network error: no response received`);
+      } else {
+        throw new Error(`Error fetching URL: ${error.message}`);
+      }
     }
   }
-}
\ No newline at end of file
+}
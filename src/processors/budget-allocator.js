@@ -0,0 +1,189 @@
+/**
+ * Token Budget Allocator
+ *
+ * Splits a token budget between the files of a project so that every file
+ * gets a share instead of the dump being cut off after an arbitrary file.
+ * Supported strategies:
+ * - fair: equal share per file; small files keep everything and the unused
+ *   part of their share is redistributed to larger files
+ * - proportional: share proportional to the size of each file
+ * - priority: like fair, but weighted by path globs (README, entry points and
+ *   src first)
+ *
+ * Aliases of identical files (see deduplicateSections) only cost their header.
+ * They share the fate of the file whose content they repeat, which counts
+ * their weights too when a file has to be dropped.
+ */
+
+import { minimatch } from 'minimatch';
+
+/**
+ * Names of the available allocation strategies
+ */
+export const BUDGET_STRATEGIES = ['fair', 'proportional', 'priority'];
+
+/**
+ * Smallest share worth keeping for a file; files that would get less are omitted
+ */
+export const MIN_FILE_TOKENS = 32;
+
+/**
+ * Default weights for the priority strategy, first matching pattern wins
+ */
+export const DEFAULT_PRIORITY_PATTERNS = [
+  { pattern: '**/{test,tests,__tests__,spec,fixtures,examples}/**', weight: 0.5 },
+  { pattern: '**/*.{test,spec}.*', weight: 0.5 },
+  { pattern: '**/README*', weight: 5 },
+  { pattern: '**/{index,main,app,cli,server,__init__,__main__,mod,lib}.*', weight: 4 },
+  { pattern: '**/{package.json,pyproject.toml,Cargo.toml,go.mod}', weight: 3 },
+  { pattern: '{src,lib,app,bin}/**', weight: 2 }
+];
+
+/**
+ * Parses priority patterns given as a comma-separated list of `glob:weight`
+ * @param {string} patternsString - For example "README*:5,src/**:2,docs/**:0.5"
+ * @returns {Array<Object>} - Array of { pattern, weight } objects
+ * @throws {Error} If an entry has no valid weight
+ */
+export function parsePriorityPatterns(patternsString) {
+  if (!patternsString) return [];
+
+  return patternsString
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      const pattern = separator > 0 ? entry.slice(0, separator).trim() : '';
+      const weight = Number(separator > 0 ? entry.slice(separator + 1) : NaN);
+
+      if (!pattern || !Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`Invalid budget priority: ${entry}. Expected <glob>:<positive weight>`);
+      }
+
+      return { pattern, weight };
+    });
+}
+
+/**
+ * Gets the priority weight of a file
+ * @param {string} relativePath - Path of the file relative to the project root
+ * @param {Array<Object>} patterns - Array of { pattern, weight } objects
+ * @returns {number} - Weight of the first matching pattern, or 1
+ */
+export function getFilePriority(relativePath, patterns = DEFAULT_PRIORITY_PATTERNS) {
+  const posixPath = relativePath.split('\\').join('/');
+  const match = patterns.find(({ pattern }) => minimatch(posixPath, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+  return match ? match.weight : 1;
+}
+
+/**
+ * Allocates a token budget between files
+ * @param {Array<Object>} entries - Files as { path, tokens, headerTokens, aliasOf } objects, in output order,
+ *   where aliasOf is the index of the entry whose content an alias repeats
+ * @param {number} budget - Total tokens available for file headers and contents
+ * @param {string} strategy - Allocation strategy ('fair', 'proportional', 'priority')
+ * @param {Array<Object>} [priorityPatterns] - Weights used by the priority strategy
+ * @returns {Array<Object>} - One { path, tokens, allocated, status } object per entry,
+ *   where status is 'full', 'truncated' or 'omitted'
+ */
+export function allocateTokenBudget(entries, budget, strategy = 'fair', priorityPatterns = DEFAULT_PRIORITY_PATTERNS) {
+  if (!BUDGET_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid budget strategy: ${strategy}. Must be one of: ${BUDGET_STRATEGIES.join(', ')}`);
+  }
+
+  const weights = entries.map(entry => (strategy === 'priority' ? getFilePriority(entry.path, priorityPatterns) : 1));
+  // A file stands for its aliases when deciding which file to drop
+  const dropWeights = weights.map((weight, i) =>
+    entries.reduce((sum, entry, j) => (entry.aliasOf === i ? sum + weights[j] : sum), weight));
+  const included = entries.map(() => true);
+  let allocations = [];
+
+  // Omit files one at a time until every kept file gets a useful share
+  for (;;) {
+    const keptIndexes = entries.map((_, i) => i).filter(i => included[i]);
+    const headerTokens = keptIndexes.reduce((sum, i) => sum + (entries[i].headerTokens || 0), 0);
+    const available = Math.max(0, budget - headerTokens);
+    const demands = keptIndexes.map(i => entries[i].tokens);
+
+    const shares = strategy === 'proportional'
+      ? shareProportionally(demands, available)
+      : shareByWeight(demands, keptIndexes.map(i => weights[i]), available);
+
+    allocations = entries.map(() => 0);
+    keptIndexes.forEach((entryIndex, k) => {
+      allocations[entryIndex] = shares[k];
+    });
+
+    const starved = keptIndexes.filter(i => allocations[i] < entries[i].tokens && allocations[i] < MIN_FILE_TOKENS);
+    if (starved.length === 0) {
+      break;
+    }
+
+    // Drop the least important starved file, preferring files later in the output;
+    // its aliases go with it, since they would point to content that is not there
+    const dropped = starved.reduce((worst, i) => (dropWeights[i] <= dropWeights[worst] ? i : worst), starved[0]);
+    entries.forEach((entry, i) => {
+      if (i === dropped || entry.aliasOf === dropped) {
+        included[i] = false;
+      }
+    });
+  }
+
+  return entries.map((entry, i) => ({
+    path: entry.path,
+    tokens: entry.tokens,
+    allocated: included[i] ? Math.min(allocations[i], entry.tokens) : 0,
+    status: !included[i] ? 'omitted' : (allocations[i] >= entry.tokens ? 'full' : 'truncated')
+  }));
+}
+
+/**
+ * Shares a budget by weight, capping each share at its demand and handing
+ * unused tokens to the remaining files (weighted max-min fairness)
+ * @param {number[]} demands - Tokens each file needs
+ * @param {number[]} weights - Weight of each file
+ * @param {number} budget - Tokens to share
+ * @returns {number[]} - Tokens allocated to each file
+ */
+function shareByWeight(demands, weights, budget) {
+  const shares = demands.map(() => 0);
+  let remaining = budget;
+  let active = demands.map((_, i) => i).filter(i => demands[i] > 0);
+
+  while (active.length > 0 && remaining > 0) {
+    const totalWeight = active.reduce((sum, i) => sum + weights[i], 0);
+    const satisfied = active.filter(i => demands[i] <= (remaining * weights[i]) / totalWeight);
+
+    if (satisfied.length === 0) {
+      active.forEach(i => {
+        shares[i] = Math.floor((remaining * weights[i]) / totalWeight);
+      });
+      break;
+    }
+
+    satisfied.forEach(i => {
+      shares[i] = demands[i];
+      remaining -= demands[i];
+    });
+    active = active.filter(i => !satisfied.includes(i));
+  }
+
+  return shares;
+}
+
+/**
+ * Shares a budget in proportion to each file's size
+ * @param {number[]} demands - Tokens each file needs
+ * @param {number} budget - Tokens to share
+ * @returns {number[]} - Tokens allocated to each file
+ */
+function shareProportionally(demands, budget) {
+  const total = demands.reduce((sum, demand) => sum + demand, 0);
+
+  if (total <= budget) {
+    return [...demands];
+  }
+
+  return demands.map(demand => Math.floor((budget * demand) / total));
+}
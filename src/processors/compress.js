@@ -4,7 +4,47 @@
  * Provides functionality to compress text by removing excessive whitespace
  * while maintaining readability. This helps reduce token usage when
  * sending text to LLMs.
+ * 
+ * Three levels are available:
+ * - light: generic whitespace normalization of the whole prompt
+ * - code: language-aware minification of source files that keeps literals intact
+ *   and preserves the indentation of languages where it carries meaning
+ * - aggressive: like code, but prose files are reflowed to one sentence per line
+ */
+
+import path from 'path';
+import { getCommentSyntax } from '../utils/comment-handler.js';
+import { findTokens } from '../utils/comment-lexer.js';
+
+/**
+ * Supported compression levels
  */
+export const COMPRESSION_LEVELS = ['light', 'code', 'aggressive'];
+
+/**
+ * Extensions of files compressed as prose rather than code ('' for README, LICENSE, ...)
+ */
+const PROSE_EXTENSIONS = ['', '.md', '.markdown', '.txt', '.rst', '.adoc'];
+
+/**
+ * How the lines of each comment syntax are compressed; syntaxes not listed collapse
+ * - collapse: indentation and runs of whitespace carry no meaning and are removed
+ * - indent: indentation delimits blocks, so it is renumbered to one space per level
+ * - preserve: indentation is kept as is (YAML nesting, Makefile recipe tabs, shell heredocs)
+ */
+const CODE_LAYOUTS = {
+  python: 'indent',
+  yaml: 'preserve',
+  shell: 'preserve',
+  ini: 'preserve'
+};
+
+/**
+ * Marks the position of a protected literal while lines are compressed
+ */
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
 
 /**
  * Compresses text by removing excessive whitespace
@@ -66,4 +106,235 @@ export function compressTextAggressive(text) {
   compressed = compressed.trim();
   
   return compressed;
-}
\ No newline at end of file
+}
+
+/**
+ * Resolves the value of the compress option to a compression level
+ * @param {boolean|string} value - `true` for the default level, or a level name
+ * @returns {string|null} - Compression level, or null when compression is off
+ * @throws {Error} If the level is unknown
+ */
+export function parseCompressionLevel(value) {
+  if (!value) {
+    return null;
+  }
+  
+  if (value === true) {
+    return 'light';
+  }
+  
+  if (!COMPRESSION_LEVELS.includes(value)) {
+    throw new Error(`Invalid compression level: ${value}. Must be one of: ${COMPRESSION_LEVELS.join(', ')}`);
+  }
+  
+  return value;
+}
+
+/**
+ * Compresses the content of one file or input at the given level
+ * Prose (Markdown, plain text, or content without a file name) is compressed
+ * with compressText, or with compressTextAggressive at the aggressive level;
+ * source code is minified with compressCode.
+ * 
+ * @param {string} text - The text to compress
+ * @param {string} level - Compression level (see COMPRESSION_LEVELS)
+ * @param {string} [filePath] - File the text comes from, used to pick the language
+ * @returns {string} - Compressed text
+ */
+export function compressContent(text, level, filePath) {
+  if (level === 'light') {
+    return compressText(text);
+  }
+  
+  const isProse = !filePath ||
+    (!getCommentSyntax(filePath) && PROSE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()));
+  if (isProse) {
+    return level === 'aggressive' ? compressTextAggressive(text) : compressText(text);
+  }
+  
+  return compressCode(text, filePath);
+}
+
+/**
+ * Minifies the whitespace of source code without changing its meaning
+ * - Leaves strings, regexes, heredocs, block scalars and docstrings untouched
+ * - Removes blank lines and trailing whitespace
+ * - Removes indentation and collapses runs of spaces where whitespace carries
+ *   no meaning (C family, Ruby, SQL, CSS, ...)
+ * - Renumbers Python indentation to one space per block level
+ * - Keeps the indentation of YAML, INI, shell scripts and Makefiles
+ * Files without a known comment syntax, and HTML, fall back to compressText.
+ * 
+ * @param {string} text - Source code
+ * @param {string} filePath - File the code comes from, used to pick the language
+ * @returns {string} - Minified source code
+ */
+export function compressCode(text, filePath) {
+  if (!text) return text;
+  
+  const normalized = text.replace(/\r\n/g, '\n');
+  const syntax = getCommentSyntax(filePath);
+  
+  // Markup keeps whitespace in <pre> blocks, and the placeholders must not clash with the content
+  if (!syntax || syntax === 'html' || normalized.includes(PLACEHOLDER_START)) {
+    return compressText(normalized);
+  }
+  
+  const layout = CODE_LAYOUTS[syntax] || 'collapse';
+  const { masked, literals } = maskLiterals(normalized, syntax, layout === 'indent');
+  
+  const lines = masked
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .filter(line => line !== '');
+  
+  let compressed;
+  if (layout === 'indent') {
+    compressed = reindentLines(lines, literals);
+  } else if (layout === 'collapse') {
+    compressed = lines.map(line => line.trim().replace(/[ \t]+/g, ' '));
+  } else {
+    compressed = lines;
+  }
+  
+  const restored = compressed
+    .join('\n')
+    .replace(PLACEHOLDER_PATTERN, (match, index) => literals[Number(index)].text);
+  
+  return normalized.endsWith('\n') ? `${restored}\n` : restored;
+}
+
+/**
+ * Formats the token savings of a compressed run
+ * @param {Array<Object>} entries - Savings as { source, before, after } token counts
+ * @param {string} level - Compression level used
+ * @returns {string} - Report with a total line followed by one line per source
+ */
+export function formatCompressionReport(entries, level) {
+  if (entries.length === 0) {
+    return `Compression report (${level}): nothing compressed\n`;
+  }
+  
+  const before = entries.reduce((sum, entry) => sum + entry.before, 0);
+  const after = entries.reduce((sum, entry) => sum + entry.after, 0);
+  const lines = entries.map(entry =>
+    `${entry.source}: ${entry.before} -> ${entry.after} tokens (${formatSavings(entry.before, entry.after)})`);
+  
+  return `Compression report (${level}): ${before} -> ${after} tokens, ${before - after} saved (${formatSavings(before, after)})\n` +
+    `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats the share of tokens saved
+ * @param {number} before - Tokens before compression
+ * @param {number} after - Tokens after compression
+ * @returns {string} - Percentage such as `35%`
+ */
+function formatSavings(before, after) {
+  return `${before > 0 ? Math.round((before - after) / before * 100) : 0}%`;
+}
+
+/**
+ * Replaces the literals of source code with numbered placeholders
+ * Placeholders keep multi-line literals on a single line, so line-based
+ * compression cannot touch their content.
+ * @param {string} text - Source code with normalized line breaks
+ * @param {string} syntax - Comment syntax of the code
+ * @param {boolean} maskComments - Also mask comments, so their brackets do not count
+ * @returns {Object} - { masked, literals } where literals are { text, type } objects
+ */
+function maskLiterals(text, syntax, maskComments) {
+  const literals = [];
+  let masked = '';
+  let position = 0;
+  
+  for (const token of findTokens(text, syntax)) {
+    // Comments inside template literals are covered by their literal
+    if (token.start < position) {
+      continue;
+    }
+    
+    // Perl POD blocks keep their verbatim paragraphs
+    const isLiteral = token.type === 'string' || token.type === 'docstring' || (syntax === 'perl' && token.type === 'block');
+    if (!isLiteral && !maskComments) {
+      continue;
+    }
+    
+    // Leave the line break that ends a heredoc outside, so the next line stays separate
+    let end = token.end;
+    if (text[end - 1] === '\n' && end - 1 > token.start) {
+      end--;
+    }
+    
+    masked += `${text.slice(position, token.start)}${PLACEHOLDER_START}${literals.length}${PLACEHOLDER_END}`;
+    literals.push({ text: text.slice(token.start, end), type: isLiteral ? 'string' : 'comment' });
+    position = end;
+  }
+  
+  return { masked: masked + text.slice(position), literals };
+}
+
+/**
+ * Renumbers the indentation of indentation-sensitive code to one space per block level
+ * Lines inside brackets or after a backslash continuation, and comment-only lines,
+ * do not open or close blocks.
+ * @param {string[]} lines - Non-blank masked lines (see maskLiterals)
+ * @param {Array<Object>} literals - Masked literals
+ * @returns {string[]} - Reindented lines with collapsed inner whitespace
+ */
+function reindentLines(lines, literals) {
+  const widths = [0];
+  let depth = 0;
+  let continued = false;
+  
+  return lines.map(line => {
+    const body = line.trimStart().replace(/[ \t]+/g, ' ');
+    const commentMatch = /^\uE000(\d+)\uE001$/.exec(body);
+    let level;
+    
+    if (depth > 0 || continued) {
+      level = widths.length;
+    } else if (commentMatch && literals[Number(commentMatch[1])].type === 'comment') {
+      level = widths.length - 1;
+    } else {
+      const width = measureIndent(line);
+      while (widths.length > 1 && width < widths[widths.length - 1]) {
+        widths.pop();
+      }
+      if (width > widths[widths.length - 1]) {
+        widths.push(width);
+      }
+      level = widths.length - 1;
+    }
+    
+    for (const char of body) {
+      if (char === '(' || char === '[' || char === '{') {
+        depth++;
+      } else if (char === ')' || char === ']' || char === '}') {
+        depth = Math.max(0, depth - 1);
+      }
+    }
+    continued = body.endsWith('\\');
+    
+    return ' '.repeat(level) + body;
+  });
+}
+
+/**
+ * Measures the indentation of a line, expanding tabs to multiples of eight like Python
+ * @param {string} line - Line of code
+ * @returns {number} - Indentation width in columns
+ */
+function measureIndent(line) {
+  let width = 0;
+  for (const char of line) {
+    if (char === ' ') {
+      width++;
+    } else if (char === '\t') {
+      width = (Math.floor(width / 8) + 1) * 8;
+    } else {
+      break;
+    }
+  }
+  return width;
+}
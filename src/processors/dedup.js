@@ -0,0 +1,285 @@
+/**
+ * Cross-File Deduplication
+ *
+ * Finds content repeated across the files of a project, so it is sent once:
+ * - Files with identical content become aliases of the first such file
+ * - Blocks of lines found in several files (license headers, generated
+ *   banners, copy-pasted config) move to a list of shared blocks and are
+ *   replaced by `[shared block #N]` references
+ *
+ * Repeated blocks are found with a rolling hash over windows of consecutive
+ * lines; lines covered by windows that occur in enough files are merged into
+ * runs, and runs with the same text in enough files become shared blocks.
+ */
+
+/**
+ * Default number of lines in a hashed window
+ */
+export const DEFAULT_DEDUP_LINES = 5;
+
+/**
+ * Default number of files a block must appear in to be shared
+ */
+export const DEFAULT_DEDUP_MIN_FILES = 3;
+
+/**
+ * Shortest block worth sharing, in characters; shorter runs such as closing
+ * braces cost less than their reference
+ */
+const MIN_BLOCK_CHARS = 64;
+
+/**
+ * Multiplier and modulus of the rolling hash
+ */
+const HASH_BASE = 1000003;
+const HASH_MODULUS = 2147483647;
+
+/**
+ * Deduplicates file sections in place
+ * Sections that become aliases get an `aliasOf` path and empty content;
+ * sections holding shared blocks get the blocks replaced by references.
+ * Sections with a diff (change set mode) are left alone.
+ * @param {Array<Object>} sections - File sections as { path, content, ... } objects
+ * @param {Object} [options] - Deduplication settings
+ * @param {number} [options.windowLines] - Lines in a hashed window (default: DEFAULT_DEDUP_LINES)
+ * @param {number} [options.minFiles] - Files a block must appear in to be shared (default: DEFAULT_DEDUP_MIN_FILES)
+ * @returns {Object} - { sharedBlocks, aliases } where sharedBlocks are { id, content, files } objects,
+ *   files being the number of files that reference the block, and aliases is the number of aliased files
+ */
+export function deduplicateSections(sections, options = {}) {
+  const windowLines = options.windowLines || DEFAULT_DEDUP_LINES;
+  const minFiles = options.minFiles || DEFAULT_DEDUP_MIN_FILES;
+  const candidates = sections.filter(section => section.diff === undefined && section.content.trim() !== '');
+
+  // Identical files are listed as aliases of the first one
+  const firstByContent = new Map();
+  let aliases = 0;
+  for (const section of candidates) {
+    const first = firstByContent.get(section.content);
+    if (first) {
+      section.aliasOf = first.path;
+      section.content = '';
+      aliases++;
+    } else {
+      firstByContent.set(section.content, section);
+    }
+  }
+
+  const unique = [...firstByContent.values()];
+  const lines = unique.map(section => section.content.split('\n'));
+
+  // Count the files each window of lines appears in
+  const windowFiles = new Map();
+  const windowHashes = lines.map(fileLines => {
+    const hashes = hashWindows(fileLines, windowLines);
+    for (const hash of new Set(hashes)) {
+      if (hash !== -1) {
+        windowFiles.set(hash, (windowFiles.get(hash) || 0) + 1);
+      }
+    }
+    return hashes;
+  });
+
+  // Merge the lines of repeated windows into runs and count the files of each run's text
+  const fileRuns = lines.map((fileLines, fileIndex) => {
+    const covered = new Array(fileLines.length).fill(false);
+    windowHashes[fileIndex].forEach((hash, start) => {
+      if (hash !== -1 && windowFiles.get(hash) >= minFiles) {
+        covered.fill(true, start, start + windowLines);
+      }
+    });
+    return findRuns(fileLines, covered);
+  });
+
+  const runFiles = new Map();
+  for (const runs of fileRuns) {
+    for (const text of new Set(runs.map(run => run.text))) {
+      runFiles.set(text, (runFiles.get(text) || 0) + 1);
+    }
+  }
+
+  const sharedTexts = [...runFiles.keys()]
+    .filter(text => runFiles.get(text) >= minFiles && text.length >= MIN_BLOCK_CHARS)
+    .map(text => text.split('\n'));
+
+  // Replace shared runs with references, numbering blocks by first appearance
+  const blocksByText = new Map();
+  unique.forEach((section, fileIndex) => {
+    const fileLines = lines[fileIndex];
+    const runs = fileRuns[fileIndex].flatMap(run => findSharedParts(fileLines, run, sharedTexts));
+    if (runs.length === 0) {
+      return;
+    }
+
+    const output = [];
+    let position = 0;
+    for (const run of runs) {
+      let block = blocksByText.get(run.text);
+      if (!block) {
+        block = { id: blocksByText.size + 1, content: run.text, files: 0 };
+        blocksByText.set(run.text, block);
+      }
+      block.files++;
+
+      output.push(...fileLines.slice(position, run.start), `[shared block #${block.id}]`);
+      position = run.end;
+    }
+    output.push(...fileLines.slice(position));
+    section.content = output.join('\n');
+  });
+
+  return { sharedBlocks: [...blocksByText.values()], aliases };
+}
+
+/**
+ * Validates a deduplication setting given on the command line
+ * @param {number|string|undefined} value - Setting value
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|undefined} - Setting as an integer, or undefined when not set
+ * @throws {Error} If the value is not an integer of at least 2
+ */
+export function parseDedupSetting(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 2) {
+    throw new Error(`Invalid ${name}: ${value}. Must be an integer of at least 2`);
+  }
+
+  return number;
+}
+
+/**
+ * Finds the shared blocks within a run of repeated lines
+ * A run that continues past a shared block in some files, such as a license
+ * header followed by the same imports in only a few files, still references
+ * the block.
+ * @param {string[]} lines - Lines of a file
+ * @param {Object} run - Run as { start, end, text }
+ * @param {Array<string[]>} sharedTexts - Lines of the blocks shared by enough files
+ * @returns {Array<Object>} - Parts of the run that are shared blocks, as { start, end, text } objects
+ */
+function findSharedParts(lines, run, sharedTexts) {
+  const parts = [];
+  let i = run.start;
+
+  while (i < run.end) {
+    // Take the longest shared block starting at this line
+    let longest = null;
+    for (const blockLines of sharedTexts) {
+      if (blockLines.length <= run.end - i &&
+          (!longest || blockLines.length > longest.length) &&
+          blockLines.every((line, offset) => line === lines[i + offset])) {
+        longest = blockLines;
+      }
+    }
+
+    if (longest) {
+      parts.push({ start: i, end: i + longest.length, text: longest.join('\n') });
+      i += longest.length;
+    } else {
+      i++;
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Computes a rolling hash for every window of consecutive lines
+ * @param {string[]} lines - Lines of a file
+ * @param {number} windowLines - Lines in a window
+ * @returns {number[]} - Hash of the window starting at each line; blank-heavy windows get -1
+ */
+function hashWindows(lines, windowLines) {
+  if (lines.length < windowLines) {
+    return [];
+  }
+
+  const lineHashes = lines.map(hashLine);
+  const blank = lines.map(line => line.trim() === '');
+  let highPower = 1;
+  for (let i = 1; i < windowLines; i++) {
+    highPower = multiplyModulo(highPower, HASH_BASE);
+  }
+
+  const hashes = [];
+  let hash = 0;
+  let blankLines = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (i >= windowLines) {
+      // Drop the line leaving the window
+      hash = (hash - multiplyModulo(lineHashes[i - windowLines], highPower) + HASH_MODULUS) % HASH_MODULUS;
+      blankLines -= blank[i - windowLines] ? 1 : 0;
+    }
+    hash = (multiplyModulo(hash, HASH_BASE) + lineHashes[i]) % HASH_MODULUS;
+    blankLines += blank[i] ? 1 : 0;
+
+    if (i >= windowLines - 1) {
+      // Windows of mostly blank lines say nothing about shared content
+      hashes.push(blankLines * 2 > windowLines ? -1 : hash);
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Multiplies two hashes modulo HASH_MODULUS without losing precision
+ * The product of two hashes exceeds the safe integer range, so the second
+ * factor is split into 16-bit halves.
+ * @param {number} a - Number below HASH_MODULUS
+ * @param {number} b - Number below HASH_MODULUS
+ * @returns {number} - (a * b) mod HASH_MODULUS
+ */
+function multiplyModulo(a, b) {
+  const high = Math.floor(b / 65536);
+  const low = b % 65536;
+  return (((a * high) % HASH_MODULUS) * 65536 + a * low) % HASH_MODULUS;
+}
+
+/**
+ * Hashes one line, ignoring trailing whitespace
+ * @param {string} line - Line of a file
+ * @returns {number} - Hash below HASH_MODULUS
+ */
+function hashLine(line) {
+  const text = line.trimEnd();
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) % HASH_MODULUS;
+  }
+  return hash;
+}
+
+/**
+ * Finds the runs of covered lines, without leading and trailing blank lines
+ * @param {string[]} lines - Lines of a file
+ * @param {boolean[]} covered - Whether each line lies in a repeated window
+ * @returns {Array<Object>} - Runs as { start, end, text } objects, end being exclusive
+ */
+function findRuns(lines, covered) {
+  const runs = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (!covered[i]) {
+      i++;
+      continue;
+    }
+
+    let start = i;
+    while (i < lines.length && covered[i]) i++;
+    let end = i;
+
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    if (end > start) {
+      runs.push({ start, end, text: lines.slice(start, end).join('\n') });
+    }
+  }
+
+  return runs;
+}
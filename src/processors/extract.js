@@ -0,0 +1,360 @@
+/**
+ * Main content extraction module
+ *
+ * Reduces an HTML page to its main content before format conversion, in the
+ * manner of Readability:
+ * - `main`: the `<main>` element, or the best scored block with its siblings
+ * - `article`: the `<article>` element, or the best scored block with its siblings
+ * - `selector:<css>`: the elements matching a CSS selector
+ *
+ * Blocks are scored by the paragraphs they contain (text length and commas),
+ * their tag, class and id names, and their link density, so navigation,
+ * cookie banners, sidebars and footers lose to the body text. Elements
+ * matching exclude selectors are removed first, whatever the mode.
+ */
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Extraction modes besides `selector:<css>`
+ */
+export const EXTRACT_MODES = ['main', 'article'];
+
+/**
+ * Elements that never hold readable content
+ */
+const NOISE_SELECTOR = 'script, style, noscript, template, iframe, object, embed, svg, canvas, form, button, input, select, textarea, dialog';
+
+/**
+ * Page regions around the content
+ */
+const CLUTTER_SELECTOR = 'nav, aside, footer, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+
+/**
+ * Class and id names of clutter, unless they also match POSITIVE_NAMES
+ */
+const UNLIKELY_NAMES = /(?:^|[\s_-])(?:ad|ads|advert|banner|breadcrumbs?|comments?|community|consent|cookies?|disqus|footer|gdpr|header|menu|modal|nav|navbar|newsletter|pager|pagination|popup|promo|related|replies|share|sharing|sidebar|social|sponsored|subscribe|widget)(?=$|[\s_-])/i;
+
+/**
+ * Class and id names of content blocks
+ */
+const POSITIVE_NAMES = /(?:^|[\s_-])(?:article|body|content|entry|h-entry|hentry|main|post|story|text)(?=$|[\s_-])/i;
+
+/**
+ * Base scores of candidate blocks by tag; semantic content tags start ahead
+ */
+const TAG_WEIGHTS = {
+  article: 25,
+  main: 25,
+  section: 5,
+  div: 5,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  address: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  dd: -3,
+  dt: -3,
+  li: -3,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  h4: -5,
+  h5: -5,
+  h6: -5,
+  th: -5
+};
+
+/**
+ * Block elements that stop a `<div>` from counting as a paragraph
+ */
+const BLOCK_SELECTOR = 'address, article, blockquote, div, dl, h1, h2, h3, h4, h5, h6, ol, p, pre, section, table, ul';
+
+/**
+ * Characters of text below which a paragraph is not scored, and a semantic
+ * element is not trusted to be the content
+ */
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = 200;
+
+/**
+ * Parses the value of the extract option
+ * @param {string} [value] - 'main', 'article' or 'selector:<css>'
+ * @returns {Object|null} - { mode, selector } or null when not set
+ * @throws {Error} If the mode is unknown or the selector is empty
+ */
+export function parseExtractOption(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (EXTRACT_MODES.includes(value)) {
+    return { mode: value, selector: null };
+  }
+
+  const selector = value.startsWith('selector:') ? value.slice('selector:'.length).trim() : '';
+  if (!selector) {
+    throw new Error(`Invalid extract mode: ${value}. Must be one of: ${EXTRACT_MODES.join(', ')}, selector:<css>`);
+  }
+
+  return { mode: 'selector', selector };
+}
+
+/**
+ * Extracts the main content of an HTML page
+ * @param {string} html - HTML document or fragment
+ * @param {Object} options - Extraction options
+ * @param {string} [options.extract] - 'main', 'article' or 'selector:<css>'; without it only exclusions apply
+ * @param {string|string[]} [options.excludeSelector] - CSS selectors of elements to remove
+ * @returns {Object} - { html, found, description } where found is false when nothing matched
+ *   and the page was kept whole, and description names the extracted element
+ * @throws {Error} If a selector is invalid
+ */
+export function extractContent(html, options = {}) {
+  const extract = parseExtractOption(options.extract);
+  const excludeSelectors = [].concat(options.excludeSelector || []).filter(Boolean);
+  const isDocument = /<!DOCTYPE\s+html|<html[\s>]/i.test(html);
+  const $ = cheerio.load(html, null, isDocument);
+
+  for (const selector of excludeSelectors) {
+    select($, selector).remove();
+  }
+
+  if (!extract) {
+    return { html: $.html(), found: true, description: null };
+  }
+
+  if (extract.mode === 'selector') {
+    const matches = select($, extract.selector);
+    if (matches.length === 0) {
+      return { html: $.html(), found: false, description: null };
+    }
+    return {
+      html: matches.toArray().map(element => $.html(element)).join('\n'),
+      found: true,
+      description: `${matches.length} element${matches.length === 1 ? '' : 's'} matching ${extract.selector}`
+    };
+  }
+
+  $(NOISE_SELECTOR).remove();
+  const title = normalizeSpace($('title').first().text());
+
+  let content = findSemanticContent($, extract.mode);
+  if (!content) {
+    removeClutter($, $.root());
+    content = findScoredContent($);
+  }
+
+  if (!content) {
+    return { html: $.html(), found: false, description: null };
+  }
+
+  removeClutter($, content.root);
+  const body = content.elements.map(element => $.html(element)).join('\n');
+
+  // The title usually sits in the page header, outside the content
+  const heading = title && !/<h1[\s>]/i.test(body) ? `<h1>${escapeHtml(title)}</h1>\n` : '';
+
+  return { html: heading + body, found: true, description: describeElement(content.elements[0]) };
+}
+
+/**
+ * Finds content marked up with semantic elements
+ * @param {Function} $ - Loaded document
+ * @param {string} mode - 'main' or 'article'
+ * @returns {Object|null} - { root, elements } for the element with the most text, or null
+ */
+function findSemanticContent($, mode) {
+  const selector = mode === 'main'
+    ? 'main, [role="main"]'
+    : 'article, [itemprop="articleBody"], [role="article"]';
+
+  const best = $(selector).toArray()
+    .map(element => ({ element, length: textLength($, element) }))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!best || best.length < MIN_CONTENT_LENGTH) {
+    return null;
+  }
+
+  return { root: $(best.element), elements: [best.element] };
+}
+
+/**
+ * Finds content by scoring the blocks that contain paragraphs
+ * The best block is kept together with siblings that score well or read like prose.
+ * @param {Function} $ - Loaded document
+ * @returns {Object|null} - { root, elements } or null when no block holds paragraphs
+ */
+function findScoredContent($) {
+  const scores = new Map();
+  const addScore = (element, points) => {
+    if (!element || element.type !== 'tag' || element.name === 'body' || element.name === 'html') {
+      return;
+    }
+    scores.set(element, (scores.has(element) ? scores.get(element) : getBaseScore(element)) + points);
+  };
+
+  const paragraphs = $('p, pre, td, blockquote').toArray().concat(
+    $('div').toArray().filter(element => $(element).children(BLOCK_SELECTOR).length === 0)
+  );
+  for (const paragraph of paragraphs) {
+    const text = normalizeSpace($(paragraph).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) {
+      continue;
+    }
+
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, points);
+    addScore(paragraph.parent && paragraph.parent.parent, points / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, element));
+    scores.set(element, finalScore);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const threshold = Math.max(10, bestScore * 0.2);
+  const elements = $(best).parent().children().toArray().filter(sibling => {
+    if (sibling === best || (scores.get(sibling) || 0) >= threshold) {
+      return true;
+    }
+    if (sibling.name !== 'p') {
+      return false;
+    }
+    const length = textLength($, sibling);
+    const density = linkDensity($, sibling);
+    return (length > 80 && density < 0.25) ||
+      (length > 0 && density === 0 && /[.!?]$/.test(normalizeSpace($(sibling).text())));
+  });
+
+  return { root: $(elements), elements };
+}
+
+/**
+ * Removes page regions, clutter by class or id, and link lists inside a subtree
+ * Headers of articles, and elements that contain the main content, are kept.
+ * @param {Function} $ - Loaded document
+ * @param {Object} root - Selection to clean
+ */
+function removeClutter($, root) {
+  root.find(CLUTTER_SELECTOR).remove();
+  root.find('header').filter((i, element) => $(element).closest('article, main').length === 0).remove();
+
+  root.find('*').each((i, element) => {
+    const names = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+    if (!element.parent || !UNLIKELY_NAMES.test(names) || POSITIVE_NAMES.test(names)) {
+      return;
+    }
+    if ($(element).find('main, article, [role="main"]').length === 0) {
+      $(element).remove();
+    }
+  });
+
+  // Lists of links, such as tag clouds and "read next" boxes
+  root.find('div, ul, ol, section').each((i, element) => {
+    if (element.parent && textLength($, element) < MIN_CONTENT_LENGTH && linkDensity($, element) > 0.5) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Selects elements, reporting invalid selectors with the selector text
+ * @param {Function} $ - Loaded document
+ * @param {string} selector - CSS selector
+ * @returns {Object} - Matching elements
+ * @throws {Error} If the selector cannot be parsed
+ */
+function select($, selector) {
+  try {
+    return $(selector);
+  } catch (error) {
+    throw new Error(`Invalid selector: ${selector}. ${error.message}`);
+  }
+}
+
+/**
+ * Computes the starting score of a candidate block from its tag and names
+ * @param {Object} element - Candidate element
+ * @returns {number} - Base score
+ */
+function getBaseScore(element) {
+  const names = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+  let score = TAG_WEIGHTS[element.name] || 0;
+  if (POSITIVE_NAMES.test(names)) {
+    score += 25;
+  }
+  if (UNLIKELY_NAMES.test(names)) {
+    score -= 25;
+  }
+  return score;
+}
+
+/**
+ * Computes the share of an element's text that sits inside links
+ * @param {Function} $ - Loaded document
+ * @param {Object} element - Element to measure
+ * @returns {number} - Link density between 0 and 1
+ */
+function linkDensity($, element) {
+  const length = textLength($, element);
+  if (length === 0) {
+    return 0;
+  }
+
+  const linkLength = $(element).find('a').toArray()
+    .reduce((total, link) => total + textLength($, link), 0);
+  return Math.min(1, linkLength / length);
+}
+
+/**
+ * Measures the visible text of an element
+ * @param {Function} $ - Loaded document
+ * @param {Object} element - Element to measure
+ * @returns {number} - Characters of text with whitespace collapsed
+ */
+function textLength($, element) {
+  return normalizeSpace($(element).text()).length;
+}
+
+/**
+ * Collapses runs of whitespace
+ * @param {string} text - Text to normalize
+ * @returns {string} - Trimmed text with single spaces
+ */
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Names an element for debug output
+ * @param {Object} element - Element to describe
+ * @returns {string} - Tag name with its id and classes, such as `div#content.post`
+ */
+function describeElement(element) {
+  const id = element.attribs.id ? `#${element.attribs.id}` : '';
+  const classes = (element.attribs.class || '').split(/\s+/).filter(Boolean).map(name => `.${name}`).join('');
+  return `${element.name}${id}${classes}`;
+}
+
+/**
+ * Escapes HTML special characters in text
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,187 @@
+/**
+ * Git Changes module
+ *
+ * Collects the files touched by a change set in a local git repository,
+ * with the unified diff and the post-change content of each file, as raw
+ * bytes so files in legacy encodings can be decoded like any project file:
+ * - since: changes between a ref and the working tree, including untracked files
+ * - diff: changes between two refs (`base..head`, or `base...head` to diff
+ *   against their merge base)
+ *
+ * Only the local repository is read; nothing is fetched.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Largest git output accepted, in bytes
+ */
+const MAX_GIT_OUTPUT = 256 * 1024 * 1024;
+
+/**
+ * Change types by git status letter; anything else counts as a modification
+ */
+const STATUS_CHANGES = {
+  A: 'added',
+  D: 'deleted'
+};
+
+/**
+ * Collects the files changed in a project directory
+ * @param {string} projectPath - Project directory inside a git work tree
+ * @param {Object} options - Change set options
+ * @param {string} [options.since] - Ref to compare the working tree against
+ * @param {string} [options.diff] - Range to compare, as `base..head` or `base...head`
+ * @param {number} [options.diffContext=3] - Lines of context around each change in the diffs
+ * @param {Function} [options.isIncluded] - Returns false for files to leave out, given their absolute path
+ * @param {boolean} [options.debug] - Enable debug output
+ * @returns {Object} - { files, changes } where files are the sorted absolute paths of the changed
+ *   files and changes maps each of them to { status, diff, content }, status being 'added',
+ *   'modified' or 'deleted', diff and content being Buffers and content being empty for deleted files
+ * @throws {Error} If the directory is not in a git repository, a ref is unknown or git fails
+ */
+export function getGitChanges(projectPath, options = {}) {
+  const { since, diff, diffContext = 3, isIncluded = () => true, debug = false } = options;
+  const cwd = path.resolve(projectPath);
+
+  if (since && diff) {
+    throw new Error('Use either --since or --diff, not both');
+  }
+
+  if (!since && !diff) {
+    throw new Error('A --since ref or a --diff range is required');
+  }
+
+  const context = Number(diffContext);
+  if (!Number.isInteger(context) || context < 0) {
+    throw new Error(`Invalid diff context: ${diffContext}. Must be a non-negative integer.`);
+  }
+
+  try {
+    runGit(cwd, ['rev-parse', '--show-toplevel']);
+  } catch {
+    throw new Error(`Not a git repository: ${projectPath}`);
+  }
+
+  const { base, head } = since ? { base: resolveRef(cwd, since), head: null } : parseRange(cwd, diff);
+  const revisions = head ? [base, head] : [base];
+
+  if (debug) {
+    console.error(`Debug: Comparing ${base.slice(0, 12)} with ${head ? head.slice(0, 12) : 'the working tree'}`);
+  }
+
+  // Renames are listed as a deletion and an addition so every file has a single path
+  const statusOutput = runGit(cwd, ['diff', '--name-status', '--no-renames', '--relative', '-z', ...revisions, '--']);
+  const fields = statusOutput.split('\0').filter(Boolean);
+  const touched = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    touched.push({ relativePath: fields[i + 1], status: STATUS_CHANGES[fields[i][0]] || 'modified', untracked: false });
+  }
+
+  // Files not yet added to git are part of the working tree changes
+  if (!head) {
+    runGit(cwd, ['ls-files', '--others', '--exclude-standard', '-z'])
+      .split('\0')
+      .filter(Boolean)
+      .forEach(relativePath => touched.push({ relativePath, status: 'added', untracked: true }));
+  }
+
+  const changes = new Map();
+  for (const { relativePath, status, untracked } of touched) {
+    const file = path.join(cwd, relativePath);
+    if (!isIncluded(file)) {
+      continue;
+    }
+
+    const fileDiff = untracked
+      ? runGit(cwd, ['diff', '--no-index', '--no-color', '--no-ext-diff', `-U${context}`, '--', '/dev/null', relativePath], [0, 1], 'buffer')
+      : runGit(cwd, ['diff', '--no-color', '--no-ext-diff', '--no-renames', '--relative', `-U${context}`, ...revisions, '--', relativePath], [0], 'buffer');
+
+    let content = Buffer.alloc(0);
+    if (status !== 'deleted') {
+      content = head
+        ? runGit(cwd, ['show', `${head}:./${relativePath.split(path.sep).join('/')}`], [0], 'buffer')
+        : fs.readFileSync(file);
+    }
+
+    // Drop the line break that ends the diff
+    const diffEnd = fileDiff[fileDiff.length - 1] === 0x0a ? fileDiff.length - 1 : fileDiff.length;
+    changes.set(file, { status, diff: fileDiff.subarray(0, diffEnd), content });
+  }
+
+  if (debug) {
+    console.error(`Debug: Found ${changes.size} changed files`);
+  }
+
+  return { files: [...changes.keys()].sort(), changes };
+}
+
+/**
+ * Resolves the two ends of a `base..head` or `base...head` range
+ * @param {string} cwd - Directory to run git in
+ * @param {string} range - Range to resolve
+ * @returns {Object} - { base, head } commit hashes
+ */
+function parseRange(cwd, range) {
+  const match = /^(.+?)(\.\.\.?)(.+)$/.exec(range);
+  if (!match) {
+    throw new Error(`Invalid diff range: ${range}. Expected <base>..<head>.`);
+  }
+
+  const [, baseRef, dots, headRef] = match;
+  const head = resolveRef(cwd, headRef);
+  let base = resolveRef(cwd, baseRef);
+
+  // Three dots compare against the point where head branched off base
+  if (dots === '...') {
+    base = runGit(cwd, ['merge-base', base, head]).trim();
+  }
+
+  return { base, head };
+}
+
+/**
+ * Resolves a ref to a commit hash
+ * @param {string} cwd - Directory to run git in
+ * @param {string} ref - Branch, tag, commit or other revision expression
+ * @returns {string} - Commit hash
+ */
+function resolveRef(cwd, ref) {
+  // A leading dash would be read as an option by git
+  if (!ref || ref.startsWith('-')) {
+    throw new Error(`Invalid git ref: ${ref}`);
+  }
+
+  try {
+    return runGit(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+  } catch {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+}
+
+/**
+ * Runs git and returns its standard output
+ * @param {string} cwd - Directory to run git in
+ * @param {string[]} args - Git arguments
+ * @param {number[]} [okStatuses=[0]] - Exit codes that count as success
+ * @param {string} [encoding='utf8'] - Encoding of the output, or 'buffer' for raw bytes
+ * @returns {string|Buffer} - Standard output
+ */
+function runGit(cwd, args, okStatuses = [0], encoding = 'utf8') {
+  try {
+    return execFileSync('git', ['-c', 'core.quotepath=off', ...args], {
+      cwd,
+      encoding,
+      maxBuffer: MAX_GIT_OUTPUT,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    if (okStatuses.includes(error.status) && error.stdout !== undefined && error.stdout !== null) {
+      return error.stdout;
+    }
+    const stderr = error.stderr ? String(error.stderr).trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${stderr}`);
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Import Graph module
+ *
+ * Builds the dependency graph of a project from one or more entry files so
+ * that only the files reachable from the entries are processed:
+ * - JavaScript/TypeScript: ES module `import`/`export ... from`, dynamic
+ *   `import()` and CommonJS `require()` with relative specifiers
+ * - Python: relative imports (`from . import x`, `from ..pkg.mod import y`)
+ *
+ * Package imports are not followed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from '@babel/parser';
+
+/**
+ * Extensions tried, in order, when a JavaScript/TypeScript specifier has none
+ */
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json'];
+
+/**
+ * TypeScript sources that an emitted JavaScript extension may refer to
+ */
+const TYPESCRIPT_SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+/**
+ * AST properties that never contain imports
+ */
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Lists the local files a source file imports
+ * @param {string} content - Source code
+ * @param {string} filePath - Absolute path to the file
+ * @returns {string[]} - Absolute paths of the imported files that exist, in import order
+ * @throws {Error} If a JavaScript/TypeScript file cannot be parsed
+ */
+export function findFileImports(content, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let resolved = [];
+
+  if (extension === '.py') {
+    resolved = extractPythonImports(content).flatMap(imported => resolvePythonImport(imported, filePath));
+  } else if (RESOLVE_EXTENSIONS.includes(extension) && extension !== '.json') {
+    resolved = extractJavaScriptImports(content, extension)
+      .map(specifier => resolveJavaScriptImport(specifier, filePath))
+      .filter(Boolean);
+  }
+
+  return [...new Set(resolved)].filter(file => file !== filePath);
+}
+
+/**
+ * Builds the import graph reachable from a set of entry files
+ * @param {string[]} entryFiles - Absolute paths of the entry files
+ * @param {Object} [options] - Graph options
+ * @param {number} [options.maxDepth] - Maximum number of import hops from an entry
+ * @param {Function} [options.isIgnored] - Returns true for files that must not be included
+ * @param {boolean} [options.debug] - Enable debug output
+ * @returns {Object} - { files, reasons } where files are ordered so that dependencies come
+ *   before their dependents, and reasons maps each file to { depth, importedBy } (importedBy
+ *   is null for entries)
+ */
+export function buildImportGraph(entryFiles, options = {}) {
+  const { maxDepth = Infinity, isIgnored = () => false, debug = false } = options;
+  const reasons = new Map();
+  const imports = new Map();
+  const queue = [];
+
+  for (const entry of entryFiles) {
+    if (!reasons.has(entry)) {
+      reasons.set(entry, { depth: 0, importedBy: null });
+      queue.push(entry);
+    }
+  }
+
+  // Breadth-first, so every file is reached through its shortest import chain
+  while (queue.length > 0) {
+    const file = queue.shift();
+    const { depth } = reasons.get(file);
+    let dependencies = [];
+
+    try {
+      dependencies = findFileImports(fs.readFileSync(file, 'utf8'), file).filter(dependency => !isIgnored(dependency));
+    } catch (error) {
+      console.warn(`Warning: Failed to read imports of ${file}: ${error.message}`);
+    }
+
+    imports.set(file, dependencies);
+
+    if (depth >= maxDepth) {
+      continue;
+    }
+
+    for (const dependency of dependencies) {
+      if (!reasons.has(dependency)) {
+        reasons.set(dependency, { depth: depth + 1, importedBy: file });
+        queue.push(dependency);
+      }
+    }
+  }
+
+  if (debug) {
+    console.error(`Debug: Import graph reaches ${reasons.size} files from ${entryFiles.length} entries`);
+  }
+
+  // Depth-first post-order puts dependencies before their dependents; cycles are cut where they close
+  const files = [];
+  const visited = new Set();
+  const visit = (file) => {
+    if (visited.has(file)) return;
+    visited.add(file);
+    for (const dependency of imports.get(file) || []) {
+      if (reasons.has(dependency)) {
+        visit(dependency);
+      }
+    }
+    files.push(file);
+  };
+  entryFiles.forEach(visit);
+
+  return { files, reasons };
+}
+
+/**
+ * Extracts the module specifiers of a JavaScript/TypeScript file
+ * @param {string} content - Source code
+ * @param {string} extension - File extension, used to select parser plugins
+ * @returns {string[]} - Module specifiers
+ */
+function extractJavaScriptImports(content, extension) {
+  const isTypeScript = ['.ts', '.tsx', '.mts', '.cts'].includes(extension);
+  const ast = parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: isTypeScript
+      ? ['typescript', 'decorators-legacy', ...(extension === '.tsx' ? ['jsx'] : [])]
+      : ['jsx', 'decorators-legacy']
+  });
+
+  const specifiers = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+        if (node.source) specifiers.push(node.source.value);
+        break;
+      case 'ImportExpression':
+        if (node.source.type === 'StringLiteral') specifiers.push(node.source.value);
+        break;
+      case 'CallExpression': {
+        const [argument] = node.arguments;
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        if ((isRequire || node.callee.type === 'Import') && argument && argument.type === 'StringLiteral') {
+          specifiers.push(argument.value);
+        }
+        break;
+      }
+      case 'TSImportEqualsDeclaration':
+        if (node.moduleReference.type === 'TSExternalModuleReference') {
+          specifiers.push(node.moduleReference.expression.value);
+        }
+        break;
+      default:
+        break;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (!SKIPPED_KEYS.has(key)) {
+        visit(value);
+      }
+    }
+  };
+  visit(ast.program);
+
+  return specifiers;
+}
+
+/**
+ * Resolves a relative JavaScript/TypeScript specifier to a file
+ * @param {string} specifier - Module specifier
+ * @param {string} fromFile - Absolute path of the importing file
+ * @returns {string|null} - Absolute path of the imported file, or null for packages and missing files
+ */
+function resolveJavaScriptImport(specifier, fromFile) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../') && specifier !== '.' && specifier !== '..') {
+    return null;
+  }
+
+  const target = path.resolve(path.dirname(fromFile), specifier.split(/[?#]/)[0]);
+  const extension = path.extname(target);
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map(ext => target + ext),
+    // TypeScript ESM code imports './module.js' for './module.ts'
+    ...(TYPESCRIPT_SOURCE_EXTENSIONS[extension] || []).map(ext => target.slice(0, -extension.length) + ext),
+    ...RESOLVE_EXTENSIONS.map(ext => path.join(target, `index${ext}`))
+  ];
+
+  return candidates.find(isFile) || null;
+}
+
+/**
+ * Extracts the relative imports of a Python file
+ * @param {string} content - Source code
+ * @returns {Array<Object>} - Imports as { level, module, names } objects
+ */
+function extractPythonImports(content) {
+  const imports = [];
+  const pattern = /^[ \t]*from[ \t]+(\.+)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n#;]+)/gm;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const names = match[3]
+      .replace(/[()\\]/g, ' ')
+      .split(',')
+      .map(name => name.trim().split(/\s+/)[0])
+      .filter(name => name && name !== '*');
+
+    imports.push({ level: match[1].length, module: match[2], names });
+  }
+
+  return imports;
+}
+
+/**
+ * Resolves a relative Python import to files
+ * `from .pkg import mod` resolves to the package and, when it exists, the submodule.
+ * @param {Object} imported - Import as { level, module, names }
+ * @param {string} fromFile - Absolute path of the importing file
+ * @returns {string[]} - Absolute paths of the imported files
+ */
+function resolvePythonImport(imported, fromFile) {
+  let baseDir = path.dirname(fromFile);
+  for (let level = 1; level < imported.level; level++) {
+    baseDir = path.dirname(baseDir);
+  }
+
+  const moduleDir = imported.module ? path.join(baseDir, ...imported.module.split('.')) : baseDir;
+  const files = [];
+
+  const moduleFile = imported.module ? resolvePythonModule(moduleDir) : null;
+  if (moduleFile) {
+    files.push(moduleFile);
+  }
+
+  for (const name of imported.names) {
+    const submodule = resolvePythonModule(path.join(moduleDir, name));
+    if (submodule) {
+      files.push(submodule);
+    }
+  }
+
+  // `from . import name` where name is defined in the package itself
+  if (!imported.module && files.length === 0 && isFile(path.join(baseDir, '__init__.py'))) {
+    files.push(path.join(baseDir, '__init__.py'));
+  }
+
+  return files;
+}
+
+/**
+ * Resolves a Python module path to its file
+ * @param {string} modulePath - Absolute module path without extension
+ * @returns {string|null} - The module file or package `__init__.py`, or null
+ */
+function resolvePythonModule(modulePath) {
+  return [`${modulePath}.py`, path.join(modulePath, '__init__.py')].find(isFile) || null;
+}
+
+/**
+ * Checks whether a path is an existing file
+ * @param {string} filePath - Path to check
+ * @returns {boolean} - True for regular files
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
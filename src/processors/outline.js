@@ -0,0 +1,453 @@
+/**
+ * Code outline module
+ *
+ * Reduces source files to their API surface: imports, exports, class,
+ * function and method signatures, type declarations and doc comments.
+ * Function bodies are replaced with an elision marker.
+ *
+ * JavaScript and TypeScript are parsed with @babel/parser; Python is read
+ * statement by statement, following its indentation. Other languages are
+ * not supported and keep their full content.
+ */
+
+import path from 'path';
+import { parse } from '@babel/parser';
+
+/**
+ * File extensions handled by the JavaScript/TypeScript outliner
+ */
+const JAVASCRIPT_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs'];
+const TYPESCRIPT_EXTENSIONS = ['ts', 'tsx', 'mts', 'cts'];
+
+/**
+ * Top-level statements that are part of a module's API surface
+ */
+const OUTLINE_STATEMENTS = new Set([
+  'ImportDeclaration',
+  'ExportNamedDeclaration',
+  'ExportDefaultDeclaration',
+  'ExportAllDeclaration',
+  'FunctionDeclaration',
+  'ClassDeclaration',
+  'VariableDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSInterfaceDeclaration',
+  'TSEnumDeclaration',
+  'TSModuleDeclaration',
+  'TSDeclareFunction',
+  'TSImportEqualsDeclaration',
+  'TSExportAssignment',
+  'TSNamespaceExportDeclaration'
+]);
+
+/**
+ * Nodes whose body is replaced with the elision marker
+ */
+const FUNCTION_NODES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'ObjectMethod'
+]);
+
+/**
+ * AST properties that never contain code to outline
+ */
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Checks whether a file can be outlined
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - True for JavaScript, TypeScript and Python files
+ */
+export function supportsOutline(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return JAVASCRIPT_EXTENSIONS.includes(extension) ||
+    TYPESCRIPT_EXTENSIONS.includes(extension) ||
+    extension === 'py';
+}
+
+/**
+ * Reduces a source file to its outline
+ * @param {string} content - Source code
+ * @param {string} filePath - Path to the file, used to pick the language
+ * @returns {string} - Outline of the file, or the unchanged content for unsupported languages
+ * @throws {Error} If the file cannot be parsed
+ */
+export function outlineSource(content, filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+
+  if (JAVASCRIPT_EXTENSIONS.includes(extension) || TYPESCRIPT_EXTENSIONS.includes(extension)) {
+    return outlineJavaScript(content, extension);
+  }
+
+  if (extension === 'py') {
+    return outlinePython(content);
+  }
+
+  return content;
+}
+
+/**
+ * Outlines JavaScript or TypeScript source
+ * @param {string} source - Source code
+ * @param {string} extension - File extension, used to select parser plugins
+ * @returns {string} - Outline
+ */
+function outlineJavaScript(source, extension) {
+  const plugins = TYPESCRIPT_EXTENSIONS.includes(extension)
+    ? ['typescript', 'decorators-legacy', ...(extension === 'tsx' ? ['jsx'] : [])]
+    : ['jsx', 'decorators-legacy'];
+
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true,
+    plugins
+  });
+
+  const pieces = [];
+  let previous = null;
+
+  for (const node of ast.program.body) {
+    if (!OUTLINE_STATEMENTS.has(node.type) && !isCommonJsExport(node)) {
+      continue;
+    }
+
+    const docComments = (node.leadingComments || []).filter(isDocComment);
+    const start = docComments.length > 0 ? docComments[0].start : node.start;
+
+    // Elide function bodies, then drop comments that are not doc comments
+    const replacements = [];
+    collectElisions(node, replacements);
+
+    for (const comment of ast.comments) {
+      if (comment.start >= start && comment.end <= node.end && !isDocComment(comment) &&
+          !replacements.some(r => comment.start >= r.start && comment.end <= r.end)) {
+        replacements.push(commentDeletion(source, comment));
+      }
+    }
+
+    // Keep statements that were adjacent in the source together
+    const startLine = docComments.length > 0 ? docComments[0].loc.start.line : node.loc.start.line;
+    const separator = previous && startLine - previous.loc.end.line <= 1 ? '\n' : '\n\n';
+
+    pieces.push((pieces.length > 0 ? separator : '') + applyReplacements(source, start, node.end, replacements));
+    previous = node;
+  }
+
+  return pieces.join('') + '\n';
+}
+
+/**
+ * Checks whether a statement assigns to `module.exports` or `exports`
+ * @param {Object} node - Statement node
+ * @returns {boolean} - True for CommonJS export assignments
+ */
+function isCommonJsExport(node) {
+  if (node.type !== 'ExpressionStatement' || node.expression.type !== 'AssignmentExpression') {
+    return false;
+  }
+
+  let target = node.expression.left;
+  while (target.type === 'MemberExpression') {
+    if (target.object.type === 'Identifier' && target.object.name === 'module' &&
+        target.property.type === 'Identifier' && target.property.name === 'exports') {
+      return true;
+    }
+    target = target.object;
+  }
+
+  return target.type === 'Identifier' && target.name === 'exports' && node.expression.left !== target;
+}
+
+/**
+ * Checks whether a comment is a doc comment (`/** ... *\/`)
+ * @param {Object} comment - Comment node
+ * @returns {boolean} - True for doc comments
+ */
+function isDocComment(comment) {
+  return comment.type === 'CommentBlock' && comment.value.startsWith('*');
+}
+
+/**
+ * Collects the function bodies inside a node, without descending into them
+ * @param {Object} node - AST node
+ * @param {Array<Object>} replacements - Receives { start, end, text } objects
+ */
+function collectElisions(node, replacements) {
+  if (FUNCTION_NODES.has(node.type) && node.body) {
+    replacements.push({
+      start: node.body.start,
+      end: node.body.end,
+      text: node.body.type === 'BlockStatement' ? '{ ... }' : '...'
+    });
+    // Parameters and return types stay visible
+    for (const key of ['params', 'returnType', 'typeParameters', 'decorators', 'key']) {
+      visitChildren(node[key], replacements);
+    }
+    return;
+  }
+
+  if (node.type === 'StaticBlock') {
+    replacements.push({ start: node.start, end: node.end, text: 'static { ... }' });
+    return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (!SKIPPED_KEYS.has(key)) {
+      visitChildren(value, replacements);
+    }
+  }
+}
+
+/**
+ * Visits a child value of an AST node
+ * @param {*} value - Node, array of nodes or other property value
+ * @param {Array<Object>} replacements - Receives { start, end, text } objects
+ */
+function visitChildren(value, replacements) {
+  if (Array.isArray(value)) {
+    value.forEach(item => visitChildren(item, replacements));
+  } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+    collectElisions(value, replacements);
+  }
+}
+
+/**
+ * Builds the replacement that deletes a comment
+ * A comment on a line of its own is removed with its line.
+ * @param {string} source - Source code
+ * @param {Object} comment - Comment node
+ * @returns {Object} - { start, end, text } replacement
+ */
+function commentDeletion(source, comment) {
+  const lineStart = source.lastIndexOf('\n', comment.start - 1) + 1;
+  const lineEnd = source.indexOf('\n', comment.end);
+  const before = source.slice(lineStart, comment.start);
+  const after = source.slice(comment.end, lineEnd === -1 ? source.length : lineEnd);
+
+  if (!before.trim() && !after.trim()) {
+    return { start: lineStart, end: lineEnd === -1 ? source.length : lineEnd + 1, text: '' };
+  }
+
+  const leadingSpaces = before.length - before.trimEnd().length;
+  return { start: comment.start - leadingSpaces, end: comment.end, text: '' };
+}
+
+/**
+ * Copies a range of the source, applying replacements inside it
+ * @param {string} source - Source code
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {Array<Object>} replacements - Non-overlapping { start, end, text } objects
+ * @returns {string} - Resulting text
+ */
+function applyReplacements(source, start, end, replacements) {
+  let result = '';
+  let position = start;
+
+  for (const replacement of [...replacements].sort((a, b) => a.start - b.start)) {
+    if (replacement.start < position) {
+      continue;
+    }
+    result += source.slice(position, replacement.start) + replacement.text;
+    position = Math.min(Math.max(position, replacement.end), end);
+  }
+
+  return (result + source.slice(position, end)).replace(/[ \t]+$/gm, '');
+}
+
+/**
+ * Outlines Python source
+ * Keeps imports, module and class level assignments, decorators, class and
+ * function signatures and docstrings. Function bodies become `...`, and
+ * statements nested in other blocks (if, try, for...) are dropped.
+ * @param {string} source - Source code
+ * @returns {string} - Outline
+ */
+function outlinePython(source) {
+  const statements = splitPythonStatements(source);
+  const output = [];
+  const classScopes = [];
+  let skipDeeperThan = null;
+  let previous = null;
+
+  statements.forEach((statement, index) => {
+    const { indent, text } = statement;
+
+    // Skip the body of an elided function
+    if (skipDeeperThan !== null) {
+      if (indent > skipDeeperThan) return;
+      skipDeeperThan = null;
+    }
+
+    // Leave class bodies that have ended
+    while (classScopes.length > 0 && indent <= classScopes[classScopes.length - 1].headerIndent) {
+      classScopes.pop();
+    }
+
+    const scope = classScopes[classScopes.length - 1];
+    if (scope && scope.bodyIndent === null) {
+      scope.bodyIndent = indent;
+    }
+
+    const inScope = scope ? indent === scope.bodyIndent : indent === 0;
+    if (!inScope) return;
+
+    const kind = getPythonStatementKind(text);
+    const startsBlock = kind === 'def' || kind === 'class' || kind === 'decorator';
+
+    if (startsBlock && output.length > 0 && previous && previous.kind !== 'decorator' && previous.kind !== 'class') {
+      output.push('');
+    }
+
+    if (kind === 'def') {
+      output.push(...statement.lines);
+
+      // One-line functions have nothing to elide
+      if (!endsWithColon(statement.lines)) {
+        previous = { kind };
+        return;
+      }
+
+      const next = statements[index + 1];
+      const bodyIndentation = next && next.indent > indent
+        ? next.lines[0].match(/^\s*/)[0]
+        : `${statement.lines[0].match(/^\s*/)[0]}    `;
+
+      if (next && next.indent > indent && getPythonStatementKind(next.text) === 'docstring') {
+        output.push(...next.lines);
+      }
+
+      output.push(`${bodyIndentation}...`);
+      skipDeeperThan = indent;
+    } else if (kind === 'class') {
+      output.push(...statement.lines);
+      if (endsWithColon(statement.lines)) {
+        classScopes.push({ headerIndent: indent, bodyIndent: null });
+      }
+    } else if (kind === 'docstring') {
+      // Only the first statement of the module or a class is a docstring
+      if (previous === null || previous.kind === 'class') {
+        output.push(...statement.lines);
+      }
+    } else if (kind === 'import' || kind === 'decorator' || kind === 'assignment') {
+      output.push(...statement.lines);
+    }
+
+    previous = { kind };
+  });
+
+  return output.join('\n').replace(/[ \t]+$/gm, '') + '\n';
+}
+
+/**
+ * Classifies a Python statement
+ * @param {string} text - Statement text
+ * @returns {string} - 'def', 'class', 'decorator', 'import', 'docstring', 'assignment' or 'other'
+ */
+function getPythonStatementKind(text) {
+  const trimmed = text.trimStart();
+
+  if (/^(async\s+)?def\s/.test(trimmed)) return 'def';
+  if (/^class\s/.test(trimmed)) return 'class';
+  if (trimmed.startsWith('@')) return 'decorator';
+  if (/^(import|from)\s/.test(trimmed)) return 'import';
+  if (/^[rRuUbBfF]{0,2}("""|'''|"|')/.test(trimmed)) return 'docstring';
+  if (/^[A-Za-z_][\w.]*(\s*,\s*[A-Za-z_][\w.]*)*\s*(:[^=]+)?=(?!=)/.test(trimmed) ||
+      /^[A-Za-z_]\w*\s*:\s*\S/.test(trimmed)) {
+    return 'assignment';
+  }
+  return 'other';
+}
+
+/**
+ * Checks whether a statement opens an indented block
+ * @param {string[]} lines - Lines of the statement
+ * @returns {boolean} - True when the statement ends with a colon
+ */
+function endsWithColon(lines) {
+  return /:\s*(#.*)?$/.test(lines[lines.length - 1]);
+}
+
+/**
+ * Splits Python source into logical statements
+ * Blank lines and comment lines are dropped; statements spanning several
+ * lines (brackets, triple-quoted strings, backslash continuations) are kept together.
+ * @param {string} source - Source code
+ * @returns {Array<Object>} - Statements as { indent, lines, text } objects
+ */
+function splitPythonStatements(source) {
+  const lines = source.split(/\r?\n/);
+  const statements = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const first = lines[i];
+    const trimmed = first.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let depth = 0;
+    let quote = null;
+
+    for (;;) {
+      const line = lines[i];
+
+      for (let j = 0; j < line.length; j++) {
+        const ch = line[j];
+
+        if (quote) {
+          if (ch === '\\') {
+            j++;
+          } else if (line.startsWith(quote, j)) {
+            j += quote.length - 1;
+            quote = null;
+          }
+          continue;
+        }
+
+        if (ch === '#') {
+          break;
+        } else if (ch === '"' || ch === "'") {
+          quote = line.startsWith(ch.repeat(3), j) ? ch.repeat(3) : ch;
+          j += quote.length - 1;
+        } else if ('([{'.includes(ch)) {
+          depth++;
+        } else if (')]}'.includes(ch)) {
+          depth = Math.max(0, depth - 1);
+        }
+      }
+
+      // Single-quoted strings cannot span lines
+      if (quote && quote.length === 1) {
+        quote = null;
+      }
+
+      i++;
+      const continued = quote !== null || depth > 0 || line.endsWith('\\');
+      if (!continued || i >= lines.length) {
+        break;
+      }
+    }
+
+    const statementLines = lines.slice(start, i);
+    statements.push({
+      indent: first.length - first.trimStart().length,
+      lines: statementLines,
+      text: statementLines.join('\n')
+    });
+  }
+
+  return statements;
+}
@@ -6,9 +6,35 @@
  */
 
 import fs from 'fs/promises';
+import fsSync from 'fs';
 import path from 'path';
 import { globSync } from 'glob';
-import { removeComments, getFileHeaderCommentStyle } from '../utils/comment-handler.js';
+import { minimatch } from 'minimatch';
+import { COMMENT_MODES, removeComments, removeDeadCodeComments, getFileHeaderCommentStyle } from '../utils/comment-handler.js';
+import { outlineSource, supportsOutline } from './outline.js';
+import { buildImportGraph } from './import-graph.js';
+import { getGitChanges } from './git-changes.js';
+import { createIgnoreFilter } from '../utils/ignore-handler.js';
+import { countTokens } from '../utils/token-counter.js';
+import { getSkipReason } from '../utils/file-classifier.js';
+import { decodeBuffer, parseEncoding } from '../utils/encoding.js';
+import { truncateText } from './truncate.js';
+import { parseRedactionRules, redactSecrets } from './redact.js';
+import { compressContent, parseCompressionLevel } from './compress.js';
+import { deduplicateSections, parseDedupSetting } from './dedup.js';
+import { OUTPUT_FORMATS, formatProjectOutput, getFileLanguage } from '../formatters/project-formatter.js';
+import {
+  BUDGET_STRATEGIES,
+  DEFAULT_PRIORITY_PATTERNS,
+  allocateTokenBudget,
+  parsePriorityPatterns
+} from './budget-allocator.js';
+
+/**
+ * Largest share of the token budget the layout view may take before it is collapsed
+ * to one line per directory, and then left out, so files can still be included
+ */
+const LAYOUT_BUDGET_SHARE = 0.5;
 
 /**
  * Process a project directory and aggregate content from matching files
@@ -16,24 +42,78 @@ import { removeComments, getFileHeaderCommentStyle } from '../utils/comment-hand
  * @param {string} options.projectPath - Path to the project directory
  * @param {string} options.filePattern - Glob pattern for matching files (default: '*')
  * @param {boolean} options.suppressLayout - Whether to suppress the ASCII layout view
- * @param {boolean} options.includeComments - Whether to include comments in output
+ * @param {boolean} options.includeComments - Whether to include comments in output (same as comments 'all')
+ * @param {string} options.comments - Comment handling mode ('none', 'docs', 'all', 'license'); overrides includeComments
+ * @param {boolean} options.dropDeadCodeComments - Remove comment blocks that contain commented-out code
+ * @param {boolean} options.outline - Reduce JS/TS and Python files to their signatures and doc comments
  * @param {string} options.commentStyle - Style for file headers in output
  * @param {boolean} options.debug - Enable debug output
+ * @param {boolean} options.ignoreGitignore - Disable processing of .gitignore files
+ * @param {string} options.customIgnoreString - Comma-separated custom ignore patterns
+ * @param {string} options.customIgnoreFilename - Path to a custom ignore file
+ * @param {string} options.defaultIgnore - Path to a default ignore file
  * @param {number|string} options.folderOutputLevel - Directory depth level for output generation or 'all' for all subdirectories
  * @param {string} options.output - Output filename
+ * @param {string} options.budgetStrategy - How to share the token budget between files ('fair', 'proportional', 'priority', 'none')
+ * @param {string} options.budgetPriority - Comma-separated `glob:weight` pairs for the priority strategy
+ * @param {string} options.outputFormat - Multi-file output format ('text', 'xml', 'markdown', 'json', 'jsonl')
+ * @param {string|string[]} options.entry - Entry files; when set, only files reachable through imports are processed
+ * @param {number} options.entryDepth - Maximum number of import hops from an entry file
+ * @param {string} options.since - Git ref; when set, only files changed since the ref are processed, with their diffs
+ * @param {string} options.diff - Git range (`base..head`); when set, only files changed in the range are processed
+ * @param {number} options.diffContext - Lines of context around each change in the diffs (default: 3)
+ * @param {boolean} options.redact - Replace secrets with typed placeholders (default: true)
+ * @param {Array<Object>} options.redactionRules - Custom redaction rules as { name, pattern, flags } objects
+ * @param {boolean|string} options.compress - Compression level; 'code' and 'aggressive' minify each file for its language
+ * @param {boolean} options.dedup - Send blocks repeated across files, and identical files, only once
+ * @param {number} options.dedupLines - Lines in the windows compared across files (default: 5)
+ * @param {number} options.dedupMinFiles - Files a block must appear in to be shared (default: 3)
+ * @param {number} options.maxFileSize - Skip files larger than this many kilobytes
+ * @param {number} options.maxFileTokens - Skip files with more tokens than this
+ * @param {string} options.encoding - Encoding of the files, or 'auto' to detect it for each file (default)
+ * @param {Object} [context] - Token settings for the generated content
+ * @param {Object} [context.tokenizer] - Tokenizer from loadTokenizer (defaults to the heuristic estimate)
+ * @param {number} [context.maxTokens] - Token budget for each generated output (layout, headers and files)
+ * @param {Array<Object>} [context.redactions] - Receives a { source, line, type } finding for each redacted secret
+ * @param {Array<Object>} [context.compression] - Receives { source, before, after } token counts for each compressed file
  * @returns {Promise<string|Array<Object>>} - Aggregated content from matching files or array of folder outputs
  */
-export async function processProjectDirectory(options) {
+export async function processProjectDirectory(options, context = {}) {
   const {
     projectPath,
     filePattern = '*',
-    suppressLayout = false, 
-    includeComments = false,
-    commentStyle = '//',
     debug = false,
     folderOutputLevel,
-    output
+    budgetStrategy,
+    outputFormat,
+    comments
   } = options;
+  const entries = [].concat(options.entry || []);
+
+  if (outputFormat && !OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid output format: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (comments && !COMMENT_MODES.includes(comments)) {
+    throw new Error(`Invalid comment mode: ${comments}. Must be one of: ${COMMENT_MODES.join(', ')}`);
+  }
+
+  if (budgetStrategy && budgetStrategy !== 'none' && !BUDGET_STRATEGIES.includes(budgetStrategy)) {
+    throw new Error(`Invalid budget strategy: ${budgetStrategy}. Must be one of: ${BUDGET_STRATEGIES.join(', ')}, none`);
+  }
+
+  // Fail early on custom redaction rules that do not compile, unknown compression levels and encodings
+  parseRedactionRules(options.redactionRules);
+  parseEncoding(options.encoding);
+  parseCompressionLevel(options.compress);
+  parseDedupSetting(options.dedupLines, 'dedup window');
+  parseDedupSetting(options.dedupMinFiles, 'dedup file count');
+  
+  for (const [name, value] of [['max file size', options.maxFileSize], ['max file tokens', options.maxFileTokens]]) {
+    if (value !== undefined && !(Number(value) > 0)) {
+      throw new Error(`Invalid ${name}: ${value}. Must be a positive number`);
+    }
+  }
 
   if (debug) {
     console.error(`Debug: Processing project directory: ${projectPath}`);
@@ -53,53 +133,471 @@ export async function processProjectDirectory(options) {
     throw new Error(`Invalid project path: ${error.message}`);
   }
 
-  // Find all matching files using glob pattern
-  const globPattern = path.join(projectPath, '**', filePattern);
-  const files = globSync(globPattern, { 
-    dot: true,
-    nodir: true,
-    ignore: ['**/node_modules/**', '**/.git/**'] // Default ignores
-  });
+  let files;
+  let renderContext = context;
 
-  if (debug) {
-    console.error(`Debug: Found ${files.length} matching files`);
+  if (entries.length > 0 && (options.since || options.diff)) {
+    throw new Error('--entry cannot be combined with --since or --diff');
   }
 
-  if (files.length === 0) {
-    throw new Error(`No files found matching pattern: ${filePattern} in ${projectPath}`);
+  if (options.since || options.diff) {
+    // Take the files touched by a change set, with their diffs
+    const changeSet = findChangedFiles(projectPath, options);
+    files = changeSet.files;
+    const reasons = new Map(files.map(file => [file, changeSet.changes.get(file).status]));
+    renderContext = { ...context, reasons, changes: changeSet.changes };
+
+    if (files.length === 0) {
+      throw new Error(`No changed files found in ${projectPath} for ${options.since ? `--since ${options.since}` : `--diff ${options.diff}`}`);
+    }
+  } else if (entries.length > 0) {
+    // Follow imports from the entry files instead of matching a pattern
+    const graph = findEntryFiles(projectPath, entries, options);
+    files = graph.files;
+    renderContext = { ...context, reasons: graph.reasons };
+
+    if (debug) {
+      console.error(`Debug: Found ${files.length} files reachable from ${entries.join(', ')}`);
+    }
+  } else {
+    // Find all matching files using glob pattern, pruning ignored paths during traversal
+    files = findProjectFiles(projectPath, filePattern, options);
+
+    if (debug) {
+      console.error(`Debug: Found ${files.length} matching files`);
+    }
+
+    if (files.length === 0) {
+      throw new Error(`No files found matching pattern: ${filePattern} in ${projectPath}`);
+    }
   }
 
   // If folderOutputLevel is defined, process each target directory separately
   if (folderOutputLevel !== undefined) {
-    return processByFolderLevel(projectPath, files, folderOutputLevel, options);
+    return processByFolderLevel(projectPath, files, folderOutputLevel, options, renderContext);
   }
 
   // Standard processing for single output
-  // Generate ASCII layout view if not suppressed
-  let singleOutput = '';
-  if (!suppressLayout) {
-    singleOutput += generateLayoutView(projectPath, files) + '\n\n';
-  }
+  return renderProjectContent(projectPath, projectPath, files, options, renderContext);
+}
 
-  // Process each file and aggregate content
+/**
+ * Render the layout view and the file sections for a set of files
+ * When a token budget is set, the budget is shared between the files with the
+ * selected strategy: files over their share are cut in the middle, keeping
+ * their head and tail, and files that get no useful share are omitted. Both
+ * are tagged in the layout view.
+ * @param {string} projectPath - Root path of the project, used for file paths
+ * @param {string} layoutRoot - Directory the layout view is drawn from
+ * @param {string[]} files - Files to include
+ * @param {Object} options - Processing options
+ * @param {Object} context - Token settings (see processProjectDirectory), plus the
+ *   reasons files were included in entry and change set modes (see findEntryFiles) and,
+ *   in change set mode, the changes by file (see findChangedFiles)
+ * @param {boolean} [lenient=false] - Warn about unreadable files instead of throwing
+ * @returns {Promise<string>} - Layout view followed by the files, in the selected output format
+ */
+async function renderProjectContent(projectPath, layoutRoot, files, options, context, lenient = false) {
+  const {
+    suppressLayout = false,
+    includeComments = false,
+    outline = false,
+    dropDeadCodeComments = false,
+    commentStyle = '//',
+    debug = false,
+    budgetStrategy = 'fair',
+    outputFormat = 'text',
+    redact = true,
+    dedup = false
+  } = options;
+  const { tokenizer, maxTokens } = context;
+  const commentMode = options.comments || (includeComments ? 'all' : 'none');
+  const redactionRules = redact ? parseRedactionRules(options.redactionRules) : [];
+  const compressionLevel = parseCompressionLevel(options.compress);
+  const compressFiles = compressionLevel === 'code' || compressionLevel === 'aggressive';
+  const encoding = parseEncoding(options.encoding);
+
+  // Read each file and prepare its section
+  const sections = [];
+  const skipped = new Map();
   for (const file of files) {
-    const relativePath = path.relative(projectPath, file);
-    const content = await fs.readFile(file, 'utf8');
-    
-    // Process content based on options (handle comments)
-    const processedContent = includeComments 
-      ? content 
-      : removeComments(content, file);
-    
-    // Get dynamic comment style for file header based on file type
-    const headerCommentStyle = commentStyle || getFileHeaderCommentStyle(file);
+    try {
+      // In change set mode the post-change content comes from git
+      const change = context.changes ? context.changes.get(file) : undefined;
+      
+      // Skip oversized, binary, generated and minified files, keeping them in the layout;
+      // other files are decoded to normalized UTF-8 text
+      const size = change ? change.content.length : (await fs.stat(file)).size;
+      let skipReason = options.maxFileSize && size > options.maxFileSize * 1024 ? 'too large' : null;
+      let rawContent = '';
+      let fileEncoding = null;
+      if (!skipReason) {
+        const buffer = change ? change.content : await fs.readFile(file);
+        const decoded = decodeBuffer(buffer, encoding);
+        fileEncoding = buffer.length > 0 ? decoded.encoding : null;
+        skipReason = getSkipReason(file, buffer, decoded);
+        rawContent = decoded.text;
+        if (!skipReason && decoded.invalidCharacters > 0) {
+          console.warn(`Warning: ${path.relative(projectPath, file)} could not be fully decoded as ${decoded.encoding}: ${decoded.invalidCharacters} invalid byte sequences replaced`);
+        } else if (!skipReason && debug && decoded.encoding !== 'utf-8') {
+          console.error(`Debug: Decoded ${path.relative(projectPath, file)} from ${decoded.encoding}`);
+        }
+      }
+      if (!skipReason && options.maxFileTokens && countTokens(rawContent, tokenizer) > options.maxFileTokens) {
+        skipReason = 'too many tokens';
+      }
+      if (skipReason) {
+        skipped.set(file, skipReason);
+        if (debug) {
+          console.error(`Debug: Skipped ${path.relative(projectPath, file)} (${skipReason})`);
+        }
+        continue;
+      }
+      
+      // Redact secrets before any other processing, so findings refer to lines of the file
+      let content = rawContent;
+      // The diff lines are in the encoding of the file; the diff of a deleted file is detected on its own
+      let diff = change ? decodeBuffer(change.diff, encoding || fileEncoding).text : undefined;
+      if (redact) {
+        const source = path.relative(process.cwd(), file) || file;
+        const redacted = redactSecrets(rawContent, { rules: redactionRules, source });
+        content = redacted.text;
+        let findings = redacted.findings;
+        
+        if (diff !== undefined) {
+          const redactedDiff = redactSecrets(diff, { rules: redactionRules, source: `${source} (diff)` });
+          diff = redactedDiff.text;
+          findings = findings.concat(redactedDiff.findings);
+        }
+        
+        if (context.redactions) {
+          context.redactions.push(...findings);
+        }
+        if (debug && findings.length > 0) {
+          console.error(`Debug: Redacted ${findings.length} secrets in ${source}`);
+        }
+      }
+      
+      // Reduce supported source files to their outline, keeping only doc comments
+      let processedContent = null;
+      if (outline && supportsOutline(file)) {
+        try {
+          processedContent = outlineSource(content, file);
+        } catch (outlineError) {
+          console.warn(`Warning: Failed to outline file ${file}: ${outlineError.message}. Using full content.`);
+        }
+      }
+      
+      // Process content based on options (handle comments)
+      if (processedContent === null) {
+        processedContent = removeComments(content, file, commentMode);
+        
+        if (dropDeadCodeComments && commentMode !== 'none') {
+          const { content: liveContent, droppedLines } = removeDeadCodeComments(processedContent, file);
+          processedContent = liveContent;
+          if (debug && droppedLines > 0) {
+            console.error(`Debug: Dropped ${droppedLines} lines of commented-out code from ${path.relative(projectPath, file)}`);
+          }
+        }
+      }
+      
+      // Minify whitespace for the file's language before the token budget is shared
+      if (compressFiles) {
+        const beforeTokens = context.compression ? countTokens(processedContent, tokenizer) : 0;
+        processedContent = compressContent(processedContent, compressionLevel, file);
+        
+        if (context.compression) {
+          context.compression.push({
+            source: path.relative(process.cwd(), file) || file,
+            before: beforeTokens,
+            after: countTokens(processedContent, tokenizer)
+          });
+        }
+      }
+      
+      sections.push({
+        file,
+        path: path.relative(projectPath, file),
+        language: getFileLanguage(file),
+        size,
+        // Get dynamic comment style for file header based on file type
+        commentStyle: commentStyle || getFileHeaderCommentStyle(file),
+        content: processedContent,
+        ...(change ? { change: change.status, diff } : {})
+      });
+    } catch (fileError) {
+      if (!lenient) {
+        throw fileError;
+      }
+      // Log error but continue with other files
+      console.warn(`Warning: Failed to process file ${file}: ${fileError.message}`);
+    }
+  }
+
+  // Send blocks repeated across files, and identical files, only once
+  let sharedBlocks = [];
+  if (dedup) {
+    const deduplicated = deduplicateSections(sections, {
+      windowLines: parseDedupSetting(options.dedupLines, 'dedup window'),
+      minFiles: parseDedupSetting(options.dedupMinFiles, 'dedup file count')
+    });
+    sharedBlocks = deduplicated.sharedBlocks;
     
-    // Add file header with the appropriate comment style
-    singleOutput += `${headerCommentStyle} FILE: ${relativePath}\n`;
-    singleOutput += processedContent + '\n\n';
+    if (debug) {
+      console.error(`Debug: Deduplicated ${deduplicated.aliases} identical files and ${sharedBlocks.length} shared blocks`);
+    }
   }
 
-  return singleOutput;
+  let layoutFailed = false;
+  const getLayout = (annotations, layoutMode) => {
+    if (suppressLayout || layoutFailed || layoutMode === 'none') {
+      return null;
+    }
+    try {
+      return layoutMode === 'collapsed'
+        ? generateCollapsedLayoutView(layoutRoot, files, annotations, skipped)
+        : generateLayoutView(layoutRoot, files, annotations, context.reasons, skipped);
+    } catch (layoutError) {
+      if (!lenient) {
+        throw layoutError;
+      }
+      console.warn(`Warning: Failed to generate layout for directory ${layoutRoot}: ${layoutError.message}`);
+      // Continue without layout if it fails
+      layoutFailed = true;
+      return null;
+    }
+  };
+  // The layout view is 'full', 'collapsed' to directories, or 'none'
+  const render = (annotations, fileSections, layoutMode = 'full') =>
+    formatProjectOutput({ layout: getLayout(annotations, layoutMode), sharedBlocks, files: fileSections }, outputFormat, tokenizer);
+
+  let annotations = new Map();
+  let layoutMode = 'full';
+  if (maxTokens && budgetStrategy !== 'none') {
+    ({ annotations, layoutMode } = fitSectionsToBudget(sections, render, maxTokens, options, tokenizer));
+  }
+
+  if (debug && annotations.size > 0) {
+    const omitted = sections.filter(section => section.omitted).length;
+    console.error(`Debug: Token budget (${budgetStrategy}): ${sections.length - annotations.size} files kept in full, ` +
+      `${annotations.size - omitted} truncated, ${omitted} omitted`);
+  }
+  if (debug && layoutMode !== 'full' && !suppressLayout) {
+    console.error(`Debug: Layout view ${layoutMode === 'collapsed' ? 'collapsed to directories' : 'left out'} to fit the token budget`);
+  }
+
+  return render(annotations, sections.filter(section => !section.omitted), layoutMode);
+}
+
+/**
+ * Share a token budget between file sections, truncating or omitting files in place
+ * A layout view that takes more than LAYOUT_BUDGET_SHARE of the budget is collapsed
+ * to directories, or left out when that is still too long.
+ * @param {Array<Object>} sections - File sections as { file, path, content, ... } objects
+ * @param {Function} render - Renders the output for a map of file annotations, a list of
+ *   sections and a layout mode ('full', 'collapsed' or 'none')
+ * @param {number} maxTokens - Token budget for the whole rendered output
+ * @param {Object} options - Processing options (budgetStrategy and budgetPriority are used)
+ * @param {Object} [tokenizer] - Tokenizer used to count tokens
+ * @returns {Object} - { annotations, layoutMode } with the annotation ('truncated' or 'omitted')
+ *   by file path and the layout mode the output fits with
+ */
+function fitSectionsToBudget(sections, render, maxTokens, options, tokenizer) {
+  const strategy = options.budgetStrategy || 'fair';
+  const priorityPatterns = [...parsePriorityPatterns(options.budgetPriority), ...DEFAULT_PRIORITY_PATTERNS];
+
+  if (countTokens(render(new Map(), sections), tokenizer) <= maxTokens) {
+    return { annotations: new Map(), layoutMode: 'full' };
+  }
+
+  // The cost of a file's header is what an empty copy of the file adds to the output
+  // without the layout view, which would otherwise be rendered again for every file
+  const bareTokens = countTokens(render(new Map(), [], 'none'), tokenizer);
+  const indexByPath = new Map(sections.map((section, i) => [section.path, i]));
+  const entries = sections.map(section => {
+    const tokens = countTokens(section.content, tokenizer);
+    const emptySection = { ...section, content: '', originalTokens: tokens };
+    return {
+      path: section.path.split(path.sep).join('/'),
+      tokens,
+      headerTokens: countTokens(render(new Map(), [emptySection], 'none'), tokenizer) - bareTokens,
+      aliasOf: section.aliasOf === undefined ? undefined : indexByPath.get(section.aliasOf)
+    };
+  });
+
+  // Tagging files makes the layout view longer, so allocate again until it settles;
+  // a layout view too long for the budget is shortened first
+  const layoutModes = ['full', 'collapsed', 'none'];
+  let layoutMode = 'full';
+  let frameTokens = countTokens(render(new Map(), [], layoutMode), tokenizer);
+  let annotations = new Map();
+  let allocation = [];
+  for (let attempt = 0; attempt < 3; attempt++) {
+    while (frameTokens > maxTokens * LAYOUT_BUDGET_SHARE && layoutMode !== 'none') {
+      layoutMode = layoutModes[layoutModes.indexOf(layoutMode) + 1];
+      frameTokens = countTokens(render(annotations, [], layoutMode), tokenizer);
+    }
+
+    allocation = allocateTokenBudget(entries, Math.max(0, maxTokens - frameTokens), strategy, priorityPatterns);
+    annotations = new Map();
+    allocation.forEach((result, i) => {
+      if (result.status !== 'full') {
+        annotations.set(sections[i].file, result.status);
+      }
+    });
+
+    const taggedFrameTokens = countTokens(render(annotations, [], layoutMode), tokenizer);
+    if (taggedFrameTokens <= frameTokens) {
+      break;
+    }
+    frameTokens = taggedFrameTokens;
+  }
+
+  allocation.forEach((result, i) => {
+    const section = sections[i];
+    if (result.status === 'omitted') {
+      section.omitted = true;
+    } else if (result.status === 'truncated') {
+      section.originalTokens = result.tokens;
+      section.content = truncateText(section.content, result.allocated, 'middle', tokenizer);
+    }
+  });
+
+  return { annotations, layoutMode };
+}
+
+/**
+ * Find the files reachable from entry files through their imports
+ * @param {string} projectPath - Root path of the project
+ * @param {string[]} entries - Entry files, relative to the working directory or to the project
+ * @param {Object} options - Processing options (entryDepth, debug and ignore related options are used)
+ * @returns {Object} - { files, reasons } with the files ordered so that dependencies come first,
+ *   and the reason each file was included ('entry' or 'imported by <path>') keyed by file
+ * @throws {Error} If an entry file cannot be found or the entry depth is invalid
+ */
+export function findEntryFiles(projectPath, entries, options = {}) {
+  const root = path.resolve(projectPath);
+  let maxDepth = Infinity;
+
+  if (options.entryDepth !== undefined) {
+    maxDepth = Number(options.entryDepth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+      throw new Error(`Invalid entry depth: ${options.entryDepth}. Must be a non-negative integer.`);
+    }
+  }
+
+  const isIgnored = createIgnoreFilter({
+    projectPath,
+    ignoreGitignore: options.ignoreGitignore,
+    customIgnoreString: options.customIgnoreString,
+    customIgnoreFilename: options.customIgnoreFilename,
+    defaultIgnore: options.defaultIgnore
+  });
+
+  const entryFiles = entries.map(entry => {
+    const candidates = [path.resolve(entry), path.resolve(root, entry)];
+    const entryFile = candidates.find(candidate => {
+      const relativePath = path.relative(root, candidate);
+      return !relativePath.startsWith('..') && !path.isAbsolute(relativePath) && existsAsFile(candidate);
+    });
+
+    if (!entryFile) {
+      throw new Error(`Entry file not found in ${projectPath}: ${entry}`);
+    }
+    return entryFile;
+  });
+
+  const graph = buildImportGraph(entryFiles, {
+    maxDepth,
+    debug: options.debug,
+    // Keep the graph inside the project and out of ignored paths
+    isIgnored: (file) => {
+      const relativePath = path.relative(root, file);
+      return relativePath.startsWith('..') || path.isAbsolute(relativePath) || isIgnored(file);
+    }
+  });
+
+  const reasons = new Map();
+  for (const [file, { importedBy }] of graph.reasons) {
+    reasons.set(file, importedBy
+      ? `imported by ${path.relative(root, importedBy).split(path.sep).join('/')}`
+      : 'entry');
+  }
+
+  return { files: graph.files, reasons };
+}
+
+/**
+ * Find the files changed in a git change set
+ * @param {string} projectPath - Root path of the project, inside a git work tree
+ * @param {Object} options - Processing options (since, diff, diffContext, filePattern, debug and
+ *   ignore related options are used)
+ * @returns {Object} - { files, changes } as returned by getGitChanges, limited to the files that
+ *   match the file pattern and are not ignored
+ */
+export function findChangedFiles(projectPath, options = {}) {
+  const { filePattern = '*' } = options;
+  const root = path.resolve(projectPath);
+  const isIgnored = createIgnoreFilter({
+    projectPath,
+    ignoreGitignore: options.ignoreGitignore,
+    customIgnoreString: options.customIgnoreString,
+    customIgnoreFilename: options.customIgnoreFilename,
+    defaultIgnore: options.defaultIgnore
+  });
+
+  return getGitChanges(projectPath, {
+    since: options.since,
+    diff: options.diff,
+    diffContext: options.diffContext,
+    debug: options.debug,
+    isIncluded: (file) => {
+      const relativePath = path.relative(root, file).split(path.sep).join('/');
+      return !isIgnored(file) && minimatch(relativePath, `**/${filePattern}`, { dot: true });
+    }
+  });
+}
+
+/**
+ * Check whether a path is an existing file
+ * @param {string} filePath - Path to check
+ * @returns {boolean} - True for regular files
+ */
+function existsAsFile(filePath) {
+  try {
+    return fsSync.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the files in a project directory that match the file pattern and are not ignored
+ * @param {string} projectPath - Root path of the project
+ * @param {string} filePattern - Glob pattern for matching files
+ * @param {Object} options - Processing options (ignore related options are used)
+ * @returns {string[]} - Sorted list of matching file paths
+ */
+export function findProjectFiles(projectPath, filePattern, options = {}) {
+  const isIgnored = createIgnoreFilter({
+    projectPath,
+    ignoreGitignore: options.ignoreGitignore,
+    customIgnoreString: options.customIgnoreString,
+    customIgnoreFilename: options.customIgnoreFilename,
+    defaultIgnore: options.defaultIgnore
+  });
+  
+  const globPattern = path.join(projectPath, '**', filePattern);
+  const files = globSync(globPattern, {
+    dot: true,
+    nodir: true,
+    ignore: {
+      ignored: (p) => isIgnored(p.fullpath(), p.isDirectory()),
+      childrenIgnored: (p) => isIgnored(p.fullpath(), true)
+    }
+  });
+  
+  return files.sort();
 }
 
 /**
@@ -108,13 +606,11 @@ export async function processProjectDirectory(options) {
  * @param {string[]} allFiles - List of all files in the project
  * @param {number|string} targetDepthOrAll - Target directory depth level or 'all' for all subdirectories
  * @param {Object} options - Processing options
+ * @param {Object} context - Token settings, applied to each directory's output
  * @returns {Promise<Array<Object>>} - Array of objects with directory path, content, and output filename
  */
-async function processByFolderLevel(projectPath, allFiles, targetDepthOrAll, options) {
+async function processByFolderLevel(projectPath, allFiles, targetDepthOrAll, options, context) {
   const {
-    suppressLayout = false,
-    includeComments = false,
-    commentStyle = '//',
     debug = false,
     output
   } = options;
@@ -186,43 +682,9 @@ async function processByFolderLevel(projectPath, allFiles, targetDepthOrAll, opt
         continue;
       }
       
-      // Generate content for this directory
-      let dirContent = '';
-      
-      // Generate layout view for this directory if not suppressed
-      if (!suppressLayout) {
-        try {
-          // For layout generation, we need to adjust the projectPath to be the target directory
-          const fullDirPath = path.join(projectPath, dirPath);
-          dirContent += generateLayoutView(fullDirPath, dirFiles) + '\n\n';
-        } catch (layoutError) {
-          console.warn(`Warning: Failed to generate layout for directory ${dirPath}: ${layoutError.message}`);
-          // Continue without layout if it fails
-        }
-      }
-      
-      // Process each file in this directory
-      for (const file of dirFiles) {
-        try {
-          const relativePath = path.relative(projectPath, file);
-          const content = await fs.readFile(file, 'utf8');
-          
-          // Process content based on options (handle comments)
-          const processedContent = includeComments 
-            ? content 
-            : removeComments(content, file);
-          
-          // Get dynamic comment style for file header based on file type
-          const headerCommentStyle = commentStyle || getFileHeaderCommentStyle(file);
-          
-          // Add file header with the appropriate comment style
-          dirContent += `${headerCommentStyle} FILE: ${relativePath}\n`;
-          dirContent += processedContent + '\n\n';
-        } catch (fileError) {
-          // Log error but continue with other files
-          console.warn(`Warning: Failed to process file ${file}: ${fileError.message}`);
-        }
-      }
+      // Generate content for this directory, using the directory as the layout root
+      const fullDirPath = path.join(projectPath, dirPath);
+      const dirContent = await renderProjectContent(projectPath, fullDirPath, dirFiles, options, context, true);
       
       // Add this directory's result to the output array
       results.push({
@@ -364,10 +826,14 @@ function getDirectoriesAtDepth(projectPath, allFiles, targetDepth) {
  * Generate an ASCII layout view of the project structure
  * @param {string} projectPath - Root path of the project
  * @param {string[]} files - List of files to include in the layout
- * @returns {string} - ASCII layout representation
+ * @param {Map<string, string>} [annotations] - Budget tags shown after file names, keyed by file path
+ * @param {Map<string, string>} [reasons] - Why each file was included, keyed by file path
+ * @param {Map<string, string>} [skipped] - Why each file was skipped (see SKIP_REASONS), keyed by file path
+ * @returns {Object} - Layout as { name, lines, entries }: the project name, the lines of
+ *   the ASCII tree and a { path, status, reason, skipReason } entry per file, rendered by the output formatter
  */
-function generateLayoutView(projectPath, files) {
-  const layout = [`Project structure for: ${path.basename(projectPath)}`, '```'];
+function generateLayoutView(projectPath, files, annotations = new Map(), reasons = new Map(), skipped = new Map()) {
+  const layout = [];
   
   // Create a map of directories and their files
   const dirMap = new Map();
@@ -376,13 +842,21 @@ function generateLayoutView(projectPath, files) {
   files.forEach(file => {
     const relativePath = path.relative(projectPath, file);
     const dirName = path.dirname(relativePath);
+    const tags = [
+      reasons.get(file),
+      annotations.get(file),
+      skipped.has(file) ? `skipped: ${skipped.get(file)}` : null
+    ].filter(Boolean);
+    const fileName = tags.length > 0
+      ? `${path.basename(file)} [${tags.join('] [')}]`
+      : path.basename(file);
     
     if (dirName === '.') {
       // Root level files
       if (!dirMap.has('.')) {
         dirMap.set('.', []);
       }
-      dirMap.get('.').push(path.basename(file));
+      dirMap.get('.').push(fileName);
     } else {
       // Nested files
       if (!dirMap.has(dirName)) {
@@ -397,7 +871,7 @@ function generateLayoutView(projectPath, files) {
           }
         }
       }
-      dirMap.get(dirName).push(path.basename(file));
+      dirMap.get(dirName).push(fileName);
     }
   });
   
@@ -423,6 +897,59 @@ function generateLayoutView(projectPath, files) {
     }
   });
   
-  layout.push('```');
-  return layout.join('\n');
+  return {
+    name: path.basename(projectPath),
+    lines: layout,
+    entries: files.map(file => ({
+      path: path.relative(projectPath, file),
+      status: skipped.has(file) ? 'skipped' : annotations.get(file) || 'full',
+      ...(reasons.has(file) ? { reason: reasons.get(file) } : {}),
+      ...(skipped.has(file) ? { skipReason: skipped.get(file) } : {})
+    }))
+  };
+}
+
+/**
+ * Generate a layout view with one line per directory, for projects whose full
+ * layout view does not fit the token budget
+ * @param {string} projectPath - Root path of the project
+ * @param {string[]} files - List of files to include in the layout
+ * @param {Map<string, string>} [annotations] - Budget tags of the files, keyed by file path
+ * @param {Map<string, string>} [skipped] - Why each file was skipped, keyed by file path
+ * @returns {Object} - Layout as { name, lines, entries }, where each entry is a
+ *   { path, status: 'collapsed', counts } object with the number of files by status
+ *   directly in a directory
+ */
+function generateCollapsedLayoutView(projectPath, files, annotations = new Map(), skipped = new Map()) {
+  // Count the files directly in each directory by status, adding their parent directories
+  const dirCounts = new Map();
+  files.forEach(file => {
+    const dirName = path.dirname(path.relative(projectPath, file));
+    for (let parent = dirName; !dirCounts.has(parent); parent = path.dirname(parent)) {
+      dirCounts.set(parent, { full: 0, truncated: 0, omitted: 0, skipped: 0 });
+    }
+    dirCounts.get(dirName)[skipped.has(file) ? 'skipped' : annotations.get(file) || 'full']++;
+  });
+
+  const countFiles = counts => counts.full + counts.truncated + counts.omitted + counts.skipped;
+  // The project root is listed only when it holds files itself
+  const sortedDirs = Array.from(dirCounts.keys())
+    .filter(dir => dir !== '.' || countFiles(dirCounts.get(dir)) > 0)
+    .sort();
+  const lines = sortedDirs.map(dir => {
+    const counts = dirCounts.get(dir);
+    const total = countFiles(counts);
+    const tags = ['truncated', 'omitted', 'skipped']
+      .filter(status => counts[status] > 0)
+      .map(status => `${counts[status]} ${status}`);
+    const summary = total === 0 ? '' : ` (${total} file${total === 1 ? '' : 's'}${tags.length > 0 ? `: ${tags.join(', ')}` : ''})`;
+    const indent = dir === '.' ? '' : '│   '.repeat(dir.split(path.sep).length - 1);
+    return `${indent}├── ${dir === '.' ? '.' : path.basename(dir)}/${summary}`;
+  });
+
+  return {
+    name: path.basename(projectPath),
+    lines,
+    entries: sortedDirs.map(dir => ({ path: dir, status: 'collapsed', counts: dirCounts.get(dir) }))
+  };
 }
\ No newline at end of file
@@ -13,14 +13,31 @@ import path from 'path';
  * @return {Promise<string>} The processed text with template applied
  */
 export async function applyPromptTemplate(text, templatePath, variables = {}) {
-  // Read the template file
-  let template;
+  const template = await loadPromptTemplate(templatePath);
+  return renderPromptTemplate(template, text, variables);
+}
+
+/**
+ * Reads a prompt template file
+ * @param {string} templatePath - Path to the template file
+ * @return {Promise<string>} The template content
+ */
+export async function loadPromptTemplate(templatePath) {
   try {
-    template = await fs.readFile(templatePath, 'utf8');
+    return await fs.readFile(templatePath, 'utf8');
   } catch (error) {
     throw new Error(`Failed to read template file: ${error.message}`);
   }
-  
+}
+
+/**
+ * Renders an already loaded template with the given text
+ * @param {string} template - Template string with placeholders
+ * @param {string} text - The input text, available as {{text}} and {{content}}
+ * @param {Object} variables - Variables to substitute in the template
+ * @return {string} The processed text with template applied
+ */
+export function renderPromptTemplate(template, text, variables = {}) {
   // Combine variables with the text
   const allVariables = {
     ...variables,
@@ -32,6 +49,16 @@ export async function applyPromptTemplate(text, templatePath, variables = {}) {
   return processTemplate(template, allVariables);
 }
 
+/**
+ * Counts the places where the input text is injected into a template
+ * @param {string} template - Template string with placeholders
+ * @return {number} Number of {{text}} and {{content}} placeholders
+ */
+export function countTextPlaceholders(template) {
+  const matches = template.match(/\{\{\s*(text|content)\s*\}\}/g);
+  return matches ? matches.length : 0;
+}
+
 /**
  * Processes a template with variable substitution
  * @param {string} template - Template string with placeholders
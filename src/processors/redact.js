@@ -0,0 +1,236 @@
+/**
+ * Secret redaction module
+ *
+ * Replaces credentials in text with typed placeholders such as
+ * `[REDACTED:aws_access_key]` before the text reaches a prompt:
+ * - Cloud keys: AWS access and secret keys, GCP API keys, Azure storage and
+ *   shared access keys
+ * - Service tokens: GitHub, Slack and Stripe
+ * - Private key blocks and JWTs
+ * - Passwords in connection strings
+ * - High-entropy values assigned to password, secret, token or key names
+ *
+ * Rules are regular expressions. When a rule has a named group `secret`,
+ * only that group is replaced, so the surrounding key or URL stays readable.
+ */
+
+/**
+ * Names of assignments whose values are checked for high-entropy secrets;
+ * the name must end with one of these words
+ */
+const SECRET_KEY_NAMES = 'password|passwd|pwd|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|auth[_-]?key|credentials?';
+
+/**
+ * Built-in redaction rules, as { type, pattern, validate } objects
+ */
+export const DEFAULT_REDACTION_RULES = [
+  {
+    type: 'private_key',
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g
+  },
+  {
+    type: 'aws_access_key',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  {
+    type: 'aws_secret_key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  {
+    type: 'gcp_api_key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g
+  },
+  {
+    type: 'azure_storage_key',
+    pattern: /\bAccountKey=(?<secret>[A-Za-z0-9+/]{86}==)/g
+  },
+  {
+    type: 'azure_shared_access_key',
+    pattern: /\bSharedAccessKey=(?<secret>[A-Za-z0-9+/]{43}=)/g
+  },
+  {
+    type: 'github_token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    type: 'slack_token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    type: 'slack_webhook',
+    pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]+/g
+  },
+  {
+    type: 'stripe_key',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{10,}\b/g
+  },
+  {
+    type: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]*/g
+  },
+  {
+    type: 'connection_string',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:(?<secret>[^\s@/'"]+)@/gi
+  },
+  {
+    type: 'connection_string',
+    pattern: /(?:^|[;"'\s])(?:Password|Pwd)=(?<secret>[^;'"\s]+)/gim
+  },
+  {
+    type: 'secret',
+    pattern: new RegExp(
+      `(?<![\\w-])[\\w.-]*?(?:${SECRET_KEY_NAMES})(?![\\w])["']?\\s*(?::=|=>|[:=])\\s*["'\`]?(?<secret>[^\\s"'\`,;()[\\]{}<>$]{8,})`,
+      'gi'
+    ),
+    validate: isHighEntropySecret
+  }
+];
+
+/**
+ * Minimum Shannon entropy, in bits per character, of a value assigned to a secret name
+ */
+const MIN_SECRET_ENTROPY = 3;
+
+/**
+ * Compiles custom redaction rules from the configuration file
+ * @param {Array<Object>} [rules] - Rules as { name, pattern, flags } objects, where pattern is a
+ *   regular expression source; a named group `secret` limits the replacement to that group
+ * @returns {Array<Object>} - Rules as { type, pattern } objects
+ * @throws {Error} If a rule has no name or pattern, or its pattern is not a valid regular expression
+ */
+export function parseRedactionRules(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid redaction rules: expected an array of { name, pattern } objects');
+  }
+
+  return rules.map(rule => {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.pattern !== 'string' || !rule.name || !rule.pattern) {
+      throw new Error(`Invalid redaction rule: ${JSON.stringify(rule)}. Expected { name, pattern }.`);
+    }
+
+    try {
+      const flags = (rule.flags || '').replace(/[gd]/g, '');
+      return { type: rule.name, pattern: new RegExp(rule.pattern, `${flags}g`) };
+    } catch (error) {
+      throw new Error(`Invalid redaction rule "${rule.name}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Replaces secrets in text with typed placeholders
+ * Matches are collected on the original text, so line numbers refer to it;
+ * where matches overlap, the one that starts first (or the longer one) wins.
+ * @param {string} text - Text to redact
+ * @param {Object} [options] - Redaction options
+ * @param {Array<Object>} [options.rules] - Additional rules from parseRedactionRules, checked after the built-in ones
+ * @param {string} [options.source] - Name of the text (file path or input source) recorded in the findings
+ * @returns {Object} - { text, findings } where findings lists { source, line, type } for each redaction
+ */
+export function redactSecrets(text, options = {}) {
+  const { rules = [], source = 'input' } = options;
+
+  if (!text) {
+    return { text, findings: [] };
+  }
+
+  const matches = [];
+  for (const rule of [...DEFAULT_REDACTION_RULES, ...rules]) {
+    const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('d') ? rule.pattern.flags : `${rule.pattern.flags}d`);
+
+    for (const match of text.matchAll(pattern)) {
+      if (match[0] === '') {
+        continue;
+      }
+
+      const [start, end] = match.indices.groups && match.indices.groups.secret
+        ? match.indices.groups.secret
+        : match.indices[0];
+      const value = text.slice(start, end);
+
+      if (rule.validate && !rule.validate(value)) {
+        continue;
+      }
+
+      matches.push({ start, end, type: rule.type });
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const findings = [];
+  let redacted = '';
+  let position = 0;
+  let line = 1;
+
+  for (const match of matches) {
+    if (match.start < position) {
+      continue;
+    }
+
+    const before = text.slice(position, match.start);
+    line += countNewlines(before);
+    redacted += before + `[REDACTED:${match.type}]`;
+    findings.push({ source, line, type: match.type });
+
+    line += countNewlines(text.slice(match.start, match.end));
+    position = match.end;
+  }
+
+  return { text: redacted + text.slice(position), findings };
+}
+
+/**
+ * Formats redaction findings as a report
+ * A file included in several outputs is listed once.
+ * @param {Array<Object>} findings - Findings from redactSecrets
+ * @returns {string} - One `source:line type` line per finding, after a summary line
+ */
+export function formatRedactionReport(findings) {
+  const lines = [...new Set(findings.map(finding => `${finding.source}:${finding.line} ${finding.type}`))];
+
+  if (lines.length === 0) {
+    return 'Redaction report: no secrets found\n';
+  }
+
+  return `Redaction report: ${lines.length} secret${lines.length === 1 ? '' : 's'} redacted\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Checks whether a value assigned to a secret name looks like a real secret
+ * Requires letters and digits and a minimum entropy, which leaves out
+ * placeholders, identifiers and plain words.
+ * @param {string} value - Assigned value
+ * @returns {boolean} - True for values that should be redacted
+ */
+function isHighEntropySecret(value) {
+  if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value)) {
+    return false;
+  }
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+
+  return entropy >= MIN_SECRET_ENTROPY;
+}
+
+/**
+ * Counts the line breaks in a string
+ * @param {string} text - Text to scan
+ * @returns {number} - Number of newline characters
+ */
+function countNewlines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
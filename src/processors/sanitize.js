@@ -0,0 +1,340 @@
+/**
+ * Content sanitization module
+ *
+ * Cleans untrusted text, such as fetched web pages, before it reaches a prompt:
+ * - Invisible characters: zero-width characters, bidi overrides, Unicode tag
+ *   characters and control characters are removed, or shown as `[U+200B]`
+ * - Hidden HTML: elements hidden with the `hidden` attribute, `aria-hidden`,
+ *   inline styles (display, visibility, opacity, zero font size, off-screen
+ *   positioning) and HTML comments are dropped
+ * - Prompt injection: instruction-like phrases aimed at a model, such as
+ *   "ignore previous instructions", are reported but left in place
+ */
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Sanitization modes: what happens to invisible characters
+ */
+export const SANITIZE_MODES = ['remove', 'visualize', 'off'];
+
+/**
+ * Invisible characters by type; tag characters are matched as runs, since
+ * they spell out hidden ASCII text
+ */
+const INVISIBLE_CHARACTERS = [
+  { type: 'tag_characters', pattern: /[\u{E0000}-\u{E007F}]+/u },
+  { type: 'zero_width', pattern: /[\u00AD\u034F\u115F\u1160\u180E\u200B-\u200D\u2060-\u2064\u3164\uFEFF\uFFA0]/u },
+  { type: 'bidi_control', pattern: /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/u },
+  { type: 'variation_selector', pattern: /[\u{E0100}-\u{E01EF}]/u },
+  { type: 'control_character', pattern: /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F\uFFF9-\uFFFB]/u }
+];
+
+const INVISIBLE_PATTERN = new RegExp(INVISIBLE_CHARACTERS.map(({ pattern }) => pattern.source).join('|'), 'gu');
+
+/**
+ * Characters next to which zero-width joiners and non-joiners are part of the
+ * text: emoji sequences, combining marks and letters of non-Latin scripts
+ */
+const JOINER_NEIGHBOR_PATTERN = /^(?:[\p{Extended_Pictographic}\p{M}\uFE0F]|(?!\p{Script=Latin})\p{L})$/u;
+
+/**
+ * Inline styles that hide an element or move it off screen
+ */
+const HIDDEN_STYLES = [
+  /display\s*:\s*none/i,
+  /visibility\s*:\s*(?:hidden|collapse)/i,
+  /(?:^|;|\s)opacity\s*:\s*0*(?:\.0+)?\s*(?:;|!|$)/i,
+  /font-size\s*:\s*0*(?:\.0+)?(?:px|em|rem|pt|%)?\s*(?:;|!|$)/i,
+  /(?:left|top|right|bottom|text-indent|margin-left|margin-top)\s*:\s*-\d{3,}/i,
+  /clip\s*:\s*rect\(\s*0/i
+];
+
+/**
+ * Phrases that address a model instead of a reader, as { type, pattern } rules
+ */
+export const INJECTION_PATTERNS = [
+  {
+    type: 'ignore_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|of)\s+)*(?:previous|prior|above|earlier|preceding|former|original|system)\s+(?:instructions?|prompts?|messages|rules|directions|guidelines|context)\b/gi
+  },
+  {
+    type: 'new_instructions',
+    pattern: /\b(?:new|updated|real|actual)\s+(?:system\s+)?instructions?\s*:/gi
+  },
+  {
+    type: 'role_override',
+    pattern: /\byou\s+are\s+now\s+(?:a|an|the|in)\b|\bfrom\s+now\s+on,?\s+you\s+(?:are|will|must)\b/gi
+  },
+  {
+    type: 'prompt_extraction',
+    pattern: /\b(?:reveal|print|show|repeat|output)\s+(?:your|the)\s+(?:system\s+prompt|initial\s+prompt|hidden\s+instructions)\b/gi
+  },
+  {
+    type: 'conceal_from_user',
+    pattern: /\bdo\s+not\s+(?:tell|inform|mention\s+(?:this\s+)?to|reveal\s+(?:this\s+)?to|alert)\s+the\s+user\b/gi
+  },
+  {
+    type: 'chat_markup',
+    pattern: /<\|im_start\|>|<\|(?:system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>/g
+  }
+];
+
+/**
+ * Validates the value of the sanitize option
+ * @param {boolean|string} [value] - true for 'remove', or one of SANITIZE_MODES
+ * @returns {string|undefined} - Sanitization mode, or undefined when not set
+ * @throws {Error} If the mode is unknown
+ */
+export function parseSanitizeMode(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (value === true) {
+    return 'remove';
+  }
+
+  if (value === false) {
+    return 'off';
+  }
+
+  if (!SANITIZE_MODES.includes(value)) {
+    throw new Error(`Invalid sanitize mode: ${value}. Must be one of: ${SANITIZE_MODES.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Sanitizes untrusted text
+ * Invisible characters are handled first, so they cannot hide a phrase from
+ * the injection check; phrases are looked for before hidden elements are
+ * dropped, since instructions hidden from readers are the likeliest attacks.
+ * @param {string} text - Text to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {string} [options.mode] - 'remove' or 'visualize' (default: 'remove')
+ * @param {boolean} [options.html] - Drop hidden elements and comments, for HTML text
+ * @param {string} [options.source] - Name of the input, used in findings
+ * @returns {Object} - { text, findings } where each finding is { source, line, type, detail }
+ */
+export function sanitizeText(text, options = {}) {
+  const { mode = 'remove', html = false, source = 'input' } = options;
+
+  const cleaned = cleanInvisibleCharacters(text, { mode, source });
+  const readable = mode === 'remove' ? cleaned.text : cleanInvisibleCharacters(text).text;
+  const injections = findInjectionPhrases(readable, source);
+  const stripped = html
+    ? removeHiddenElements(cleaned.text, source)
+    : { html: cleaned.text, findings: [] };
+
+  const findings = [...cleaned.findings, ...stripped.findings, ...injections]
+    .sort((a, b) => a.line - b.line);
+
+  return { text: stripped.html, findings };
+}
+
+/**
+ * Removes or visualizes invisible characters
+ * Zero-width joiners and non-joiners are kept inside emoji sequences and
+ * non-Latin words, where they change how the text renders.
+ * @param {string} text - Text to clean
+ * @param {Object} [options] - Cleaning options
+ * @param {string} [options.mode] - 'remove' drops the characters, 'visualize' replaces them with `[U+XXXX]`
+ * @param {string} [options.source] - Name of the input, used in findings
+ * @returns {Object} - { text, findings } with one finding per character or run of tag characters
+ */
+export function cleanInvisibleCharacters(text, options = {}) {
+  const { mode = 'remove', source = 'input' } = options;
+  const findings = [];
+  let line = 1;
+  let position = 0;
+
+  const cleaned = text.replace(INVISIBLE_PATTERN, (match, offset) => {
+    if ((match === '\u200C' || match === '\u200D') && isJoinerInWord(text, offset)) {
+      return match;
+    }
+
+    line += countNewlines(text.slice(position, offset));
+    position = offset;
+
+    const { type } = INVISIBLE_CHARACTERS.find(({ pattern }) => pattern.test(match));
+    if (type === 'tag_characters') {
+      // Tag characters mirror ASCII, so a run of them decodes to hidden text
+      const hidden = Array.from(match, char => String.fromCodePoint(char.codePointAt(0) - 0xE0000))
+        .join('')
+        .replace(/[^\x20-\x7E]/g, '');
+      findings.push({ source, line, type, detail: JSON.stringify(hidden) });
+      return mode === 'visualize' ? `[hidden text: ${JSON.stringify(hidden)}]` : '';
+    }
+
+    findings.push({ source, line, type, detail: formatCodePoint(match) });
+    return mode === 'visualize' ? `[${formatCodePoint(match)}]` : '';
+  });
+
+  return { text: cleaned, findings };
+}
+
+/**
+ * Drops hidden elements and comments from HTML
+ * Only attributes and inline styles are checked; elements hidden by
+ * stylesheet rules are kept.
+ * @param {string} html - HTML document or fragment
+ * @param {string} [source] - Name of the input, used in findings
+ * @returns {Object} - { html, findings } where findings name each dropped element and its line
+ */
+export function removeHiddenElements(html, source = 'input') {
+  const isDocument = /<!DOCTYPE\s+html|<html[\s>]/i.test(html);
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true }, isDocument);
+  const findings = [];
+
+  const visit = (node) => {
+    for (const child of [...(node.children || [])]) {
+      const reason = child.type === 'comment' ? 'comment' : getHiddenReason(child);
+      if (reason) {
+        const line = child.sourceCodeLocation ? child.sourceCodeLocation.startLine : 1;
+        const detail = child.type === 'comment' ? 'comment' : `<${child.name}> ${reason}`;
+        findings.push({ source, line, type: 'hidden_element', detail });
+        $(child).remove();
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit($.root()[0]);
+
+  // Leave markup alone unless something was dropped, since serializing normalizes it
+  return { html: findings.length > 0 ? $.html() : html, findings };
+}
+
+/**
+ * Finds phrases that try to instruct the model reading the text
+ * @param {string} text - Text to scan
+ * @param {string} [source] - Name of the input, used in findings
+ * @returns {Array<Object>} - One { source, line, type, detail } finding per phrase, detail being the quoted phrase
+ */
+export function findInjectionPhrases(text, source = 'input') {
+  const findings = [];
+
+  for (const { type, pattern } of INJECTION_PATTERNS) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const line = countNewlines(text.slice(0, match.index)) + 1;
+      findings.push({ source, line, type, detail: JSON.stringify(match[0].replace(/\s+/g, ' ')) });
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Wraps untrusted content in delimiting tags
+ * Tags with the same name inside the content are escaped, so the content
+ * cannot close the wrapper early.
+ * @param {string} text - Untrusted content
+ * @param {string} source - Where the content came from, shown in the opening tag
+ * @returns {string} - Content between `<untrusted_content>` tags
+ */
+export function wrapUntrusted(text, source) {
+  const escaped = text.replace(/<(\/?)untrusted_content/gi, '&lt;$1untrusted_content');
+  const sourceAttribute = source.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  return `<untrusted_content source="${sourceAttribute}">\n${escaped}\n</untrusted_content>`;
+}
+
+/**
+ * Formats sanitization findings as a report
+ * Repeated findings on the same line are counted instead of listed.
+ * @param {Array<Object>} findings - Findings from sanitizeText
+ * @param {string} [mode] - Sanitization mode, which decides whether characters were removed or visualized
+ * @returns {string} - One `source:line type detail` line per finding, after a summary line
+ */
+export function formatSanitizationReport(findings, mode = 'remove') {
+  if (findings.length === 0) {
+    return 'Sanitization report: nothing found\n';
+  }
+
+  const hidden = findings.filter(finding => finding.type === 'hidden_element').length;
+  const injections = findings.filter(isInjectionFinding).length;
+  const invisible = findings.length - hidden - injections;
+  const summary = [
+    invisible > 0 && `${invisible} invisible character${invisible === 1 ? '' : 's'} ${mode === 'visualize' ? 'visualized' : 'removed'}`,
+    hidden > 0 && `${hidden} hidden element${hidden === 1 ? '' : 's'} dropped`,
+    injections > 0 && `${injections} suspicious phrase${injections === 1 ? '' : 's'}`
+  ].filter(Boolean).join(', ');
+
+  const counts = new Map();
+  for (const finding of findings) {
+    const line = `${finding.source}:${finding.line} ${finding.type} ${finding.detail}`;
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+  const lines = [...counts].map(([line, count]) => (count > 1 ? `${line} (x${count})` : line));
+
+  return `Sanitization report: ${summary}\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Checks whether a finding is a suspicious phrase rather than a removed character or element
+ * @param {Object} finding - Finding from sanitizeText
+ * @returns {boolean} - True for findings of INJECTION_PATTERNS
+ */
+export function isInjectionFinding(finding) {
+  return INJECTION_PATTERNS.some(({ type }) => type === finding.type);
+}
+
+/**
+ * Checks whether an element is hidden by its attributes or inline style
+ * @param {Object} node - Parsed node
+ * @returns {string|null} - The attribute or style that hides the element, or null
+ */
+function getHiddenReason(node) {
+  if (!node.attribs) {
+    return null;
+  }
+
+  if (node.attribs.hidden !== undefined) {
+    return 'hidden';
+  }
+
+  if ((node.attribs['aria-hidden'] || '').toLowerCase() === 'true') {
+    return 'aria-hidden';
+  }
+
+  const style = node.attribs.style || '';
+  const hiddenStyle = HIDDEN_STYLES.map(pattern => style.match(pattern)).find(Boolean);
+  return hiddenStyle ? hiddenStyle[0].replace(/^[;\s]+|[;!\s]+$/g, '') : null;
+}
+
+/**
+ * Checks whether a zero-width joiner or non-joiner sits inside a word or emoji sequence
+ * @param {string} text - Text being cleaned
+ * @param {number} offset - Offset of the joiner
+ * @returns {boolean} - True when both neighbors are emoji, marks or non-Latin letters
+ */
+function isJoinerInWord(text, offset) {
+  const before = Array.from(text.slice(Math.max(0, offset - 2), offset)).pop();
+  const afterCode = text.codePointAt(offset + 1);
+  const after = afterCode === undefined ? undefined : String.fromCodePoint(afterCode);
+  return Boolean(before && after) && JOINER_NEIGHBOR_PATTERN.test(before) && JOINER_NEIGHBOR_PATTERN.test(after);
+}
+
+/**
+ * Formats a character as its code point
+ * @param {string} char - Single character
+ * @returns {string} - Code point such as `U+200B`
+ */
+function formatCodePoint(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Counts the line breaks in a string
+ * @param {string} text - Text to scan
+ * @returns {number} - Number of newline characters
+ */
+function countNewlines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
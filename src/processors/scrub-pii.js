@@ -0,0 +1,188 @@
+/**
+ * PII scrubbing module
+ *
+ * Replaces personal data in text with numbered pseudonyms such as
+ * `<EMAIL_1>`. The same value always gets the same pseudonym, so the
+ * relationships between mentions survive, and the mapping from pseudonyms
+ * back to the original values can be saved to de-anonymize results later.
+ *
+ * Entity types:
+ * - email: email addresses
+ * - phone: international numbers starting with + and North American formats
+ * - credit_card: 13 to 19 digit card numbers that pass the Luhn check
+ * - ip: IPv4 and IPv6 addresses
+ * - national_id: US social security numbers, UK national insurance numbers
+ *   and Canadian social insurance numbers
+ */
+
+/**
+ * Names of the entity types that can be scrubbed
+ */
+export const PII_TYPES = ['email', 'phone', 'credit_card', 'ip', 'national_id'];
+
+/**
+ * Detection rules, in priority order for matches starting at the same position
+ * Each rule has a pattern, an optional validate function and a normalize
+ * function that decides which matches count as the same value.
+ */
+const PII_RULES = [
+  {
+    type: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    normalize: value => value.toLowerCase()
+  },
+  {
+    type: 'credit_card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: value => passesLuhnCheck(value.replace(/\D/g, '')),
+    normalize: value => value.replace(/\D/g, '')
+  },
+  {
+    type: 'national_id',
+    // US SSN, UK NINO, Canadian SIN
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b|\b(?![DFIQUV])[A-Z](?![DFIOQUV])[A-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b|\b\d{3}[ -]\d{3}[ -]\d{3}\b/g,
+    validate: value => !/^\d{3}[ -]\d{3}[ -]\d{3}$/.test(value) || passesLuhnCheck(value.replace(/\D/g, '')),
+    normalize: value => value.replace(/[\s-]/g, '').toUpperCase()
+  },
+  {
+    type: 'ip',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b|(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}(?![\w:])|(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){1,6}(?::[0-9A-Fa-f]{1,4}){1,6}(?![\w:])|(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){1,7}:(?![\w:])|(?<![\w:])::(?:[0-9A-Fa-f]{1,4}:){0,6}[0-9A-Fa-f]{1,4}(?![\w:])/g,
+    // A few hex groups around :: also look like times or C++ scopes, so require some digits
+    validate: value => !value.includes(':') || (value.match(/[0-9A-Fa-f]{1,4}/g) || []).length >= 3,
+    normalize: value => value.toLowerCase()
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\w+])\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?)(?:[ .-]?\d{2,4}){2,5}\b|(?<!\w)\(\d{3}\) ?\d{3}[ .-]\d{4}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b/g,
+    validate: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 8 && digits <= 15;
+    },
+    normalize: value => value.replace(/[^\d+]/g, '')
+  }
+];
+
+/**
+ * Parses the entity types selected with --scrub-pii
+ * @param {boolean|string|string[]} [value] - true or 'all' for every type, or a comma-separated list
+ * @returns {string[]} - Selected entity types
+ * @throws {Error} If a type is unknown
+ */
+export function parsePiiTypes(value) {
+  if (value === true || value === undefined || value === 'all') {
+    return [...PII_TYPES];
+  }
+
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map(type => type.trim().toLowerCase().replace(/-/g, '_'))
+    .filter(Boolean);
+
+  for (const type of types) {
+    if (!PII_TYPES.includes(type)) {
+      throw new Error(`Invalid PII type: ${type}. Must be one of: ${PII_TYPES.join(', ')}, all`);
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Creates the pseudonym table shared by the texts of a run
+ * @returns {Object} - Pseudonym table to pass to scrubPii
+ */
+export function createPseudonymTable() {
+  return { byValue: new Map(), counts: new Map(), mapping: {} };
+}
+
+/**
+ * Replaces personal data with consistent pseudonyms
+ * @param {string} text - Text to scrub
+ * @param {Object} [options] - Scrubbing options
+ * @param {string[]} [options.types] - Entity types to replace (default: all)
+ * @param {Object} [options.pseudonyms] - Table from createPseudonymTable, to keep pseudonyms
+ *   consistent across several texts
+ * @returns {Object} - { text, mapping, count } where mapping maps each pseudonym to its
+ *   original value and count is the number of replacements
+ */
+export function scrubPii(text, options = {}) {
+  const { types = PII_TYPES, pseudonyms = createPseudonymTable() } = options;
+
+  if (!text) {
+    return { text, mapping: pseudonyms.mapping, count: 0 };
+  }
+
+  const matches = [];
+  PII_RULES.forEach((rule, priority) => {
+    if (!types.includes(rule.type)) {
+      return;
+    }
+
+    for (const match of text.matchAll(rule.pattern)) {
+      if (!rule.validate || rule.validate(match[0])) {
+        matches.push({ start: match.index, end: match.index + match[0].length, rule, priority });
+      }
+    }
+  });
+
+  // Earlier matches win; at the same position the longer one, then the higher priority rule
+  matches.sort((a, b) => a.start - b.start || b.end - a.end || a.priority - b.priority);
+
+  let scrubbed = '';
+  let position = 0;
+  let count = 0;
+
+  for (const { start, end, rule } of matches) {
+    if (start < position) {
+      continue;
+    }
+
+    const value = text.slice(start, end);
+    scrubbed += text.slice(position, start) + getPseudonym(pseudonyms, rule, value);
+    position = end;
+    count++;
+  }
+
+  return { text: scrubbed + text.slice(position), mapping: pseudonyms.mapping, count };
+}
+
+/**
+ * Returns the pseudonym of a value, assigning the next number of its type on first use
+ * @param {Object} pseudonyms - Pseudonym table
+ * @param {Object} rule - Rule that matched the value
+ * @param {string} value - Matched value
+ * @returns {string} - Pseudonym such as `<EMAIL_1>`
+ */
+function getPseudonym(pseudonyms, rule, value) {
+  const key = `${rule.type}:${rule.normalize(value)}`;
+
+  if (!pseudonyms.byValue.has(key)) {
+    const number = (pseudonyms.counts.get(rule.type) || 0) + 1;
+    const pseudonym = `<${rule.type.toUpperCase()}_${number}>`;
+
+    pseudonyms.counts.set(rule.type, number);
+    pseudonyms.byValue.set(key, pseudonym);
+    pseudonyms.mapping[pseudonym] = value;
+  }
+
+  return pseudonyms.byValue.get(key);
+}
+
+/**
+ * Validates a number with the Luhn checksum used by card and SIN numbers
+ * @param {string} digits - Digits to check
+ * @returns {boolean} - True if the checksum is valid
+ */
+function passesLuhnCheck(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return digits.length > 0 && sum % 10 === 0;
+}
@@ -5,20 +5,21 @@
  * using different strategies (start, end, middle).
  */
 
-import { estimateTokenCount } from '../utils/token-counter.js';
+import { countTokens } from '../utils/token-counter.js';
 
 /**
  * Truncates text to fit within a specified token limit
  * @param {string} text - The text to truncate
  * @param {number} maxTokens - Maximum number of tokens to include
  * @param {string} strategy - Truncation strategy ('start', 'end', 'middle')
+ * @param {Object} [tokenizer] - Tokenizer from loadTokenizer (defaults to the heuristic estimate)
  * @returns {string} - Truncated text that fits within token limit
  */
-export function truncateText(text, maxTokens, strategy = 'end') {
+export function truncateText(text, maxTokens, strategy = 'end', tokenizer) {
   if (!text) return text;
   
   // Estimate current token count
-  const currentTokens = estimateTokenCount(text);
+  const currentTokens = countTokens(text, tokenizer);
   
   // If already under the limit, return unchanged
   if (currentTokens <= maxTokens) {
@@ -33,24 +34,74 @@ export function truncateText(text, maxTokens, strategy = 'end') {
   // Apply different truncation strategies
   switch (strategy) {
     case 'start':
-      return truncateFromStart(text, maxTokens);
+      return truncateFromStart(text, maxTokens, tokenizer);
     case 'end':
-      return truncateFromEnd(text, maxTokens);
+      return truncateFromEnd(text, maxTokens, tokenizer);
     case 'middle':
-      return truncateFromMiddle(text, maxTokens);
+      return truncateFromMiddle(text, maxTokens, tokenizer);
     default:
       // This should never happen due to validation above
-      return truncateFromEnd(text, maxTokens);
+      return truncateFromEnd(text, maxTokens, tokenizer);
   }
 }
 
+/**
+ * Truncates only the content injected into a prompt so the whole prompt fits
+ * The fixed parts of the prompt (template instructions, system and user
+ * messages) are measured first and kept intact; the remaining budget is shared
+ * by the places where the content is injected.
+ * @param {string} content - The content injected into the prompt
+ * @param {Function} render - Builds the full prompt from a version of the content
+ * @param {number} maxTokens - Maximum number of tokens for the full prompt
+ * @param {string} strategy - Truncation strategy ('start', 'end', 'middle')
+ * @param {Object} [tokenizer] - Tokenizer from loadTokenizer (defaults to the heuristic estimate)
+ * @param {number} [placeholders=1] - Number of times the content appears in the prompt
+ * @returns {string} - The rendered prompt, fitting within the token limit
+ */
+export function truncatePromptContent(content, render, maxTokens, strategy = 'end', tokenizer, placeholders = 1) {
+  const prompt = render(content);
+  
+  // If already under the limit, return unchanged
+  if (countTokens(prompt, tokenizer) <= maxTokens) {
+    return prompt;
+  }
+  
+  // Content that is not part of the prompt cannot be shrunk
+  if (!content || placeholders < 1) {
+    return truncateText(prompt, maxTokens, strategy, tokenizer);
+  }
+  
+  const overheadTokens = countTokens(render(''), tokenizer);
+  let contentTokens = Math.floor((maxTokens - overheadTokens) / placeholders);
+  
+  if (contentTokens <= 0) {
+    console.warn(`Warning: The prompt template and messages alone use ~${overheadTokens} tokens, more than the ${maxTokens} token limit. Truncating the whole prompt instead.`);
+    return truncateText(prompt, maxTokens, strategy, tokenizer);
+  }
+  
+  // Token counts are not strictly additive across joins, so shrink until it fits
+  for (let attempt = 0; attempt < 5 && contentTokens > 0; attempt++) {
+    const candidate = render(truncateText(content, contentTokens, strategy, tokenizer));
+    const excessTokens = countTokens(candidate, tokenizer) - maxTokens;
+    
+    if (excessTokens <= 0) {
+      return candidate;
+    }
+    
+    contentTokens -= Math.ceil(excessTokens / placeholders);
+  }
+  
+  return truncateText(prompt, maxTokens, strategy, tokenizer);
+}
+
 /**
  * Truncates text from the start, keeping the end
  * @param {string} text - Text to truncate
  * @param {number} maxTokens - Maximum token count
+ * @param {Object} [tokenizer] - Tokenizer used to count tokens
  * @returns {string} - Truncated text
  */
-function truncateFromStart(text, maxTokens) {
+function truncateFromStart(text, maxTokens, tokenizer) {
   // Split into lines for more natural truncation
   const lines = text.split('\n');
   let result = '';
@@ -58,7 +109,7 @@ function truncateFromStart(text, maxTokens) {
   
   // Add an indicator that text was truncated
   const truncationIndicator = '[...Content truncated from beginning...]\n\n';
-  const indicatorTokens = estimateTokenCount(truncationIndicator);
+  const indicatorTokens = countTokens(truncationIndicator, tokenizer);
   
   // Reserve tokens for the truncation indicator
   const targetTokens = maxTokens - indicatorTokens;
@@ -66,7 +117,7 @@ function truncateFromStart(text, maxTokens) {
   // Process lines from the end to the start
   for (let i = lines.length - 1; i >= 0; i--) {
     const line = lines[i];
-    const lineTokens = estimateTokenCount(line + '\n');
+    const lineTokens = countTokens(line + '\n', tokenizer);
     
     // Check if adding this line would exceed the limit
     if (currentTokens + lineTokens <= targetTokens) {
@@ -87,9 +138,10 @@ function truncateFromStart(text, maxTokens) {
  * Truncates text from the end, keeping the start
  * @param {string} text - Text to truncate
  * @param {number} maxTokens - Maximum token count
+ * @param {Object} [tokenizer] - Tokenizer used to count tokens
  * @returns {string} - Truncated text
  */
-function truncateFromEnd(text, maxTokens) {
+function truncateFromEnd(text, maxTokens, tokenizer) {
   // Split into lines for more natural truncation
   const lines = text.split('\n');
   let result = '';
@@ -97,7 +149,7 @@ function truncateFromEnd(text, maxTokens) {
   
   // Add an indicator that text was truncated
   const truncationIndicator = '\n\n[...Content truncated from end...]';
-  const indicatorTokens = estimateTokenCount(truncationIndicator);
+  const indicatorTokens = countTokens(truncationIndicator, tokenizer);
   
   // Reserve tokens for the truncation indicator
   const targetTokens = maxTokens - indicatorTokens;
@@ -105,7 +157,7 @@ function truncateFromEnd(text, maxTokens) {
   // Process lines from the start
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const lineTokens = estimateTokenCount(line + '\n');
+    const lineTokens = countTokens(line + '\n', tokenizer);
     
     // Check if adding this line would exceed the limit
     if (currentTokens + lineTokens <= targetTokens) {
@@ -126,19 +178,20 @@ function truncateFromEnd(text, maxTokens) {
  * Truncates text from the middle, keeping the start and end
  * @param {string} text - Text to truncate
  * @param {number} maxTokens - Maximum token count
+ * @param {Object} [tokenizer] - Tokenizer used to count tokens
  * @returns {string} - Truncated text
  */
-function truncateFromMiddle(text, maxTokens) {
+function truncateFromMiddle(text, maxTokens, tokenizer) {
   // Split into lines for more natural truncation
   const lines = text.split('\n');
   
   // Add an indicator that text was truncated
   const truncationIndicator = '\n\n[...Content truncated from middle...]\n\n';
-  const indicatorTokens = estimateTokenCount(truncationIndicator);
+  const indicatorTokens = countTokens(truncationIndicator, tokenizer);
   
   // If maxTokens is too small to even fit the indicator, fallback to end truncation
   if (maxTokens <= indicatorTokens) {
-    return truncateFromEnd(text, maxTokens);
+    return truncateFromEnd(text, maxTokens, tokenizer);
   }
   
   // Reserve tokens for the truncation indicator
@@ -155,7 +208,7 @@ function truncateFromMiddle(text, maxTokens) {
   
   while (startIndex < lines.length) {
     const line = lines[startIndex];
-    const lineTokens = estimateTokenCount(line + '\n');
+    const lineTokens = countTokens(line + '\n', tokenizer);
     
     if (currentStartTokens + lineTokens <= startTokens) {
       startText += (startText ? '\n' : '') + line;
@@ -173,7 +226,7 @@ function truncateFromMiddle(text, maxTokens) {
   
   while (endIndex >= startIndex) {
     const line = lines[endIndex];
-    const lineTokens = estimateTokenCount(line + '\n');
+    const lineTokens = countTokens(line + '\n', tokenizer);
     
     if (currentEndTokens + lineTokens <= endTokens) {
       endText = line + (endText ? '\n' + endText : '');
@@ -5,64 +5,105 @@
  * Supports common programming languages and their comment styles.
  */
 
+import path from 'path';
+import { COMMENT_DELIMITERS, findComments } from './comment-lexer.js';
+
+/**
+ * Comment syntaxes by file extension, as names understood by the comment lexer
+ */
+const COMMENT_SYNTAX_BY_EXTENSION = {
+  // C-style languages
+  'js': 'javascript',
+  'mjs': 'javascript',
+  'cjs': 'javascript',
+  'ts': 'typescript',
+  'mts': 'typescript',
+  'cts': 'typescript',
+  'jsx': 'javascript',
+  'tsx': 'javascript',
+  'c': 'c',
+  'h': 'c',
+  'cpp': 'cpp',
+  'cc': 'cpp',
+  'cxx': 'cpp',
+  'hpp': 'cpp',
+  'cs': 'csharp',
+  'java': 'java',
+  'go': 'go',
+  'swift': 'kotlin',
+  'kt': 'kotlin',
+  'kts': 'kotlin',
+  'scala': 'kotlin',
+  'dart': 'kotlin',
+  'rs': 'rust',
+  
+  // Script languages
+  'py': 'python',
+  'pyi': 'python',
+  'rb': 'ruby',
+  'rake': 'ruby',
+  'pl': 'perl',
+  'pm': 'perl',
+  'sh': 'shell',
+  'bash': 'shell',
+  'zsh': 'shell',
+  
+  // Markup and template languages
+  'html': 'html',
+  'htm': 'html',
+  'xml': 'html',
+  'svg': 'html',
+  'php': 'php',
+  
+  // Config files
+  'yml': 'yaml',
+  'yaml': 'yaml',
+  'toml': 'toml',
+  'ini': 'ini',
+  
+  // Other languages
+  'sql': 'sql',
+  'r': 'r',
+  'css': 'css',
+  'scss': 'scss',
+  'less': 'scss'
+};
+
+/**
+ * Comment syntaxes of files recognized by name
+ */
+const COMMENT_SYNTAX_BY_NAME = {
+  'dockerfile': 'shell',
+  'makefile': 'shell'
+};
+
+/**
+ * Get the comment syntax for a specific file type
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Syntax name for the comment lexer, or null if comments
+ *   cannot be told apart from content (JSON, Markdown, plain text, unknown types)
+ */
+export function getCommentSyntax(filePath) {
+  const fileName = path.basename(filePath).toLowerCase();
+  const fileExtension = path.extname(fileName).slice(1);
+  
+  return COMMENT_SYNTAX_BY_EXTENSION[fileExtension] || COMMENT_SYNTAX_BY_NAME[fileName] || null;
+}
+
 /**
  * Get the comment pattern for a specific file type
+ * Files without a comment syntax, including unknown types, have neither line
+ * nor block comments; pass the syntax to findComments to locate the comments.
  * @param {string} filePath - Path to the file
- * @returns {Object} Comment pattern information for the file type
+ * @returns {Object} Comment pattern as { syntax, line, block: { start, end } }, with null
+ *   for what the file type does not have
  */
 export function getCommentPattern(filePath) {
-  const fileExtension = filePath.split('.').pop().toLowerCase();
-  
-  // Define comment patterns for common file types
-  const patterns = {
-    // C-style languages
-    'js': { line: '//', block: { start: '/*', end: '*/' } },
-    'ts': { line: '//', block: { start: '/*', end: '*/' } },
-    'jsx': { line: '//', block: { start: '/*', end: '*/' } },
-    'tsx': { line: '//', block: { start: '/*', end: '*/' } },
-    'c': { line: '//', block: { start: '/*', end: '*/' } },
-    'cpp': { line: '//', block: { start: '/*', end: '*/' } },
-    'cs': { line: '//', block: { start: '/*', end: '*/' } },
-    'java': { line: '//', block: { start: '/*', end: '*/' } },
-    'go': { line: '//', block: { start: '/*', end: '*/' } },
-    'swift': { line: '//', block: { start: '/*', end: '*/' } },
-    'kt': { line: '//', block: { start: '/*', end: '*/' } },
-    'scala': { line: '//', block: { start: '/*', end: '*/' } },
-    
-    // Script languages
-    'py': { line: '#', block: { start: '"""', end: '"""' } },
-    'rb': { line: '#', block: { start: '=begin', end: '=end' } },
-    'pl': { line: '#', block: { start: '=pod', end: '=cut' } },
-    'sh': { line: '#', block: null },
-    'bash': { line: '#', block: null },
-    'zsh': { line: '#', block: null },
-    
-    // Markup and template languages
-    'html': { line: null, block: { start: '<!--', end: '-->' } },
-    'xml': { line: null, block: { start: '<!--', end: '-->' } },
-    'svg': { line: null, block: { start: '<!--', end: '-->' } },
-    'php': { line: '//', block: { start: '/*', end: '*/' } },
-    
-    // Config files
-    'json': { line: null, block: null }, // JSON doesn't support comments officially
-    'yml': { line: '#', block: null },
-    'yaml': { line: '#', block: null },
-    'toml': { line: '#', block: null },
-    'ini': { line: ';', block: null },
-    
-    // Other languages
-    'sql': { line: '--', block: { start: '/*', end: '*/' } },
-    'r': { line: '#', block: null },
-    'md': { line: null, block: null }, // Markdown doesn't have traditional comments
-    'css': { line: null, block: { start: '/*', end: '*/' } },
-    'scss': { line: '//', block: { start: '/*', end: '*/' } },
-    'less': { line: '//', block: { start: '/*', end: '*/' } },
-    'rust': { line: '//', block: { start: '/*', end: '*/' } },
-    'dart': { line: '//', block: { start: '/*', end: '*/' } },
-  };
+  const syntax = getCommentSyntax(filePath);
   
-  // Default to C-style comments if extension is unknown
-  return patterns[fileExtension] || { line: '//', block: { start: '/*', end: '*/' } };
+  return syntax
+    ? { syntax, ...COMMENT_DELIMITERS[syntax] }
+    : { syntax: null, line: null, block: null };
 }
 
 /**
@@ -131,48 +172,304 @@ export function getFileHeaderCommentStyle(filePath, overrideStyle) {
   return commentStyles[fileExtension] || '//';
 }
 
+/**
+ * Comment handling modes
+ * - none: remove all comments, including doc comments and docstrings
+ * - docs: keep documentation comments and remove the rest
+ * - all: keep all comments
+ * - license: remove leading license headers and keep the rest
+ */
+export const COMMENT_MODES = ['none', 'docs', 'all', 'license'];
+
+/**
+ * Words that mark a leading comment as a license header
+ */
+const LICENSE_PATTERN = /\b(?:copyright|licen[cs]ed?|spdx-license-identifier|all rights reserved)\b|\(c\)\s*\d{4}/i;
+
 /**
  * Remove comments from a file's content
+ * Comments are found with a lexer for the file's language, so strings,
+ * regex literals, template literals, heredocs and docstrings that contain
+ * comment markers are kept. Lines that held only a comment are removed and
+ * all other code is left exactly as it was.
  * @param {string} content - The file content
  * @param {string} filePath - Path to the file
+ * @param {string} [mode='none'] - Comment handling mode (see COMMENT_MODES)
  * @returns {string} - Content with comments removed
+ * @throws {Error} If the mode is unknown
  */
-export function removeComments(content, filePath) {
-  const pattern = getCommentPattern(filePath);
+export function removeComments(content, filePath, mode = 'none') {
+  if (!COMMENT_MODES.includes(mode)) {
+    throw new Error(`Invalid comment mode: ${mode}. Must be one of: ${COMMENT_MODES.join(', ')}`);
+  }
   
-  // If no comment patterns defined for this file type, return content as is
-  if (!pattern.line && (!pattern.block || !pattern.block.start)) {
+  const syntax = getCommentSyntax(filePath);
+  
+  // If comments cannot be recognized for this file type, return content as is
+  if (!syntax || mode === 'all') {
     return content;
   }
   
-  let result = content;
+  const comments = findComments(content, syntax);
+  let removed;
+  
+  if (mode === 'license') {
+    removed = findLicenseHeader(content, comments);
+  } else if (mode === 'docs') {
+    removed = comments.filter(comment => !isDocComment(content, comment, syntax));
+  } else {
+    // A docstring that is the only statement of a body cannot go without breaking the code
+    removed = comments.filter(comment => comment.type !== 'docstring' || !comment.sole);
+  }
+  
+  return removeCommentRanges(content, removed);
+}
+
+/**
+ * Keywords that start statements, by comment syntax, for telling commented-out code from prose
+ */
+const C_KEYWORDS = [
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'return', 'break', 'continue',
+  'try', 'catch', 'finally', 'throw', 'new', 'delete', 'import', 'export', 'class',
+  'public', 'private', 'protected', 'static', 'final', 'const', 'void', 'int', 'struct',
+  'enum', 'typedef', 'include', 'define', 'using', 'namespace', 'package'
+];
+const CODE_KEYWORDS = {
+  javascript: [...C_KEYWORDS, 'let', 'var', 'function', 'async', 'await', 'yield', 'typeof', 'interface', 'type', 'console'],
+  typescript: [...C_KEYWORDS, 'let', 'var', 'function', 'async', 'await', 'yield', 'typeof', 'interface', 'type', 'console'],
+  c: C_KEYWORDS,
+  cpp: [...C_KEYWORDS, 'auto', 'template', 'std'],
+  csharp: [...C_KEYWORDS, 'var', 'foreach', 'async', 'await'],
+  java: [...C_KEYWORDS, 'var', 'interface', 'extends', 'implements'],
+  kotlin: [...C_KEYWORDS, 'val', 'var', 'fun', 'func', 'let', 'guard', 'object', 'when', 'def'],
+  go: [...C_KEYWORDS, 'func', 'var', 'type', 'go', 'defer', 'range', 'fmt'],
+  rust: [...C_KEYWORDS, 'let', 'fn', 'pub', 'use', 'impl', 'mod', 'match', 'mut', 'loop', 'println'],
+  php: [...C_KEYWORDS, 'function', 'echo', 'foreach', 'require', 'require_once', 'use'],
+  python: ['if', 'elif', 'else', 'for', 'while', 'return', 'def', 'class', 'import', 'from', 'try', 'except', 'finally', 'raise', 'with', 'pass', 'yield', 'lambda', 'print', 'self', 'async', 'await', 'assert'],
+  ruby: ['if', 'elsif', 'else', 'unless', 'while', 'until', 'for', 'return', 'def', 'class', 'module', 'end', 'require', 'require_relative', 'puts', 'begin', 'rescue', 'ensure', 'yield', 'attr_accessor', 'attr_reader'],
+  perl: ['if', 'elsif', 'else', 'unless', 'while', 'for', 'foreach', 'return', 'sub', 'my', 'our', 'use', 'print', 'die'],
+  shell: ['if', 'then', 'fi', 'else', 'elif', 'for', 'while', 'do', 'done', 'case', 'esac', 'export', 'local', 'echo', 'cd', 'rm', 'cp', 'mv', 'mkdir', 'source', 'exit', 'return', 'function', 'sudo', 'npm', 'git', 'RUN', 'FROM', 'COPY', 'ENV'],
+  sql: ['select', 'insert', 'update', 'delete', 'from', 'where', 'join', 'create', 'alter', 'drop', 'and', 'or', 'group', 'order', 'values', 'set'],
+  r: ['if', 'else', 'for', 'while', 'function', 'return', 'library', 'print']
+};
+
+/**
+ * Labels that start explanatory comments, such as `TODO:` or `Example:`
+ */
+const PROSE_LABEL_PATTERN = /^(?:TODO|FIXME|XXX|HACK|NOTE|BUG|WARNING|SEE|[Ee]xample|e\.g\.|i\.e\.)\b|^[A-Z][A-Za-z ]{0,20}:\s/;
+
+/**
+ * Common English words that mark prose
+ */
+const STOPWORD_PATTERN = /\b(?:the|a|an|is|are|was|this|that|these|to|of|and|we|it|be|should|will|when|because|which|not|you)\b/gi;
+
+/**
+ * Share of the lines of a comment block that must look like code for the block to count as commented-out code
+ */
+const DEAD_CODE_LINE_RATIO = 0.6;
+
+/**
+ * Remove blocks of commented-out code, keeping comments that read as prose
+ * Doc comments are never removed. Each comment block (a block comment, or
+ * line comments on consecutive lines) is judged as a whole from the shape
+ * of its lines: statement endings, assignments, calls, symbol density and
+ * leading keywords of the file's language against sentence punctuation and
+ * common English words.
+ * @param {string} content - The file content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} - { content, droppedLines } with the remaining content and the number
+ *   of comment lines removed
+ */
+export function removeDeadCodeComments(content, filePath) {
+  const syntax = getCommentSyntax(filePath);
+  
+  if (!syntax) {
+    return { content, droppedLines: 0 };
+  }
+  
+  const comments = findComments(content, syntax).filter(comment => !isDocComment(content, comment, syntax));
+  const deadBlocks = groupCommentBlocks(content, comments)
+    .filter(block => isCommentedOutCode(content.slice(block[0].start, block[block.length - 1].end), syntax));
+  
+  const droppedLines = deadBlocks.reduce((total, block) => {
+    return total + content.slice(block[0].start, block[block.length - 1].end).split('\n').length;
+  }, 0);
+  
+  return { content: removeCommentRanges(content, deadBlocks.flat()), droppedLines };
+}
+
+/**
+ * Check whether the text of a comment block is commented-out code
+ * @param {string} text - Comment block, including its comment markers
+ * @param {string} syntax - Comment syntax of the file
+ * @returns {boolean} - True if most of its lines look like code
+ */
+export function isCommentedOutCode(text, syntax) {
+  const keywords = new Set(CODE_KEYWORDS[syntax] || C_KEYWORDS);
+  const lines = text.split('\n')
+    .map(line => line.trim()
+      .replace(/^(?:\/\*+|\/\/+|#+|--+|<!--|=begin\b|=end\b)/, '')
+      .replace(/(?:\*\/|-->)$/, '')
+      .replace(/^\*(?!\/)/, '')
+      .trim())
+    .filter(Boolean);
+  
+  if (lines.length === 0) {
+    return false;
+  }
+  
+  const codeLines = lines.filter(line => isCodeLine(line, keywords, syntax)).length;
+  return codeLines / lines.length >= DEAD_CODE_LINE_RATIO;
+}
+
+/**
+ * Check whether a line of comment text looks like code
+ * @param {string} line - Comment line without its comment marker
+ * @param {Set<string>} keywords - Statement keywords of the language
+ * @param {string} syntax - Comment syntax of the file
+ * @returns {boolean} - True if code signals outweigh prose signals
+ */
+function isCodeLine(line, keywords, syntax) {
+  if (PROSE_LABEL_PATTERN.test(line)) {
+    return false;
+  }
+  
+  const firstWord = (/^[@$]?([A-Za-z_]\w*)/.exec(line) || [])[1];
+  const symbols = (line.match(/[{}()[\];=<>&|!+*%]/g) || []).length;
+  let codeScore = 0;
+  
+  // Statement endings and lines that open or close a block
+  if (/[;{}]$|[,([]$|^[)\]}]/.test(line)) codeScore += 2;
+  if (/:$/.test(line)) codeScore += 1;
+  if (firstWord && (keywords.has(firstWord) || keywords.has(firstWord.toLowerCase()))) codeScore += 1;
+  if (/[\w$\].]\s*(?:[-+*/%|&]?=|:=|=>|->|<-)\s*\S/.test(line) && !/\s==?\s[a-z]+\s[a-z]+/.test(line)) codeScore += 1;
+  if (/[\w$\]>]\(.*\)/.test(line)) codeScore += 1;
+  if (symbols / line.length > 0.1) codeScore += 1;
+  if (syntax === 'shell' && /\s--?[A-Za-z]/.test(line)) codeScore += 1;
+  if (syntax === 'html' && /^<\/?[A-Za-z][\w:-]*(?:\s[^>]*)?\/?>/.test(line)) codeScore += 2;
+  
+  let proseScore = 0;
+  if (/[A-Za-z][.?!]$/.test(line)) proseScore += 1;
+  if ((line.match(STOPWORD_PATTERN) || []).length >= 2) proseScore += 1;
+  if (/^[A-Z][a-z]+\s+[a-z]+/.test(line)) proseScore += 1;
+  
+  return codeScore >= 2 && codeScore > proseScore;
+}
+
+/**
+ * Check whether a comment is documentation: `/** *\/` and `/*! *\/` blocks,
+ * `///` and `//!` lines, Python docstrings, R roxygen (`#'`) lines and Perl POD
+ * @param {string} content - The file content
+ * @param {Object} comment - Comment from the lexer
+ * @param {string} syntax - Comment syntax of the file
+ * @returns {boolean} - True for documentation comments
+ */
+function isDocComment(content, comment, syntax) {
+  const text = content.slice(comment.start, comment.end);
   
-  // Remove block comments if supported by this file type
-  if (pattern.block && pattern.block.start && pattern.block.end) {
-    const blockCommentRegex = new RegExp(
-      `${escapeRegExp(pattern.block.start)}[\\s\\S]*?${escapeRegExp(pattern.block.end)}`,
-      'g'
-    );
-    result = result.replace(blockCommentRegex, '');
+  if (comment.type === 'docstring') {
+    return true;
+  }
+  if (syntax === 'r') {
+    return text.startsWith("#'");
   }
+  if (syntax === 'perl') {
+    return comment.type === 'block';
+  }
+  
+  return /^\/\*[*!](?!\/)/.test(text) || /^\/\/[/!](?!\/)/.test(text);
+}
+
+/**
+ * Find the license header at the top of a file
+ * The header is read from the comment blocks before the first line of code
+ * (after a `#!` line, `<?php` or an XML declaration); blocks that mention a
+ * copyright or license are returned.
+ * @param {string} content - The file content
+ * @param {Array<Object>} comments - Comments from the lexer
+ * @returns {Array<Object>} - Comments of the license header, in source order
+ */
+function findLicenseHeader(content, comments) {
+  const header = [];
+  let position = /^(?:#![^\n]*\n|<\?php\b|<\?xml[^>]*\?>)?/.exec(content)[0].length;
   
-  // Remove line comments if supported by this file type
-  if (pattern.line) {
-    const lineCommentRegex = new RegExp(`${escapeRegExp(pattern.line)}.*$`, 'gm');
-    result = result.replace(lineCommentRegex, '');
+  for (const block of groupCommentBlocks(content, comments)) {
+    if (!/^\s*$/.test(content.slice(position, block[0].start))) {
+      break;
+    }
+    
+    if (block.some(comment => LICENSE_PATTERN.test(content.slice(comment.start, comment.end)))) {
+      header.push(...block);
+    }
+    position = block[block.length - 1].end;
   }
   
-  // Remove any consecutive empty lines resulting from comment removal
-  result = result.replace(/\n{3,}/g, '\n\n');
+  return header;
+}
+
+/**
+ * Group comments into blocks
+ * Line comments on consecutive lines, with nothing but whitespace between
+ * them, form one block; every other comment is a block of its own.
+ * @param {string} content - The file content
+ * @param {Array<Object>} comments - Comments from the lexer, in source order
+ * @returns {Array<Array<Object>>} - Comment blocks, in source order
+ */
+function groupCommentBlocks(content, comments) {
+  const blocks = [];
   
-  return result;
+  for (const comment of comments) {
+    const previous = blocks[blocks.length - 1];
+    const last = previous && previous[previous.length - 1];
+    const gap = last ? content.slice(last.end, comment.start) : '';
+    
+    if (last && comment.type === 'line' && last.type === 'line' && /^[ \t]*\r?\n[ \t]*$/.test(gap)) {
+      previous.push(comment);
+    } else {
+      blocks.push([comment]);
+    }
+  }
+  
+  return blocks;
 }
 
 /**
- * Escape special characters in a string for use in a regular expression
- * @param {string} string - String to escape
- * @returns {string} - Escaped string
+ * Remove comment ranges from content
+ * A comment alone on its line is removed together with the line; a trailing
+ * comment takes the whitespace before it, and a comment between two words
+ * leaves a single space so they do not merge.
+ * @param {string} content - The file content
+ * @param {Array<Object>} comments - Comments as { start, end } ranges, in source order
+ * @returns {string} - Content with the comments removed
  */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
\ No newline at end of file
+function removeCommentRanges(content, comments) {
+  let result = '';
+  let position = 0;
+  
+  for (const { start, end } of comments) {
+    result += content.slice(position, start);
+    position = end;
+    
+    const lineStart = result.lastIndexOf('\n') + 1;
+    const startsLine = /^[ \t]*$/.test(result.slice(lineStart));
+    const rest = /^[ \t]*(?:\r?\n|$)/.exec(content.slice(end));
+    
+    if (startsLine && rest) {
+      // Drop the whole line, including its line break
+      result = result.slice(0, lineStart);
+      position = end + rest[0].length;
+    } else if (rest) {
+      // Trailing comment: drop the whitespace before it as well
+      result = result.replace(/[ \t]+$/, '');
+    } else if (startsLine) {
+      // Code follows the comment: keep the indentation, not the gap after the comment
+      position = end + /^[ \t]*/.exec(content.slice(end))[0].length;
+    } else if (/^[ \t]/.test(content.slice(end))) {
+      result = result.replace(/[ \t]+$/, '');
+    } else if (/\w$/.test(result) && /^\w/.test(content.slice(end))) {
+      result += ' ';
+    }
+  }
+  
+  return result + content.slice(position);
+}
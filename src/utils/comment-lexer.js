@@ -0,0 +1,1289 @@
+/**
+ * Comment Lexer
+ *
+ * Finds the comments in source code by tracking the lexical state of each
+ * language family, so that text which only looks like a comment is left
+ * alone: URLs and `#` inside strings, regex literals, template literals,
+ * JSX text, heredocs, raw strings and CDATA sections.
+ *
+ * Each lexer reports comments as { start, end, type } ranges, where type is
+ * 'line' or 'block' and end excludes the line break after a line comment.
+ * Literals (strings, regexes, JSX text, heredoc bodies, block scalars and raw
+ * text elements) are reported with type 'string'; for multi-line literals that
+ * begin on a line of their own, the range starts at the preceding line break.
+ * Python docstrings in definition position are reported with type
+ * 'docstring' and a `sole` flag that is set when the docstring is the only
+ * statement of its body; other string literals are never reported.
+ */
+
+/**
+ * Lexer options for the C family, by syntax name
+ * - templates: JavaScript template literals with `${}` expressions
+ * - regex: JavaScript regular expression literals
+ * - jsx: JSX elements, whose text and attribute strings are literals; off for
+ *   TypeScript, where `<Type>value` is a type assertion
+ * - backtickRaw: Go raw strings
+ * - rawStrings: C++ (`R"x(...)x"`) or Rust (`r#"..."#`) raw strings
+ * - verbatimStrings: C# `@"..."` strings
+ * - tripleQuotes: `"""` text blocks and multi-line strings
+ * - nestedBlocks: block comments nest
+ * - charLiterals: Rust character literals, told apart from lifetimes
+ * - digitSeparators: C++ `1'000'000` number literals
+ * - hashComments: PHP `#` line comments
+ * - heredoc: PHP heredoc and nowdoc strings
+ * - lineComments: false for CSS, which only has block comments
+ * - cssUrls: unquoted `url(...)` values, which may contain `//`
+ */
+const C_FAMILY = {
+  c: {},
+  cpp: { rawStrings: 'cpp', digitSeparators: true },
+  csharp: { verbatimStrings: true, tripleQuotes: true },
+  go: { backtickRaw: true },
+  java: { tripleQuotes: true },
+  kotlin: { tripleQuotes: true, nestedBlocks: true },
+  rust: { rawStrings: 'rust', nestedBlocks: true, charLiterals: true },
+  javascript: { templates: true, regex: true, jsx: true },
+  typescript: { templates: true, regex: true },
+  php: { hashComments: true, heredoc: true },
+  css: { lineComments: false, cssUrls: true },
+  scss: { cssUrls: true }
+};
+
+/**
+ * Lexers by syntax name
+ */
+const LEXERS = {
+  ...Object.fromEntries(Object.entries(C_FAMILY).map(([name, options]) => [
+    name,
+    (text, comments) => lexCFamily(text, comments, options, skipShebang(text), false)
+  ])),
+  python: lexPython,
+  ruby: (text, comments) => lexRuby(text, comments, skipShebang(text), false),
+  perl: lexPerl,
+  shell: (text, comments) => lexShell(text, comments, skipShebang(text), false),
+  yaml: lexYaml,
+  toml: (text, comments) => lexHashLanguage(text, comments, { tripleQuotes: true, literalSingleQuotes: true }),
+  r: (text, comments) => lexHashLanguage(text, comments, {}),
+  ini: lexIni,
+  sql: lexSql,
+  html: lexHtml
+};
+
+/**
+ * Names of the supported syntaxes
+ */
+export const COMMENT_SYNTAXES = Object.keys(LEXERS);
+
+/**
+ * Comment delimiters by syntax name, as { line, block: { start, end } } with null
+ * for a kind of comment the syntax does not have
+ */
+export const COMMENT_DELIMITERS = {
+  ...Object.fromEntries(Object.keys(C_FAMILY).map(name => [name, { line: '//', block: { start: '/*', end: '*/' } }])),
+  css: { line: null, block: { start: '/*', end: '*/' } },
+  python: { line: '#', block: { start: '"""', end: '"""' } },
+  ruby: { line: '#', block: { start: '=begin', end: '=end' } },
+  perl: { line: '#', block: { start: '=pod', end: '=cut' } },
+  shell: { line: '#', block: null },
+  yaml: { line: '#', block: null },
+  toml: { line: '#', block: null },
+  r: { line: '#', block: null },
+  ini: { line: ';', block: null },
+  sql: { line: '--', block: { start: '/*', end: '*/' } },
+  html: { line: null, block: { start: '<!--', end: '-->' } }
+};
+
+/**
+ * JavaScript keywords after which a `/` starts a regular expression
+ */
+const JS_REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Ruby keywords after which a `/` or `%` starts a literal
+ */
+const RUBY_OPERAND_KEYWORDS = new Set([
+  'if', 'elsif', 'unless', 'while', 'until', 'when', 'and', 'or', 'not', 'return',
+  'then', 'do', 'in', 'puts', 'print', 'p'
+]);
+
+/**
+ * Closing delimiters of bracketed literals
+ */
+const CLOSING_BRACKETS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+/**
+ * Finds the comments in source code
+ * @param {string} text - Source code
+ * @param {string} syntax - Syntax name (see COMMENT_SYNTAXES)
+ * @returns {Array<Object>} - Comments as { start, end, type } objects, in source order
+ * @throws {Error} If the syntax is unknown
+ */
+export function findComments(text, syntax) {
+  return findTokens(text, syntax).filter(token => token.type !== 'string');
+}
+
+/**
+ * Finds the comments and literals in source code
+ * @param {string} text - Source code
+ * @param {string} syntax - Syntax name (see COMMENT_SYNTAXES)
+ * @returns {Array<Object>} - Comments and literals as { start, end, type } objects, in source order;
+ *   comments inside template literal expressions lie within the range of their literal
+ * @throws {Error} If the syntax is unknown
+ */
+export function findTokens(text, syntax) {
+  const lexer = LEXERS[syntax];
+  if (!lexer) {
+    throw new Error(`Unknown comment syntax: ${syntax}. Must be one of: ${COMMENT_SYNTAXES.join(', ')}`);
+  }
+
+  const tokens = [];
+  lexer(text, tokens);
+  return tokens.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Lexes C-family code: C, C++, C#, Go, Java, Kotlin, Rust, JavaScript/JSX, TypeScript, PHP and CSS
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ * @param {Object} options - Language options (see C_FAMILY)
+ * @param {number} start - Index to start at
+ * @param {boolean} stopAtBrace - Stop after the `}` that closes a template expression
+ * @returns {number} - Index where lexing stopped
+ */
+function lexCFamily(text, comments, options, start, stopAtBrace) {
+  const n = text.length;
+  let i = start;
+  let depth = 0;
+  // Whether a `/` here would start a regex rather than divide
+  let regexAllowed = true;
+
+  while (i < n) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '/' && next === '/' && options.lineComments !== false) {
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === '#' && options.hashComments && next !== '[') {
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      const end = options.nestedBlocks ? findNestedBlockEnd(text, i) : findTerminator(text, i + 2, '*/');
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      if (ch === "'" && options.digitSeparators && /[0-9a-fA-F]/.test(text[i - 1] || '') && /[0-9a-fA-F]/.test(next || '')) {
+        i++;
+        continue;
+      }
+      if (ch === "'" && options.charLiterals) {
+        const match = /^'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]{1,6}\}|.)|[^\\'\n])'/u.exec(text.slice(i, i + 16));
+        // Lifetimes and labels (`'a`) have no closing quote
+        i = match ? pushLiteral(comments, i, i + match[0].length) : i + 1;
+        regexAllowed = false;
+        continue;
+      }
+      let end;
+      if (ch === '"' && options.rawStrings === 'cpp' && /(?:^|[^\w])(?:u8|u|U|L)?R$/.test(text.slice(Math.max(0, i - 3), i))) {
+        end = skipCppRawString(text, i);
+      } else if (ch === '"' && options.verbatimStrings && (text[i - 1] === '@' || (text[i - 1] === '$' && text[i - 2] === '@'))) {
+        end = skipQuoted(text, i, '"', { escapes: false, doubledQuotes: true, multiline: true });
+      } else if (options.tripleQuotes && text.startsWith(ch.repeat(3), i) && ch === '"') {
+        end = findTerminator(text, i + 3, '"""', true);
+      } else {
+        end = skipQuoted(text, i, ch, { escapes: true, multiline: false });
+      }
+      i = pushLiteral(comments, i, end);
+      regexAllowed = false;
+      continue;
+    }
+
+    if (ch === '`' && options.templates) {
+      i = pushLiteral(comments, i, skipTemplate(text, comments, options, i));
+      regexAllowed = false;
+      continue;
+    }
+
+    if (ch === '`' && options.backtickRaw) {
+      i = pushLiteral(comments, i, findTerminator(text, i + 1, '`'));
+      regexAllowed = false;
+      continue;
+    }
+
+    if (ch === '<' && options.heredoc && text.startsWith('<<<', i)) {
+      const end = skipPhpHeredoc(text, i);
+      if (end !== null) {
+        i = pushLiteral(comments, i, end);
+        regexAllowed = false;
+        continue;
+      }
+    }
+
+    if (options.rawStrings === 'rust' && (ch === 'r' || (ch === 'b' && next === 'r')) && !isIdentifierChar(text[i - 1])) {
+      const match = /^b?r(#*)"/.exec(text.slice(i, i + 258));
+      if (match) {
+        i = pushLiteral(comments, i, findTerminator(text, i + match[0].length, `"${match[1]}`));
+        regexAllowed = false;
+        continue;
+      }
+    }
+
+    if (options.cssUrls && /^url\(\s*[^\s"')]/i.test(text.slice(i, i + 6)) && !isIdentifierChar(text[i - 1])) {
+      i = pushLiteral(comments, i, findTerminator(text, i + 4, ')'));
+      continue;
+    }
+
+    if (ch === '<' && options.jsx && regexAllowed) {
+      const end = skipJsxElement(text, comments, options, i);
+      if (end !== null) {
+        i = end;
+        regexAllowed = false;
+        continue;
+      }
+    }
+
+    if (ch === '/' && options.regex && regexAllowed) {
+      const end = skipRegex(text, i);
+      if (end !== null) {
+        i = pushLiteral(comments, i, end);
+        regexAllowed = false;
+        continue;
+      }
+    }
+
+    if (isIdentifierStart(ch)) {
+      let end = i + 1;
+      while (end < n && isIdentifierChar(text[end])) end++;
+      regexAllowed = JS_REGEX_KEYWORDS.has(text.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (stopAtBrace) {
+      if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        if (depth === 0) {
+          return i + 1;
+        }
+        depth--;
+      }
+    }
+
+    if (!/\s/.test(ch)) {
+      regexAllowed = !/[)\]0-9.]/.test(ch);
+    }
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Skips a JavaScript template literal, lexing the code inside `${}` expressions
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives comments inside expressions
+ * @param {Object} options - C-family options
+ * @param {number} start - Index of the opening backtick
+ * @returns {number} - Index after the closing backtick
+ */
+function skipTemplate(text, comments, options, start) {
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '`') {
+      return i + 1;
+    } else if (ch === '$' && text[i + 1] === '{') {
+      i = lexCFamily(text, comments, options, i + 2, true);
+    } else {
+      i++;
+    }
+  }
+
+  return i;
+}
+
+/**
+ * Skips a JSX element, lexing the code inside `{}` expressions
+ * Attribute strings and runs of child text are recorded as literals, so `//`
+ * and URLs in them are not taken for comments.
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives comments and literals inside the element
+ * @param {Object} options - C-family options
+ * @param {number} start - Index of the opening `<`
+ * @returns {number|null} - Index after the element, or null if this is not JSX,
+ *   such as the type parameters of a generic arrow function (`<T,>` or `<T extends U>`)
+ */
+function skipJsxElement(text, comments, options, start) {
+  const tag = /^<\s*([A-Za-z_$][\w$.:-]*)?(\s*)/.exec(text.slice(start, start + 256));
+  const rest = text.slice(start + tag[0].length, start + tag[0].length + 8);
+  if (tag[1] ? /^(?:,|extends\b)/.test(rest) || !/^[/>{A-Za-z_$]/.test(rest) : rest[0] !== '>') {
+    return null;
+  }
+
+  const n = text.length;
+  let i = start + tag[0].length;
+
+  // Attributes, up to the end of the opening tag
+  while (i < n) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (ch === '/' && next === '>') {
+      return i + 2;
+    }
+    if (ch === '>') {
+      i++;
+      break;
+    }
+    if (ch === '/' && next === '/') {
+      i = pushLineComment(text, comments, i);
+    } else if (ch === '/' && next === '*') {
+      const end = findTerminator(text, i + 2, '*/');
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+    } else if (ch === '"' || ch === "'") {
+      // JSX attribute strings have no escapes
+      i = pushLiteral(comments, i, findTerminator(text, i + 1, ch));
+    } else if (ch === '{') {
+      i = lexCFamily(text, comments, options, i + 1, true);
+    } else if (ch === '<') {
+      i = skipJsxElement(text, comments, options, i) ?? i + 1;
+    } else {
+      i++;
+    }
+  }
+
+  // Children, up to the closing tag; nested elements consume their own closing tags
+  let textStart = i;
+  const pushText = (end) => {
+    const match = /^(\s*)([\s\S]*?)\s*$/.exec(text.slice(textStart, end));
+    pushLiteral(comments, textStart + match[1].length, textStart + match[1].length + match[2].length);
+  };
+
+  while (i < n) {
+    const ch = text[i];
+    if (ch === '{') {
+      pushText(i);
+      i = lexCFamily(text, comments, options, i + 1, true);
+      textStart = i;
+    } else if (ch === '<' && text[i + 1] === '/') {
+      pushText(i);
+      return findTerminator(text, i + 2, '>');
+    } else if (ch === '<') {
+      pushText(i);
+      i = skipJsxElement(text, comments, options, i) ?? i + 1;
+      textStart = i;
+    } else {
+      i++;
+    }
+  }
+
+  pushText(i);
+  return i;
+}
+
+/**
+ * Skips a JavaScript regular expression literal
+ * @param {string} text - Source code
+ * @param {number} start - Index of the opening slash
+ * @returns {number|null} - Index after the flags, or null if this is not a regex
+ */
+function skipRegex(text, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\n') {
+      return null;
+    }
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === ']') {
+      inClass = false;
+    } else if (ch === '/' && !inClass) {
+      i++;
+      while (i < text.length && isIdentifierChar(text[i])) i++;
+      return i;
+    }
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * Skips a C++ raw string literal such as `R"delim(...)delim"`
+ * @param {string} text - Source code
+ * @param {number} start - Index of the opening quote
+ * @returns {number} - Index after the literal
+ */
+function skipCppRawString(text, start) {
+  const match = /^"([^()\\\s]{0,16})\(/.exec(text.slice(start, start + 19));
+  if (!match) {
+    return skipQuoted(text, start, '"', { escapes: true, multiline: false });
+  }
+  return findTerminator(text, start + match[0].length, `)${match[1]}"`);
+}
+
+/**
+ * Skips a PHP heredoc or nowdoc string
+ * @param {string} text - Source code
+ * @param {number} start - Index of `<<<`
+ * @returns {number|null} - Index after the closing identifier, or null if this is not a heredoc
+ */
+function skipPhpHeredoc(text, start) {
+  const match = /^<<<[ \t]*(["']?)([A-Za-z_]\w*)\1\r?\n/.exec(text.slice(start, start + 256));
+  if (!match) {
+    return null;
+  }
+
+  const closing = new RegExp(`^[ \\t]*${match[2]}\\b`, 'gm');
+  closing.lastIndex = start + match[0].length;
+  const found = closing.exec(text);
+  return found ? found.index + found[0].length : text.length;
+}
+
+/**
+ * Lexes Python code; string literals are never comments, but docstrings
+ * (a string statement opening a module, class or function) are reported
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments and docstrings found
+ */
+function lexPython(text, comments) {
+  const n = text.length;
+  let i = skipShebang(text);
+  let depth = 0;
+  // Whether the next statement is the first one of the module or of a def or class body
+  let docstringExpected = true;
+  let inDefinitionHeader = false;
+  let statementStart = true;
+
+  while (i < n) {
+    const ch = text[i];
+
+    if (ch === '#') {
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === '\\' && text[i + 1] === '\n') {
+      i += 2;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      if (ch === '\n' && depth === 0) {
+        statementStart = true;
+      }
+      i++;
+      continue;
+    }
+
+    let quote = -1;
+    let end = i + 1;
+    if (ch === '"' || ch === "'") {
+      quote = i;
+    } else if (isIdentifierStart(ch)) {
+      while (end < n && isIdentifierChar(text[end])) end++;
+      // Prefixes such as r, b and f do not change where a string ends
+      if (/^[rRbBuUfF]{1,2}$/.test(text.slice(i, end)) && (text[end] === '"' || text[end] === "'")) {
+        quote = end;
+      }
+    }
+
+    if (quote !== -1) {
+      const q = text[quote];
+      const stringEnd = text.startsWith(q.repeat(3), quote)
+        ? findTerminator(text, quote + 3, q.repeat(3), true)
+        : skipQuoted(text, quote, q, { escapes: true, multiline: false });
+
+      if (docstringExpected && statementStart && depth === 0 && /^[ \t]*(?:[#;]|\r?\n|$)/.test(text.slice(stringEnd, stringEnd + 256))) {
+        comments.push({ start: i, end: stringEnd, type: 'docstring', sole: isSoleStatement(text, i, stringEnd) });
+      } else {
+        pushLiteral(comments, i, stringEnd);
+      }
+
+      docstringExpected = false;
+      statementStart = false;
+      i = stringEnd;
+      continue;
+    }
+
+    if (isIdentifierStart(ch)) {
+      const word = text.slice(i, end);
+      if (statementStart && (word === 'def' || word === 'class')) {
+        inDefinitionHeader = true;
+      }
+      if (word !== 'async') {
+        statementStart = false;
+        docstringExpected = false;
+      }
+      i = end;
+      continue;
+    }
+
+    if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth = Math.max(0, depth - 1);
+    }
+
+    if (ch === ':' && depth === 0 && inDefinitionHeader) {
+      inDefinitionHeader = false;
+      docstringExpected = true;
+      statementStart = true;
+    } else if (ch === ';' && depth === 0) {
+      statementStart = true;
+    } else {
+      statementStart = false;
+      if (!inDefinitionHeader) {
+        docstringExpected = false;
+      }
+    }
+    i++;
+  }
+}
+
+/**
+ * Checks whether a Python statement is the only statement of its body
+ * @param {string} text - Source code
+ * @param {number} start - Index where the statement starts
+ * @param {number} end - Index where the statement ends
+ * @returns {boolean} - True if no statement of the same body follows
+ */
+function isSoleStatement(text, start, end) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const before = text.slice(lineStart, start);
+  // A body on the same line as its def or class header
+  if (!/^[ \t]*$/.test(before)) {
+    return true;
+  }
+
+  const following = text.slice(findLineEnd(text, end) + 1).split('\n')
+    .find(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  return following === undefined || following.length - following.trimStart().length < before.length;
+}
+
+/**
+ * Lexes Ruby code, including heredocs, `%` literals, regexes, interpolation and =begin/=end blocks
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ * @param {number} start - Index to start at
+ * @param {boolean} stopAtBrace - Stop after the `}` that closes an interpolation
+ * @returns {number} - Index where lexing stopped
+ */
+function lexRuby(text, comments, start, stopAtBrace) {
+  const n = text.length;
+  const pendingHeredocs = [];
+  let i = start;
+  let depth = 0;
+  let operandExpected = true;
+
+  while (i < n) {
+    const ch = text[i];
+    const atLineStart = i === 0 || text[i - 1] === '\n';
+
+    if (atLineStart && !stopAtBrace && /^=begin(?:\s|$)/.test(text.slice(i, i + 7))) {
+      const endMatch = /^=end(?:[ \t].*)?$/m.exec(text.slice(i));
+      const end = endMatch ? i + endMatch.index + endMatch[0].length : n;
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+      continue;
+    }
+
+    if (atLineStart && !stopAtBrace && /^__END__\r?$/m.test(text.slice(i, i + 8)) && text.startsWith('__END__', i)) {
+      // Everything after __END__ is data
+      return n;
+    }
+
+    if (ch === '\n' && pendingHeredocs.length > 0) {
+      i = pushLiteral(comments, i, skipHeredocBodies(text, i + 1, pendingHeredocs.splice(0)));
+      operandExpected = true;
+      continue;
+    }
+
+    if (ch === '#') {
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === "'") {
+      i = pushLiteral(comments, i, skipQuoted(text, i, "'", { escapes: true, multiline: true }));
+      operandExpected = false;
+      continue;
+    }
+
+    if (ch === '"' || ch === '`') {
+      i = pushLiteral(comments, i, skipInterpolated(text, comments, i, ch, (position) => lexRuby(text, comments, position, true)));
+      operandExpected = false;
+      continue;
+    }
+
+    if (ch === '<' && text[i + 1] === '<') {
+      const match = /^<<([~-]?)(["'`]?)([A-Za-z_]\w*)\2/.exec(text.slice(i, i + 256));
+      if (match && (match[1] || match[2] || operandExpected || /^[A-Z_]+$/.test(match[3]))) {
+        pendingHeredocs.push({ id: match[3], indented: match[1] !== '' });
+        i += match[0].length;
+        operandExpected = false;
+        continue;
+      }
+    }
+
+    if (ch === '%') {
+      const match = /^%([qQwWiIrsx]?)([^\w\s])/.exec(text.slice(i, i + 3));
+      if (match && (match[1] || operandExpected)) {
+        i = pushLiteral(comments, i, skipDelimited(text, i + match[0].length - 1));
+        operandExpected = false;
+        continue;
+      }
+    }
+
+    if (ch === '/' && operandExpected) {
+      const end = skipRegex(text, i);
+      if (end !== null) {
+        i = pushLiteral(comments, i, end);
+        operandExpected = false;
+        continue;
+      }
+    }
+
+    if (ch === '?' && /^\?[^\s\w]/.test(text.slice(i, i + 2)) && operandExpected) {
+      // Character literal such as ?# or ?"
+      i = pushLiteral(comments, i, i + 2);
+      operandExpected = false;
+      continue;
+    }
+
+    if (isIdentifierStart(ch) || ch === '@' || ch === '$') {
+      let end = i + 1;
+      while (end < n && (isIdentifierChar(text[end]) || text[end] === '?' || text[end] === '!')) end++;
+      operandExpected = RUBY_OPERAND_KEYWORDS.has(text.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (stopAtBrace) {
+      if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        if (depth === 0) {
+          return i + 1;
+        }
+        depth--;
+      }
+    }
+
+    if (!/\s/.test(ch)) {
+      operandExpected = !/[)\]}0-9]/.test(ch);
+    } else if (ch === '\n') {
+      operandExpected = true;
+    }
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Lexes Perl code, including POD blocks, heredocs and quote-like operators
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ */
+function lexPerl(text, comments) {
+  const n = text.length;
+  const pendingHeredocs = [];
+  let i = skipShebang(text);
+
+  while (i < n) {
+    const ch = text[i];
+    const atLineStart = i === 0 || text[i - 1] === '\n';
+
+    if (atLineStart && /^=[A-Za-z]/.test(text.slice(i, i + 2))) {
+      const endMatch = /^=cut\b.*$/m.exec(text.slice(i));
+      const end = endMatch ? i + endMatch.index + endMatch[0].length : n;
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+      continue;
+    }
+
+    if (atLineStart && /^__(?:END|DATA)__\b/.test(text.slice(i, i + 8))) {
+      return;
+    }
+
+    if (ch === '\n' && pendingHeredocs.length > 0) {
+      i = pushLiteral(comments, i, skipHeredocBodies(text, i + 1, pendingHeredocs.splice(0)));
+      continue;
+    }
+
+    if (ch === '#') {
+      // $#array is the last index of an array
+      if (text[i - 1] === '$') {
+        i++;
+        continue;
+      }
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === "'" || ch === '"' || ch === '`') {
+      i = pushLiteral(comments, i, skipQuoted(text, i, ch, { escapes: true, multiline: true }));
+      continue;
+    }
+
+    if (ch === '<' && text[i + 1] === '<') {
+      const match = /^<<(~?)(?:(["'])([A-Za-z_]\w*)\2|([A-Za-z_]\w*))/.exec(text.slice(i, i + 256));
+      if (match) {
+        pendingHeredocs.push({ id: match[3] || match[4], indented: match[1] === '~' });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (isIdentifierStart(ch) && !isIdentifierChar(text[i - 1]) && text[i - 1] !== '$' && text[i - 1] !== '@' && text[i - 1] !== '%') {
+      const match = /^(qq|qw|qr|q|m|s|tr|y)\s*([^\w\s=,;)])/.exec(text.slice(i, i + 8));
+      if (match) {
+        const literalStart = i;
+        const delimiterIndex = i + match[0].length - 1;
+        i = skipDelimited(text, delimiterIndex);
+        // Substitutions have a second part
+        if (['s', 'tr', 'y'].includes(match[1])) {
+          if (CLOSING_BRACKETS[text[delimiterIndex]]) {
+            while (i < n && /\s/.test(text[i])) i++;
+            if (i < n) i = skipDelimited(text, i);
+          } else {
+            i = skipDelimited(text, i - 1);
+          }
+        }
+        while (i < n && /[a-z]/.test(text[i])) i++;
+        pushLiteral(comments, literalStart, i);
+        continue;
+      }
+      let end = i + 1;
+      while (end < n && isIdentifierChar(text[end])) end++;
+      i = end;
+      continue;
+    }
+
+    i++;
+  }
+}
+
+/**
+ * Lexes shell scripts; `#` only starts a comment at the beginning of a word
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ * @param {number} start - Index to start at
+ * @param {boolean} stopAtParen - Stop after the `)` that closes a command substitution
+ * @returns {number} - Index where lexing stopped
+ */
+function lexShell(text, comments, start, stopAtParen) {
+  const n = text.length;
+  const pendingHeredocs = [];
+  let i = start;
+  let depth = 0;
+
+  while (i < n) {
+    const ch = text[i];
+
+    if (ch === '\n' && pendingHeredocs.length > 0) {
+      i = pushLiteral(comments, i, skipHeredocBodies(text, i + 1, pendingHeredocs.splice(0), true));
+      continue;
+    }
+
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+
+    if (ch === '#' && (i === 0 || /[\s;&|()]/.test(text[i - 1]))) {
+      i = pushLineComment(text, comments, i);
+      continue;
+    }
+
+    if (ch === "'") {
+      // ANSI-C quoting ($'...') allows escapes, plain single quotes do not
+      i = pushLiteral(comments, i, skipQuoted(text, i, "'", { escapes: text[i - 1] === '$', multiline: true }));
+      continue;
+    }
+
+    if (ch === '"' || ch === '`') {
+      i = pushLiteral(comments, i, skipInterpolated(text, comments, i, ch, null));
+      continue;
+    }
+
+    if (ch === '$' && text[i + 1] === '(') {
+      i = lexShell(text, comments, i + 2, true);
+      continue;
+    }
+
+    if (ch === '<' && text[i + 1] === '<' && text[i + 2] !== '<') {
+      const match = /^<<(-?)[ \t]*(?:(["'])([^"'\s]+)\2|\\?([A-Za-z_]\w*))/.exec(text.slice(i, i + 256));
+      if (match) {
+        pendingHeredocs.push({ id: match[3] || match[4], indented: match[1] === '-' });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (stopAtParen) {
+      if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        if (depth === 0) {
+          return i + 1;
+        }
+        depth--;
+      }
+    }
+
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Lexes YAML; quotes only count at the start of a scalar and block scalars are kept whole
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ */
+function lexYaml(text, comments) {
+  const n = text.length;
+  let i = 0;
+  let blockIndent = -1;
+  let blockStart = -1;
+
+  while (i < n) {
+    const lineEnd = findLineEnd(text, i);
+    const line = text.slice(i, lineEnd);
+    const indent = line.length - line.trimStart().length;
+
+    // Lines of a literal or folded block scalar are content
+    if (blockIndent >= 0) {
+      if (line.trim() === '' || indent > blockIndent) {
+        i = lineEnd + 1;
+        continue;
+      }
+      pushLiteral(comments, blockStart, i - 1);
+      blockIndent = -1;
+    }
+
+    let j = i + indent;
+    let scalarStart = true;
+    let contentEnd = lineEnd;
+
+    while (j < lineEnd) {
+      const ch = text[j];
+
+      if (ch === '#' && (j === i || /\s/.test(text[j - 1]))) {
+        comments.push({ start: j, end: lineEnd, type: 'line' });
+        contentEnd = j;
+        break;
+      }
+
+      if ((ch === '"' || ch === "'") && scalarStart) {
+        j = pushLiteral(comments, j, ch === '"'
+          ? skipQuoted(text, j, '"', { escapes: true, multiline: true })
+          : skipQuoted(text, j, "'", { escapes: false, doubledQuotes: true, multiline: true }));
+        scalarStart = false;
+        continue;
+      }
+
+      if (/[[{,]/.test(ch) || ((ch === ':' || ch === '-' || ch === '?') && /\s/.test(text[j + 1] || ' '))) {
+        scalarStart = true;
+      } else if (!/\s/.test(ch)) {
+        scalarStart = false;
+      }
+      j++;
+    }
+
+    // A quoted scalar can continue on the next lines
+    if (j > lineEnd) {
+      i = findLineEnd(text, j) + 1;
+      continue;
+    }
+
+    if (/(?:^|[\s:-])[|>][-+0-9]*\s*$/.test(text.slice(i, contentEnd))) {
+      blockIndent = indent;
+      blockStart = lineEnd;
+    }
+    i = lineEnd + 1;
+  }
+
+  if (blockIndent >= 0) {
+    pushLiteral(comments, blockStart, n);
+  }
+}
+
+/**
+ * Lexes `#`-comment languages with simple strings, such as TOML and R
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ * @param {Object} options - { tripleQuotes, literalSingleQuotes }
+ */
+function lexHashLanguage(text, comments, options) {
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '#') {
+      i = pushLineComment(text, comments, i);
+    } else if (ch === '"' || ch === "'") {
+      const escapes = ch === '"' || !options.literalSingleQuotes;
+      i = pushLiteral(comments, i, options.tripleQuotes && text.startsWith(ch.repeat(3), i)
+        ? findTerminator(text, i + 3, ch.repeat(3), escapes)
+        : skipQuoted(text, i, ch, { escapes, multiline: !options.tripleQuotes }));
+    } else if (ch === '`') {
+      i = pushLiteral(comments, i, findTerminator(text, i + 1, '`'));
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Lexes INI files, where `;` and `#` start a comment at the beginning of a line
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ */
+function lexIni(text, comments) {
+  const pattern = /^[ \t]*([;#])/gm;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[0].length - 1;
+    comments.push({ start, end: findLineEnd(text, start), type: 'line' });
+  }
+}
+
+/**
+ * Lexes SQL, including quoted identifiers and PostgreSQL dollar-quoted strings
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ */
+function lexSql(text, comments) {
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '-' && text[i + 1] === '-') {
+      i = pushLineComment(text, comments, i);
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = findTerminator(text, i + 2, '*/');
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+    } else if (ch === "'") {
+      i = pushLiteral(comments, i, skipQuoted(text, i, "'", { escapes: true, doubledQuotes: true, multiline: true }));
+    } else if (ch === '"' || ch === '`') {
+      i = pushLiteral(comments, i, skipQuoted(text, i, ch, { escapes: false, doubledQuotes: true, multiline: true }));
+    } else if (ch === '$') {
+      const match = /^\$([A-Za-z_]\w*)?\$/.exec(text.slice(i, i + 64));
+      i = match ? pushLiteral(comments, i, findTerminator(text, i + match[0].length, match[0])) : i + 1;
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Lexes HTML and XML; attribute values, CDATA sections, processing
+ * instructions and the content of script and style elements are kept
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comments found
+ */
+function lexHtml(text, comments) {
+  let i = 0;
+
+  while (i < text.length) {
+    if (text.startsWith('<!--', i)) {
+      const end = findTerminator(text, i + 4, '-->');
+      comments.push({ start: i, end, type: 'block' });
+      i = end;
+    } else if (text.startsWith('<![CDATA[', i)) {
+      i = pushLiteral(comments, i, findTerminator(text, i + 9, ']]>'));
+    } else if (text.startsWith('<?', i)) {
+      i = pushLiteral(comments, i, findTerminator(text, i + 2, '?>'));
+    } else if (text[i] === '<' && /[A-Za-z]/.test(text[i + 1] || '')) {
+      // Skip the tag, including quoted attribute values
+      const nameMatch = /^<([A-Za-z][\w:-]*)/.exec(text.slice(i, i + 64));
+      let j = i + 1;
+      while (j < text.length && text[j] !== '>') {
+        j = text[j] === '"' || text[j] === "'"
+          ? pushLiteral(comments, j, skipQuoted(text, j, text[j], { escapes: false, multiline: true }))
+          : j + 1;
+      }
+      i = j + 1;
+
+      const tagName = nameMatch ? nameMatch[1].toLowerCase() : '';
+      if ((tagName === 'script' || tagName === 'style') && text[j - 1] !== '/') {
+        const close = text.toLowerCase().indexOf(`</${tagName}`, i);
+        i = pushLiteral(comments, i, close === -1 ? text.length : close);
+      }
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Skips a string with `#{}` (Ruby) or `$()` (shell) interpolation
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives comments inside interpolated code
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @param {Function|null} lexInterpolation - Lexes Ruby code after `#{` and returns the index after `}`
+ * @returns {number} - Index after the closing quote
+ */
+function skipInterpolated(text, comments, start, quote, lexInterpolation) {
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === quote) {
+      return i + 1;
+    } else if (lexInterpolation && ch === '#' && text[i + 1] === '{') {
+      i = lexInterpolation(i + 2);
+    } else if (!lexInterpolation && ch === '$' && text[i + 1] === '(') {
+      i = lexShell(text, comments, i + 2, true);
+    } else {
+      i++;
+    }
+  }
+
+  return i;
+}
+
+/**
+ * Skips the bodies of the heredocs started on the previous line
+ * @param {string} text - Source code
+ * @param {number} start - Index of the first body line
+ * @param {Array<Object>} heredocs - Heredocs as { id, indented } objects, in order
+ * @param {boolean} [tabsOnly=false] - Indented terminators may only be indented with tabs (shell `<<-`)
+ * @returns {number} - Index after the last terminator line
+ */
+function skipHeredocBodies(text, start, heredocs, tabsOnly = false) {
+  let i = start;
+
+  for (const { id, indented } of heredocs) {
+    while (i < text.length) {
+      const lineEnd = findLineEnd(text, i);
+      let line = text.slice(i, lineEnd).replace(/\r$/, '');
+      if (indented) {
+        line = tabsOnly ? line.replace(/^\t+/, '') : line.trimStart();
+      }
+      i = lineEnd + 1;
+      if (line === id) {
+        break;
+      }
+    }
+  }
+
+  return Math.min(i, text.length);
+}
+
+/**
+ * Skips a literal delimited by a bracket pair or a repeated character, such as `%w(a b)` or `q{...}`
+ * @param {string} text - Source code
+ * @param {number} start - Index of the opening delimiter
+ * @returns {number} - Index after the closing delimiter
+ */
+function skipDelimited(text, start) {
+  const open = text[start];
+  const close = CLOSING_BRACKETS[open] || open;
+  let depth = 0;
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === close && depth === 0) {
+      return i + 1;
+    }
+    if (close !== open) {
+      if (ch === open) depth++;
+      else if (ch === close) depth--;
+    }
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Skips a quoted string
+ * @param {string} text - Source code
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @param {Object} options - { escapes, doubledQuotes, multiline }
+ * @returns {number} - Index after the closing quote, or at the end of the line for unterminated
+ *   single-line strings
+ */
+function skipQuoted(text, start, quote, { escapes = true, doubledQuotes = false, multiline = false }) {
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (escapes && ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      if (doubledQuotes && text[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    if (ch === '\n' && !multiline) {
+      return i;
+    }
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Finds the end of a construct closed by a terminator
+ * @param {string} text - Source code
+ * @param {number} start - Index to search from
+ * @param {string} terminator - Closing text
+ * @param {boolean} [escapes=false] - Whether a backslash escapes the next character
+ * @returns {number} - Index after the terminator, or the end of the text
+ */
+function findTerminator(text, start, terminator, escapes = false) {
+  if (!escapes) {
+    const index = text.indexOf(terminator, start);
+    return index === -1 ? text.length : index + terminator.length;
+  }
+
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text.startsWith(terminator, i)) {
+      return i + terminator.length;
+    } else {
+      i++;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Finds the end of a nested block comment
+ * @param {string} text - Source code
+ * @param {number} start - Index of the opening `/*`
+ * @returns {number} - Index after the matching `*\/`
+ */
+function findNestedBlockEnd(text, start) {
+  let depth = 0;
+  let i = start;
+
+  while (i < text.length) {
+    if (text.startsWith('/*', i)) {
+      depth++;
+      i += 2;
+    } else if (text.startsWith('*/', i)) {
+      depth--;
+      i += 2;
+      if (depth === 0) {
+        return i;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Records a literal range
+ * @param {Array<Object>} tokens - Receives the literal
+ * @param {number} start - Index where the literal starts
+ * @param {number} end - Index after the literal
+ * @returns {number} - Index after the literal
+ */
+function pushLiteral(tokens, start, end) {
+  if (end > start) {
+    tokens.push({ start, end, type: 'string' });
+  }
+  return end;
+}
+
+/**
+ * Records a line comment running to the end of the line
+ * @param {string} text - Source code
+ * @param {Array<Object>} comments - Receives the comment
+ * @param {number} start - Index where the comment starts
+ * @returns {number} - Index of the line break after the comment
+ */
+function pushLineComment(text, comments, start) {
+  const end = findLineEnd(text, start);
+  comments.push({ start, end: text[end - 1] === '\r' ? end - 1 : end, type: 'line' });
+  return end;
+}
+
+/**
+ * Finds the end of the line containing an index
+ * @param {string} text - Source code
+ * @param {number} start - Index on the line
+ * @returns {number} - Index of the next line break, or the end of the text
+ */
+function findLineEnd(text, start) {
+  const index = text.indexOf('\n', start);
+  return index === -1 ? text.length : index;
+}
+
+/**
+ * Skips a `#!` interpreter line, which is not a comment to remove
+ * @param {string} text - Source code
+ * @returns {number} - Index to start lexing at
+ */
+function skipShebang(text) {
+  return text.startsWith('#!') ? findLineEnd(text, 0) : 0;
+}
+
+/**
+ * Checks whether a character can start an identifier
+ * @param {string} ch - Character
+ * @returns {boolean} - True for letters, `_` and `$`
+ */
+function isIdentifierStart(ch) {
+  return ch !== undefined && /[A-Za-z_$]/.test(ch);
+}
+
+/**
+ * Checks whether a character can continue an identifier
+ * @param {string} [ch] - Character
+ * @returns {boolean} - True for letters, digits, `_` and `$`
+ */
+function isIdentifierChar(ch) {
+  return ch !== undefined && /[\w$]/.test(ch);
+}
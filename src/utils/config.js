@@ -38,6 +38,21 @@ export function mergeArguments(cliArgs, configArgs) {
     mergedArgs.include = [...configArgs.include];
   }
   
+  // Preserve custom model definitions from the config file if they exist
+  if (configArgs && configArgs.models && typeof configArgs.models === 'object') {
+    mergedArgs.models = { ...configArgs.models };
+  }
+  
+  // Preserve custom redaction rules from the config file if they exist
+  if (configArgs && Array.isArray(configArgs.redactionRules)) {
+    mergedArgs.redactionRules = [...configArgs.redactionRules];
+  }
+  
+  // Preserve HTTP request settings and their per-host overrides from the config file if they exist
+  if (configArgs && configArgs.http && typeof configArgs.http === 'object') {
+    mergedArgs.http = { ...configArgs.http };
+  }
+  
   // CLI arguments take precedence, only override non-undefined values
   for (const [key, value] of Object.entries(cliArgs)) {
     if (value !== undefined) {
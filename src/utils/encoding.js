@@ -0,0 +1,134 @@
+/**
+ * Character Encoding
+ *
+ * Decodes file content in any encoding to UTF-8 text. The encoding comes
+ * from a byte order mark, from UTF-8 validation, or from statistical
+ * detection with chardet, unless it is given explicitly; decoding is done
+ * with iconv-lite. Decoded text is then normalized: the BOM is removed,
+ * line endings become `\n` and Unicode is composed to NFC.
+ */
+
+import chardet from 'chardet';
+import iconv from 'iconv-lite';
+
+/**
+ * Byte order marks, longest first so UTF-32 LE is not taken for UTF-16 LE
+ */
+const BYTE_ORDER_MARKS = [
+  { bytes: [0x00, 0x00, 0xfe, 0xff], encoding: 'utf-32be' },
+  { bytes: [0xff, 0xfe, 0x00, 0x00], encoding: 'utf-32le' },
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' }
+];
+
+/**
+ * Detected encodings decoded with a superset, as browsers do
+ */
+const ENCODING_SUPERSETS = {
+  'iso-8859-1': 'windows-1252'
+};
+
+/**
+ * Encoding of content that is not UTF-8 when detection gives no usable answer,
+ * such as 'ascii' for a short Latin-1 file; every byte decodes in it
+ */
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Bytes passed to statistical detection
+ */
+const DETECTION_BYTES = 65536;
+
+/**
+ * Validates the value of the encoding option
+ * @param {string} [value] - Encoding name, or 'auto' to detect it
+ * @returns {string|null} - Encoding name in lower case, or null to detect the encoding
+ * @throws {Error} If iconv-lite does not support the encoding
+ */
+export function parseEncoding(value) {
+  if (!value || value.toLowerCase() === 'auto') {
+    return null;
+  }
+
+  if (!iconv.encodingExists(value)) {
+    throw new Error(`Invalid encoding: ${value}. Must be auto or an encoding such as utf-8, latin1, windows-1252, shift_jis or utf-16le`);
+  }
+
+  return value.toLowerCase();
+}
+
+/**
+ * Detects the encoding of raw content
+ * @param {Buffer} buffer - Raw content
+ * @returns {Object} - { encoding, bom } where bom tells whether a byte order mark decided the encoding
+ */
+export function detectEncoding(buffer) {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.length <= buffer.length && bytes.every((byte, i) => buffer[i] === byte));
+  if (mark) {
+    return { encoding: mark.encoding, bom: true };
+  }
+
+  if (isValidUtf8(buffer)) {
+    return { encoding: 'utf-8', bom: false };
+  }
+
+  // The content is not UTF-8, so 'ascii' cannot be right either
+  const detected = (chardet.detect(buffer.subarray(0, DETECTION_BYTES)) || '').toLowerCase();
+  const encoding = ENCODING_SUPERSETS[detected] || detected;
+
+  return {
+    encoding: encoding && encoding !== 'ascii' && iconv.encodingExists(encoding) ? encoding : FALLBACK_ENCODING,
+    bom: false
+  };
+}
+
+/**
+ * Decodes raw content to normalized text
+ * @param {Buffer} buffer - Raw content
+ * @param {string|null} [encoding] - Encoding from parseEncoding, or null to detect it
+ * @returns {Object} - { text, encoding, invalidCharacters, declared } where invalidCharacters counts
+ *   the byte sequences that could not be decoded and were replaced with U+FFFD, and declared
+ *   tells whether the encoding was given or came from a byte order mark rather than a guess
+ */
+export function decodeBuffer(buffer, encoding = null) {
+  const detected = encoding ? null : detectEncoding(buffer);
+  const sourceEncoding = encoding || detected.encoding;
+  const text = iconv.decode(buffer, sourceEncoding);
+
+  // Replacement characters already in valid UTF-8 are content, not decoding errors
+  const invalidCharacters = sourceEncoding === 'utf-8' && isValidUtf8(buffer)
+    ? 0
+    : (text.match(/\uFFFD/g) || []).length;
+
+  return { text: normalizeText(text), encoding: sourceEncoding, invalidCharacters, declared: !detected || detected.bom };
+}
+
+/**
+ * Normalizes decoded text
+ * Removes a leading byte order mark, converts CRLF and CR line endings to LF
+ * and composes Unicode to NFC, so `é` written as `e` plus a combining accent
+ * counts and compares like the precomposed character.
+ * @param {string} text - Decoded text
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .normalize('NFC');
+}
+
+/**
+ * Checks whether content is valid UTF-8
+ * @param {Buffer} buffer - Raw content
+ * @returns {boolean} - True when every byte sequence is valid UTF-8
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * File Classifier
+ *
+ * Decides whether a project file is worth sending as text. Files are
+ * skipped when they are:
+ * - binary: a known magic number, NUL bytes, or mostly invalid characters
+ *   and control characters (images, databases, fonts, archives, executables,
+ *   data files)
+ * - lockfiles: dependency lockfiles, recognized by name
+ * - minified: `.min.js`/`.min.css` files and code made of very long lines
+ * - generated: files marked `@generated` or `DO NOT EDIT`, or starting with
+ *   an "auto-generated" comment
+ */
+
+import path from 'path';
+
+/**
+ * Reasons for skipping a file, as shown in the layout view
+ */
+export const SKIP_REASONS = ['binary', 'lockfile', 'minified', 'generated', 'too large', 'too many tokens'];
+
+/**
+ * Dependency lockfiles, which are long and carry little meaning for a model
+ */
+const LOCKFILE_NAMES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'cargo.lock',
+  'gemfile.lock',
+  'poetry.lock',
+  'pipfile.lock',
+  'pdm.lock',
+  'uv.lock',
+  'composer.lock',
+  'go.sum',
+  'mix.lock',
+  'flake.lock',
+  'podfile.lock',
+  'packages.lock.json',
+  'pubspec.lock'
+];
+
+/**
+ * Leading bytes of common binary formats; short ASCII signatures such as
+ * `BM` and `MZ` are left to the NUL byte check, since text can start with them
+ */
+const MAGIC_NUMBERS = [
+  [0x89, 0x50, 0x4e, 0x47], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+  [0x00, 0x00, 0x01, 0x00], // ICO
+  [0x25, 0x50, 0x44, 0x46, 0x2d], // PDF
+  [0x50, 0x4b, 0x03, 0x04], // ZIP, JAR, DOCX, XLSX
+  [0x1f, 0x8b], // gzip
+  [0x42, 0x5a, 0x68], // bzip2
+  [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], // 7z
+  [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], // xz
+  [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00], // SQLite
+  [0x77, 0x4f, 0x46, 0x46], // WOFF
+  [0x77, 0x4f, 0x46, 0x32], // WOFF2
+  [0x00, 0x01, 0x00, 0x00, 0x00], // TrueType
+  [0x4f, 0x54, 0x54, 0x4f], // OpenType
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0xcf, 0xfa, 0xed, 0xfe], // Mach-O
+  [0xca, 0xfe, 0xba, 0xbe], // Java class, Mach-O universal
+  [0x00, 0x61, 0x73, 0x6d], // WebAssembly
+  [0x4f, 0x67, 0x67, 0x53], // Ogg
+  [0x66, 0x4c, 0x61, 0x43], // FLAC
+  [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59], // NumPy array (.npy)
+  [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a], // HDF5
+  [0x80, 0x02], [0x80, 0x03], [0x80, 0x04], [0x80, 0x05], // Python pickle
+  [0x49, 0x49, 0x2a, 0x00], // TIFF (little-endian)
+  [0x4d, 0x4d, 0x00, 0x2a], // TIFF (big-endian)
+  [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], // RAR
+  [0x28, 0xb5, 0x2f, 0xfd] // Zstandard
+];
+
+/**
+ * Bytes inspected when sniffing content
+ */
+const SNIFF_BYTES = 8192;
+
+/**
+ * Share of invalid or control characters above which content is binary
+ */
+const BINARY_CHAR_RATIO = 0.1;
+
+/**
+ * Markers of generated files, looked for in the first lines: tool markers,
+ * and comments that start by saying the file was generated
+ */
+const GENERATED_MARKER_PATTERN = /@generated\b|\bDO NOT EDIT\b/;
+const GENERATED_COMMENT_PATTERN = /^\s*(?:\/\/|#|\/\*|\*|<!--|--)\s*(?:this file (?:is|was|has been) )?auto(?:matically)?[- ]?generated\b/im;
+
+/**
+ * Lines searched for generated markers
+ */
+const GENERATED_HEADER_LINES = 10;
+
+/**
+ * Extensions of prose and tabular files, whose long lines are paragraphs or rows
+ */
+const LONG_LINE_EXTENSIONS = ['.md', '.markdown', '.txt', '.rst', '.adoc', '.csv', '.tsv'];
+
+/**
+ * Average line length above which a file is considered minified
+ */
+const MINIFIED_AVERAGE_LINE_LENGTH = 300;
+
+/**
+ * Line length above which a file is considered minified, whatever its average
+ */
+const MINIFIED_LINE_LENGTH = 5000;
+
+/**
+ * Finds the reason a file should be skipped, based on its name and content
+ * @param {string} filePath - Path to the file
+ * @param {Buffer} buffer - Raw content of the file
+ * @param {Object} [decoded] - Content decoded by decodeBuffer, when not UTF-8
+ * @param {string} decoded.text - Decoded text
+ * @param {string} decoded.encoding - Encoding of the raw content
+ * @param {boolean} decoded.declared - Whether a byte order mark or an explicit encoding named the encoding
+ * @returns {string|null} - 'binary', 'lockfile', 'minified' or 'generated', or null for files to send
+ */
+export function getSkipReason(filePath, buffer, decoded) {
+  if (isLockfile(filePath)) {
+    return 'lockfile';
+  }
+
+  if (isBinary(buffer, decoded)) {
+    return 'binary';
+  }
+
+  const text = decoded ? decoded.text : buffer.toString('utf8');
+
+  if (isMinified(filePath, text)) {
+    return 'minified';
+  }
+
+  if (isGenerated(text)) {
+    return 'generated';
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a file is a dependency lockfile
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - True for lockfiles
+ */
+export function isLockfile(filePath) {
+  return LOCKFILE_NAMES.includes(path.basename(filePath).toLowerCase());
+}
+
+/**
+ * Checks whether content is binary
+ * Looks for a known magic number, then for NUL bytes, then for the share of
+ * invalid sequences and control characters in the first bytes. Decoded
+ * content is judged on its characters. UTF-16 and UTF-32 content, where NUL
+ * bytes are part of characters, skips the NUL byte check, but only when a byte
+ * order mark or an explicit encoding says so: a statistical guess of UTF-32
+ * also fits arrays of small integers.
+ * @param {Buffer} buffer - Raw content
+ * @param {Object} [decoded] - Content decoded by decodeBuffer, with text, encoding and declared
+ * @returns {boolean} - True for binary content
+ */
+export function isBinary(buffer, decoded) {
+  if (buffer.length === 0) {
+    return false;
+  }
+
+  if (MAGIC_NUMBERS.some(magic => magic.length <= buffer.length && magic.every((byte, i) => buffer[i] === byte))) {
+    return true;
+  }
+
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  const wide = decoded && decoded.declared && /^utf-?(?:16|32)/i.test(decoded.encoding);
+  if (!wide && sample.includes(0)) {
+    return true;
+  }
+
+  // A multi-byte character cut at the end of the sample is not an error
+  const text = decoded
+    ? decoded.text.slice(0, SNIFF_BYTES)
+    : sample.toString('utf8').replace(/\uFFFD{1,3}$/, '');
+  if (text.length === 0) {
+    return false;
+  }
+
+  const suspicious = (text.match(/[\uFFFD\x01-\x08\x0E-\x1A\x1C-\x1F\x7F]/g) || []).length;
+  return suspicious / text.length > BINARY_CHAR_RATIO;
+}
+
+/**
+ * Checks whether source code is minified
+ * @param {string} filePath - Path to the file
+ * @param {string} text - Content of the file
+ * @returns {boolean} - True for `.min.*` files and files made of very long lines, except prose
+ */
+export function isMinified(filePath, text) {
+  if (/\.min\.(?:js|mjs|cjs|css)$/i.test(filePath)) {
+    return true;
+  }
+
+  if (LONG_LINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return false;
+  }
+
+  const lines = text.split('\n');
+  const averageLength = text.length / lines.length;
+  return (text.length >= 1024 && averageLength > MINIFIED_AVERAGE_LINE_LENGTH) ||
+    lines.some(line => line.length > MINIFIED_LINE_LENGTH);
+}
+
+/**
+ * Checks whether a file is marked as generated in its first lines
+ * @param {string} text - Content of the file
+ * @returns {boolean} - True for generated files
+ */
+export function isGenerated(text) {
+  const header = text.split('\n', GENERATED_HEADER_LINES).join('\n');
+  return GENERATED_MARKER_PATTERN.test(header) || GENERATED_COMMENT_PATTERN.test(header);
+}
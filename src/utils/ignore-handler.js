@@ -25,7 +25,17 @@ export function getDefaultIgnorePatterns() {
     'package-lock.json',
     'yarn.lock',
     'yarn-error.log',
-    
+    'pnpm-lock.yaml',
+    'bun.lockb',
+
+    // Lockfiles from other ecosystems
+    'Cargo.lock',
+    'Gemfile.lock',
+    'composer.lock',
+    'poetry.lock',
+    'Pipfile.lock',
+    'go.sum',
+
     // Build outputs
     'dist',
     'build',
@@ -76,45 +86,66 @@ export function getDefaultIgnorePatterns() {
 }
 
 /**
- * Loads ignore patterns from a .gitignore file.
- * @param {string} projectPath - Path to the project directory.
- * @return {string[]} Array of ignore patterns from .gitignore.
+ * Name of the project-level ignore file specific to llm-prepare.
+ * It uses .gitignore syntax and is honored in every directory, like .gitignore.
  */
-export function loadGitignorePatterns(projectPath) {
-  const gitignorePath = path.join(projectPath, '.gitignore');
-  
-  if (fs.existsSync(gitignorePath)) {
+export const LLM_PREPARE_IGNORE_FILENAME = '.llmprepareignore';
+
+/**
+ * Reads an ignore file and returns its patterns.
+ * @param {string} filePath - Path to the ignore file.
+ * @param {string} label - Human readable name of the file, used in error messages.
+ * @return {string[]} Array of ignore patterns, or an empty array if the file is missing.
+ */
+function readIgnoreFile(filePath, label) {
+  if (fs.existsSync(filePath)) {
     try {
-      const content = fs.readFileSync(gitignorePath, 'utf8');
+      const content = fs.readFileSync(filePath, 'utf8');
       return content
-        .split('\n')
+        .split(/\r?\n/)
         .filter(line => line.trim() && !line.startsWith('#'));
     } catch (error) {
-      console.error(`Error reading .gitignore file: ${error.message}`);
+      console.error(`Error reading ${label} file: ${error.message}`);
     }
   }
   
   return [];
 }
 
+/**
+ * Loads ignore patterns from a .gitignore file.
+ * @param {string} projectPath - Path to the project directory.
+ * @return {string[]} Array of ignore patterns from .gitignore.
+ */
+export function loadGitignorePatterns(projectPath) {
+  return readIgnoreFile(path.join(projectPath, '.gitignore'), '.gitignore');
+}
+
+/**
+ * Loads ignore patterns from a .llmprepareignore file.
+ * @param {string} projectPath - Path to the project directory.
+ * @return {string[]} Array of ignore patterns from .llmprepareignore.
+ */
+export function loadLlmPrepareIgnorePatterns(projectPath) {
+  return readIgnoreFile(path.join(projectPath, LLM_PREPARE_IGNORE_FILENAME), LLM_PREPARE_IGNORE_FILENAME);
+}
+
+/**
+ * Loads ignore patterns from the repository's .git/info/exclude file.
+ * @param {string} projectPath - Path to the project directory.
+ * @return {string[]} Array of ignore patterns from .git/info/exclude.
+ */
+export function loadGitInfoExcludePatterns(projectPath) {
+  return readIgnoreFile(path.join(projectPath, '.git', 'info', 'exclude'), '.git/info/exclude');
+}
+
 /**
  * Loads ignore patterns from a custom ignore file.
  * @param {string} filePath - Path to the custom ignore file.
  * @return {string[]} Array of ignore patterns from the custom file.
  */
 export function loadCustomIgnoreFile(filePath) {
-  if (fs.existsSync(filePath)) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      return content
-        .split('\n')
-        .filter(line => line.trim() && !line.startsWith('#'));
-    } catch (error) {
-      console.error(`Error reading custom ignore file: ${error.message}`);
-    }
-  }
-  
-  return [];
+  return readIgnoreFile(filePath, 'custom ignore');
 }
 
 /**
@@ -133,44 +164,115 @@ export function parseIgnoreString(patternsString) {
 
 /**
  * Creates an ignore filter function based on combined ignore patterns.
+ *
+ * Rules are evaluated the way git evaluates them: patterns from a nested
+ * .gitignore (or .llmprepareignore) are relative to the directory that holds
+ * the file and take precedence over the files above it, so a nested `!keep.js`
+ * can re-include a file ignored higher up. A file inside an ignored directory
+ * can never be re-included. Custom patterns passed on the command line are
+ * evaluated last and win over everything else.
+ *
  * @param {Object} options - Configuration options.
  * @param {string} options.projectPath - Path to the project directory.
  * @param {boolean} options.ignoreGitignore - Whether to disable .gitignore processing.
  * @param {string} options.customIgnoreString - Comma-separated custom ignore patterns.
  * @param {string} options.customIgnoreFilename - Path to a custom ignore file.
  * @param {string} options.defaultIgnore - Path to a default ignore file.
- * @return {Function} A filter function that returns true for files to ignore.
+ * @return {Function} A filter function `(filePath, isDirectory)` that returns true for paths to ignore.
  */
 export function createIgnoreFilter(options) {
-  const ig = ignore();
+  const projectPath = path.resolve(options.projectPath || '.');
   
-  // Add default ignore patterns
-  ig.add(getDefaultIgnorePatterns());
+  // Lowest precedence: built-in defaults, default ignore file and .git/info/exclude
+  const baseRules = ignore();
+  baseRules.add(getDefaultIgnorePatterns());
   
-  // Add patterns from .gitignore if not disabled
-  if (!options.ignoreGitignore && options.projectPath) {
-    ig.add(loadGitignorePatterns(options.projectPath));
+  if (options.defaultIgnore) {
+    baseRules.add(loadCustomIgnoreFile(options.defaultIgnore));
   }
   
-  // Add patterns from custom ignore string
-  if (options.customIgnoreString) {
-    ig.add(parseIgnoreString(options.customIgnoreString));
+  if (!options.ignoreGitignore) {
+    baseRules.add(loadGitInfoExcludePatterns(projectPath));
   }
   
-  // Add patterns from custom ignore file
+  // Highest precedence: patterns passed explicitly by the user
+  const overrideRules = ignore();
+  
   if (options.customIgnoreFilename) {
-    ig.add(loadCustomIgnoreFile(options.customIgnoreFilename));
+    overrideRules.add(loadCustomIgnoreFile(options.customIgnoreFilename));
   }
   
-  // Add patterns from default ignore file
-  if (options.defaultIgnore) {
-    ig.add(loadCustomIgnoreFile(options.defaultIgnore));
+  if (options.customIgnoreString) {
+    overrideRules.add(parseIgnoreString(options.customIgnoreString));
   }
   
+  // Per-directory rules are loaded lazily as directories are visited
+  const directoryRules = new Map();
+  const getDirectoryRules = (relativeDir) => {
+    if (!directoryRules.has(relativeDir)) {
+      const absoluteDir = path.join(projectPath, relativeDir);
+      const patterns = [
+        ...(options.ignoreGitignore ? [] : loadGitignorePatterns(absoluteDir)),
+        ...loadLlmPrepareIgnorePatterns(absoluteDir)
+      ];
+      directoryRules.set(relativeDir, patterns.length > 0 ? ignore().add(patterns) : null);
+    }
+    return directoryRules.get(relativeDir);
+  };
+  
+  // Decide a single path, assuming none of its parent directories is ignored
+  const matches = (segments, isDirectory) => {
+    const suffix = isDirectory ? '/' : '';
+    let ignored = false;
+    
+    const apply = (rules, relativePath) => {
+      const result = rules.test(relativePath + suffix);
+      if (result.ignored) {
+        ignored = true;
+      } else if (result.unignored) {
+        ignored = false;
+      }
+    };
+    
+    apply(baseRules, segments.join('/'));
+    
+    // Walk from the project root down to the parent directory of the path
+    for (let depth = 0; depth < segments.length; depth++) {
+      const rules = getDirectoryRules(segments.slice(0, depth).join(path.sep));
+      if (rules) {
+        apply(rules, segments.slice(depth).join('/'));
+      }
+    }
+    
+    apply(overrideRules, segments.join('/'));
+    return ignored;
+  };
+  
+  const cache = new Map();
+  
   // Return a filter function
-  return (filePath) => {
+  return (filePath, isDirectory = false) => {
     // Convert absolute path to relative path from project root
-    const relativePath = path.relative(options.projectPath || '.', filePath);
-    return ig.ignores(relativePath);
+    const relativePath = path.relative(projectPath, path.resolve(filePath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    
+    const segments = relativePath.split(path.sep);
+    
+    // A path is ignored when it, or any directory above it, is ignored
+    for (let i = 1; i <= segments.length; i++) {
+      const prefixIsDirectory = i < segments.length || isDirectory;
+      const key = segments.slice(0, i).join('/') + (prefixIsDirectory ? '/' : '');
+      
+      if (!cache.has(key)) {
+        cache.set(key, matches(segments.slice(0, i), prefixIsDirectory));
+      }
+      if (cache.get(key)) {
+        return true;
+      }
+    }
+    
+    return false;
   };
-}
\ No newline at end of file
+}
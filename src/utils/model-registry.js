@@ -0,0 +1,215 @@
+/**
+ * Model Registry module - Known LLMs and their token budgets
+ *
+ * Each entry describes a target model:
+ * - contextWindow: total tokens the model accepts (prompt + completion)
+ * - outputReserve: tokens to leave free for the model's answer
+ * - tokenizer: tokenizer family used to count tokens (see token-counter.js)
+ * - chatFormat: chat message convention used by the model
+ *
+ * The registry can be extended or overridden with a `models` object in the
+ * configuration file, using the same fields plus an optional `aliases` array.
+ */
+
+import { getTokenizerForModel, resolveTokenizerName } from './token-counter.js';
+
+/**
+ * Built-in model definitions
+ * Claude and Gemini tokenizers are not public; their entries use the closest
+ * available tokenizer, which is an approximation.
+ */
+const BUILT_IN_MODELS = {
+  // OpenAI
+  'gpt-4o': { contextWindow: 128000, outputReserve: 16384, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'gpt-4o-mini': { contextWindow: 128000, outputReserve: 16384, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'gpt-4.1': { contextWindow: 1047576, outputReserve: 32768, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'gpt-4.1-mini': { contextWindow: 1047576, outputReserve: 32768, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'gpt-4-turbo': { contextWindow: 128000, outputReserve: 4096, tokenizer: 'cl100k_base', chatFormat: 'openai' },
+  'gpt-4': { contextWindow: 8192, outputReserve: 2048, tokenizer: 'cl100k_base', chatFormat: 'openai' },
+  'gpt-3.5-turbo': { contextWindow: 16385, outputReserve: 4096, tokenizer: 'cl100k_base', chatFormat: 'openai' },
+  'o1': { contextWindow: 200000, outputReserve: 25000, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'o3': { contextWindow: 200000, outputReserve: 25000, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'o3-mini': { contextWindow: 200000, outputReserve: 25000, tokenizer: 'o200k_base', chatFormat: 'openai' },
+  'o4-mini': { contextWindow: 200000, outputReserve: 25000, tokenizer: 'o200k_base', chatFormat: 'openai' },
+
+  // Anthropic
+  'claude-opus-4': { contextWindow: 200000, outputReserve: 8192, tokenizer: 'cl100k_base', chatFormat: 'anthropic', aliases: ['claude-opus'] },
+  'claude-sonnet-4': { contextWindow: 200000, outputReserve: 8192, tokenizer: 'cl100k_base', chatFormat: 'anthropic', aliases: ['claude-sonnet'] },
+  'claude-3-7-sonnet': { contextWindow: 200000, outputReserve: 8192, tokenizer: 'cl100k_base', chatFormat: 'anthropic' },
+  'claude-3-5-sonnet': { contextWindow: 200000, outputReserve: 8192, tokenizer: 'cl100k_base', chatFormat: 'anthropic' },
+  'claude-3-5-haiku': { contextWindow: 200000, outputReserve: 8192, tokenizer: 'cl100k_base', chatFormat: 'anthropic', aliases: ['claude-haiku'] },
+  'claude-3-opus': { contextWindow: 200000, outputReserve: 4096, tokenizer: 'cl100k_base', chatFormat: 'anthropic' },
+
+  // Google
+  'gemini-2.5-pro': { contextWindow: 1048576, outputReserve: 65536, tokenizer: 'heuristic', chatFormat: 'gemini' },
+  'gemini-2.0-flash': { contextWindow: 1048576, outputReserve: 8192, tokenizer: 'heuristic', chatFormat: 'gemini' },
+  'gemini-1.5-pro': { contextWindow: 2097152, outputReserve: 8192, tokenizer: 'heuristic', chatFormat: 'gemini' },
+  'gemini-1.5-flash': { contextWindow: 1048576, outputReserve: 8192, tokenizer: 'heuristic', chatFormat: 'gemini' },
+
+  // Open weight models
+  'llama-2': { contextWindow: 4096, outputReserve: 512, tokenizer: 'llama', chatFormat: 'llama2' },
+  'llama-3': { contextWindow: 8192, outputReserve: 1024, tokenizer: 'cl100k_base', chatFormat: 'llama3' },
+  'llama-3.1': { contextWindow: 131072, outputReserve: 4096, tokenizer: 'cl100k_base', chatFormat: 'llama3' },
+  'mistral-7b': { contextWindow: 32768, outputReserve: 2048, tokenizer: 'llama', chatFormat: 'mistral', aliases: ['mistral'] },
+  'mixtral-8x7b': { contextWindow: 32768, outputReserve: 2048, tokenizer: 'llama', chatFormat: 'mistral', aliases: ['mixtral'] }
+};
+
+/**
+ * Builds the model registry, merging configuration entries over the built-ins
+ * @param {Object} [customModels] - Model definitions from the config file, keyed by name
+ * @return {Object} Registry keyed by lower-case model name
+ * @throws {Error} If a custom definition is invalid
+ */
+export function getModelRegistry(customModels = {}) {
+  const registry = {};
+
+  for (const [name, info] of Object.entries(BUILT_IN_MODELS)) {
+    registry[name] = { name, ...info };
+  }
+
+  for (const [rawName, info] of Object.entries(customModels || {})) {
+    const name = rawName.toLowerCase();
+    const merged = { ...(registry[name] || {}), ...info, name };
+    validateModelDefinition(merged);
+    registry[name] = merged;
+  }
+
+  return registry;
+}
+
+/**
+ * Validates a model definition
+ * @param {Object} model - Model definition
+ * @throws {Error} If a required field is missing or invalid
+ */
+function validateModelDefinition(model) {
+  if (!Number.isInteger(model.contextWindow) || model.contextWindow <= 0) {
+    throw new Error(`Invalid model definition for ${model.name}: contextWindow must be a positive integer`);
+  }
+
+  if (model.outputReserve !== undefined &&
+      (!Number.isInteger(model.outputReserve) || model.outputReserve < 0 || model.outputReserve >= model.contextWindow)) {
+    throw new Error(`Invalid model definition for ${model.name}: outputReserve must be a non-negative integer smaller than contextWindow`);
+  }
+
+  if (model.tokenizer !== undefined) {
+    model.tokenizer = resolveTokenizerName(model.tokenizer);
+  }
+}
+
+/**
+ * Looks up a model by name, alias or versioned name
+ * Versioned names such as 'gpt-4o-2024-08-06' or 'claude-3-5-sonnet-20241022'
+ * match the longest registered name they start with.
+ *
+ * @param {string} modelName - Model name to look up
+ * @param {Object} [customModels] - Model definitions from the config file
+ * @return {Object|null} The model definition, or null if the model is unknown
+ */
+export function findModel(modelName, customModels) {
+  if (!modelName) return null;
+
+  const registry = getModelRegistry(customModels);
+  const name = String(modelName).trim().toLowerCase();
+
+  if (registry[name]) {
+    return registry[name];
+  }
+
+  for (const model of Object.values(registry)) {
+    if (Array.isArray(model.aliases) && model.aliases.some(alias => alias.toLowerCase() === name)) {
+      return model;
+    }
+  }
+
+  // Fall back to the longest registered name that prefixes the requested one
+  const prefixMatch = Object.keys(registry)
+    .filter(key => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefixMatch ? registry[prefixMatch] : null;
+}
+
+/**
+ * Returns the tokenizer to use for a model
+ * @param {string} modelName - Model name
+ * @param {Object} [customModels] - Model definitions from the config file
+ * @return {string} Tokenizer name
+ */
+export function getModelTokenizer(modelName, customModels) {
+  const model = findModel(modelName, customModels);
+  return (model && model.tokenizer) || getTokenizerForModel(modelName);
+}
+
+/**
+ * Computes the prompt token budget for a model
+ * The budget is the context window minus the tokens reserved for the completion.
+ *
+ * @param {Object} model - Model definition from findModel
+ * @param {number} [reserveTokens] - Override for the model's output reserve
+ * @return {number} Maximum tokens available for the prompt
+ * @throws {Error} If the reserve does not leave room for a prompt
+ */
+export function getModelTokenBudget(model, reserveTokens) {
+  const reserve = reserveTokens !== undefined ? reserveTokens : (model.outputReserve || 0);
+
+  if (!Number.isInteger(reserve) || reserve < 0) {
+    throw new Error(`Invalid reserve tokens: ${reserveTokens}. Must be a non-negative integer.`);
+  }
+
+  const budget = model.contextWindow - reserve;
+
+  if (budget <= 0) {
+    throw new Error(`Reserve of ${reserve} tokens leaves no room for the prompt in ${model.name} (${model.contextWindow} token context window)`);
+  }
+
+  return budget;
+}
+
+/**
+ * Resolves the maximum prompt tokens from explicit options or the target model
+ * An explicit maxTokens always wins over the model's budget.
+ *
+ * @param {Object} options - Processing options
+ * @param {number} [options.maxTokens] - Explicit token limit
+ * @param {string} [options.model] - Target model name
+ * @param {number} [options.reserveTokens] - Tokens to reserve for the completion
+ * @param {Object} [options.models] - Model definitions from the config file
+ * @return {number|undefined} The token limit, or undefined when there is none
+ */
+export function resolveMaxTokens(options) {
+  if (options.maxTokens) {
+    return options.maxTokens;
+  }
+
+  if (!options.model) {
+    return undefined;
+  }
+
+  const model = findModel(options.model, options.models);
+
+  if (!model) {
+    console.warn(`Warning: Unknown model '${options.model}'. No token budget applied; use --max-tokens or add it to the config file.`);
+    return undefined;
+  }
+
+  return getModelTokenBudget(model, options.reserveTokens);
+}
+
+/**
+ * Formats the registry as a table for display
+ * @param {Object} [customModels] - Model definitions from the config file
+ * @return {string} One line per model
+ */
+export function formatModelList(customModels) {
+  const registry = getModelRegistry(customModels);
+
+  return Object.values(registry)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(model => {
+      const aliases = model.aliases && model.aliases.length > 0 ? ` (aliases: ${model.aliases.join(', ')})` : '';
+      return `${model.name}: context ${model.contextWindow}, reserve ${model.outputReserve || 0}, ` +
+        `tokenizer ${model.tokenizer || 'heuristic'}, chat format ${model.chatFormat || 'unknown'}${aliases}`;
+    })
+    .join('\n');
+}
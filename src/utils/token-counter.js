@@ -1,11 +1,34 @@
 /**
  * Token Counter module - Estimates token counts for LLM input
  * 
- * Note: This is a rough estimation since exact tokenization varies by model.
- * Most LLMs use tokenizers based on byte-pair encoding or similar algorithms.
- * This provides a simple approximation.
+ * Two kinds of counting are available:
+ * - A fast heuristic (`estimateTokenCount`) that needs no vocabulary and is
+ *   used by default and as the fallback.
+ * - Offline BPE tokenizers (cl100k_base, o200k_base and the Llama
+ *   SentencePiece vocabulary) loaded on demand with `loadTokenizer`. The
+ *   vocabularies ship with the js-tiktoken and llama-tokenizer-js packages,
+ *   so no network access is needed.
  */
 
+/**
+ * Names of the tokenizers that can be selected with --tokenizer
+ */
+export const TOKENIZER_NAMES = ['heuristic', 'cl100k_base', 'o200k_base', 'llama'];
+
+/**
+ * Alternative names accepted for the tokenizers
+ */
+const TOKENIZER_ALIASES = {
+  'estimate': 'heuristic',
+  'cl100k': 'cl100k_base',
+  'o200k': 'o200k_base',
+  'llama2': 'llama',
+  'sentencepiece': 'llama'
+};
+
+// Loaded tokenizers, keyed by canonical name (vocabularies are expensive to load)
+const tokenizerCache = new Map();
+
 /**
  * Estimates the number of tokens in a text string
  * This is a rough approximation based on common tokenization patterns
@@ -34,13 +57,135 @@ export function estimateTokenCount(text) {
     
     return Math.max(1, Math.round(estimatedTokens));
   }
+
+  /**
+   * Resolves a tokenizer name or alias to its canonical name
+   * @param {string} name - Tokenizer name or alias
+   * @return {string} Canonical tokenizer name
+   * @throws {Error} If the tokenizer is unknown
+   */
+  export function resolveTokenizerName(name) {
+    const normalized = String(name || 'heuristic').trim().toLowerCase();
+    const resolved = TOKENIZER_ALIASES[normalized] || normalized;
+    
+    if (!TOKENIZER_NAMES.includes(resolved)) {
+      throw new Error(`Invalid tokenizer: ${name}. Must be one of: ${TOKENIZER_NAMES.join(', ')}`);
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Picks the tokenizer family for a target model name
+   * Unknown or missing models fall back to the heuristic.
+   * 
+   * @param {string} [model] - Model name such as 'gpt-4o' or 'llama-2-13b'
+   * @return {string} Tokenizer name
+   */
+  export function getTokenizerForModel(model) {
+    if (!model) return 'heuristic';
+    
+    const name = String(model).toLowerCase();
+    
+    if (/^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4|chatgpt-4o)/.test(name)) {
+      return 'o200k_base';
+    }
+    
+    if (/^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada)/.test(name)) {
+      return 'cl100k_base';
+    }
+    
+    if (/^(llama|codellama|mistral|mixtral|vicuna|alpaca)/.test(name)) {
+      return 'llama';
+    }
+    
+    return 'heuristic';
+  }
+
+  /**
+   * Loads a tokenizer by name
+   * The returned object exposes `name`, `count(text)`, `encode(text)` and
+   * `decode(tokens)`. The heuristic tokenizer cannot encode, so its
+   * `encode`/`decode` are null.
+   * 
+   * @param {string} [name='heuristic'] - Tokenizer name (see TOKENIZER_NAMES)
+   * @return {Promise<Object>} The loaded tokenizer
+   */
+  export async function loadTokenizer(name = 'heuristic') {
+    const resolved = resolveTokenizerName(name);
+    
+    if (tokenizerCache.has(resolved)) {
+      return tokenizerCache.get(resolved);
+    }
+    
+    let tokenizer;
+    
+    switch (resolved) {
+      case 'cl100k_base':
+      case 'o200k_base': {
+        const { Tiktoken } = await import('js-tiktoken/lite');
+        const { default: ranks } = await import(`js-tiktoken/ranks/${resolved}`);
+        const encoder = new Tiktoken(ranks);
+        
+        // Special tokens such as <|endoftext|> are counted as plain text
+        const encode = (text) => (text ? encoder.encode(text, [], []) : []);
+        tokenizer = {
+          name: resolved,
+          count: (text) => encode(text).length,
+          encode,
+          decode: (tokens) => encoder.decode(tokens)
+        };
+        break;
+      }
+      case 'llama': {
+        const { default: llamaTokenizer } = await import('llama-tokenizer-js');
+        
+        // Count without the BOS token so counts of pieces add up
+        const encode = (text) => (text ? llamaTokenizer.encode(text, false, false) : []);
+        tokenizer = {
+          name: resolved,
+          count: (text) => encode(text).length,
+          encode,
+          decode: (tokens) => llamaTokenizer.decode(tokens, false, false)
+        };
+        break;
+      }
+      default:
+        tokenizer = {
+          name: 'heuristic',
+          count: estimateTokenCount,
+          encode: null,
+          decode: null
+        };
+    }
+    
+    tokenizerCache.set(resolved, tokenizer);
+    return tokenizer;
+  }
+
+  /**
+   * Counts tokens with the given tokenizer, falling back to the heuristic
+   * @param {string} text - The text to count tokens for
+   * @param {Object} [tokenizer] - A tokenizer returned by loadTokenizer
+   * @return {number} Token count
+   */
+  export function countTokens(text, tokenizer) {
+    if (!text) return 0;
+    
+    if (!tokenizer || typeof tokenizer.count !== 'function') {
+      return estimateTokenCount(text);
+    }
+    
+    return tokenizer.count(text);
+  }
   
   /**
    * Analyzes token distribution in text to help with truncation decisions
    * @param {string} text - Text to analyze
+   * @param {Object} [tokenizer] - A tokenizer returned by loadTokenizer
    * @return {Object} Analysis results with token density per region
    */
-  export function analyzeTokenDistribution(text) {
+  export function analyzeTokenDistribution(text, tokenizer) {
     if (!text) {
       return {
         total: 0,
@@ -63,7 +208,7 @@ export function estimateTokenCount(text) {
       
       // When we reach section boundary, analyze it
       if ((i + 1) % sectionSize === 0 || i === lines.length - 1) {
-        const tokens = estimateTokenCount(currentSection);
+        const tokens = countTokens(currentSection, tokenizer);
         sections.push({
           section: sectionNumber++,
           lines: currentSection.split('\n').length,
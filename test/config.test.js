@@ -84,6 +84,19 @@ describe('Config file utilities', () => {
       });
     });
 
+    test('preserves custom model definitions from config', () => {
+      const configArgs = {
+        args: { model: 'in-house' },
+        models: { 'in-house': { contextWindow: 32000, outputReserve: 2000 } }
+      };
+
+      const merged = mergeArguments({}, configArgs);
+      expect(merged).toEqual({
+        model: 'in-house',
+        models: { 'in-house': { contextWindow: 32000, outputReserve: 2000 } }
+      });
+    });
+
     test('returns empty object for empty args', () => {
       const merged = mergeArguments({}, {});
       expect(merged).toEqual({});
@@ -0,0 +1,101 @@
+import { describe, test, expect, jest, beforeAll, afterEach } from '@jest/globals';
+
+// Fake browser recording what the renderer asks of it
+const calls = [];
+const createPage = () => {
+  const handlers = {};
+  return {
+    setViewport: jest.fn(async (viewport) => calls.push(['viewport', viewport])),
+    setUserAgent: jest.fn(async () => {}),
+    setRequestInterception: jest.fn(async (enabled) => calls.push(['interception', enabled])),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    goto: jest.fn(async (url) => {
+      calls.push(['goto', url]);
+      for (const type of ['document', 'image', 'font', 'script']) {
+        handlers.request && handlers.request({
+          resourceType: () => type,
+          abort: () => calls.push(['abort', type]),
+          continue: () => calls.push(['continue', type])
+        });
+      }
+      return { headers: () => ({ etag: '"1"' }) };
+    }),
+    waitForSelector: jest.fn(async (selector) => calls.push(['waitFor', selector])),
+    evaluate: jest.fn(async () => 0),
+    waitForNetworkIdle: jest.fn(async () => {}),
+    content: jest.fn(async () => '<html><body>Rendered</body></html>'),
+    close: jest.fn(async () => calls.push(['closePage']))
+  };
+};
+const browser = {
+  newPage: jest.fn(async () => createPage()),
+  on: jest.fn(),
+  close: jest.fn(async () => calls.push(['closeBrowser']))
+};
+const launch = jest.fn(async () => browser);
+
+jest.unstable_mockModule('puppeteer', () => ({ default: { launch } }));
+
+let renderUrl;
+let closeBrowser;
+let resolveRenderOptions;
+
+beforeAll(async () => {
+  ({ renderUrl, closeBrowser, resolveRenderOptions } = await import('../../src/io/browser-renderer.js'));
+});
+
+afterEach(async () => {
+  await closeBrowser();
+  calls.length = 0;
+  launch.mockClear();
+});
+
+describe('Browser Rendering', () => {
+  test('shares one browser between renders and closes it at the end', async () => {
+    const options = { waitTime: 0 };
+
+    expect(await renderUrl('https://x.test/a', options)).toBe('<html><body>Rendered</body></html>');
+    await renderUrl('https://x.test/b', options);
+    await closeBrowser();
+
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(calls.filter(([name]) => name !== 'viewport')).toEqual([
+      ['goto', 'https://x.test/a'],
+      ['closePage'],
+      ['goto', 'https://x.test/b'],
+      ['closePage'],
+      ['closeBrowser']
+    ]);
+  });
+
+  test('applies the viewport, awaited selector and resource blocking', async () => {
+    const options = resolveRenderOptions({ waitFor: '#app', viewport: '800x600', blockResources: true });
+
+    await renderUrl('https://x.test/app', options);
+
+    expect(calls).toEqual([
+      ['viewport', { width: 800, height: 600 }],
+      ['interception', true],
+      ['goto', 'https://x.test/app'],
+      ['continue', 'document'],
+      ['abort', 'image'],
+      ['abort', 'font'],
+      ['continue', 'script'],
+      ['waitFor', '#app'],
+      ['closePage']
+    ]);
+  });
+
+  test('validates render options', () => {
+    expect(resolveRenderOptions({ click: '.more' })).toEqual({
+      waitFor: null,
+      scrollToBottom: false,
+      click: ['.more'],
+      viewport: { width: 1280, height: 1024 },
+      waitTime: null,
+      blockResources: false
+    });
+    expect(() => resolveRenderOptions({ viewport: 'wide' })).toThrow('Invalid viewport: wide. Must be WIDTHxHEIGHT, such as 1280x1024');
+    expect(() => resolveRenderOptions({ renderWait: -5 })).toThrow('Invalid render wait: -5. Must be a number of milliseconds');
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import {
+  allocateTokenBudget,
+  getFilePriority,
+  parsePriorityPatterns,
+  MIN_FILE_TOKENS
+} from '../../src/processors/budget-allocator.js';
+import { processProjectDirectory } from '../../src/processors/project-processor.js';
+import { loadTokenizer } from '../../src/utils/token-counter.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test project directory
+const testProjectDir = path.join(__dirname, '..', 'fixtures', 'budget-project');
+const manyFilesDir = path.join(__dirname, '..', 'fixtures', 'budget-many-files');
+
+const longText = (label, lines) => Array.from({ length: lines }, (_, i) => `${label} line ${i} with some words.`).join('\n');
+
+// Create test project structure
+beforeAll(async () => {
+  await fs.mkdir(path.join(testProjectDir, 'src'), { recursive: true });
+  await fs.mkdir(path.join(testProjectDir, 'zz'), { recursive: true });
+  await fs.writeFile(path.join(testProjectDir, 'README.md'), longText('readme', 100));
+  await fs.writeFile(path.join(testProjectDir, 'src', 'big.txt'), longText('big', 400));
+  await fs.writeFile(path.join(testProjectDir, 'src', 'small.txt'), 'small file');
+  await fs.writeFile(path.join(testProjectDir, 'zz', 'last.txt'), longText('last', 100));
+  for (let pkg = 1; pkg <= 4; pkg++) {
+    await fs.mkdir(path.join(manyFilesDir, `pkg${pkg}`), { recursive: true });
+    for (let i = 1; i <= 50; i++) {
+      await fs.writeFile(path.join(manyFilesDir, `pkg${pkg}`, `module${i}.js`), `export const value${pkg}_${i} = ${i};\n`);
+    }
+  }
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testProjectDir, { recursive: true, force: true });
+  await fs.rm(manyFilesDir, { recursive: true, force: true });
+});
+
+describe('Budget Allocator', () => {
+  const entries = [
+    { path: 'README.md', tokens: 1000, headerTokens: 10 },
+    { path: 'src/index.js', tokens: 100, headerTokens: 10 },
+    { path: 'test/app.test.js', tokens: 3000, headerTokens: 10 }
+  ];
+
+  test('keeps every file when the budget is large enough', () => {
+    const result = allocateTokenBudget(entries, 10000, 'fair');
+    expect(result.map(r => r.status)).toEqual(['full', 'full', 'full']);
+  });
+
+  test('fair strategy redistributes the unused share of small files', () => {
+    const result = allocateTokenBudget(entries, 1030, 'fair');
+    expect(result[1]).toMatchObject({ status: 'full', allocated: 100 });
+    expect(result[0].allocated).toBe(450);
+    expect(result[2].allocated).toBe(450);
+  });
+
+  test('proportional strategy shares the budget by size', () => {
+    const result = allocateTokenBudget(entries, 2030, 'proportional');
+    expect(result[0].allocated).toBe(487);
+    expect(result[1].allocated).toBe(48);
+    expect(result[2].allocated).toBe(1463);
+    expect(result.every(r => r.status === 'truncated')).toBe(true);
+  });
+
+  test('priority strategy favors README and entry points over tests', () => {
+    const result = allocateTokenBudget(entries, 1030, 'priority');
+    expect(result[1].status).toBe('full');
+    expect(result[0].allocated).toBeGreaterThan(result[2].allocated * 5);
+  });
+
+  test('omits the least important files when shares get too small', () => {
+    const many = Array.from({ length: 10 }, (_, i) => ({ path: `file${i}.txt`, tokens: 500, headerTokens: 5 }));
+    const result = allocateTokenBudget(many, 200, 'fair');
+    const kept = result.filter(r => r.status !== 'omitted');
+
+    expect(kept.length).toBeGreaterThan(0);
+    expect(kept.every(r => r.allocated >= MIN_FILE_TOKENS)).toBe(true);
+    // Later files are dropped first when weights are equal
+    expect(result[0].status).toBe('truncated');
+    expect(result[9].status).toBe('omitted');
+  });
+
+  test('keeps files that aliases point to and drops aliases with their file', () => {
+    const many = Array.from({ length: 10 }, (_, i) => ({ path: `file${i}.txt`, tokens: 500, headerTokens: 5 }));
+    const aliases = [
+      { path: 'copy8.txt', tokens: 0, headerTokens: 5, aliasOf: 8 },
+      { path: 'copy9.txt', tokens: 0, headerTokens: 5, aliasOf: 9 }
+    ];
+
+    // The aliased files outweigh the other files
+    const roomy = allocateTokenBudget([...many, ...aliases], 200, 'fair');
+    expect(roomy.map(r => r.status[0]).join('')).toBe('tttooooottff');
+
+    // Only one aliased file fits; the alias of the other one is omitted too
+    const tight = allocateTokenBudget([...many, ...aliases], 60, 'fair');
+    expect(tight.map(r => r.status[0]).join('')).toBe('ooooooootofo');
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => allocateTokenBudget(entries, 100, 'random')).toThrow('Invalid budget strategy');
+  });
+
+  test('parses and applies priority patterns', () => {
+    const patterns = parsePriorityPatterns('docs/**:3, *.md:0.5');
+    expect(patterns).toEqual([{ pattern: 'docs/**', weight: 3 }, { pattern: '*.md', weight: 0.5 }]);
+    expect(getFilePriority('docs/guide/intro.txt', patterns)).toBe(3);
+    expect(getFilePriority('notes/todo.md', patterns)).toBe(0.5);
+    expect(getFilePriority('other.txt', patterns)).toBe(1);
+    expect(getFilePriority('README.md')).toBe(5);
+    expect(getFilePriority('pkg/__init__.py')).toBe(4);
+    expect(() => parsePriorityPatterns('docs/**')).toThrow('Invalid budget priority');
+  });
+});
+
+describe('Project budget allocation', () => {
+  let tokenizer;
+
+  beforeAll(async () => {
+    tokenizer = await loadTokenizer('cl100k_base');
+  });
+
+  test('keeps every file represented within the budget', async () => {
+    const result = await processProjectDirectory(
+      { projectPath: testProjectDir, filePattern: '*' },
+      { tokenizer, maxTokens: 600 }
+    );
+
+    expect(tokenizer.count(result)).toBeLessThanOrEqual(600);
+    expect(result).toContain('FILE: README.md (truncated to');
+    expect(result).toContain('small file');
+    expect(result).toContain(`FILE: ${path.join('zz', 'last.txt')}`);
+    expect(result).toContain('last line 99 with some words.');
+    expect(result).toContain('[...Content truncated from middle...]');
+    expect(result).toContain('big.txt [truncated]');
+    expect(result).not.toContain('small.txt [');
+  });
+
+  test('lists files that do not fit as omitted in the layout', async () => {
+    const result = await processProjectDirectory(
+      { projectPath: testProjectDir, filePattern: '*' },
+      { tokenizer, maxTokens: 150 }
+    );
+
+    expect(result).toContain('[omitted]');
+    expect(result).toContain('last.txt');
+    expect(tokenizer.count(result)).toBeLessThanOrEqual(150);
+  });
+
+  test('collapses a layout view too long for the budget to directories', async () => {
+    const result = await processProjectDirectory(
+      { projectPath: manyFilesDir, filePattern: '*' },
+      { tokenizer, maxTokens: 1000 }
+    );
+
+    expect(tokenizer.count(result)).toBeLessThanOrEqual(1000);
+    expect(result).toMatch(/├── pkg1\/ \(50 files: \d+ omitted\)/);
+    expect(result).toContain('├── pkg4/ (50 files: 50 omitted)');
+    expect(result).not.toContain('module1.js [');
+    expect(result).toContain('export const value1_1 = 1;');
+
+    const records = JSON.parse(await processProjectDirectory(
+      { projectPath: manyFilesDir, filePattern: '*', outputFormat: 'json' },
+      { tokenizer, maxTokens: 1000 }
+    ));
+    expect(records[0].files[3]).toEqual({ path: 'pkg4', status: 'collapsed', counts: { full: 0, truncated: 0, omitted: 50, skipped: 0 } });
+    expect(records.length).toBeGreaterThan(10);
+  });
+
+  test('priority strategy gives the README the largest share', async () => {
+    const result = await processProjectDirectory(
+      { projectPath: testProjectDir, filePattern: '*', budgetStrategy: 'priority' },
+      { tokenizer, maxTokens: 600 }
+    );
+    const readmeShare = Number(result.match(/README\.md \(truncated to ~(\d+)/)[1]);
+    const bigShare = Number(result.match(/big\.txt \(truncated to ~(\d+)/)[1]);
+
+    expect(readmeShare).toBeGreaterThan(bigShare);
+  });
+
+  test('none strategy leaves the content untouched', async () => {
+    const result = await processProjectDirectory(
+      { projectPath: testProjectDir, filePattern: '*', budgetStrategy: 'none' },
+      { tokenizer, maxTokens: 150 }
+    );
+
+    expect(result).toContain('big line 399 with some words.');
+    expect(result).not.toContain('[truncated]');
+  });
+
+  test('rejects unknown strategies', async () => {
+    await expect(processProjectDirectory(
+      { projectPath: testProjectDir, filePattern: '*', budgetStrategy: 'random' },
+      { tokenizer, maxTokens: 150 }
+    )).rejects.toThrow('Invalid budget strategy');
+  });
+});
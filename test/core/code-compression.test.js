@@ -0,0 +1,111 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  compressCode,
+  compressContent,
+  parseCompressionLevel,
+  formatCompressionReport,
+  COMPRESSION_LEVELS
+} from '../../src/processors/compress.js';
+
+describe('Compression Levels', () => {
+  test('should resolve the compress option to a level', () => {
+    expect(COMPRESSION_LEVELS).toEqual(['light', 'code', 'aggressive']);
+    expect(parseCompressionLevel(true)).toBe('light');
+    expect(parseCompressionLevel(undefined)).toBeNull();
+    expect(parseCompressionLevel('code')).toBe('code');
+    expect(() => parseCompressionLevel('max')).toThrow('Invalid compression level: max');
+  });
+  
+  test('should collapse C-family code but keep literals intact', () => {
+    const code = [
+      'function greet(name) {',
+      '',
+      '    const text = `Hello,',
+      '        ${name}`;   ',
+      '    if (name)   {',
+      '        return   "a   b" + /x  y/.source;',
+      '    }',
+      '}',
+      ''
+    ].join('\n');
+    
+    expect(compressCode(code, 'greet.js')).toBe([
+      'function greet(name) {',
+      'const text = `Hello,',
+      '        ${name}`;',
+      'if (name) {',
+      'return "a   b" + /x  y/.source;',
+      '}',
+      '}',
+      ''
+    ].join('\n'));
+  });
+  
+  test('should re-indent Python without changing its block structure', () => {
+    const code = [
+      'class Store:',
+      '    """Keeps things.',
+      '',
+      '    Indented   docs."""',
+      '',
+      '    def get(self,',
+      '            key):',
+      '        if key:',
+      '            return [',
+      '                key,',
+      '            ]',
+      '        total = 1 + \\',
+      '            2',
+      '\treturn   total',
+      ''
+    ].join('\n');
+    
+    expect(compressCode(code, 'store.py')).toBe([
+      'class Store:',
+      ' """Keeps things.',
+      '',
+      '    Indented   docs."""',
+      ' def get(self,',
+      '  key):',
+      '  if key:',
+      '   return [',
+      '    key,',
+      '    ]',
+      '  total = 1 + \\',
+      '   2',
+      '  return total',
+      ''
+    ].join('\n'));
+  });
+  
+  test('should keep the indentation of YAML and Makefiles', () => {
+    const yaml = 'jobs:\n  - name: build\n    run: |\n      make\n\n      make test\n\n  - name: lint\n';
+    expect(compressCode(yaml, 'ci.yml')).toBe('jobs:\n  - name: build\n    run: |\n      make\n\n      make test\n  - name: lint\n');
+    
+    expect(compressCode('all:\n\tcc -o app   app.c   \n\n', 'Makefile')).toBe('all:\n\tcc -o app   app.c\n');
+  });
+  
+  test('should compress prose by level and leave unknown files to light compression', () => {
+    const prose = 'First   sentence.  Second one.\n\n\n\nNext paragraph.';
+    
+    expect(compressContent(prose, 'code', 'README.md')).toBe('First sentence. Second one.\n\nNext paragraph.');
+    expect(compressContent(prose, 'aggressive', 'README.md')).toBe('First sentence.\nSecond one.\nNext paragraph.');
+    expect(compressContent(prose, 'aggressive')).toBe('First sentence.\nSecond one.\nNext paragraph.');
+    expect(compressContent('{\n    "a":   1\n}\n', 'aggressive', 'data.json')).toBe('{\n    "a": 1\n}\n');
+  });
+  
+  test('should report the tokens saved', () => {
+    const report = formatCompressionReport([
+      { source: 'src/app.js', before: 100, after: 60 },
+      { source: 'README.md', before: 50, after: 45 }
+    ], 'code');
+    
+    expect(report).toBe([
+      'Compression report (code): 150 -> 105 tokens, 45 saved (30%)',
+      'src/app.js: 100 -> 60 tokens (40%)',
+      'README.md: 50 -> 45 tokens (10%)',
+      ''
+    ].join('\n'));
+    expect(formatCompressionReport([], 'light')).toBe('Compression report (light): nothing compressed\n');
+  });
+});
@@ -0,0 +1,400 @@
+import { describe, test, expect } from '@jest/globals';
+import { removeComments, removeDeadCodeComments, isCommentedOutCode, getCommentPattern, getCommentSyntax, COMMENT_MODES } from '../../src/utils/comment-handler.js';
+import { findComments, findTokens } from '../../src/utils/comment-lexer.js';
+
+// Source files as [file name, content, content without comments]
+const fixtures = [
+  [
+    'app.js',
+    [
+      '#!/usr/bin/env node',
+      '// Fetches the index',
+      'const url = "http://example.com/a//b"; // trailing',
+      'const slashes = /\\/\\/|\\/\\*/g;',
+      'const inClass = /[/*]/.test(path) ? a / b : c; /* ratio */',
+      'const label = `see ${url /* expr */ + "}"} // not a comment`;',
+      '/**',
+      ' * Doc comment',
+      ' */',
+      'function f() {}',
+      ''
+    ].join('\n'),
+    [
+      '#!/usr/bin/env node',
+      'const url = "http://example.com/a//b";',
+      'const slashes = /\\/\\/|\\/\\*/g;',
+      'const inClass = /[/*]/.test(path) ? a / b : c;',
+      'const label = `see ${url + "}"} // not a comment`;',
+      'function f() {}',
+      ''
+    ].join('\n')
+  ],
+  [
+    'Card.jsx',
+    [
+      '// Card with a link',
+      'export const Card = ({ url }) => (',
+      '  <div className="card" data-note="a // b">',
+      '    <p>Visit https://example.com</p>',
+      '    {/* hidden */}',
+      "    <div>// x</div>; {url /* expr */ + '!'}",
+      '    <>',
+      "      <a href='http://x.test'>Docs: http://x.test/a</a>",
+      '    </>',
+      '  </div>',
+      '); // c',
+      ''
+    ].join('\n'),
+    [
+      'export const Card = ({ url }) => (',
+      '  <div className="card" data-note="a // b">',
+      '    <p>Visit https://example.com</p>',
+      '    {}',
+      "    <div>// x</div>; {url + '!'}",
+      '    <>',
+      "      <a href='http://x.test'>Docs: http://x.test/a</a>",
+      '    </>',
+      '  </div>',
+      ');',
+      ''
+    ].join('\n')
+  ],
+  [
+    'List.tsx',
+    [
+      'const first = <T,>(items: T[]) => items[0]; // generic',
+      'export function List({ items }: { items: string[] }) {',
+      '  return <ul>{items.map(item => <li key={item}>// {item}</li>)}</ul>; // list',
+      '}',
+      ''
+    ].join('\n'),
+    [
+      'const first = <T,>(items: T[]) => items[0];',
+      'export function List({ items }: { items: string[] }) {',
+      '  return <ul>{items.map(item => <li key={item}>// {item}</li>)}</ul>;',
+      '}',
+      ''
+    ].join('\n')
+  ],
+  [
+    'cast.ts',
+    'const n = <number>value; // cast\nconst m = 1 < 2; // compare\n',
+    'const n = <number>value;\nconst m = 1 < 2;\n'
+  ],
+  [
+    'tool.py',
+    [
+      '"""Module docstring # with a hash."""',
+      'x = "a # b"  # comment',
+      "y = r'''raw",
+      '# still a string',
+      "'''",
+      '# full line',
+      'z = f"{x}#"',
+      ''
+    ].join('\n'),
+    [
+      'x = "a # b"',
+      "y = r'''raw",
+      '# still a string',
+      "'''",
+      'z = f"{x}#"',
+      ''
+    ].join('\n')
+  ],
+  [
+    'task.rb',
+    [
+      'name = "#{user # who',
+      '} ok" # greet',
+      '=begin',
+      'block comment',
+      '=end',
+      'sql = <<~SQL',
+      '  SELECT 1 # not a comment',
+      'SQL',
+      'words = %w(# a) # list',
+      'ok = line =~ /#\\d+/',
+      ''
+    ].join('\n'),
+    [
+      'name = "#{user',
+      '} ok"',
+      'sql = <<~SQL',
+      '  SELECT 1 # not a comment',
+      'SQL',
+      'words = %w(# a)',
+      'ok = line =~ /#\\d+/',
+      ''
+    ].join('\n')
+  ],
+  [
+    'deploy.sh',
+    [
+      'echo "a # b" \'c # d\' $# ${#args[@]} tag#1 # real',
+      'cat <<-EOF',
+      '\t# inside heredoc',
+      '\tEOF',
+      'echo "$(printf "%s" "x # y")" # done',
+      ''
+    ].join('\n'),
+    [
+      'echo "a # b" \'c # d\' $# ${#args[@]} tag#1',
+      'cat <<-EOF',
+      '\t# inside heredoc',
+      '\tEOF',
+      'echo "$(printf "%s" "x # y")"',
+      ''
+    ].join('\n')
+  ],
+  [
+    'query.sql',
+    "SELECT '--x', \"a--b\", $$ -- body $$ -- c\n/* header */\nFROM t;\n",
+    "SELECT '--x', \"a--b\", $$ -- body $$\nFROM t;\n"
+  ],
+  [
+    'page.html',
+    '<a title="<!-- x -->">t</a><!-- c --><script>// s <!-- k --></script><![CDATA[<!-- z -->]]>\n',
+    '<a title="<!-- x -->">t</a><script>// s <!-- k --></script><![CDATA[<!-- z -->]]>\n'
+  ],
+  [
+    'site.css',
+    'a { background: url(http://example.com/x.png); content: "/* no */"; } /* c */\n',
+    'a { background: url(http://example.com/x.png); content: "/* no */"; }\n'
+  ],
+  [
+    'theme.scss',
+    '$base: url(http://example.com/); // base\n',
+    '$base: url(http://example.com/);\n'
+  ],
+  [
+    'lib.rs',
+    'let s = r#"// "raw" "#; let c = \'"\'; fn f<\'a>(x: &\'a str) {} /* a /* b */ c */\n',
+    'let s = r#"// "raw" "#; let c = \'"\'; fn f<\'a>(x: &\'a str) {}\n'
+  ],
+  [
+    'main.cpp',
+    'auto s = R"x(// )" )x"; int n = 1\'000; // c\n',
+    'auto s = R"x(// )" )x"; int n = 1\'000;\n'
+  ],
+  [
+    'main.go',
+    'p := `C:\\path // raw` // c\n',
+    'p := `C:\\path // raw`\n'
+  ],
+  [
+    'config.yml',
+    'url: "http://x#y" # c\nnote: it\'s fine # c\nscript: |\n  # kept\n  run\n',
+    'url: "http://x#y"\nnote: it\'s fine\nscript: |\n  # kept\n  run\n'
+  ]
+];
+
+describe('Comment Removal', () => {
+  test.each(fixtures)('removes only real comments from %s', (file, content, expected) => {
+    expect(removeComments(content, file)).toBe(expected);
+  });
+
+  test.each(fixtures)('leaves %s unchanged once its comments are gone', (file, content, expected) => {
+    expect(removeComments(expected, file)).toBe(expected);
+  });
+
+  test('keeps the indentation of code after a leading comment and separates merged words', () => {
+    expect(removeComments('  /* note */ return 1;\nint/**/x;\n', 'a.c')).toBe('  return 1;\nint x;\n');
+  });
+
+  test('leaves files without a comment syntax unchanged', () => {
+    const content = 'See http://example.com // and # here\n';
+    expect(getCommentSyntax('notes.txt')).toBeNull();
+    expect(getCommentSyntax('data.json')).toBeNull();
+    expect(removeComments(content, 'notes.txt')).toBe(content);
+  });
+
+  test('describes the comment delimiters of a file type', () => {
+    expect(getCommentPattern('src/app.tsx')).toEqual({ syntax: 'javascript', line: '//', block: { start: '/*', end: '*/' } });
+    expect(getCommentPattern('query.sql')).toEqual({ syntax: 'sql', line: '--', block: { start: '/*', end: '*/' } });
+    expect(getCommentPattern('page.html')).toEqual({ syntax: 'html', line: null, block: { start: '<!--', end: '-->' } });
+    expect(getCommentPattern('Makefile')).toEqual({ syntax: 'shell', line: '#', block: null });
+    expect(getCommentPattern('data.json')).toEqual({ syntax: null, line: null, block: null });
+  });
+
+  test('recognizes files by name', () => {
+    expect(getCommentSyntax('docker/Dockerfile')).toBe('shell');
+    expect(removeComments('# base\nFROM node:20\n', 'Dockerfile')).toBe('FROM node:20\n');
+  });
+});
+
+describe('Comment Modes', () => {
+  const js = [
+    '// Copyright (c) 2024 Example Inc.',
+    '// SPDX-License-Identifier: MIT',
+    '',
+    '/** Adds two numbers. */',
+    'function add(a, b) {',
+    '  // TODO: overflow',
+    '  return a + b; /* sum */',
+    '}',
+    '/// <reference types="node" />',
+    ''
+  ].join('\n');
+
+  test('keeps only documentation comments in docs mode', () => {
+    expect(removeComments(js, 'math.js', 'docs')).toBe([
+      '',
+      '/** Adds two numbers. */',
+      'function add(a, b) {',
+      '  return a + b;',
+      '}',
+      '/// <reference types="node" />',
+      ''
+    ].join('\n'));
+  });
+
+  test('removes only the leading license header in license mode', () => {
+    expect(removeComments(`#!/usr/bin/env node\n${js}`, 'math.js', 'license')).toBe([
+      '#!/usr/bin/env node',
+      '',
+      '/** Adds two numbers. */',
+      'function add(a, b) {',
+      '  // TODO: overflow',
+      '  return a + b; /* sum */',
+      '}',
+      '/// <reference types="node" />',
+      ''
+    ].join('\n'));
+  });
+
+  test('keeps a leading comment without license text in license mode', () => {
+    const content = '// Entry point\nmain();\n// Copyright notice in the middle\n';
+    expect(removeComments(content, 'main.js', 'license')).toBe(content);
+  });
+
+  test('keeps all comments in all mode', () => {
+    expect(removeComments(js, 'math.js', 'all')).toBe(js);
+  });
+
+  test('treats docstrings in definition position as documentation', () => {
+    const python = [
+      '"""Module docs."""',
+      'import os',
+      '',
+      'class Store:',
+      '    """Keeps things."""',
+      '',
+      '    def get(self, key: str) -> "Item":',
+      '        r"""Returns an item."""  # lookup',
+      '        return self.items[key]',
+      '',
+      '    def close(self):',
+      '        """Only statement."""',
+      '',
+      'SQL = """SELECT 1"""',
+      ''
+    ].join('\n');
+
+    expect(removeComments(python, 'store.py', 'none')).toBe([
+      'import os',
+      '',
+      'class Store:',
+      '',
+      '    def get(self, key: str) -> "Item":',
+      '        return self.items[key]',
+      '',
+      '    def close(self):',
+      '        """Only statement."""',
+      '',
+      'SQL = """SELECT 1"""',
+      ''
+    ].join('\n'));
+    expect(removeComments(python, 'store.py', 'docs')).toBe(python.replace('  # lookup', ''));
+  });
+
+  test('keeps roxygen and POD documentation in docs mode', () => {
+    expect(removeComments("#' Adds numbers\n# helper\nadd <- function(a, b) a + b\n", 'add.R', 'docs'))
+      .toBe("#' Adds numbers\nadd <- function(a, b) a + b\n");
+    expect(removeComments('=head1 NAME\n\nAdd\n\n=cut\n# helper\nsub add {}\n', 'Add.pm', 'docs'))
+      .toBe('=head1 NAME\n\nAdd\n\n=cut\nsub add {}\n');
+  });
+
+  test('rejects unknown modes', () => {
+    expect(COMMENT_MODES).toEqual(['none', 'docs', 'all', 'license']);
+    expect(() => removeComments('', 'a.js', 'some')).toThrow('Invalid comment mode: some');
+  });
+});
+
+describe('Commented-Out Code', () => {
+  test.each([
+    ['// console.log(result);', 'javascript'],
+    ['// if (user) {\n//   return user.name;\n// }', 'javascript'],
+    ['# total = compute(items)', 'python'],
+    ['# def helper(x):', 'python'],
+    ['-- SELECT * FROM users;', 'sql'],
+    ['<!-- <div class="banner"></div> -->', 'html'],
+    ['/* color: red; */', 'css'],
+    ['# rm -rf build', 'shell']
+  ])('recognizes %s as code', (text, syntax) => {
+    expect(isCommentedOutCode(text, syntax)).toBe(true);
+  });
+
+  test.each([
+    ['// Call reset() before reusing the parser.', 'javascript'],
+    ['// Returns the sum of a and b', 'javascript'],
+    ['// if the user is logged in, skip the prompt', 'javascript'],
+    ['// TODO: call reset() here;', 'javascript'],
+    ['// see https://example.com/docs?page=2', 'javascript'],
+    ['# Compute x = y * 2 here', 'python'],
+    ['/* Colors for the header */', 'css']
+  ])('recognizes %s as prose', (text, syntax) => {
+    expect(isCommentedOutCode(text, syntax)).toBe(false);
+  });
+
+  test('removes commented-out blocks and keeps prose and doc comments', () => {
+    const content = [
+      '/** Loads the config. */',
+      'function load() {',
+      '  // Read the file once, since it never changes.',
+      '  const text = read();',
+      '  // const cached = cache.get(key);',
+      '  // if (cached) return cached;',
+      '  return parse(text); // parse(text, { strict: true });',
+      '}',
+      ''
+    ].join('\n');
+
+    expect(removeDeadCodeComments(content, 'load.js')).toEqual({
+      content: [
+        '/** Loads the config. */',
+        'function load() {',
+        '  // Read the file once, since it never changes.',
+        '  const text = read();',
+        '  return parse(text);',
+        '}',
+        ''
+      ].join('\n'),
+      droppedLines: 3
+    });
+  });
+});
+
+describe('Comment Lexer', () => {
+  test('reports comment ranges and types', () => {
+    const text = 'a(); // one\n/* two */ b();';
+    expect(findComments(text, 'javascript')).toEqual([
+      { start: 5, end: 11, type: 'line' },
+      { start: 12, end: 21, type: 'block' }
+    ]);
+  });
+
+  test('reports literal ranges with findTokens', () => {
+    const text = 'a = "x" // c\nb = /re/;';
+    expect(findTokens(text, 'javascript')).toEqual([
+      { start: 4, end: 7, type: 'string' },
+      { start: 8, end: 12, type: 'line' },
+      { start: 17, end: 21, type: 'string' }
+    ]);
+    expect(findTokens('run: |\n  a\nnext: 1\n', 'yaml')).toEqual([{ start: 6, end: 10, type: 'string' }]);
+  });
+
+  test('rejects unknown syntaxes', () => {
+    expect(() => findComments('', 'cobol')).toThrow('Unknown comment syntax: cobol');
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { crawlSite, parseRobotsTxt, parseSitemap } from '../../src/io/crawler.js';
+import { formatPageOutput } from '../../src/formatters/project-formatter.js';
+import { processText } from '../../src/index.js';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test directory
+const testDir = path.join(__dirname, '..', 'fixtures', 'crawler');
+
+/**
+ * Builds a small HTML page
+ * @param {string} title - Page title
+ * @param {string} body - Body markup
+ * @returns {string} - HTML document
+ */
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+// Site served by the fixture server
+const routes = {
+  '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private\nSitemap: /extra-sitemap.xml\n'],
+  '/sitemap.xml': ['application/xml', '<?xml version="1.0"?><urlset><url><loc>ORIGIN/orphan</loc></url></urlset>'],
+  '/': ['text/html', page('Home', '<h1>Home</h1><a href="/docs/intro#top">Intro</a> <a href="/blog/news">News</a> <a href="/private/keys">Keys</a> <a href="https://elsewhere.test/">Away</a> <a href="/logo.png">Logo</a> <a href="/login" rel="nofollow">Log in</a>')],
+  '/docs/intro': ['text/html', page('Intro', '<h1>Intro</h1><p>Contact admin@example.com</p><a href="/docs/setup">Setup</a> <a href="/">Home</a>')],
+  '/docs/setup': ['text/html', page('Setup', '<h1>Setup</h1><p>Mail admin@example.com</p><a href="/docs/deep">Deep</a>')],
+  '/docs/deep': ['text/html', page('Deep', '<h1>Deep</h1>')],
+  '/blog/news': ['text/html', page('News', '<h1>News</h1>')],
+  '/orphan': ['text/html', page('Orphan', '<h1>Orphan</h1>')]
+};
+
+let server;
+let origin;
+const requested = [];
+
+beforeAll(async () => {
+  await fs.mkdir(testDir, { recursive: true });
+
+  server = http.createServer((request, response) => {
+    requested.push(request.url);
+    const route = routes[request.url];
+    if (!route) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': route[0] });
+    response.end(route[1].replace(/ORIGIN/g, origin));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(testDir, { recursive: true, force: true });
+});
+
+describe('Site Crawling', () => {
+  test('follows same-origin links breadth-first within the depth and robots.txt', async () => {
+    requested.length = 0;
+    const pages = await crawlSite(`${origin}/`, { depth: 2 });
+
+    expect(pages.map(result => new URL(result.url).pathname)).toEqual(['/', '/docs/intro', '/blog/news', '/docs/setup']);
+    expect(pages[1].content).toContain('<h1>Intro</h1>');
+    expect(requested).not.toContain('/private/keys');
+    expect(requested).not.toContain('/login');
+    expect(requested).not.toContain('/logo.png');
+  });
+
+  test('applies include and exclude patterns, the page limit and sitemap seeds', async () => {
+    const included = await crawlSite(`${origin}/`, { depth: 5, include: ['/docs/**'], exclude: ['**/deep'] });
+    const limited = await crawlSite(`${origin}/`, { maxPages: 2 });
+    const seeded = await crawlSite(`${origin}/`, { depth: 0, sitemap: true });
+
+    expect(included.map(result => new URL(result.url).pathname)).toEqual(['/', '/docs/intro', '/docs/setup']);
+    expect(limited).toHaveLength(2);
+    expect(seeded.map(result => new URL(result.url).pathname)).toEqual(['/', '/orphan']);
+  });
+
+  test('validates limits and fails when no page loads', async () => {
+    await expect(crawlSite(`${origin}/`, { depth: -1 })).rejects.toThrow('Invalid crawl depth: -1. Must be an integer of at least 0');
+    await expect(crawlSite(`${origin}/`, { maxPages: 0 })).rejects.toThrow('Invalid crawl page limit: 0. Must be an integer of at least 1');
+    await expect(crawlSite(`${origin}/missing`)).rejects.toThrow(`No pages could be crawled from ${origin}/missing`);
+  });
+
+  test('parses robots.txt groups, wildcards and crawl delays', () => {
+    const robots = parseRobotsTxt([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: LLMPrepare',
+      'User-agent: OtherBot',
+      'Disallow: /search',
+      'Disallow: /*.pdf$',
+      'Allow: /search/help',
+      'Crawl-delay: 2',
+      'Sitemap: https://example.com/sitemap-docs.xml'
+    ].join('\n'));
+
+    expect(robots.isAllowed('https://example.com/docs')).toBe(true);
+    expect(robots.isAllowed('https://example.com/search?q=x')).toBe(false);
+    expect(robots.isAllowed('https://example.com/search/help')).toBe(true);
+    expect(robots.isAllowed('https://example.com/files/a.pdf')).toBe(false);
+    expect(robots.isAllowed('https://example.com/files/a.pdf?download')).toBe(true);
+    expect(robots.crawlDelay).toBe(2);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap-docs.xml']);
+    expect(parseRobotsTxt('').isAllowed('https://example.com/')).toBe(true);
+  });
+
+  test('ignores robots.txt groups of other crawlers with shorter names', () => {
+    const robots = parseRobotsTxt([
+      'User-agent: llm',
+      'User-agent: l',
+      'User-agent:',
+      'Disallow: /',
+      '',
+      'User-agent: *',
+      'Disallow: /private',
+      '',
+      'User-agent: LLMPrepareExtra',
+      'Disallow: /docs'
+    ].join('\n'));
+
+    expect(robots.isAllowed('https://example.com/docs')).toBe(true);
+    expect(robots.isAllowed('https://example.com/private/a')).toBe(false);
+    expect(parseRobotsTxt('User-agent: llmprepare/2.0\nDisallow: /docs').isAllowed('https://example.com/docs')).toBe(false);
+  });
+
+  test('parses sitemaps and sitemap indexes', () => {
+    expect(parseSitemap('<urlset><url><loc> https://x.test/a?b=1&amp;c=2 </loc></url></urlset>')).toEqual({ urls: ['https://x.test/a?b=1&c=2'], sitemaps: [] });
+    expect(parseSitemap('<sitemapindex><sitemap><loc>https://x.test/s1.xml</loc></sitemap></sitemapindex>')).toEqual({ urls: [], sitemaps: ['https://x.test/s1.xml'] });
+  });
+
+  test('formats one section per page', () => {
+    const pages = [{ url: 'https://x.test/a', content: 'First\n' }, { url: 'https://x.test/b?x="1"', content: 'Second' }];
+
+    expect(formatPageOutput(pages)).toBe('// URL: https://x.test/a\nFirst\n\n// URL: https://x.test/b?x="1"\nSecond\n');
+    expect(formatPageOutput(pages, 'xml')).toContain('<document index="2" url="https://x.test/b?x=&quot;1&quot;" tokens=');
+    expect(formatPageOutput(pages, 'markdown')).toBe('## https://x.test/a\n\nFirst\n\n## https://x.test/b?x="1"\n\nSecond\n');
+    expect(JSON.parse(formatPageOutput(pages, 'json'))[0]).toEqual({ url: 'https://x.test/a', tokens: expect.any(Number), content: 'First\n' });
+  });
+
+  test('prepares each crawled page with shared pseudonyms', async () => {
+    const outputFile = path.join(testDir, 'site.md');
+
+    await processText({ input: `${origin}/docs/intro`, output: outputFile, crawl: true, crawlDepth: 1, extract: 'selector:p', outputFormat: 'markdown', scrubPii: true });
+
+    expect(await fs.readFile(outputFile, 'utf8')).toBe(
+      `## ${origin}/docs/intro\n\n<p>Contact <EMAIL_1></p>\n\n` +
+      `## ${origin}/docs/setup\n\n<p>Mail <EMAIL_1></p>\n\n` +
+      `## ${origin}/\n\n${routes['/'][1]}\n`
+    );
+  });
+
+  test('requires a URL input', async () => {
+    await expect(processText({ input: path.join(testDir, 'page.html'), crawl: true })).rejects.toThrow('--crawl requires a URL input');
+  });
+});
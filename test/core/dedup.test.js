@@ -0,0 +1,114 @@
+import { describe, test, expect } from '@jest/globals';
+import { deduplicateSections, parseDedupSetting } from '../../src/processors/dedup.js';
+import { formatProjectOutput } from '../../src/formatters/project-formatter.js';
+
+const license = [
+  '/*',
+  ' * Copyright (c) 2024 Example Inc.',
+  ' * Licensed under the Apache License, Version 2.0.',
+  ' * See LICENSE in the project root for details.',
+  ' */'
+].join('\n');
+
+/**
+ * Builds a file section as renderProjectContent does
+ * @param {string} filePath - Relative path
+ * @param {string} content - File content
+ * @returns {Object} - Section
+ */
+function section(filePath, content) {
+  return { file: filePath, path: filePath, language: 'javascript', size: content.length, commentStyle: '//', content };
+}
+
+describe('Cross-File Deduplication', () => {
+  test('replaces blocks repeated in enough files with shared block references', () => {
+    const sections = [
+      section('a.js', `${license}\n\nexport const a = 1;\n`),
+      section('b.js', `${license}\nexport const b = 2;\n`),
+      section('c.js', `'use strict';\n${license}\n\nexport const c = 3;\n`),
+      section('d.js', 'export const d = 4;\n')
+    ];
+
+    const { sharedBlocks, aliases } = deduplicateSections(sections);
+
+    expect(aliases).toBe(0);
+    expect(sharedBlocks).toEqual([{ id: 1, content: license, files: 3 }]);
+    expect(sections.map(s => s.content)).toEqual([
+      '[shared block #1]\n\nexport const a = 1;\n',
+      '[shared block #1]\nexport const b = 2;\n',
+      "'use strict';\n[shared block #1]\n\nexport const c = 3;\n",
+      'export const d = 4;\n'
+    ]);
+  });
+
+  test('references a shared block inside a longer run repeated in fewer files', () => {
+    const imports = "import { readFile } from 'fs/promises';\nimport path from 'path';";
+    const sections = [
+      section('a.js', `${license}\n${imports}\nexport const a = 1;\n`),
+      section('b.js', `${license}\n${imports}\nexport const b = 2;\n`),
+      section('c.js', `${license}\nexport const c = 3;\n`),
+      section('d.js', `${license}\nexport const d = 4;\n`)
+    ];
+
+    const { sharedBlocks } = deduplicateSections(sections);
+
+    expect(sharedBlocks).toEqual([{ id: 1, content: license, files: 4 }]);
+    expect(sections[0].content).toBe(`[shared block #1]\n${imports}\nexport const a = 1;\n`);
+  });
+
+  test('keeps blocks found in fewer files than the minimum', () => {
+    const sections = [
+      section('a.js', `${license}\nexport const a = 1;\n`),
+      section('b.js', `${license}\nexport const b = 2;\n`)
+    ];
+
+    expect(deduplicateSections(sections).sharedBlocks).toEqual([]);
+    expect(deduplicateSections(sections, { minFiles: 2 }).sharedBlocks).toHaveLength(1);
+  });
+
+  test('lists identical files as aliases of the first one and leaves change sets alone', () => {
+    const content = 'module.exports = { preset: "ts-jest" };\n';
+    const sections = [
+      section('a/jest.config.js', content),
+      section('b/jest.config.js', content),
+      { ...section('c/jest.config.js', content), change: 'modified', diff: '@@ -1 +1 @@' }
+    ];
+
+    const { aliases } = deduplicateSections(sections);
+
+    expect(aliases).toBe(1);
+    expect(sections[1]).toMatchObject({ aliasOf: 'a/jest.config.js', content: '' });
+    expect(sections[2].aliasOf).toBeUndefined();
+    expect(sections[2].content).toBe(content);
+  });
+
+  test('renders shared blocks and aliases in each output format', () => {
+    const project = {
+      layout: null,
+      sharedBlocks: [{ id: 1, content: license, files: 3 }],
+      files: [
+        section('a.js', '[shared block #1]\nexport const a = 1;'),
+        { ...section('b.js', ''), aliasOf: 'a.js' }
+      ]
+    };
+
+    expect(formatProjectOutput(project, 'text')).toBe(
+      `Shared block #1 (used in 3 files):\n\`\`\`\n${license}\n\`\`\`\n\n` +
+      '// FILE: a.js\n[shared block #1]\nexport const a = 1;\n\n' +
+      '// FILE: b.js (identical to a.js)\n\n'
+    );
+    expect(formatProjectOutput(project, 'xml')).toContain(`<shared_block id="1" files="3">\n${license}\n</shared_block>`);
+    expect(formatProjectOutput(project, 'xml')).toContain('<document index="2" path="b.js" language="javascript" identical_to="a.js" />');
+    expect(formatProjectOutput(project, 'markdown')).toContain('## b.js (identical to a.js)');
+
+    const records = JSON.parse(formatProjectOutput(project, 'json'));
+    expect(records[0]).toEqual({ type: 'shared_block', id: 1, files: 3, content: license });
+    expect(records[2]).toEqual({ path: 'b.js', language: 'javascript', size: 0, identicalTo: 'a.js' });
+  });
+
+  test('rejects settings below two', () => {
+    expect(parseDedupSetting(undefined, 'dedup window')).toBeUndefined();
+    expect(parseDedupSetting('4', 'dedup window')).toBe(4);
+    expect(() => parseDedupSetting(1, 'dedup window')).toThrow('Invalid dedup window: 1. Must be an integer of at least 2');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import iconv from 'iconv-lite';
+import { decodeBuffer, detectEncoding, normalizeText, parseEncoding } from '../../src/utils/encoding.js';
+import { getSkipReason } from '../../src/utils/file-classifier.js';
+
+const french = 'Le cœur déçu mais l’âme plutôt naïve, Louÿs rêva de crapaüter en canoë au delà des îles.\n';
+const japanese = '吾輩は猫である。名前はまだ無い。どこで生れたかとんと見当がつかぬ。\n';
+
+describe('Character Encoding', () => {
+  test('detects byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00]))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61]))).toEqual({ encoding: 'utf-16be', bom: true });
+    expect(detectEncoding(Buffer.from([0xff, 0xfe, 0x00, 0x00, 0x61, 0x00, 0x00, 0x00]))).toEqual({ encoding: 'utf-32le', bom: true });
+  });
+
+  test('reads ASCII and valid UTF-8 as UTF-8', () => {
+    expect(detectEncoding(Buffer.from('plain ASCII\n')).encoding).toBe('utf-8');
+    expect(detectEncoding(Buffer.from(french)).encoding).toBe('utf-8');
+  });
+
+  test.each([
+    ['windows-1252', french.repeat(3)],
+    ['shift_jis', japanese.repeat(3)]
+  ])('detects and decodes %s', (encoding, text) => {
+    const decoded = decodeBuffer(iconv.encode(text, encoding));
+
+    expect(decoded).toEqual({ text, encoding, invalidCharacters: 0, declared: false });
+  });
+
+  test('decodes Latin-1 through its Windows-1252 superset', () => {
+    const text = 'Straße, Größe, Café au lait, Ærøskøbing, São Paulo\n'.repeat(3);
+
+    expect(decodeBuffer(iconv.encode(text, 'latin1')).text).toBe(text);
+  });
+
+  test('falls back to Windows-1252 for short files that are not UTF-8', () => {
+    const buffer = Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a]);
+
+    expect(decodeBuffer(buffer)).toEqual({ text: 'caf\u00e9\n', encoding: 'windows-1252', invalidCharacters: 0, declared: false });
+    expect(getSkipReason('menu.txt', buffer, decodeBuffer(buffer))).toBeNull();
+  });
+
+  test('decodes UTF-16 with a byte order mark and drops the mark', () => {
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), iconv.encode(japanese, 'utf-16le')]);
+
+    expect(decodeBuffer(buffer)).toEqual({ text: japanese, encoding: 'utf-16le', invalidCharacters: 0, declared: true });
+    expect(getSkipReason('notes.txt', buffer, decodeBuffer(buffer))).toBeNull();
+  });
+
+  test('reads UTF-16 without a byte order mark only when the encoding is given', () => {
+    const buffer = iconv.encode(french.repeat(3), 'utf-16le');
+
+    expect(getSkipReason('notes.txt', buffer, decodeBuffer(buffer, parseEncoding('UTF-16LE')))).toBeNull();
+    expect(getSkipReason('notes.txt', buffer, decodeBuffer(buffer))).toBe('binary');
+  });
+
+  test('does not take binary data guessed to be UTF-16 or UTF-32 for text', () => {
+    const values = Buffer.from(new Int32Array(Array.from({ length: 512 }, (_, i) => (i * 7) % 300)).buffer);
+    const header = "\u0093NUMPY\u0001\u0000v\u0000{'descr': '<i4', 'fortran_order': False, 'shape': (512,), }";
+    const array = Buffer.concat([Buffer.from(header.padEnd(127) + '\n', 'latin1'), values]);
+
+    expect(decodeBuffer(values).declared).toBe(false);
+    expect(getSkipReason('values.bin', values, decodeBuffer(values))).toBe('binary');
+    expect(getSkipReason('values.npy', array, decodeBuffer(array))).toBe('binary');
+  });
+
+  test('uses an explicit encoding and counts undecodable bytes', () => {
+    const buffer = iconv.encode('naïve café\n', 'latin1');
+
+    expect(decodeBuffer(buffer, parseEncoding('ISO-8859-15')).text).toBe('naïve café\n');
+    expect(decodeBuffer(buffer, 'utf-8')).toMatchObject({ encoding: 'utf-8', invalidCharacters: 2 });
+  });
+
+  test('normalizes line endings, byte order marks and Unicode composition', () => {
+    expect(normalizeText('\uFEFFa\r\nb\rc\n')).toBe('a\nb\nc\n');
+    expect(normalizeText('cafe\u0301')).toBe('caf\u00e9');
+    expect(decodeBuffer(Buffer.from('cafe\u0301\r\n')).text).toBe('caf\u00e9\n');
+  });
+
+  test('validates encoding names', () => {
+    expect(parseEncoding(undefined)).toBeNull();
+    expect(parseEncoding('auto')).toBeNull();
+    expect(parseEncoding('Shift_JIS')).toBe('shift_jis');
+    expect(() => parseEncoding('klingon')).toThrow('Invalid encoding: klingon');
+  });
+});
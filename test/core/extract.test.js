@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import { extractContent, parseExtractOption } from '../../src/processors/extract.js';
+
+const paragraphs = [
+  'A rolling hash lets you compute the hash of a sliding window in constant time, which makes substring search practical.',
+  'When the window moves, you subtract the outgoing character, multiply by the base, and add the incoming one.',
+  'Collisions are possible, so a match must always be confirmed by comparing the actual text.'
+];
+
+const blog = `<!DOCTYPE html>
+<html>
+<head><title>Rolling Hashes</title><script>track();</script></head>
+<body>
+<div class="cookie-consent">We use cookies to improve your experience. <a href="/privacy">Privacy policy</a></div>
+<div class="site-header"><a href="/">Dev Blog</a><ul class="menu"><li><a href="/">Home</a></li><li><a href="/about">About</a></li></ul></div>
+<div class="layout">
+  <div class="post-body" id="content">
+    <h2>Why rolling hashes?</h2>
+    ${paragraphs.map(text => `<p>${text}</p>`).join('\n    ')}
+  </div>
+  <div class="sidebar"><h3>Popular</h3><ul><li><a href="/a">Bloom filters in practice</a></li></ul></div>
+</div>
+<div class="footer">Copyright 2024 Dev Blog. All rights reserved.</div>
+</body>
+</html>`;
+
+describe('Main Content Extraction', () => {
+  test('keeps the best scored block and adds the title', () => {
+    const { html, found, description } = extractContent(blog, { extract: 'main' });
+
+    expect(found).toBe(true);
+    expect(description).toBe('div#content.post-body');
+    expect(html.startsWith('<h1>Rolling Hashes</h1>\n<div class="post-body" id="content">')).toBe(true);
+    for (const text of paragraphs) {
+      expect(html).toContain(text);
+    }
+    expect(html).not.toMatch(/cookies|Home|Popular|Copyright|track/);
+  });
+
+  test('prefers semantic elements and removes clutter inside them', () => {
+    const page = `<html><body>
+      <nav><a href="/">Home</a></nav>
+      <main>
+        <article>
+          <header><h1>Release notes</h1></header>
+          ${paragraphs.map(text => `<p>${text}</p>`).join('\n')}
+          <div class="share-buttons"><a href="/tw">Share on social networks</a></div>
+          <footer>Tags: <a href="/t/hash">hash</a></footer>
+        </article>
+        <section class="related"><h2>Related</h2><p>Another story that is long enough to be scored as a paragraph.</p></section>
+      </main>
+    </body></html>`;
+
+    const main = extractContent(page, { extract: 'main' });
+    const article = extractContent(page, { extract: 'article' });
+
+    expect(main.description).toBe('main');
+    expect(article.description).toBe('article');
+    expect(article.html).toContain('<header><h1>Release notes</h1></header>');
+    expect(article.html).not.toMatch(/Home|Share on|Tags:|Another story/);
+  });
+
+  test('keeps elements matching a selector and removes excluded elements', () => {
+    const page = '<div class="docs"><p>Install with npm.</p><div class="feedback">Was this helpful?</div></div><div class="docs"><p>Run it.</p></div>';
+
+    const { html, description } = extractContent(page, { extract: 'selector:.docs', excludeSelector: ['.feedback'] });
+
+    expect(description).toBe('2 elements matching .docs');
+    expect(html).toBe('<div class="docs"><p>Install with npm.</p></div>\n<div class="docs"><p>Run it.</p></div>');
+    expect(extractContent('<p>Keep</p><p class="ad">Buy</p>', { excludeSelector: '.ad' }).html).toBe('<p>Keep</p>');
+  });
+
+  test('keeps the whole page when nothing matches', () => {
+    const page = '<p>Short page</p>';
+
+    expect(extractContent(page, { extract: 'selector:#missing' })).toEqual({ html: page, found: false, description: null });
+    expect(extractContent(page, { extract: 'article' }).found).toBe(false);
+  });
+
+  test('validates extract modes and selectors', () => {
+    expect(parseExtractOption(undefined)).toBeNull();
+    expect(parseExtractOption('article')).toEqual({ mode: 'article', selector: null });
+    expect(parseExtractOption('selector: #content ')).toEqual({ mode: 'selector', selector: '#content' });
+    expect(() => parseExtractOption('sidebar')).toThrow('Invalid extract mode: sidebar. Must be one of: main, article, selector:<css>');
+    expect(() => extractContent('<p>x</p>', { extract: 'selector:p[' })).toThrow('Invalid selector: p[');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { getSkipReason, isBinary, isGenerated, isMinified, isLockfile } from '../../src/utils/file-classifier.js';
+
+describe('File Classifier', () => {
+  test.each([
+    ['PNG image', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    ['SQLite database', Buffer.from('SQLite format 3\0rest', 'latin1')],
+    ['WOFF2 font', Buffer.from('wOF2\u0001\u0000', 'latin1')],
+    ['NumPy array', Buffer.from("\u0093NUMPY\u0001\u0000v\u0000{'descr': '<i4', 'fortran_order': False, 'shape': (4,), }", 'latin1')],
+    ['Python pickle', Buffer.from([0x80, 0x04, 0x95, 0x10])],
+    ['file with NUL bytes', Buffer.from('abc\0def')],
+    ['invalid UTF-8', Buffer.from(Array.from({ length: 200 }, (_, i) => 0x80 + (i % 64)))]
+  ])('recognizes a %s as binary', (name, buffer) => {
+    expect(isBinary(buffer)).toBe(true);
+  });
+
+  test.each([
+    ['ASCII text', Buffer.from('BMI calculator\nMZ notes\n')],
+    ['UTF-8 text', Buffer.from('Grüße, 世界! ✓\n'.repeat(10))],
+    ['empty file', Buffer.alloc(0)],
+    ['multi-byte character cut by the sample', Buffer.concat([Buffer.from('a'.repeat(8191)), Buffer.from('é')])]
+  ])('recognizes %s as text', (name, buffer) => {
+    expect(isBinary(buffer)).toBe(false);
+  });
+
+  test('recognizes lockfiles by name', () => {
+    expect(isLockfile('app/package-lock.json')).toBe(true);
+    expect(isLockfile('Cargo.lock')).toBe(true);
+    expect(isLockfile('src/lock.js')).toBe(false);
+  });
+
+  test('recognizes minified files by name and line length', () => {
+    expect(isMinified('dist/app.min.js', 'a();\n')).toBe(true);
+    expect(isMinified('dist/bundle.js', `${'var a=1;'.repeat(200)}\n`)).toBe(true);
+    expect(isMinified('src/app.js', 'const a = 1;\n'.repeat(200))).toBe(false);
+    expect(isMinified('notes.md', `${'A long paragraph. '.repeat(400)}\n`)).toBe(false);
+  });
+
+  test('recognizes generated files by their header', () => {
+    expect(isGenerated('// Code generated by protoc-gen-go. DO NOT EDIT.\npackage api\n')).toBe(true);
+    expect(isGenerated('/**\n * @generated SignedSource<<abc>>\n */\n')).toBe(true);
+    expect(isGenerated('# This file is automatically generated by pip-compile\nrequests==2.31.0\n')).toBe(true);
+    expect(isGenerated('# Notes\n\nDo not edit the generated parser by hand.\n')).toBe(false);
+    expect(isGenerated(`${'line\n'.repeat(10)}// @generated\n`)).toBe(false);
+  });
+
+  test('returns the first matching reason', () => {
+    expect(getSkipReason('yarn.lock', Buffer.from('# yarn lockfile v1\n'))).toBe('lockfile');
+    expect(getSkipReason('logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]))).toBe('binary');
+    expect(getSkipReason('api.pb.go', Buffer.from('// Code generated. DO NOT EDIT.\n'))).toBe('generated');
+    expect(getSkipReason('index.js', Buffer.from('export default 1;\n'))).toBeNull();
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getGitChanges } from '../../src/processors/git-changes.js';
+import { processProjectDirectory } from '../../src/processors/project-processor.js';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test repository directory
+const testRepoDir = path.join(__dirname, '..', 'fixtures', 'git-project');
+
+/**
+ * Run git in the test repository
+ * @param {...string} args - Git arguments
+ * @returns {string} - Standard output
+ */
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], {
+    cwd: testRepoDir,
+    encoding: 'utf8'
+  });
+}
+
+/**
+ * Write a file in the test repository, creating parent directories as needed
+ * @param {string} relativePath - Path relative to the repository
+ * @param {string} content - File content
+ */
+async function writeRepoFile(relativePath, content) {
+  const fullPath = path.join(testRepoDir, relativePath);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, content);
+}
+
+const repoFile = (relativePath) => path.join(testRepoDir, relativePath);
+
+// Create a repository with two commits and uncommitted changes
+beforeAll(async () => {
+  await fs.mkdir(testRepoDir, { recursive: true });
+  git('init', '--quiet');
+  await writeRepoFile('src/app.js', 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+  await writeRepoFile('src/old.js', 'export const old = true;\n');
+  await writeRepoFile('README.md', '# Demo\n');
+  git('add', '.');
+  git('commit', '--quiet', '-m', 'Initial commit');
+  git('tag', 'v1');
+
+  await writeRepoFile('src/app.js', 'const a = 1;\nconst b = 20;\nconst c = 3;\n');
+  await writeRepoFile('src/new.js', 'export const fresh = true;\n');
+  await fs.rm(repoFile('src/old.js'));
+  git('add', '-A');
+  git('commit', '--quiet', '-m', 'Second commit');
+  git('tag', 'v2');
+
+  await writeRepoFile('README.md', '# Demo\n\nUncommitted.\n');
+  await writeRepoFile('notes.txt', 'untracked\n');
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testRepoDir, { recursive: true, force: true });
+});
+
+describe('Git Changes', () => {
+  test('lists the files changed between two refs', () => {
+    const { files, changes } = getGitChanges(testRepoDir, { diff: 'v1..v2' });
+
+    expect(files).toEqual([repoFile('src/app.js'), repoFile('src/new.js'), repoFile('src/old.js')]);
+    expect(changes.get(repoFile('src/app.js')).status).toBe('modified');
+    expect(changes.get(repoFile('src/new.js')).status).toBe('added');
+    expect(changes.get(repoFile('src/old.js'))).toMatchObject({ status: 'deleted', content: Buffer.alloc(0) });
+  });
+
+  test('takes the post-change content from the head ref', () => {
+    const { changes } = getGitChanges(testRepoDir, { diff: 'v1..v2' });
+    const app = changes.get(repoFile('src/app.js'));
+
+    expect(app.content.toString()).toBe('const a = 1;\nconst b = 20;\nconst c = 3;\n');
+    expect(app.diff.toString()).toContain('-const b = 2;\n+const b = 20;');
+    expect(app.diff.toString()).toContain(' const a = 1;');
+  });
+
+  test('compares the working tree with --since, including untracked files', () => {
+    const { files, changes } = getGitChanges(testRepoDir, { since: 'v2' });
+
+    expect(files).toEqual([repoFile('README.md'), repoFile('notes.txt')]);
+    expect(changes.get(repoFile('README.md')).content.toString()).toBe('# Demo\n\nUncommitted.\n');
+    expect(changes.get(repoFile('notes.txt')).status).toBe('added');
+    expect(changes.get(repoFile('notes.txt')).diff.toString()).toContain('+untracked');
+  });
+
+  test('sets the number of context lines', () => {
+    const { changes } = getGitChanges(testRepoDir, { diff: 'v1..v2', diffContext: 0 });
+    const diff = changes.get(repoFile('src/app.js')).diff.toString();
+    expect(diff).toContain('@@ -2 +2 @@');
+    expect(diff).not.toContain('\n const c = 3;');
+  });
+
+  test('rejects unknown refs and invalid ranges', () => {
+    expect(() => getGitChanges(testRepoDir, { since: 'no-such-ref' })).toThrow('Unknown git ref');
+    expect(() => getGitChanges(testRepoDir, { since: '--output=x' })).toThrow('Invalid git ref');
+    expect(() => getGitChanges(testRepoDir, { diff: 'v1' })).toThrow('Invalid diff range');
+    expect(() => getGitChanges(testRepoDir, { since: 'v1', diff: 'v1..v2' })).toThrow('not both');
+  });
+});
+
+describe('Project change set mode', () => {
+  test('annotates the layout and includes diffs before the content', async () => {
+    const result = await processProjectDirectory({ projectPath: testRepoDir, diff: 'v1..v2' });
+
+    expect(result).toContain('├── app.js [modified]');
+    expect(result).toContain('├── new.js [added]');
+    expect(result).toContain('├── old.js [deleted]');
+    expect(result).not.toContain('README.md');
+    expect(result.indexOf('// DIFF: src/app.js')).toBeLessThan(result.indexOf('// FILE: src/app.js'));
+    expect(result).toContain('// DIFF: src/old.js');
+    expect(result).not.toContain('// FILE: src/old.js');
+  });
+
+  test('adds the change and diff to json records', async () => {
+    const result = await processProjectDirectory({
+      projectPath: testRepoDir,
+      diff: 'v1..v2',
+      outputFormat: 'json',
+      filePattern: 'app.js'
+    });
+    const records = JSON.parse(result);
+
+    expect(records[0].files).toEqual([{ path: 'src/app.js', status: 'full', reason: 'modified' }]);
+    expect(records[1]).toMatchObject({ path: 'src/app.js', change: 'modified' });
+    expect(records[1].diff).toContain('+const b = 20;');
+  });
+
+  test('decodes changed files and their diffs in legacy encodings', async () => {
+    // caf\xe9 in Latin-1
+    await fs.writeFile(repoFile('menu.txt'), Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a]));
+
+    try {
+      const result = await processProjectDirectory({ projectPath: testRepoDir, since: 'v2', filePattern: 'menu.txt' });
+
+      expect(result).toContain('+caf\u00e9');
+      expect(result).toContain('caf\u00e9\n');
+      expect(result).not.toContain('\uFFFD');
+      expect(result).not.toContain('[skipped');
+    } finally {
+      await fs.rm(repoFile('menu.txt'));
+    }
+  });
+
+  test('fails when nothing changed', async () => {
+    await expect(processProjectDirectory({ projectPath: testRepoDir, diff: 'v2..v2' }))
+      .rejects.toThrow('No changed files found');
+  });
+});
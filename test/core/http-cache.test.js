@@ -0,0 +1,109 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { parseCacheTtl, resolveCacheOptions } from '../../src/io/http-cache.js';
+import { fetchUrl } from '../../src/io/url-fetcher.js';
+import { processText } from '../../src/index.js';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test directory
+const testDir = path.join(__dirname, '..', 'fixtures', 'http-cache');
+const cacheDir = path.join(testDir, 'cache');
+
+let server;
+let origin;
+let version;
+const requests = [];
+
+beforeAll(async () => {
+  // Serves the current version with an ETag, answering 304 when it matches
+  server = http.createServer((request, response) => {
+    requests.push({ url: request.url, ifNoneMatch: request.headers['if-none-match'] });
+    const etag = `"v${version}"`;
+    if (request.headers['if-none-match'] === etag) {
+      response.writeHead(304, { ETag: etag });
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain', ETag: etag });
+    response.end(`Page version ${version}`);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(testDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  requests.length = 0;
+  version = 1;
+});
+
+describe('HTTP Cache', () => {
+  test('serves fresh entries without a request', async () => {
+    const cache = resolveCacheOptions({ cacheDir });
+
+    expect(await fetchUrl(`${origin}/a`, { cache })).toBe('Page version 1');
+    version = 2;
+    expect(await fetchUrl(`${origin}/a`, { cache })).toBe('Page version 1');
+    expect(requests).toHaveLength(1);
+    expect(await fetchUrl(`${origin}/a`)).toBe('Page version 2');
+  });
+
+  test('keeps entries readable by their owner only', async () => {
+    await fetchUrl(`${origin}/a`, { cache: resolveCacheOptions({ cacheDir }) });
+    const [entry] = await fs.readdir(cacheDir);
+
+    expect((await fs.stat(cacheDir)).mode & 0o777).toBe(0o700);
+    expect((await fs.stat(path.join(cacheDir, entry))).mode & 0o777).toBe(0o600);
+  });
+
+  test('revalidates stale entries with their ETag', async () => {
+    const cache = resolveCacheOptions({ cacheDir, cacheTtl: 0 });
+
+    await fetchUrl(`${origin}/b`, { cache });
+    expect(await fetchUrl(`${origin}/b`, { cache })).toBe('Page version 1');
+    version = 2;
+    expect(await fetchUrl(`${origin}/b`, { cache })).toBe('Page version 2');
+
+    expect(requests.map(request => request.ifNoneMatch)).toEqual([undefined, '"v1"', '"v1"']);
+  });
+
+  test('serves only cached pages offline', async () => {
+    await fetchUrl(`${origin}/c`, { cache: resolveCacheOptions({ cacheDir }) });
+    const offline = resolveCacheOptions({ cacheDir, cacheTtl: 0, offline: true });
+
+    expect(await fetchUrl(`${origin}/c`, { cache: offline })).toBe('Page version 1');
+    await expect(fetchUrl(`${origin}/d`, { cache: offline })).rejects.toThrow(`${origin}/d is not in the cache (${cacheDir}); run without --offline to fetch it`);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('rebuilds the same prompt offline', async () => {
+    const outputFile = path.join(testDir, 'output.txt');
+    await processText({ input: `${origin}/page`, output: outputFile, cacheDir });
+    version = 2;
+    await processText({ input: `${origin}/page`, output: outputFile, cacheDir, offline: true });
+
+    expect(await fs.readFile(outputFile, 'utf8')).toBe('Page version 1');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('parses TTLs and turns the cache on only when asked', () => {
+    expect(parseCacheTtl('90')).toBe(90000);
+    expect(parseCacheTtl('30m')).toBe(1800000);
+    expect(parseCacheTtl(undefined)).toBe(86400000);
+    expect(() => parseCacheTtl('soon')).toThrow('Invalid cache TTL: soon. Must be a number of seconds or a duration such as 30m, 12h or 7d');
+    expect(resolveCacheOptions({})).toBeNull();
+    expect(resolveCacheOptions({ offline: true }).dir).toMatch(/llm-prepare$/);
+  });
+});
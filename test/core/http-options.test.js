@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { resolveHttpOptions, getRequestOptions, getProxyForUrl, getRetryDelay } from '../../src/io/http-options.js';
+import { fetchUrl } from '../../src/io/url-fetcher.js';
+import http from 'http';
+
+let server;
+let origin;
+let failures = [];
+const requests = [];
+
+beforeAll(async () => {
+  // Fails the first requests of /flaky, then answers with the request headers
+  server = http.createServer((request, response) => {
+    requests.push(request.url);
+    if (request.url === '/flaky' && failures.length > 0) {
+      const [status, retryAfter] = failures.shift();
+      response.writeHead(status, retryAfter === undefined ? {} : { 'Retry-After': retryAfter });
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(request.headers));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  requests.length = 0;
+  failures = [];
+  delete process.env.TEST_DOCS_TOKEN;
+});
+
+describe('HTTP Options', () => {
+  test('merges config, command line and host settings', () => {
+    process.env.TEST_DOCS_TOKEN = 'secret';
+    const settings = resolveHttpOptions({
+      http: {
+        headers: { 'Accept-Language': 'de', 'X-Team': 'docs' },
+        cookies: { theme: 'dark' },
+        timeout: 5,
+        hosts: {
+          '*.example.com': { retries: 0, headers: { 'X-Team': 'web' } },
+          'docs.example.com': { auth: 'bearer:TEST_DOCS_TOKEN', maxSize: 1 }
+        }
+      },
+      header: ['accept-language: en'],
+      cookie: ['session=abc'],
+      httpTimeout: 20
+    });
+
+    expect(getRequestOptions('https://docs.example.com/guide', settings)).toEqual({
+      headers: { 'X-Team': 'web', 'accept-language': 'en', Cookie: 'theme=dark; session=abc', Authorization: 'Bearer secret' },
+      timeout: 20000,
+      maxContentLength: 1024,
+      retries: 0,
+      proxy: null
+    });
+    expect(getRequestOptions('https://example.org/', settings).retries).toBe(2);
+  });
+
+  test('reads basic auth from the environment and reports a missing variable', () => {
+    process.env.TEST_DOCS_TOKEN = 'user:pass';
+
+    expect(getRequestOptions('https://x.test/', resolveHttpOptions({ auth: 'basic:TEST_DOCS_TOKEN' })).headers.Authorization).toBe('Basic dXNlcjpwYXNz');
+    expect(() => getRequestOptions('https://x.test/', resolveHttpOptions({ auth: 'bearer:TEST_MISSING_TOKEN' })))
+      .toThrow('Environment variable TEST_MISSING_TOKEN for bearer auth is not set');
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => resolveHttpOptions({ header: ['NoSeparator'] })).toThrow('Invalid header: NoSeparator. Must be in the form "Name: value"');
+    expect(() => resolveHttpOptions({ cookie: ['=x'] })).toThrow('Invalid cookie: =x. Must be in the form name=value');
+    expect(() => resolveHttpOptions({ auth: 'digest:VAR' })).toThrow('Invalid auth: digest:VAR. Must be bearer:ENV_VAR or basic:ENV_VAR');
+    expect(() => resolveHttpOptions({ http: { hosts: { 'a.test': { retries: -1 } } } })).toThrow('Invalid retries in http.hosts["a.test"]: -1. Must be a non-negative integer');
+  });
+
+  test('picks proxies and honors NO_PROXY', () => {
+    const saved = { ...process.env };
+    process.env.HTTPS_PROXY = 'http://proxy:3128';
+    process.env.NO_PROXY = 'internal.example, .corp.test, localhost:8080';
+
+    try {
+      expect(getProxyForUrl('https://example.com/')).toBe('http://proxy:3128');
+      expect(getProxyForUrl('https://docs.internal.example/')).toBeNull();
+      expect(getProxyForUrl('https://corp.test/')).toBeNull();
+      expect(getProxyForUrl('http://localhost:8080/')).toBeNull();
+      expect(getProxyForUrl('https://localhost:9090/')).toBe('http://proxy:3128');
+      expect(getProxyForUrl('https://example.com/', false)).toBeNull();
+      expect(getProxyForUrl('https://internal.example/', 'http://other:8080')).toBeNull();
+    } finally {
+      process.env = saved;
+    }
+  });
+
+  test('backs off exponentially and honors Retry-After', () => {
+    expect(getRetryDelay(0)).toBe(1000);
+    expect(getRetryDelay(2)).toBe(4000);
+    expect(getRetryDelay(0, '3')).toBe(3000);
+    expect(getRetryDelay(0, '3600')).toBe(60000);
+    expect(getRetryDelay(0, new Date(Date.now() + 60 * 60 * 1000).toUTCString())).toBe(60000);
+  });
+
+  test('sends the configured headers and retries 429 and 5xx responses', async () => {
+    failures = [[503, '0'], [429, '0']];
+
+    const headers = await fetchUrl(`${origin}/flaky`, { http: resolveHttpOptions({ header: ['X-Trace: 42'], cookie: ['a=1'] }) });
+
+    expect(headers['x-trace']).toBe('42');
+    expect(headers.cookie).toBe('a=1');
+    expect(headers['user-agent']).toContain('LLMPrepare');
+    expect(requests).toEqual(['/flaky', '/flaky', '/flaky']);
+  });
+
+  test('keeps the status in the error once retries run out', async () => {
+    failures = [[502, '0'], [502, '0']];
+    await expect(fetchUrl(`${origin}/flaky`, { http: resolveHttpOptions({ retries: 1 }) })).rejects.toThrow('HTTP error 502: Bad Gateway (after 1 retry)');
+
+    failures = [[404]];
+    await expect(fetchUrl(`${origin}/flaky`)).rejects.toThrow(/^HTTP error 404: Not Found$/);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { createIgnoreFilter, parseIgnoreString } from '../../src/utils/ignore-handler.js';
+import { findProjectFiles } from '../../src/processors/project-processor.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test project directory
+const testProjectDir = path.join(__dirname, '..', 'fixtures', 'ignore-project');
+
+/**
+ * Write a file, creating parent directories as needed
+ * @param {string} relativePath - Path relative to the test project
+ * @param {string} content - File content
+ */
+async function writeProjectFile(relativePath, content = '') {
+  const fullPath = path.join(testProjectDir, relativePath);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, content);
+}
+
+// Create test project structure
+beforeAll(async () => {
+  await writeProjectFile('.gitignore', '*.gen.js\n!keep.gen.js\n');
+  await writeProjectFile('.git/info/exclude', 'private.txt\n');
+  await writeProjectFile('.llmprepareignore', 'notes/\n');
+  await writeProjectFile('index.js', 'export default 1;');
+  await writeProjectFile('private.txt', 'private');
+  await writeProjectFile('drop.gen.js', '');
+  await writeProjectFile('keep.gen.js', '');
+  await writeProjectFile('.env', 'SECRET=1');
+  await writeProjectFile('package-lock.json', '{}');
+  await writeProjectFile('dist/bundle.js', '');
+  await writeProjectFile('notes/todo.md', '');
+  await writeProjectFile('src/.gitignore', 'local.js\n');
+  await writeProjectFile('src/local.js', '');
+  await writeProjectFile('src/app.js', '');
+  await writeProjectFile('src/lib/.gitignore', '!wanted.gen.js\n');
+  await writeProjectFile('src/lib/wanted.gen.js', '');
+  await writeProjectFile('src/lib/other.gen.js', '');
+  await writeProjectFile('lib/local.js', '');
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testProjectDir, { recursive: true, force: true });
+});
+
+describe('Ignore Handler', () => {
+  test('parses comma-separated ignore strings', () => {
+    expect(parseIgnoreString(' a , b,,c ')).toEqual(['a', 'b', 'c']);
+    expect(parseIgnoreString('')).toEqual([]);
+  });
+
+  test('applies default, .git/info/exclude and .llmprepareignore patterns', () => {
+    const isIgnored = createIgnoreFilter({ projectPath: testProjectDir });
+
+    expect(isIgnored(path.join(testProjectDir, '.env'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'package-lock.json'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'dist', 'bundle.js'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'private.txt'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'notes'), true)).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'index.js'))).toBe(false);
+  });
+
+  test('honors nested .gitignore files relative to their directory', () => {
+    const isIgnored = createIgnoreFilter({ projectPath: testProjectDir });
+
+    expect(isIgnored(path.join(testProjectDir, 'src', 'local.js'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'lib', 'local.js'))).toBe(false);
+  });
+
+  test('honors negation patterns at the same and deeper levels', () => {
+    const isIgnored = createIgnoreFilter({ projectPath: testProjectDir });
+
+    expect(isIgnored(path.join(testProjectDir, 'drop.gen.js'))).toBe(true);
+    expect(isIgnored(path.join(testProjectDir, 'keep.gen.js'))).toBe(false);
+    expect(isIgnored(path.join(testProjectDir, 'src', 'lib', 'wanted.gen.js'))).toBe(false);
+    expect(isIgnored(path.join(testProjectDir, 'src', 'lib', 'other.gen.js'))).toBe(true);
+  });
+
+  test('skips .gitignore and .git/info/exclude when ignoreGitignore is set', () => {
+    const isIgnored = createIgnoreFilter({ projectPath: testProjectDir, ignoreGitignore: true });
+
+    expect(isIgnored(path.join(testProjectDir, 'drop.gen.js'))).toBe(false);
+    expect(isIgnored(path.join(testProjectDir, 'private.txt'))).toBe(false);
+    expect(isIgnored(path.join(testProjectDir, 'notes', 'todo.md'))).toBe(true);
+  });
+
+  test('custom ignore patterns take precedence over nested negations', () => {
+    const isIgnored = createIgnoreFilter({
+      projectPath: testProjectDir,
+      customIgnoreString: 'wanted.gen.js'
+    });
+
+    expect(isIgnored(path.join(testProjectDir, 'src', 'lib', 'wanted.gen.js'))).toBe(true);
+  });
+
+  test('drives project traversal', () => {
+    const files = findProjectFiles(testProjectDir, '*.js')
+      .map(file => path.relative(testProjectDir, file).split(path.sep).join('/'));
+
+    expect(files).toEqual([
+      'index.js',
+      'keep.gen.js',
+      'lib/local.js',
+      'src/app.js',
+      'src/lib/wanted.gen.js'
+    ]);
+  });
+});
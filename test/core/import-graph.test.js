@@ -0,0 +1,143 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { buildImportGraph, findFileImports } from '../../src/processors/import-graph.js';
+import { findEntryFiles, processProjectDirectory } from '../../src/processors/project-processor.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test project directory
+const testProjectDir = path.join(__dirname, '..', 'fixtures', 'graph-project');
+
+/**
+ * Write a file, creating parent directories as needed
+ * @param {string} relativePath - Path relative to the test project
+ * @param {string} content - File content
+ */
+async function writeProjectFile(relativePath, content = '') {
+  const fullPath = path.join(testProjectDir, relativePath);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, content);
+}
+
+const projectFile = (relativePath) => path.join(testProjectDir, relativePath);
+const relative = (files) => files.map(file => path.relative(testProjectDir, file).split(path.sep).join('/'));
+
+// Create test project structure
+beforeAll(async () => {
+  await writeProjectFile('src/index.js', [
+    "import { helper } from './utils/helper.js';",
+    "import config from './config';",
+    "import express from 'express';",
+    "export * from './api/index.js';",
+    "const lazy = () => import('./lazy.js');"
+  ].join('\n'));
+  await writeProjectFile('src/utils/helper.js', "const { format } = require('./format');\nmodule.exports = { helper: format };");
+  await writeProjectFile('src/utils/format.js', "import { helper } from './helper.js';\nexport const format = (x) => x;");
+  await writeProjectFile('src/config.json', '{}');
+  await writeProjectFile('src/api/index.js', "export { route } from './route.ts';");
+  await writeProjectFile('src/api/route.ts', "import type { Options } from '../types.js';\nexport function route() {}");
+  await writeProjectFile('src/types.ts', 'export interface Options {}');
+  await writeProjectFile('src/lazy.js', 'export default 1;');
+  await writeProjectFile('src/unused.js', 'export const unused = 1;');
+
+  await writeProjectFile('pkg/__init__.py', 'VERSION = 1');
+  await writeProjectFile('pkg/main.py', 'from . import models\nfrom .util.text import slug\nfrom . import VERSION\nimport os');
+  await writeProjectFile('pkg/models.py', 'from ..pkg import VERSION');
+  await writeProjectFile('pkg/util/__init__.py', '');
+  await writeProjectFile('pkg/util/text.py', 'def slug(x):\n    return x');
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testProjectDir, { recursive: true, force: true });
+});
+
+describe('Import Graph', () => {
+  test('resolves ES module, CommonJS and dynamic imports', async () => {
+    const content = await fs.readFile(projectFile('src/index.js'), 'utf8');
+    expect(relative(findFileImports(content, projectFile('src/index.js')))).toEqual([
+      'src/utils/helper.js',
+      'src/config.json',
+      'src/api/index.js',
+      'src/lazy.js'
+    ]);
+  });
+
+  test('maps .js specifiers to TypeScript sources', () => {
+    const imports = findFileImports("import type { Options } from '../types.js';", projectFile('src/api/route.ts'));
+    expect(relative(imports)).toEqual(['src/types.ts']);
+  });
+
+  test('resolves relative Python imports', async () => {
+    const content = await fs.readFile(projectFile('pkg/main.py'), 'utf8');
+    expect(relative(findFileImports(content, projectFile('pkg/main.py')))).toEqual([
+      'pkg/models.py',
+      'pkg/util/text.py',
+      'pkg/__init__.py'
+    ]);
+  });
+
+  test('orders reachable files with dependencies first', () => {
+    const { files, reasons } = buildImportGraph([projectFile('src/index.js')]);
+
+    expect(relative(files)).toEqual([
+      'src/utils/format.js',
+      'src/utils/helper.js',
+      'src/config.json',
+      'src/types.ts',
+      'src/api/route.ts',
+      'src/api/index.js',
+      'src/lazy.js',
+      'src/index.js'
+    ]);
+    expect(reasons.get(projectFile('src/index.js'))).toEqual({ depth: 0, importedBy: null });
+    expect(reasons.get(projectFile('src/utils/format.js'))).toEqual({ depth: 2, importedBy: projectFile('src/utils/helper.js') });
+  });
+
+  test('limits the number of hops from the entries', () => {
+    const { files } = buildImportGraph([projectFile('src/index.js')], { maxDepth: 1 });
+    expect(relative(files)).toEqual([
+      'src/utils/helper.js',
+      'src/config.json',
+      'src/api/index.js',
+      'src/lazy.js',
+      'src/index.js'
+    ]);
+  });
+});
+
+describe('Entry file selection', () => {
+  test('explains why each file was included', () => {
+    const { reasons } = findEntryFiles(testProjectDir, ['src/index.js']);
+
+    expect(reasons.get(projectFile('src/index.js'))).toBe('entry');
+    expect(reasons.get(projectFile('src/utils/format.js'))).toBe('imported by src/utils/helper.js');
+  });
+
+  test('honors ignore rules', () => {
+    const { files } = findEntryFiles(testProjectDir, ['src/index.js'], { customIgnoreString: 'api' });
+    expect(relative(files)).not.toContain('src/api/index.js');
+    expect(relative(files)).not.toContain('src/api/route.ts');
+  });
+
+  test('rejects missing entries and invalid depths', () => {
+    expect(() => findEntryFiles(testProjectDir, ['src/missing.js'])).toThrow('Entry file not found');
+    expect(() => findEntryFiles(testProjectDir, ['src/index.js'], { entryDepth: -1 })).toThrow('Invalid entry depth');
+  });
+
+  test('processes only reachable files and shows the reasons in the layout', async () => {
+    const result = await processProjectDirectory({
+      projectPath: testProjectDir,
+      entry: ['pkg/main.py']
+    });
+
+    expect(result).toContain('main.py [entry]');
+    expect(result).toContain('text.py [imported by pkg/main.py]');
+    expect(result).not.toContain('index.js');
+    expect(result.indexOf('FILE: pkg/__init__.py')).toBeLessThan(result.indexOf('FILE: pkg/main.py'));
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import {
+  findModel,
+  getModelRegistry,
+  getModelTokenizer,
+  getModelTokenBudget,
+  resolveMaxTokens,
+  formatModelList
+} from '../../src/utils/model-registry.js';
+
+describe('Model Registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findModel', () => {
+    test('finds models by exact name', () => {
+      const model = findModel('gpt-4o');
+      expect(model.contextWindow).toBe(128000);
+      expect(model.tokenizer).toBe('o200k_base');
+      expect(model.chatFormat).toBe('openai');
+    });
+
+    test('finds models by alias, ignoring case', () => {
+      expect(findModel('Claude-Sonnet').name).toBe('claude-sonnet-4');
+    });
+
+    test('matches versioned names to the longest registered prefix', () => {
+      expect(findModel('gpt-4o-mini-2024-07-18').name).toBe('gpt-4o-mini');
+      expect(findModel('gpt-4o-2024-08-06').name).toBe('gpt-4o');
+      expect(findModel('claude-3-5-sonnet-20241022').name).toBe('claude-3-5-sonnet');
+    });
+
+    test('returns null for unknown models', () => {
+      expect(findModel('not-a-model')).toBeNull();
+      expect(findModel(undefined)).toBeNull();
+    });
+  });
+
+  describe('config extensions', () => {
+    test('adds new models from the config file', () => {
+      const models = { 'In-House-LLM': { contextWindow: 32000, outputReserve: 1000, tokenizer: 'cl100k', aliases: ['ihl'] } };
+      const model = findModel('ihl', models);
+      expect(model.name).toBe('in-house-llm');
+      expect(model.tokenizer).toBe('cl100k_base');
+    });
+
+    test('overrides fields of built-in models', () => {
+      const registry = getModelRegistry({ 'gpt-4o': { outputReserve: 1000 } });
+      expect(registry['gpt-4o'].outputReserve).toBe(1000);
+      expect(registry['gpt-4o'].contextWindow).toBe(128000);
+    });
+
+    test('rejects invalid definitions', () => {
+      expect(() => getModelRegistry({ broken: { outputReserve: 10 } })).toThrow('contextWindow must be a positive integer');
+      expect(() => getModelRegistry({ broken: { contextWindow: 100, outputReserve: 100 } })).toThrow('outputReserve');
+      expect(() => getModelRegistry({ broken: { contextWindow: 100, tokenizer: 'nope' } })).toThrow('Invalid tokenizer');
+    });
+  });
+
+  describe('token budgets', () => {
+    test('subtracts the output reserve from the context window', () => {
+      expect(getModelTokenBudget(findModel('gpt-4'))).toBe(8192 - 2048);
+      expect(getModelTokenBudget(findModel('gpt-4'), 192)).toBe(8000);
+    });
+
+    test('rejects reserves that leave no room for the prompt', () => {
+      expect(() => getModelTokenBudget(findModel('gpt-4'), 9000)).toThrow('leaves no room for the prompt');
+    });
+
+    test('prefers explicit maxTokens over the model budget', () => {
+      expect(resolveMaxTokens({ maxTokens: 500, model: 'gpt-4o' })).toBe(500);
+      expect(resolveMaxTokens({ model: 'gpt-4o' })).toBe(128000 - 16384);
+      expect(resolveMaxTokens({})).toBeUndefined();
+    });
+
+    test('warns and applies no budget for unknown models', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(resolveMaxTokens({ model: 'mystery' })).toBeUndefined();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("Unknown model 'mystery'"));
+    });
+  });
+
+  test('picks tokenizers for known and unknown models', () => {
+    expect(getModelTokenizer('claude-haiku')).toBe('cl100k_base');
+    expect(getModelTokenizer('gpt-4o-2024-08-06')).toBe('o200k_base');
+    expect(getModelTokenizer('llama-2-70b-chat')).toBe('llama');
+    expect(getModelTokenizer(undefined)).toBe('heuristic');
+  });
+
+  test('formats the registry for display', () => {
+    const list = formatModelList({ custom: { contextWindow: 1000 } });
+    expect(list).toContain('gpt-4o: context 128000, reserve 16384, tokenizer o200k_base, chat format openai');
+    expect(list).toContain('custom: context 1000');
+  });
+});
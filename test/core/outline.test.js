@@ -0,0 +1,189 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { outlineSource, supportsOutline } from '../../src/processors/outline.js';
+import { processProjectDirectory } from '../../src/processors/project-processor.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test project directory
+const testProjectDir = path.join(__dirname, '..', 'fixtures', 'outline-project');
+
+const tsSource = `import { readFile } from 'fs/promises';
+
+// Internal helper
+const double = (x: number): number => x * 2;
+
+/**
+ * Loads settings.
+ */
+export class Loader<T> extends Base {
+  // Not part of the outline
+  private cache = new Map();
+
+  /** Create a loader */
+  constructor(private root: string) {
+    super();
+  }
+
+  async load(name: string): Promise<T> {
+    const text = await readFile(name, 'utf8');
+    return JSON.parse(text);
+  }
+}
+
+export interface Options { verbose?: boolean }
+export type Id = string | number;
+
+if (process.env.DEBUG) {
+  console.log('side effect');
+}
+
+export default function main(argv: string[]): void {
+  run(argv);
+}
+`;
+
+const pySource = `"""Settings loader."""
+import json
+from pathlib import (
+    Path,
+)
+
+# Not part of the outline
+DEFAULT_NAME = "settings.json"
+
+
+@dataclass
+class Loader:
+    """Loads settings."""
+    root: Path
+
+    def load(self, name: str = DEFAULT_NAME) -> dict:
+        """Load a file."""
+        text = (self.root / name).read_text()
+        return json.loads(text)
+
+    async def reload(
+        self,
+    ) -> None:
+        template = """
+def not_a_function():
+"""
+        await self.load()
+
+
+def main(argv):
+    Loader(Path(".")).load()
+
+if __name__ == "__main__":
+    main([])
+`;
+
+// Create test project structure
+beforeAll(async () => {
+  await fs.mkdir(testProjectDir, { recursive: true });
+  await fs.writeFile(path.join(testProjectDir, 'loader.ts'), tsSource);
+  await fs.writeFile(path.join(testProjectDir, 'broken.js'), 'function broken( {\n  // comment\n');
+  await fs.writeFile(path.join(testProjectDir, 'main.go'), 'package main\n\nfunc main() {\n\tprintln("hi")\n}\n');
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testProjectDir, { recursive: true, force: true });
+});
+
+describe('Code Outline', () => {
+  test('supports JavaScript, TypeScript and Python files', () => {
+    expect(supportsOutline('a.js')).toBe(true);
+    expect(supportsOutline('a.tsx')).toBe(true);
+    expect(supportsOutline('a.py')).toBe(true);
+    expect(supportsOutline('a.go')).toBe(false);
+  });
+
+  test('keeps the API surface of TypeScript files', () => {
+    expect(outlineSource(tsSource, 'loader.ts')).toBe(`import { readFile } from 'fs/promises';
+
+const double = (x: number): number => ...;
+
+/**
+ * Loads settings.
+ */
+export class Loader<T> extends Base {
+  private cache = new Map();
+
+  /** Create a loader */
+  constructor(private root: string) { ... }
+
+  async load(name: string): Promise<T> { ... }
+}
+
+export interface Options { verbose?: boolean }
+export type Id = string | number;
+
+export default function main(argv: string[]): void { ... }
+`);
+  });
+
+  test('keeps CommonJS exports and drops other statements', () => {
+    const source = "'use strict';\nconst fs = require('fs');\nrun();\nmodule.exports = { read(file) { return fs.readFileSync(file); } };\n";
+    expect(outlineSource(source, 'index.cjs')).toBe(
+      "const fs = require('fs');\n\nmodule.exports = { read(file) { ... } };\n"
+    );
+  });
+
+  test('keeps the API surface of Python files', () => {
+    expect(outlineSource(pySource, 'loader.py')).toBe(`"""Settings loader."""
+import json
+from pathlib import (
+    Path,
+)
+DEFAULT_NAME = "settings.json"
+
+@dataclass
+class Loader:
+    """Loads settings."""
+    root: Path
+
+    def load(self, name: str = DEFAULT_NAME) -> dict:
+        """Load a file."""
+        ...
+
+    async def reload(
+        self,
+    ) -> None:
+        ...
+
+def main(argv):
+    ...
+`);
+  });
+
+  test('leaves other languages unchanged', () => {
+    expect(outlineSource('fn main() {}', 'main.rs')).toBe('fn main() {}');
+  });
+});
+
+describe('Project outline mode', () => {
+  test('outlines supported files and keeps others in full', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await processProjectDirectory({
+      projectPath: testProjectDir,
+      outline: true,
+      suppressLayout: true
+    });
+
+    expect(result).toContain('async load(name: string): Promise<T> { ... }');
+    expect(result).not.toContain('JSON.parse(text)');
+    expect(result).toContain('println("hi")');
+    // Files that cannot be parsed fall back to the regular comment handling
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to outline file'));
+    expect(result).toContain('function broken( {');
+
+    warnSpy.mockRestore();
+  });
+});
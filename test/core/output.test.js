@@ -1,4 +1,5 @@
 import { writeOutput } from '../../src/io/output.js';
+import { loadTokenizer } from '../../src/utils/token-counter.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { jest } from '@jest/globals';
@@ -240,5 +241,34 @@ Third paragraph that should go into a different chunk.`;
       expect(allContent.replace(/\s+/g, ' ').trim())
         .toBe(paragraphText.replace(/\s+/g, ' ').trim());
     });
+
+    test('should split content by tokens when chunkTokens is provided', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      const paragraphs = Array.from({ length: 20 }, (_, i) => `Paragraph ${i} has a handful of ordinary words in it.`);
+      const text = paragraphs.join('\n\n');
+      const outputFilePath = path.join(tempDir, 'token-chunk-test.txt');
+
+      await writeOutput(text, outputFilePath, null, { chunkTokens: 50, tokenizer });
+
+      const chunks = [];
+      for (let i = 1; ; i++) {
+        const chunkPath = path.join(tempDir, `token-chunk-test_part${i}.txt`);
+        try {
+          chunks.push(await fs.readFile(chunkPath, 'utf8'));
+          await fs.unlink(chunkPath);
+        } catch (error) {
+          break;
+        }
+      }
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(tokenizer.count(chunk)).toBeLessThanOrEqual(50));
+      expect(chunks.join('\n\n')).toBe(text);
+    });
+
+    test('should reject an invalid chunkTokens value', async () => {
+      await expect(writeOutput('text', path.join(tempDir, 'x.txt'), null, { chunkTokens: -1 }))
+        .rejects.toThrow('Invalid chunk tokens');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { isPdf, parsePageRange, readPdf } from '../../src/io/pdf-reader.js';
+import { processText } from '../../src/index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test directory
+const testDir = path.join(__dirname, '..', 'fixtures', 'pdf-reader');
+
+/**
+ * Builds a PDF document with Helvetica text and optional image-only pages
+ * @param {Array<Object>} pages - Pages as { texts: [[x, y, size, text]], image }
+ * @returns {Buffer} - PDF document
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const kids = pages.map(page => {
+    const content = page.texts
+      .map(([x, y, size, text]) => `BT /F1 ${size} Tf ${x} ${y} Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`)
+      .join('\n') + (page.image ? '\nq 200 0 0 200 100 400 cm /Im1 Do Q' : '');
+    const contents = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const images = page.image
+      ? ` /XObject << /Im1 ${add('<< /Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray /BitsPerComponent 8 /Length 1 >>\nstream\n\x80\nendstream')} 0 R >>`
+      : '';
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] /Contents ${contents} 0 R /Resources << /Font << /F1 ${font} 0 R >>${images} >> >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Body text line at 11pt on the left margin
+ * @param {number} y - Baseline
+ * @param {string} text - Line text
+ * @returns {Array} - Text entry for buildPdf
+ */
+const line = (y, text) => [72, y, 11, text];
+
+// Report with headings, a table, a scanned page and a two-column page
+const report = buildPdf([
+  {
+    texts: [
+      [72, 720, 24, 'Annual Report'],
+      [72, 690, 16, 'Overview'],
+      line(670, 'This report covers the first year of opera-'),
+      line(656, 'tions and what we learned.'),
+      line(620, 'A second paragraph follows.'),
+      [72, 590, 16, 'Results'],
+      line(570, 'Region'), [250, 570, 11, 'Sales'], [400, 570, 11, 'Growth'],
+      line(556, 'North'), [250, 556, 11, '120'], [400, 556, 11, '4%'],
+      line(542, 'South'), [250, 542, 11, '95'],
+      line(510, '- First item'),
+      line(496, '- Second item')
+    ]
+  },
+  { texts: [], image: true },
+  {
+    texts: [
+      [72, 720, 24, 'Columns'],
+      ...[1, 2, 3, 4, 5].map(n => [72, 700 - n * 14, 11, `Left column line ${n} with some more text`]),
+      ...[1, 2, 3, 4, 5].map(n => [320, 700 - n * 14, 11, `Right column line ${n} with some more text`])
+    ]
+  }
+]);
+
+beforeAll(async () => {
+  await fs.mkdir(testDir, { recursive: true });
+});
+
+afterAll(async () => {
+  await fs.rm(testDir, { recursive: true, force: true });
+});
+
+describe('PDF Input', () => {
+  test('extracts headings, paragraphs, tables and lists as markdown with page markers', async () => {
+    const result = await readPdf(report, { pages: '1' });
+
+    expect(result.text).toBe([
+      '[Page 1 of 3]',
+      '# Annual Report',
+      '## Overview',
+      'This report covers the first year of operations and what we learned.',
+      'A second paragraph follows.',
+      '## Results',
+      '| Region | Sales | Growth |\n| --- | --- | --- |\n| North | 120 | 4% |\n| South | 95 |  |',
+      '- First item',
+      '- Second item'
+    ].join('\n\n') + '\n');
+    expect(result.pageCount).toBe(3);
+  });
+
+  test('reads the left column before the right one and reports image-only pages', async () => {
+    const result = await readPdf(report, { pages: '2-' });
+
+    expect(result.pages).toEqual([2, 3]);
+    expect(result.imageOnlyPages).toEqual([2]);
+    expect(result.text).toContain('[Page 2 of 3: no text layer, probably a scanned image]');
+    expect(result.text).toContain('Left column line 5 with some more text Right column line 1 with some more text');
+  });
+
+  test('parses page ranges and rejects invalid ones', async () => {
+    expect(parsePageRange('1,4,7-')).toEqual([{ start: 1, end: 1 }, { start: 4, end: 4 }, { start: 7, end: Infinity }]);
+    expect(parsePageRange(undefined)).toBeNull();
+    expect(() => parsePageRange('5-2')).toThrow('Invalid page range: 5-2. Must be page numbers or ranges such as 3-10, 1,4 or 7-');
+    expect(() => parsePageRange('0')).toThrow('Invalid page range: 0');
+    await expect(readPdf(report, { pages: '8-9', source: 'report.pdf' })).rejects.toThrow('Invalid page range: 8-9. report.pdf has 3 pages');
+  });
+
+  test('detects PDFs by magic bytes or extension', () => {
+    expect(isPdf(report)).toBe(true);
+    expect(isPdf(Buffer.from('plain text'), 'scan.PDF')).toBe(true);
+    expect(isPdf(Buffer.from('plain text'), 'notes.txt')).toBe(false);
+    expect(isPdf(Buffer.concat([Buffer.from('From: scanner\n\n'), report]))).toBe(true);
+    expect(isPdf(Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n1 0 obj', 'latin1'))).toBe(true);
+  });
+
+  test('does not take text that mentions the PDF header for a PDF', async () => {
+    expect(isPdf(Buffer.from('# Notes\n\nEvery file starts with %PDF-1.7 ...\n'))).toBe(false);
+    expect(isPdf(Buffer.from('%PDF-1.7 is the header of every PDF\n'))).toBe(false);
+    expect(isPdf(await fs.readFile(path.join(__dirname, '..', '..', 'src', 'io', 'pdf-reader.js')))).toBe(false);
+    expect(isPdf(await fs.readFile(__filename))).toBe(false);
+  });
+
+  test('converts PDF input files as markdown and warns about scanned pages', async () => {
+    const inputFile = path.join(testDir, 'report.pdf');
+    const outputFile = path.join(testDir, 'report.txt');
+    await fs.writeFile(inputFile, report);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      await processText({ input: inputFile, output: outputFile, pages: '1-2', format: 'text' });
+
+      const output = await fs.readFile(outputFile, 'utf8');
+      expect(output).toContain('ANNUAL REPORT');
+      expect(output).not.toContain('# Annual Report');
+      expect(output).not.toContain('Columns');
+      expect(warn).toHaveBeenCalledWith(`Warning: ${inputFile} has 1 page without text (2), probably scanned images; their text needs OCR`);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import {
+  formatProjectOutput,
+  combineProjectOutputs,
+  getFileLanguage
+} from '../../src/formatters/project-formatter.js';
+import { processProjectDirectory } from '../../src/processors/project-processor.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test project directory
+const testProjectDir = path.join(__dirname, '..', 'fixtures', 'format-project');
+
+// Create test project structure
+beforeAll(async () => {
+  await fs.mkdir(path.join(testProjectDir, 'src'), { recursive: true });
+  await fs.writeFile(path.join(testProjectDir, 'README.md'), '# Demo\n\n```js\nconsole.log(1);\n```\n');
+  await fs.writeFile(path.join(testProjectDir, 'src', 'app.py'), 'print("</document> & more")\n');
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testProjectDir, { recursive: true, force: true });
+});
+
+describe('Project Output Formatter', () => {
+  const project = {
+    layout: {
+      name: 'demo',
+      lines: ['├── README.md'],
+      entries: [{ path: 'README.md', status: 'full' }]
+    },
+    files: [{ path: 'README.md', language: 'markdown', size: 6, content: '# Demo', commentStyle: '//' }]
+  };
+
+  test('infers languages from extensions and file names', () => {
+    expect(getFileLanguage('src/index.ts')).toBe('typescript');
+    expect(getFileLanguage('lib/tool.PY')).toBe('python');
+    expect(getFileLanguage('docker/Dockerfile')).toBe('dockerfile');
+    expect(getFileLanguage('LICENSE')).toBe('text');
+  });
+
+  test('renders the text format with file headers', () => {
+    expect(formatProjectOutput(project, 'text')).toBe(
+      'Project structure for: demo\n```\n├── README.md\n```\n\n// FILE: README.md\n# Demo\n\n'
+    );
+  });
+
+  test('renders the xml format with document attributes', () => {
+    const output = formatProjectOutput(project, 'xml');
+    expect(output).toContain('<project_structure name="demo">\n├── README.md\n</project_structure>');
+    expect(output).toContain('<documents>\n<document index="1" path="README.md" language="markdown" tokens="');
+    expect(output.trim().endsWith('</document>\n</documents>')).toBe(true);
+  });
+
+  test('uses fences longer than any backtick run in markdown', () => {
+    const output = formatProjectOutput({
+      layout: null,
+      files: [{ path: 'a.md', language: 'markdown', size: 20, content: 'before\n````\ninside\n````' }]
+    }, 'markdown');
+    expect(output).toBe('## a.md\n\n`````markdown\nbefore\n````\ninside\n````\n`````\n');
+  });
+
+  test('renders json and jsonl records', () => {
+    const records = JSON.parse(formatProjectOutput(project, 'json'));
+    expect(records[0]).toEqual({ type: 'layout', project: 'demo', files: [{ path: 'README.md', status: 'full' }] });
+    expect(records[1]).toMatchObject({ path: 'README.md', language: 'markdown', size: 6, content: '# Demo' });
+    expect(records[1].tokens).toBeGreaterThan(0);
+
+    const lines = formatProjectOutput(project, 'jsonl').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual(records);
+  });
+
+  test('renders diffs before the content of changed files', () => {
+    const changed = {
+      layout: null,
+      files: [
+        { path: 'a.js', language: 'javascript', size: 4, content: 'b();', commentStyle: '//', change: 'modified', diff: '-a();\n+b();' },
+        { path: 'old.js', language: 'javascript', size: 0, content: '', commentStyle: '//', change: 'deleted', diff: '-gone();' }
+      ]
+    };
+
+    expect(formatProjectOutput(changed, 'text')).toBe(
+      '// DIFF: a.js\n-a();\n+b();\n\n// FILE: a.js\nb();\n\n// DIFF: old.js\n-gone();\n\n'
+    );
+    expect(formatProjectOutput(changed, 'xml')).toContain('change="modified">\n<diff>\n-a();\n+b();\n</diff>\n<content>\nb();\n</content>\n</document>');
+    expect(formatProjectOutput(changed, 'markdown')).toContain('## old.js (deleted)\n\n```diff\n-gone();\n```\n');
+  });
+
+  test('combines json outputs into a single array', () => {
+    const output = formatProjectOutput({ layout: null, files: project.files }, 'json');
+    expect(JSON.parse(combineProjectOutputs([output, output], 'json'))).toHaveLength(2);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => formatProjectOutput(project, 'yaml')).toThrow('Invalid output format');
+  });
+});
+
+describe('Project output formats', () => {
+  test('renders a project as xml documents', async () => {
+    const result = await processProjectDirectory({ projectPath: testProjectDir, outputFormat: 'xml' });
+
+    expect(result).toContain('<project_structure name="format-project">');
+    expect(result).toContain('<document index="1" path="README.md" language="markdown"');
+    expect(result).toContain('<document index="2" path="src/app.py" language="python"');
+    // File content cannot close its own document
+    expect(result).toContain('print("&lt;/document> & more")');
+    expect(result.match(/<\/document>/g)).toHaveLength(2);
+  });
+
+  test('renders a project as markdown with nested fences', async () => {
+    const result = await processProjectDirectory({ projectPath: testProjectDir, outputFormat: 'markdown' });
+
+    expect(result).toContain('## Project structure: format-project\n\n```text\n');
+    expect(result).toContain('## README.md\n\n````markdown\n# Demo');
+    expect(result).toContain('## src/app.py\n\n```python\n');
+  });
+
+  test('renders a project as json records', async () => {
+    const result = await processProjectDirectory({ projectPath: testProjectDir, outputFormat: 'json', suppressLayout: true });
+    const records = JSON.parse(result);
+
+    expect(records.map(record => record.path)).toEqual(['README.md', 'src/app.py']);
+    expect(records[1].content).toBe('print("</document> & more")\n');
+  });
+
+  test('rejects unknown output formats', async () => {
+    await expect(processProjectDirectory({ projectPath: testProjectDir, outputFormat: 'yaml' }))
+      .rejects.toThrow('Invalid output format');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
 import { processProjectDirectory } from '../../src/processors/project-processor.js';
+import { loadTokenizer } from '../../src/utils/token-counter.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -89,6 +90,190 @@ describe('Project Directory Processor', () => {
     // Clean up
     await fs.unlink(testFileWithComments);
   });
+
+  test('processes a project directory with comments=docs, overriding includeComments', async () => {
+    const testFileWithComments = path.join(testProjectDir, 'file-with-docs.js');
+    await fs.writeFile(testFileWithComments, '/** Doc comment */\nconst x = 10; // inline comment');
+
+    const result = await processProjectDirectory({
+      projectPath: testProjectDir,
+      filePattern: '*.js',
+      includeComments: true,
+      comments: 'docs'
+    });
+
+    expect(result).toContain('/** Doc comment */\nconst x = 10;');
+    expect(result).not.toContain('// inline comment');
+
+    await expect(processProjectDirectory({
+      projectPath: testProjectDir,
+      filePattern: '*.js',
+      comments: 'some'
+    })).rejects.toThrow('Invalid comment mode: some');
+
+    // Clean up
+    await fs.unlink(testFileWithComments);
+  });
+
+  test('drops commented-out code and reports the dropped lines in debug output', async () => {
+    const testFileWithComments = path.join(testProjectDir, 'file-with-dead-code.js');
+    await fs.writeFile(testFileWithComments, '// Counts items.\n\n// const x = 10;\n// x++;\nconst y = 20;\n');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const result = await processProjectDirectory({
+        projectPath: testProjectDir,
+        filePattern: '*.js',
+        includeComments: true,
+        dropDeadCodeComments: true,
+        debug: true
+      });
+
+      expect(result).toContain('// Counts items.\n\nconst y = 20;');
+      expect(errorSpy).toHaveBeenCalledWith('Debug: Dropped 2 lines of commented-out code from file-with-dead-code.js');
+    } finally {
+      errorSpy.mockRestore();
+      await fs.unlink(testFileWithComments);
+    }
+  });
+  
+  test('minifies code files with compress=code and records the tokens saved', async () => {
+    const testFile = path.join(testProjectDir, 'file-to-compress.js');
+    await fs.writeFile(testFile, `function f() {\n\n    return   "a   b";\n}\n${'        g();\n'.repeat(20)}`);
+    const compression = [];
+
+    try {
+      const result = await processProjectDirectory({
+        projectPath: testProjectDir,
+        filePattern: '*.js',
+        compress: 'code'
+      }, { tokenizer: await loadTokenizer('cl100k_base'), compression });
+
+      expect(result).toContain('function f() {\nreturn "a   b";\n}');
+      expect(compression).toHaveLength(1);
+      expect(compression[0].source).toContain('file-to-compress.js');
+      expect(compression[0].after).toBeLessThan(compression[0].before);
+
+      await expect(processProjectDirectory({
+        projectPath: testProjectDir,
+        filePattern: '*.js',
+        compress: 'max'
+      })).rejects.toThrow('Invalid compression level: max');
+    } finally {
+      await fs.unlink(testFile);
+    }
+  });
+  
+  test('lists identical files as aliases with dedup', async () => {
+    const dedupDir = path.join(testProjectDir, 'dedup');
+    await fs.mkdir(dedupDir, { recursive: true });
+    await fs.writeFile(path.join(dedupDir, 'first.js'), 'export default { preset: "ts-jest" };\n');
+    await fs.writeFile(path.join(dedupDir, 'second.js'), 'export default { preset: "ts-jest" };\n');
+
+    try {
+      const result = await processProjectDirectory({
+        projectPath: dedupDir,
+        filePattern: '*.js',
+        suppressLayout: true,
+        dedup: true
+      });
+
+      expect(result).toBe('// FILE: first.js\nexport default { preset: "ts-jest" };\n\n\n// FILE: second.js (identical to first.js)\n\n');
+
+      await expect(processProjectDirectory({
+        projectPath: dedupDir,
+        filePattern: '*.js',
+        dedup: true,
+        dedupMinFiles: 1
+      })).rejects.toThrow('Invalid dedup file count: 1');
+    } finally {
+      await fs.rm(dedupDir, { recursive: true, force: true });
+    }
+  });
+  
+  test('skips binary, generated and oversized files but keeps them in the layout', async () => {
+    const skipDir = path.join(testProjectDir, 'skip');
+    await fs.mkdir(skipDir, { recursive: true });
+    await fs.writeFile(path.join(skipDir, 'cache.sqlite'), Buffer.from('SQLite format 3\0\u0010\u0000', 'latin1'));
+    await fs.writeFile(path.join(skipDir, 'api.js'), '// Code generated by tool. DO NOT EDIT.\nexport const a = 1;\n');
+    await fs.writeFile(path.join(skipDir, 'big.txt'), 'word '.repeat(400));
+    await fs.writeFile(path.join(skipDir, 'main.js'), 'export const main = 1;\n');
+
+    try {
+      const result = await processProjectDirectory({
+        projectPath: skipDir,
+        filePattern: '*',
+        maxFileSize: 1
+      });
+
+      expect(result).toContain('├── cache.sqlite [skipped: binary]');
+      expect(result).toContain('├── api.js [skipped: generated]');
+      expect(result).toContain('├── big.txt [skipped: too large]');
+      expect(result).toContain('├── main.js\n');
+      expect(result).toContain('// FILE: main.js');
+      expect(result).not.toContain('FILE: cache.sqlite');
+      expect(result).not.toContain('FILE: api.js');
+
+      const records = JSON.parse(await processProjectDirectory({
+        projectPath: skipDir,
+        filePattern: '*.txt',
+        outputFormat: 'json',
+        maxFileTokens: 10
+      }));
+      expect(records).toEqual([{
+        type: 'layout',
+        project: 'skip',
+        files: [{ path: 'big.txt', status: 'skipped', skipReason: 'too many tokens' }]
+      }]);
+
+      await expect(processProjectDirectory({
+        projectPath: skipDir,
+        filePattern: '*',
+        maxFileTokens: 0
+      })).rejects.toThrow('Invalid max file tokens: 0');
+    } finally {
+      await fs.rm(skipDir, { recursive: true, force: true });
+    }
+  });
+  
+  test('decodes files in other encodings to normalized UTF-8', async () => {
+    const encodingDir = path.join(testProjectDir, 'encodings');
+    await fs.mkdir(encodingDir, { recursive: true });
+    const utf16 = Buffer.from('\uFEFFconst greeting = "Grüße";\r\n', 'utf16le');
+    await fs.writeFile(path.join(encodingDir, 'greeting.js'), utf16);
+    await fs.writeFile(path.join(encodingDir, 'notes.txt'), Buffer.from('The café serves crème brûlée on Sundays.\n'.repeat(5), 'latin1'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const result = await processProjectDirectory({
+        projectPath: encodingDir,
+        filePattern: '*',
+        includeComments: true
+      });
+
+      expect(result).toContain('// FILE: greeting.js\nconst greeting = "Grüße";\n');
+      expect(result).toContain('The café serves crème brûlée on Sundays.');
+      expect(warn).not.toHaveBeenCalled();
+
+      const forced = await processProjectDirectory({
+        projectPath: encodingDir,
+        filePattern: '*.txt',
+        encoding: 'utf-8'
+      });
+
+      expect(forced).toContain('caf\uFFFD serves cr\uFFFDme');
+      expect(warn).toHaveBeenCalledWith('Warning: notes.txt could not be fully decoded as utf-8: 20 invalid byte sequences replaced');
+
+      await expect(processProjectDirectory({
+        projectPath: encodingDir,
+        filePattern: '*',
+        encoding: 'klingon'
+      })).rejects.toThrow('Invalid encoding: klingon');
+    } finally {
+      warn.mockRestore();
+      await fs.rm(encodingDir, { recursive: true, force: true });
+    }
+  });
   
   test('processes a project directory with custom comment style', async () => {
     const result = await processProjectDirectory({
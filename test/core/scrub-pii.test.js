@@ -0,0 +1,114 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { scrubPii, parsePiiTypes, createPseudonymTable, PII_TYPES } from '../../src/processors/scrub-pii.js';
+import { processText } from '../../src/index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test files directory
+const testFilesDir = path.join(__dirname, '..', 'fixtures', 'scrub-pii');
+
+// Create test files
+beforeAll(async () => {
+  await fs.mkdir(testFilesDir, { recursive: true });
+  await fs.writeFile(
+    path.join(testFilesDir, 'ticket.txt'),
+    'From: jane.doe@example.com\nJane (jane.doe@example.com) called from 415-555-0132.\n'
+  );
+  await fs.writeFile(
+    path.join(testFilesDir, 'contact.html'),
+    '<html><body><p>Contact <a href="mailto:jane.doe@example.com">jane.doe@example.com</a> or call 415-555-0132.</p></body></html>'
+  );
+});
+
+// Clean up test files
+afterAll(async () => {
+  await fs.rm(testFilesDir, { recursive: true, force: true });
+});
+
+describe('PII Scrubbing', () => {
+  test('gives the same value the same pseudonym', () => {
+    const { text, mapping } = scrubPii('alice@example.com wrote to bob@example.com, then ALICE@example.com replied');
+
+    expect(text).toBe('<EMAIL_1> wrote to <EMAIL_2>, then <EMAIL_1> replied');
+    expect(mapping).toEqual({ '<EMAIL_1>': 'alice@example.com', '<EMAIL_2>': 'bob@example.com' });
+  });
+
+  test('replaces phone numbers and IP addresses', () => {
+    const { text } = scrubPii('Call +44 20 7946 0958 or (415) 555-0199 from 192.168.1.10 or 2001:db8::ff00:42:8329');
+    expect(text).toBe('Call <PHONE_1> or <PHONE_2> from <IP_1> or <IP_2>');
+  });
+
+  test('replaces only card numbers that pass the Luhn check', () => {
+    const { text } = scrubPii('Card 4111 1111 1111 1111, order 4111111111111112');
+    expect(text).toBe('Card <CREDIT_CARD_1>, order 4111111111111112');
+  });
+
+  test('replaces national ID numbers', () => {
+    const { text } = scrubPii('SSN 123-45-6789, NINO AB 12 34 56 C, SIN 046 454 286, not an SSN 000-12-3456');
+    expect(text).toBe('SSN <NATIONAL_ID_1>, NINO <NATIONAL_ID_2>, SIN <NATIONAL_ID_3>, not an SSN 000-12-3456');
+  });
+
+  test('leaves dates, versions and times alone', () => {
+    const text = 'Released 2024-01-15 at 12:30:45 as v2.10';
+    expect(scrubPii(text).text).toBe(text);
+  });
+
+  test('scrubs only the selected types', () => {
+    const { text } = scrubPii('a@example.com from 10.0.0.1', { types: parsePiiTypes('ip') });
+    expect(text).toBe('a@example.com from <IP_1>');
+  });
+
+  test('keeps numbering consistent across texts sharing a table', () => {
+    const pseudonyms = createPseudonymTable();
+    scrubPii('a@example.com', { pseudonyms });
+    expect(scrubPii('b@example.com and a@example.com', { pseudonyms }).text).toBe('<EMAIL_2> and <EMAIL_1>');
+  });
+
+  test('parses entity type lists', () => {
+    expect(parsePiiTypes(true)).toEqual(PII_TYPES);
+    expect(parsePiiTypes('all')).toEqual(PII_TYPES);
+    expect(parsePiiTypes('email, credit-card')).toEqual(['email', 'credit_card']);
+    expect(() => parsePiiTypes('email,passport')).toThrow('Invalid PII type: passport');
+  });
+});
+
+describe('PII scrubbing in processing', () => {
+  test('scrubs input text before templating and writes the mapping', async () => {
+    const outputFile = path.join(testFilesDir, 'output.txt');
+    const mappingFile = path.join(testFilesDir, 'mapping.json');
+
+    await processText({
+      input: path.join(testFilesDir, 'ticket.txt'),
+      output: outputFile,
+      scrubPii: true,
+      piiMapping: mappingFile,
+      system: 'Summarize the ticket.'
+    });
+
+    expect(await fs.readFile(outputFile, 'utf8')).toBe(
+      'SYSTEM: Summarize the ticket.\n\nFrom: <EMAIL_1>\nJane (<EMAIL_1>) called from <PHONE_1>.\n'
+    );
+    expect(JSON.parse(await fs.readFile(mappingFile, 'utf8'))).toEqual({
+      '<EMAIL_1>': 'jane.doe@example.com',
+      '<PHONE_1>': '415-555-0132'
+    });
+    expect((await fs.stat(mappingFile)).mode & 0o777).toBe(0o600);
+  });
+
+  test('keeps pseudonyms when HTML input is converted to another format', async () => {
+    const markdownFile = path.join(testFilesDir, 'contact.md');
+    const textFile = path.join(testFilesDir, 'contact.txt');
+
+    await processText({ input: path.join(testFilesDir, 'contact.html'), output: markdownFile, format: 'markdown', scrubPii: true });
+    await processText({ input: path.join(testFilesDir, 'contact.html'), output: textFile, format: 'text', scrubPii: true });
+
+    expect(await fs.readFile(markdownFile, 'utf8')).toContain('Contact [<EMAIL_1>](mailto:<EMAIL_1>) or call <PHONE_1>.');
+    expect(await fs.readFile(textFile, 'utf8')).toContain('<EMAIL_1>');
+    expect(await fs.readFile(textFile, 'utf8')).toContain('or call <PHONE_1>.');
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  estimateTokenCount,
+  countTokens,
+  loadTokenizer,
+  resolveTokenizerName,
+  getTokenizerForModel,
+  analyzeTokenDistribution
+} from '../../src/utils/token-counter.js';
+import { truncateText } from '../../src/processors/truncate.js';
+
+describe('Tokenizers', () => {
+  describe('tokenizer selection', () => {
+    test('resolves canonical names and aliases', () => {
+      expect(resolveTokenizerName('cl100k')).toBe('cl100k_base');
+      expect(resolveTokenizerName('O200K_BASE')).toBe('o200k_base');
+      expect(resolveTokenizerName('sentencepiece')).toBe('llama');
+      expect(resolveTokenizerName(undefined)).toBe('heuristic');
+    });
+
+    test('rejects unknown tokenizers', () => {
+      expect(() => resolveTokenizerName('wordpiece')).toThrow('Invalid tokenizer: wordpiece');
+    });
+
+    test('maps model names to tokenizer families', () => {
+      expect(getTokenizerForModel('gpt-4o-mini')).toBe('o200k_base');
+      expect(getTokenizerForModel('gpt-4-turbo')).toBe('cl100k_base');
+      expect(getTokenizerForModel('llama-2-13b')).toBe('llama');
+      expect(getTokenizerForModel('unknown-model')).toBe('heuristic');
+      expect(getTokenizerForModel()).toBe('heuristic');
+    });
+  });
+
+  describe('BPE tokenizers', () => {
+    test('cl100k_base produces exact counts', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      expect(tokenizer.count('hello world')).toBe(2);
+      expect(tokenizer.decode(tokenizer.encode('const x = 1;'))).toBe('const x = 1;');
+    });
+
+    test('o200k_base produces exact counts', async () => {
+      const tokenizer = await loadTokenizer('o200k_base');
+      expect(tokenizer.count('hello world')).toBe(2);
+    });
+
+    test('llama tokenizer counts without a BOS token', async () => {
+      const tokenizer = await loadTokenizer('llama');
+      expect(tokenizer.count('Hello world')).toBe(2);
+      expect(tokenizer.decode(tokenizer.encode('Hello world'))).toBe('Hello world');
+    });
+
+    test('treats special token markers as plain text', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      expect(() => tokenizer.count('before <|endoftext|> after')).not.toThrow();
+    });
+
+    test('counts CJK text above the word heuristic', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      const text = '这是一个用于测试分词器的中文句子，没有任何空格。';
+      expect(tokenizer.count(text)).toBeGreaterThan(estimateTokenCount(text));
+    });
+
+    test('caches loaded tokenizers', async () => {
+      expect(await loadTokenizer('cl100k')).toBe(await loadTokenizer('cl100k_base'));
+    });
+  });
+
+  describe('countTokens', () => {
+    test('falls back to the heuristic without a tokenizer', () => {
+      expect(countTokens('some words here')).toBe(estimateTokenCount('some words here'));
+      expect(countTokens('')).toBe(0);
+    });
+
+    test('uses the heuristic tokenizer when selected', async () => {
+      const tokenizer = await loadTokenizer('heuristic');
+      expect(countTokens('some words here', tokenizer)).toBe(estimateTokenCount('some words here'));
+    });
+
+    test('analyzes token distribution with the selected tokenizer', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      const text = 'line one\nline two\nline three';
+      const analysis = analyzeTokenDistribution(text, tokenizer);
+      expect(analysis.total).toBe(analysis.sections.reduce((sum, s) => sum + s.tokens, 0));
+      expect(analysis.sections.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('truncation with a tokenizer', () => {
+    test('keeps truncated text within the limit', async () => {
+      const tokenizer = await loadTokenizer('cl100k_base');
+      const text = Array.from({ length: 200 }, (_, i) => `const value${i} = compute(${i});`).join('\n');
+
+      for (const strategy of ['start', 'end', 'middle']) {
+        const result = truncateText(text, 100, strategy, tokenizer);
+        expect(tokenizer.count(result)).toBeLessThanOrEqual(100);
+        expect(result).toContain('[...Content truncated from');
+      }
+    });
+  });
+});
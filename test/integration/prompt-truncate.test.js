@@ -0,0 +1,136 @@
+/**
+ * Integration tests for template-aware truncation
+ *
+ * Tests that verify truncation shrinks only the injected {{text}} so template
+ * instructions, system messages and user messages survive
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { processText } from '../../src/index.js';
+import { truncatePromptContent } from '../../src/processors/truncate.js';
+import { countTextPlaceholders } from '../../src/processors/prompt-template.js';
+import { loadTokenizer } from '../../src/utils/token-counter.js';
+
+// Setup test directory and files
+const testDir = path.join(process.cwd(), 'temp_prompt_truncate_tests');
+const templateFile = path.join(testDir, 'template.md');
+const inputFile = path.join(testDir, 'input.txt');
+const projectDir = path.join(testDir, 'project');
+const outputDir = path.join(testDir, 'output');
+
+const longText = Array.from({ length: 300 }, (_, i) => `Line ${i} of the input document.`).join('\n');
+
+describe('Template-aware truncation', () => {
+  let tokenizer;
+
+  beforeAll(async () => {
+    tokenizer = await loadTokenizer('cl100k_base');
+
+    await fs.mkdir(path.join(projectDir, 'src'), { recursive: true });
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(templateFile, 'Read the document below.\n\n{{text}}\n\nFINAL INSTRUCTIONS: answer in one sentence.');
+    await fs.writeFile(inputFile, longText);
+    await fs.writeFile(path.join(projectDir, 'src', 'big.txt'), longText);
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('truncatePromptContent', () => {
+    const render = (text) => `HEADER\n\n${text}\n\nFOOTER`;
+
+    test('returns the rendered prompt unchanged when it fits', () => {
+      expect(truncatePromptContent('short', render, 100, 'end', tokenizer)).toBe('HEADER\n\nshort\n\nFOOTER');
+    });
+
+    test('keeps the surrounding prompt intact for every strategy', () => {
+      for (const strategy of ['start', 'end', 'middle']) {
+        const result = truncatePromptContent(longText, render, 80, strategy, tokenizer);
+        expect(result.startsWith('HEADER\n\n')).toBe(true);
+        expect(result.endsWith('\n\nFOOTER')).toBe(true);
+        expect(tokenizer.count(result)).toBeLessThanOrEqual(80);
+      }
+    });
+
+    test('shares the budget between repeated placeholders', () => {
+      const twice = (text) => `A: ${text}\nB: ${text}`;
+      const result = truncatePromptContent(longText, twice, 120, 'end', tokenizer, 2);
+      expect(tokenizer.count(result)).toBeLessThanOrEqual(120);
+      expect(result).toContain('B: Line 0');
+    });
+
+    test('falls back to truncating the whole prompt when the frame alone is too large', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const bigFrame = (text) => `${'frame words '.repeat(100)}\n${text}`;
+      const result = truncatePromptContent(longText, bigFrame, 20, 'end', tokenizer);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('alone use'));
+      expect(tokenizer.count(result)).toBeLessThanOrEqual(20);
+    });
+
+    test('counts text and content placeholders', () => {
+      expect(countTextPlaceholders('{{text}} and {{ content }} and {{other}}')).toBe(2);
+      expect(countTextPlaceholders('no placeholders')).toBe(0);
+    });
+  });
+
+  describe('processText', () => {
+    const expectPromptIntact = (output, marker = '[...Content truncated from end...]') => {
+      expect(output.startsWith('SYSTEM: Be brief.')).toBe(true);
+      expect(output).toContain('Read the document below.');
+      expect(output).toContain('FINAL INSTRUCTIONS: answer in one sentence.');
+      expect(output.endsWith('USER: What is line 0 about?')).toBe(true);
+      expect(output).toContain(marker);
+      expect(tokenizer.count(output)).toBeLessThanOrEqual(150);
+    };
+
+    // Project files over their share of the budget are cut in the middle
+    const projectMarker = '[...Content truncated from middle...]';
+    
+    const baseOptions = {
+      prompt: templateFile,
+      system: 'Be brief.',
+      user: 'What is line 0 about?',
+      maxTokens: 150,
+      truncate: 'end',
+      tokenizer: 'cl100k_base'
+    };
+
+    test('keeps instructions and messages for file input', async () => {
+      const outputFile = path.join(outputDir, 'input-result.txt');
+      await processText({ ...baseOptions, input: inputFile, output: outputFile });
+      expectPromptIntact(await fs.readFile(outputFile, 'utf8'));
+    });
+
+    test('keeps instructions and messages for a project directory', async () => {
+      const outputFile = path.join(outputDir, 'project-result.txt');
+      await processText({ ...baseOptions, projectPath: projectDir, filePattern: '*.txt', output: outputFile });
+      expectPromptIntact(await fs.readFile(outputFile, 'utf8'), projectMarker);
+    });
+
+    test('keeps instructions and messages for multiple project directories', async () => {
+      const outputFile = path.join(outputDir, 'projects-result.txt');
+      await processText({ ...baseOptions, projectPaths: [projectDir], filePattern: '*.txt', output: outputFile });
+      expectPromptIntact(await fs.readFile(outputFile, 'utf8'), projectMarker);
+    });
+
+    test('keeps instructions and messages in per-folder output mode', async () => {
+      await processText({
+        ...baseOptions,
+        projectPath: projectDir,
+        filePattern: '*.txt',
+        folderOutputLevel: 1,
+        output: 'folder-result.txt'
+      });
+      const outputFile = path.join(projectDir, 'src', 'folder-result.txt');
+      expectPromptIntact(await fs.readFile(outputFile, 'utf8'), projectMarker);
+      await fs.rm(outputFile);
+    });
+  });
+});